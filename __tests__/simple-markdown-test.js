@@ -959,6 +959,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "1",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -990,6 +991,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "1",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1039,6 +1041,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "1",
                         target: "http://www.google.com",
                         title: "This is google!"
                     }]
@@ -1070,6 +1073,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "1",
                         target: "http://www.google.com",
                         title: "still Google"
                     }]
@@ -1091,6 +1095,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Nowhere"
                         }],
+                        ref: "nowhere-target",
                         target: "",
                         title: "nowhere"
                     }]
@@ -1118,6 +1123,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "google",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1149,6 +1155,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "google",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1171,6 +1178,7 @@ describe("simple markdown", function() {
                                 type: "text",
                                 content: "Google"
                             }],
+                            ref: "1",
                             target: "http://www.google.com",
                             title: undefined
                         },
@@ -1184,6 +1192,7 @@ describe("simple markdown", function() {
                                 type: "text",
                                 content: "Yahoo"
                             }],
+                            ref: "1",
                             target: "http://www.google.com",
                             title: undefined
                         },
@@ -1216,6 +1225,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "test"
                         }],
+                        ref: "1",
                         target: "http://khanacademy.org",
                         title: undefined
                     }]
@@ -1234,6 +1244,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "test2"
                         }],
+                        ref: "1",
                         target: "http://khanacademy.org",
                         title: undefined
                     }]
@@ -1308,6 +1319,7 @@ describe("simple markdown", function() {
                     content: [{
                         type: "image",
                         alt: "aaalt",
+                        ref: "1",
                         target: "http://example.com/test.gif",
                         title: undefined
                     }]
@@ -1336,6 +1348,7 @@ describe("simple markdown", function() {
                     content: [{
                         type: "image",
                         alt: "image",
+                        ref: "image",
                         target: "http://example.com/test.gif",
                         title: undefined
                     }]
@@ -1358,6 +1371,7 @@ describe("simple markdown", function() {
                     content: [{
                         type: "image",
                         alt: "image",
+                        ref: "image",
                         target: "http://example.com/test.gif",
                         title: "title!"
                     }]
@@ -1380,6 +1394,7 @@ describe("simple markdown", function() {
                     content: [{
                         type: "image",
                         alt: "image",
+                        ref: "image",
                         target: "http://example.com/test.gif",
                         title: "*title text*"
                     }]
@@ -1401,6 +1416,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "hiiii",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1426,6 +1442,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: "google",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1451,6 +1468,7 @@ describe("simple markdown", function() {
                             type: "text",
                             content: "Google"
                         }],
+                        ref: " h i ",
                         target: "http://www.google.com",
                         title: undefined
                     }]
@@ -1629,6 +1647,7 @@ describe("simple markdown", function() {
             validateParse(parsed, [{
                 type: "heading",
                 level: 3,
+                id: "heading3",
                 content: [{
                     type: "text",
                     content: "heading3"
@@ -1641,6 +1660,7 @@ describe("simple markdown", function() {
             validateParse(parsed, [{
                 type: "heading",
                 level: 2,
+                id: "heading2",
                 content: [{
                     type: "text",
                     content: "heading2"
@@ -1675,6 +1695,7 @@ describe("simple markdown", function() {
             validateParse(parsed, [{
                 type: "heading",
                 level: 6,
+                id: "heading7",
                 content: [{
                     type: "text",
                     content: "#heading7"
@@ -1699,6 +1720,7 @@ describe("simple markdown", function() {
                 {
                     type: "heading",
                     level: 1,
+                    id: "heading",
                     content: [{
                         type: "text",
                         content: "heading"
@@ -3611,22 +3633,22 @@ describe("simple markdown", function() {
         it("should output headings", function() {
             assertParsesToReact(
                 "### Heading!\n\n",
-                "<h3>Heading!</h3>"
+                "<h3 id=\"heading\">Heading!</h3>"
             );
 
             assertParsesToReact(
                 "## hi! ##\n\n",
-                "<h2>hi!</h2>"
+                "<h2 id=\"hi\">hi!</h2>"
             );
 
             assertParsesToReact(
                 "Yay!\n====\n\n",
-                "<h1>Yay!</h1>"
+                "<h1 id=\"yay\">Yay!</h1>"
             );
 
             assertParsesToReact(
                 "Success\n---\n\n",
-                "<h2>Success</h2>"
+                "<h2 id=\"success\">Success</h2>"
             );
         });
 
@@ -4011,22 +4033,22 @@ describe("simple markdown", function() {
         it("should output headings", function() {
             assertParsesToHtml(
                 "### Heading!\n\n",
-                "<h3>Heading!</h3>"
+                "<h3 id=\"heading\">Heading!</h3>"
             );
 
             assertParsesToHtml(
                 "## hi! ##\n\n",
-                "<h2>hi!</h2>"
+                "<h2 id=\"hi\">hi!</h2>"
             );
 
             assertParsesToHtml(
                 "Yay!\n====\n\n",
-                "<h1>Yay!</h1>"
+                "<h1 id=\"yay\">Yay!</h1>"
             );
 
             assertParsesToHtml(
                 "Success\n---\n\n",
-                "<h2>Success</h2>"
+                "<h2 id=\"success\">Success</h2>"
             );
         });
 
@@ -4425,4 +4447,2562 @@ describe("simple markdown", function() {
             assert.ok(duration < 10, "Expected parsing to finish in <10ms, but was " + duration + "ms.");
         });
     });
+
+    describe("source positions", function() {
+        /**
+         * @param {SimpleMarkdown.SingleASTNode} node
+         * @returns {Array<number>}
+         */
+        var range = function(node) {
+            var position = node.position;
+            if (!position) {
+                throw new Error("Expected a position on " + node.type);
+            }
+            return [position.start.offset, position.end.offset];
+        };
+
+        it("should add no positions by default", function() {
+            var parsed = blockParse("hi *there*\n\n");
+            assert.strictEqual(parsed[0].position, undefined);
+            assert.strictEqual(parsed[0].content[1].position, undefined);
+        });
+
+        it("should give offsets, lines and columns", function() {
+            var parsed = blockParse("# hi", {trackPosition: true});
+            assert.deepEqual(parsed[0].position, {
+                start: {offset: 0, line: 1, column: 1},
+                end: {offset: 4, line: 1, column: 5},
+            });
+            assert.deepEqual(parsed[0].content[0].position, {
+                start: {offset: 2, line: 1, column: 3},
+                end: {offset: 4, line: 1, column: 5},
+            });
+        });
+
+        it("should position nested inline nodes", function() {
+            var source = "a *b*\nc\n\n";
+            var parsed = blockParse(source, {trackPosition: true});
+            var em = parsed[0].content[1];
+            assert.strictEqual(em.type, "em");
+            assert.deepEqual(range(em), [2, 5]);
+            assert.deepEqual(range(em.content[0]), [3, 4]);
+            assert.strictEqual(source.slice(3, 4), "b");
+            assert.deepEqual(em.position.start, {offset: 2, line: 1, column: 3});
+            assert.deepEqual(
+                parsed[0].content[2].position.end,
+                {offset: 7, line: 2, column: 2}
+            );
+        });
+
+        it("should point into the original source of blockquotes", function() {
+            var source = "> q *r*\n> s\n\n";
+            var parsed = blockParse(source, {trackPosition: true});
+            var paragraph = parsed[0].content[0];
+            var em = paragraph.content[1];
+            assert.deepEqual(range(parsed[0]), [0, 13]);
+            assert.deepEqual(range(em), [4, 7]);
+            assert.strictEqual(source.slice(4, 7), "*r*");
+            // The second line's text skips its `> `:
+            assert.deepEqual(range(paragraph.content[2]), [7, 11]);
+            assert.deepEqual(
+                paragraph.content[2].position.end,
+                {offset: 11, line: 2, column: 4}
+            );
+        });
+
+        it("should point into the original source of list items", function() {
+            var source = "- a\n- b *c*\n  d\n\n";
+            var parsed = blockParse(source, {trackPosition: true});
+            var items = parsed[0].items;
+            assert.deepEqual(range(parsed[0]), [0, 17]);
+            assert.deepEqual(range(items[0][0]), [2, 3]);
+            assert.deepEqual(range(items[1][1]), [8, 11]);
+            assert.strictEqual(source.slice(8, 11), "*c*");
+            assert.deepEqual(
+                items[1][2].position.end,
+                {offset: 15, line: 3, column: 4}
+            );
+        });
+
+        it("should use offsets in the source before preprocessing", function() {
+            var parsed = blockParse("a\r\nb", {trackPosition: true});
+            assert.deepEqual(parsed[0].position, {
+                start: {offset: 0, line: 1, column: 1},
+                end: {offset: 4, line: 2, column: 2},
+            });
+        });
+
+        it("should end nodes after a whole CRLF line break", function() {
+            var source = "\tcode\r\n\r\nnext\r\n";
+            var parsed = blockParse(source, {trackPosition: true});
+            assert.strictEqual(parsed[0].type, "codeBlock");
+            assert.deepEqual(parsed[0].position, {
+                start: {offset: 0, line: 1, column: 1},
+                end: {offset: 9, line: 3, column: 1},
+            });
+            assert.deepEqual(range(parsed[1]), [9, 15]);
+        });
+
+        it("should position nodes of custom rules", function() {
+            var rules = Object.assign({}, SimpleMarkdown.defaultRules, {
+                mention: {
+                    order: SimpleMarkdown.defaultRules.text.order - 0.5,
+                    match: SimpleMarkdown.inlineRegex(/^@(\w+)/),
+                    parse: function(
+                        /** @type {SimpleMarkdown.Capture} */ capture
+                    ) {
+                        return {name: capture[1]};
+                    },
+                },
+            });
+            var parse = SimpleMarkdown.parserFor(rules, {inline: true});
+            var parsed = parse("hi @bob!", {trackPosition: true});
+            assert.strictEqual(parsed[1].type, "mention");
+            assert.deepEqual(range(parsed[1]), [3, 7]);
+        });
+    });
+
+    describe("markdown output", function() {
+        var markdownOutput = SimpleMarkdown.defaultMarkdownOutput;
+
+        /**
+         * @param {string} source
+         * @returns {string}
+         */
+        var normalizedHtml = function(source) {
+            return defaultHtmlOutput(blockParse(source)).replace(/\s+/g, " ");
+        };
+
+        /**
+         * Asserts that `source` turned into markdown and back renders
+         * the same as `source` does.
+         * @param {string} source
+         */
+        var assertRoundTrips = function(source) {
+            var markdown = markdownOutput(blockParse(source));
+            assert.strictEqual(normalizedHtml(markdown), normalizedHtml(source));
+        };
+
+        it("should output markdown that parses to the same document", function() {
+            [
+                "# Title\n\nSome *em*, **strong**, __u__ and ~~del~~.\n\n",
+                "* a\n* b\n\n",
+                "* a\n\n* b\n\n",
+                "3. three\n4. four\n\n",
+                "* a\n    * nested\n* b\n\n",
+                "| a | b |\n|:--|--:|\n| 1 | 2 |\n\n",
+                "a | b\n--|--\n1 | 2\n\n",
+                "```js\nvar a = 1;\n```\n\n",
+                "> quote\n> more\n\n",
+                "[link](http://x.com \"title\") and ![img](http://y.png)\n\n",
+                "`code`, a  \nbreak and \\*escaped\\*\n\n",
+                "1 * 2 * 3, a_b_c, [b] and <d>\n\n",
+                "[x](http://a.com/(b) \"t \\\"q\\\"\")\n\n",
+            ].forEach(assertRoundTrips);
+        });
+
+        it("should keep syntax characters in text as text", function() {
+            var markdown = markdownOutput(blockParse("1 * 2 * 3 and a_b_c\n\n"));
+            assert.strictEqual(markdown, "1 \\* 2 \\* 3 and a\\_b\\_c\n\n");
+        });
+
+        it("should normalize headings, bullets and indented code", function() {
+            assert.strictEqual(
+                markdownOutput(blockParse("Title\n=====\n\n")),
+                "# Title\n\n"
+            );
+            assert.strictEqual(
+                markdownOutput(blockParse("* a\n+ b\n\n")),
+                "- a\n- b\n\n"
+            );
+            assert.strictEqual(
+                markdownOutput(blockParse("    code\n\n")),
+                "```\ncode\n```\n\n"
+            );
+        });
+
+        it("should output reflinks as references", function() {
+            var source = "[ref][1] ![img][1]\n\n[1]: http://z.com\n\n";
+            assert.strictEqual(markdownOutput(blockParse(source)), source);
+        });
+
+        it("should use longer fences than the code contains", function() {
+            var source = "~~~\na ``` b\n```\n~~~\n\n";
+            var markdown = markdownOutput(blockParse(source));
+            assert.strictEqual(markdown, "````\na ``` b\n```\n````\n\n");
+            assertRoundTrips(source);
+            assertRoundTrips("`` a`b ``\n\n");
+        });
+
+        it("should save edits to the syntax tree", function() {
+            var ast = blockParse(
+                "See [docs](http://old.com/a).\n\n"
+            );
+            ast[0].content[1].target = "http://new.com/a";
+            ast.unshift({
+                type: "heading",
+                level: 2,
+                content: [{type: "text", content: "Links"}],
+            });
+            assert.strictEqual(
+                markdownOutput(ast),
+                "## Links\n\nSee [docs](http://new.com/a).\n\n"
+            );
+        });
+    });
+
+    describe("footnotes", function() {
+        var source = "A[^a] and B[^b] and A again[^a].\n\n" +
+            "[^b]: Bee *note*.\n\n" +
+            "[^a]: Ay note.\n\n" +
+            "[^unused]: Never.\n\n";
+
+        it("should number footnotes in the order they're first referenced", function() {
+            var parsed = blockParse(source);
+            var refs = parsed[0].content.filter(
+                (/** @type {SimpleMarkdown.SingleASTNode} */ node) =>
+                    node.type === "footnoteRef"
+            );
+            assert.deepEqual(
+                refs.map((/** @type {SimpleMarkdown.SingleASTNode} */ ref) =>
+                    [ref.id, ref.number, ref.index]
+                ),
+                [["a", 1, 1], ["b", 2, 1], ["a", 1, 2]]
+            );
+            assert.strictEqual(parsed[1].number, 2);
+            assert.strictEqual(parsed[2].number, 1);
+            assert.strictEqual(parsed[2].refCount, 2);
+        });
+
+        it("should output references and a list of footnotes in html", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(source),
+                '<div class="paragraph">' +
+                'A<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>' +
+                ' and B<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup>' +
+                ' and A again<sup class="footnote-ref"><a href="#fn-1" id="fnref-1-2">1</a></sup>.' +
+                '</div>' +
+                '<section class="footnotes"><ol>' +
+                '<li id="fn-1">Ay note. ' +
+                '<a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">&#8617;</a> ' +
+                '<a href="#fnref-1-2" class="footnote-backref" aria-label="Back to reference 1-2">&#8617;<sup>2</sup></a>' +
+                '</li>' +
+                '<li id="fn-2">Bee <em>note</em>. ' +
+                '<a href="#fnref-2" class="footnote-backref" aria-label="Back to reference 2">&#8617;</a>' +
+                '</li>' +
+                '</ol></section>'
+            );
+        });
+
+        it("should output a list of footnotes in react", function() {
+            var html = reactToHtml(SimpleMarkdown.markdownToReact(source));
+            assert.ok(
+                html.indexOf(
+                    '<section class="footnotes"><ol start="1"><li id="fn-1">Ay note. '
+                ) !== -1,
+                html
+            );
+            assert.ok(html.indexOf('<li id="fn-2">Bee <em>note</em>. ') !== -1, html);
+            assert.ok(html.indexOf("Never") === -1, html);
+        });
+
+        it("should allow definitions before or after their references", function() {
+            var html = SimpleMarkdown.markdownToHtml(
+                "[^n]: Defined first.\n\nLater[^n].\n\n"
+            );
+            assert.ok(html.indexOf('<li id="fn-1">Defined first. ') !== -1, html);
+        });
+
+        it("should match ids ignoring case and spaces", function() {
+            var html = SimpleMarkdown.markdownToHtml("x[^A  b]\n\n[^a B]: same\n\n");
+            assert.ok(html.indexOf('<li id="fn-1">same ') !== -1, html);
+        });
+
+        it("should leave references without definitions as text", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("Missing[^x].\n\n"),
+                '<div class="paragraph">Missing[^x].</div>'
+            );
+        });
+
+        it("should not link back to references in a footnote's own definition", function() {
+            var selfSource = "[^a]: See[^a].\n\nx[^a]\n\n";
+            var expected = '<div class="paragraph">' +
+                'x<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>' +
+                '</div>' +
+                '<section class="footnotes"><ol>' +
+                '<li id="fn-1">See<sup class="footnote-ref"><a href="#fn-1">1</a></sup>. ' +
+                '<a href="#fnref-1" class="footnote-backref" aria-label="Back to reference 1">&#8617;</a>' +
+                '</li>' +
+                '</ol></section>';
+            var parsed = blockParse(selfSource);
+            assert.strictEqual(parsed[0].refCount, 1);
+            assert.strictEqual(parsed[1].content[1].index, 1);
+            assert.strictEqual(SimpleMarkdown.defaultHtmlOutput(parsed), expected);
+            assert.strictEqual(
+                SimpleMarkdown.defaultHtmlOutput(
+                    SimpleMarkdown.fromMdast(SimpleMarkdown.toMdast(parsed))
+                ),
+                expected
+            );
+        });
+
+        it("should output footnotes as markdown and text", function() {
+            var parsed = blockParse(source);
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(parsed),
+                "A[^a] and B[^b] and A again[^a].\n\n" +
+                "[^b]: Bee *note*.\n\n" +
+                "[^a]: Ay note.\n\n" +
+                "[^unused]: Never.\n\n"
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText(source),
+                "A[1] and B[2] and A again[1].\n\n[1] Ay note.\n\n[2] Bee note."
+            );
+        });
+    });
+
+    describe("task lists", function() {
+        var source = "- [ ] todo\n- [x] done\n    - [X] nested\n- plain [ ] x\n\n";
+
+        it("should parse checkboxes at the start of list items", function() {
+            var parsed = blockParse(source);
+            var items = parsed[0].items;
+            assert.deepEqual(items[0][0], {type: "checkbox", checked: false});
+            assert.deepEqual(items[1][0], {type: "checkbox", checked: true});
+            assert.deepEqual(items[1][2].items[0][0], {type: "checkbox", checked: true});
+            // not a task, since the brackets aren't at the start:
+            assert.ok(items[2].every(
+                (/** @type {SimpleMarkdown.SingleASTNode} */ node) =>
+                    node.type !== "checkbox"
+            ));
+        });
+
+        it("should not parse checkboxes outside of lists", function() {
+            var parsed = blockParse("[ ] not a task\n\n");
+            assert.strictEqual(parsed[0].type, "paragraph");
+            assert.ok(parsed[0].content.every(
+                (/** @type {SimpleMarkdown.SingleASTNode} */ node) =>
+                    node.type !== "checkbox"
+            ));
+        });
+
+        it("should output disabled checkboxes in html", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(source),
+                '<ul>' +
+                '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" disabled="true"> todo</li>' +
+                '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" checked="true" disabled="true"> done\n  ' +
+                '<ul><li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" checked="true" disabled="true"> nested</li></ul>' +
+                '</li>' +
+                '<li>plain [ ] x</li>' +
+                '</ul>'
+            );
+        });
+
+        it("should output item paths in html when there's an onCheckboxChange", function() {
+            var htmlOutput = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "html");
+            var html = htmlOutput(blockParse(source), {onCheckboxChange: function() {}});
+            assert.ok(html.indexOf('data-list-item-path="0"> todo') !== -1, html);
+            assert.ok(html.indexOf('data-list-item-path="1"> done') !== -1, html);
+            assert.ok(html.indexOf('data-list-item-path="1.0"> nested') !== -1, html);
+            assert.ok(html.indexOf("disabled") === -1, html);
+        });
+
+        it("should call onCheckboxChange with the item path from react", function() {
+            /** @type {Array<any>} */
+            var calls = [];
+            var reactOutput = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "react", {
+                onCheckboxChange: function(
+                    /** @type {Array<number>} */ path,
+                    /** @type {boolean} */ checked
+                ) {
+                    calls.push([path, checked]);
+                },
+            });
+            /** @type {Array<any>} */
+            var checkboxes = [];
+            var findCheckboxes = function(/** @type {any} */ element) {
+                if (Array.isArray(element)) {
+                    element.forEach(findCheckboxes);
+                } else if (element && element.props) {
+                    if (element.type === "input") {
+                        checkboxes.push(element);
+                    }
+                    findCheckboxes(element.props.children);
+                }
+            };
+            findCheckboxes(reactOutput(blockParse(source)));
+            assert.strictEqual(checkboxes.length, 3);
+            assert.strictEqual(checkboxes[2].props.disabled, false);
+            checkboxes[2].props.onChange({target: {checked: false}});
+            checkboxes[0].props.onChange({target: {checked: true}});
+            assert.deepEqual(calls, [[[1, 0], false], [[0], true]]);
+        });
+
+        it("should output checkboxes as markdown and text", function() {
+            var parsed = blockParse("- [ ] todo\n- [x] done\n\n");
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(parsed),
+                "- [ ] todo\n- [x] done\n\n"
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("- [ ] todo\n- [x] done\n\n"),
+                "- [ ] todo\n- [x] done"
+            );
+        });
+    });
+
+    describe("incrementalParserFor", function() {
+        var incrementalParse = SimpleMarkdown.incrementalParserFor(
+            SimpleMarkdown.defaultRules
+        );
+        var fullParse = SimpleMarkdown.parserFor(SimpleMarkdown.defaultRules);
+
+        /**
+         * @param {string} source
+         * @returns {SimpleMarkdown.ParsedDocument}
+         */
+        var start = function(source) {
+            return incrementalParse(
+                {source: "", ast: []},
+                {offset: 0, deleteLength: 0, insertText: source}
+            );
+        };
+
+        /**
+         * @param {string} source
+         * @returns {Array<SimpleMarkdown.SingleASTNode>}
+         */
+        var reparse = function(source) {
+            return fullParse(source, {inline: false, trackPosition: true});
+        };
+
+        var source = "# One\n\nFirst *para*.\n\n# Two\n\nSecond para.\n\n> quoted\n\n";
+
+        it("should give the same ast as a full parse", function() {
+            var doc = start(source);
+            assert.deepEqual(doc.ast, reparse(source));
+
+            var edits = [
+                {offset: 8, deleteLength: 5, insertText: "Initial"},
+                {offset: 0, deleteLength: 0, insertText: "Intro\n\n"},
+                {offset: 20, deleteLength: 3, insertText: "\n\n- a\n- b\n\n"},
+                {offset: 0, deleteLength: 7, insertText: ""},
+            ];
+            edits.forEach(function(edit) {
+                doc = incrementalParse(doc, edit);
+                assert.deepEqual(doc.ast, reparse(doc.source), doc.source);
+            });
+        });
+
+        it("should reuse the blocks before an edit", function() {
+            var doc = start(source);
+            var next = incrementalParse(doc, {
+                offset: source.indexOf("para."),
+                deleteLength: 0,
+                insertText: "new ",
+            });
+            assert.strictEqual(next.ast[0], doc.ast[0]);
+            assert.strictEqual(next.ast[1], doc.ast[1]);
+            assert.notStrictEqual(next.ast[3], doc.ast[3]);
+            assert.deepEqual(next.ast, reparse(next.source));
+        });
+
+        it("should reuse the blocks after an edit that doesn't move them", function() {
+            var doc = start(source);
+            var next = incrementalParse(doc, {
+                offset: source.indexOf("First"),
+                deleteLength: 5,
+                insertText: "Fifth",
+            });
+            assert.strictEqual(next.ast[4], doc.ast[4]);
+            assert.strictEqual(next.ast[5], doc.ast[5]);
+            assert.deepEqual(next.ast, reparse(next.source));
+        });
+
+        it("should leave the previous ast as it was", function() {
+            var doc = start(source);
+            var before = JSON.stringify(doc.ast);
+            var next = incrementalParse(doc, {
+                offset: 0,
+                deleteLength: 0,
+                insertText: "Intro\n\nmore\n\n",
+            });
+            assert.strictEqual(JSON.stringify(doc.ast), before);
+            assert.deepEqual(next.ast, reparse(next.source));
+            assert.notStrictEqual(next.ast[4], doc.ast[2]);
+            var position = /** @type {SimpleMarkdown.SourcePosition} */ (next.ast[4].position);
+            var oldPosition = /** @type {SimpleMarkdown.SourcePosition} */ (doc.ast[2].position);
+            assert.strictEqual(position.start.line, 9);
+            assert.strictEqual(oldPosition.start.line, 5);
+        });
+
+        it("should leave the ids of the previous ast's headings as they were", function() {
+            var doc = start("# Two\n\npara\n\n# Two\n\n");
+            assert.strictEqual(doc.ast[2].id, "two-1");
+            var next = incrementalParse(doc, {offset: 4, deleteLength: 1, insertText: "x"});
+            assert.strictEqual(next.ast[0].id, "twx");
+            assert.strictEqual(next.ast[2].id, "two");
+            assert.strictEqual(doc.ast[0].id, "two");
+            assert.strictEqual(doc.ast[2].id, "two-1");
+        });
+
+        it("should re-parse everything for edits that affect the whole document", function() {
+            var doc = start("para one\n\n[link][x]\n\npara two\n\n");
+            var next = incrementalParse(doc, {
+                offset: doc.source.length,
+                deleteLength: 0,
+                insertText: "[x]: http://x.com\n\n",
+            });
+            assert.deepEqual(next.ast, reparse(next.source));
+            assert.strictEqual(next.ast[1].content[0].type, "link");
+
+            var code = start("para one\n\npara two\n\n```\ncode\n```\n\n");
+            var fenced = incrementalParse(code, {
+                offset: 0,
+                deleteLength: 0,
+                insertText: "```\n",
+            });
+            assert.deepEqual(fenced.ast, reparse(fenced.source));
+            assert.strictEqual(fenced.ast[0].type, "codeBlock");
+            assert.strictEqual(fenced.ast[0].content.indexOf("para one\n\npara two"), 0);
+        });
+    });
+
+    describe("url policies", function() {
+        /**
+         * @param {string} url
+         * @param {SimpleMarkdown.UrlPolicy} urlPolicy
+         * @param {SimpleMarkdown.UrlKind} [kind]
+         * @returns {?string}
+         */
+        var check = function(url, urlPolicy, kind) {
+            return SimpleMarkdown.applyUrlPolicy(
+                url,
+                kind || "link",
+                {urlPolicy: urlPolicy},
+                {type: "link", content: [], target: url}
+            );
+        };
+
+        it("should sanitize urls without a policy", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("[a](javascript:alert(1)) [b](http://x.com)"),
+                '<div class="paragraph"><a>a</a> <a href="http://x.com">b</a></div>'
+            );
+        });
+
+        it("should allow only the policy's schemes", function() {
+            var policy = {schemes: ["https"]};
+            assert.strictEqual(check("https://a.com", policy), "https://a.com");
+            assert.strictEqual(check("http://a.com", policy), null);
+            assert.strictEqual(check(" JavaScript:alert(1)", policy), null);
+            assert.strictEqual(check("/relative/path", policy), "/relative/path");
+            assert.strictEqual(check("data:image/png;base64,AA", {}, "image"), null);
+            assert.strictEqual(
+                check("data:image/png;base64,AA", {image: {schemes: ["data:image/png"]}}, "image"),
+                "data:image/png;base64,AA"
+            );
+        });
+
+        it("should deny hosts and their subdomains", function() {
+            var policy = {denyHosts: ["evil.com"]};
+            assert.strictEqual(check("https://good.com/evil.com", policy), "https://good.com/evil.com");
+            assert.strictEqual(check("https://evil.com/a", policy), null);
+            assert.strictEqual(check("https://www.EVIL.com", policy), null);
+            assert.strictEqual(check("https://user@evil.com:443/", policy), null);
+            assert.strictEqual(check("//evil.com", policy), null);
+            assert.strictEqual(check("/\\evil.com", policy), null);
+            assert.strictEqual(check("https://notevil.com", policy), "https://notevil.com");
+        });
+
+        it("should deny hosts written the ways browsers accept", function() {
+            var policy = {denyHosts: ["evil.com"]};
+            assert.strictEqual(check("https://evil.com.", policy), null);
+            assert.strictEqual(check("https://evil.com./a", policy), null);
+            assert.strictEqual(check("https://%65vil.com", policy), null);
+            assert.strictEqual(check("https://evil%2Ecom%2E", policy), null);
+            assert.strictEqual(check("https:evil.com", policy), null);
+            assert.strictEqual(check("https:/evil.com", policy), null);
+            assert.strictEqual(check("HTTP:\\\\evil.com", policy), null);
+            assert.strictEqual(check("ht\ttps://evil.com", policy), null);
+        });
+
+        it("should allow only allowed hosts", function() {
+            var policy = {allowHosts: ["good.com"]};
+            assert.strictEqual(check("https://good.com", policy), "https://good.com");
+            assert.strictEqual(check("https://cdn.good.com.", policy), "https://cdn.good.com.");
+            assert.strictEqual(check("https://evil.com", policy), null);
+            assert.strictEqual(check("https:evil.com", policy), null);
+            assert.strictEqual(check("https://good.com.evil.com", policy), null);
+            // urls with a scheme, but no host, fail closed:
+            assert.strictEqual(check("mailto:me@good.com", policy), null);
+            assert.strictEqual(check("/relative", policy), "/relative");
+        });
+
+        it("should call onUnsafeUrl with the reason", function() {
+            /** @type {Array<string>} */
+            var reasons = [];
+            var policy = {
+                schemes: ["https"],
+                denyHosts: ["evil.com"],
+                onUnsafeUrl: function(
+                    /** @type {string} */ url,
+                    /** @type {{reason: string}} */ info
+                ) {
+                    reasons.push(info.reason);
+                    return "#blocked";
+                },
+            };
+            assert.strictEqual(check("http://a.com", policy), "#blocked");
+            assert.strictEqual(check("https://evil.com", policy), "#blocked");
+            assert.strictEqual(check("https://a.com/%AF", policy), "#blocked");
+            assert.deepEqual(reasons, ["scheme", "host", "malformed"]);
+        });
+
+        it("should rewrite allowed urls", function() {
+            var html = SimpleMarkdown.markdownToHtml("![i](https://a.com/i.png) [l](https://a.com)", {
+                urlPolicy: {
+                    image: {
+                        rewrite: (/** @type {string} */ url) =>
+                            "https://proxy.com/?u=" + encodeURIComponent(url),
+                    },
+                },
+            });
+            assert.strictEqual(
+                html,
+                '<div class="paragraph">' +
+                '<img src="https://proxy.com/?u=https%3A%2F%2Fa.com%2Fi.png" alt="i">' +
+                ' <a href="https://a.com">l</a></div>'
+            );
+        });
+    });
+
+    describe("parse limits", function() {
+        /**
+         * @param {SimpleMarkdown.ParseLimits} limits
+         * @returns {{limits: SimpleMarkdown.ParseLimits, exceeded: Array<string>}}
+         */
+        var limitsState = function(limits) {
+            /** @type {Array<string>} */
+            var exceeded = [];
+            var onLimitExceeded = function(/** @type {string} */ limit) {
+                exceeded.push(limit);
+            };
+            return {
+                limits: Object.assign({}, limits, {onLimitExceeded: onLimitExceeded}),
+                exceeded: exceeded,
+            };
+        };
+
+        it("should output input past maxLength as text", function() {
+            var state = limitsState({maxLength: 12});
+            var parsed = blockParse("hello *world* and more\n\n", state);
+            validateParse(parsed, [
+                {
+                    type: "paragraph",
+                    content: [
+                        {type: "text", content: "hello "},
+                        {type: "text", content: "*world"},
+                    ],
+                },
+                {type: "text", content: "* and more\n\n"},
+            ]);
+            assert.deepEqual(state.exceeded, ["length"]);
+        });
+
+        it("should output content nested past maxDepth as text", function() {
+            var state = limitsState({maxDepth: 3});
+            var parsed = blockParse("> > > a *b*\n\n", state);
+            var innermost = parsed[0].content[0].content[0];
+            assert.strictEqual(innermost.type, "blockQuote");
+            validateParse(innermost.content, [{type: "text", content: "a *b*\n\n\n\n"}]);
+            assert.deepEqual(state.exceeded, ["depth"]);
+        });
+
+        it("should stop parsing after maxNodes", function() {
+            var state = limitsState({maxNodes: 3});
+            var parsed = inlineParse("a *b* c *d* e", state);
+            validateParse(parsed, [
+                {type: "text", content: "a "},
+                {type: "em", content: [{type: "text", content: "b"}]},
+                {type: "text", content: " c *d* e"},
+            ]);
+            assert.deepEqual(state.exceeded, ["nodes"]);
+        });
+
+        it("should stop parsing after the timeout", function() {
+            var state = limitsState({timeout: -1});
+            var parsed = inlineParse("a *b* c", state);
+            validateParse(parsed, [{type: "text", content: "a *b* c"}]);
+            assert.deepEqual(state.exceeded, ["time"]);
+        });
+
+        it("should parse deeply nested input without overflowing the stack", function() {
+            var parsed = inlineParse(Array(20001).join("***"), {limits: {maxDepth: 50}});
+            assert.ok(parsed.length > 0);
+        });
+    });
+
+    describe("parse speed", function() {
+        // All of these took seconds (or more) to parse, from searching the
+        // rest of the source again from every character of it:
+
+        /**
+         * @param {() => any} parse
+         */
+        var assertQuick = function(parse) {
+            var startTime = Date.now();
+            parse();
+            var duration = Date.now() - startTime;
+            assert.ok(duration < 250, "Expected parsing to finish in <250ms, but was " + duration + "ms.");
+        };
+
+        it("should parse many unclosed links quickly", function() {
+            assertQuick(() => inlineParse(Array(2001).join("[a](")));
+            assertQuick(() => inlineParse(Array(2001).join("![a](")));
+            assertQuick(() => inlineParse("[a](" + Array(4001).join("(x") + ")"));
+        });
+
+        it("should parse long lines of pipes quickly", function() {
+            assertQuick(() => blockParse(Array(20001).join("||a")));
+            assertQuick(() => blockParse(Array(20001).join("||a") + "\n\n"));
+            assertQuick(() => blockParse("a|b\n-|-\n" + Array(20001).join("||a") + "\r\n\n"));
+            assertQuick(() => blockParse("|a\n|" + Array(50001).join("-") + "x\n\n"));
+        });
+
+        it("should parse many unclosed html tags quickly", function() {
+            assertQuick(() => inlineParse(Array(10001).join("<b>"), {htmlPolicy: true}));
+            assertQuick(() => inlineParse(Array(10001).join("<span>"), {htmlPolicy: true}));
+            assertQuick(() => inlineParse(Array(10001).join("<b>") + "</b>", {htmlPolicy: true}));
+        });
+
+        it("should still parse parens in link urls", function() {
+            validateParse(inlineParse("[a](http://x.com/a_(b)_(c))"), [{
+                type: "link",
+                content: [{type: "text", content: "a"}],
+                target: "http://x.com/a_(b)_(c)",
+                title: undefined,
+            }]);
+            validateParse(inlineParse("[a](x((y)))"), [{
+                type: "link",
+                content: [{type: "text", content: "a"}],
+                target: "x((y))",
+                title: undefined,
+            }]);
+        });
+
+        it("should parse long runs of spaces and letters quickly", function() {
+            assertQuick(() => inlineParse("a" + Array(40001).join(" ") + "!"));
+            assertQuick(() => inlineParse(Array(40001).join("a") + "!"));
+            assertQuick(() => inlineParse("*a" + Array(10001).join(" \t") + "*"));
+        });
+
+        it("should parse lists with long runs of whitespace quickly", function() {
+            assertQuick(() => blockParse("- a" + Array(8001).join("\n\n ") + "b\n\n"));
+            assertQuick(() => blockParse("- a" + Array(10001).join(" \n") + "b\n\n"));
+        });
+
+        it("should match blockquotes without a blank line after them quickly", function() {
+            var match = SimpleMarkdown.defaultRules.blockQuote.match;
+            assertQuick(() => match(Array(31).join("> a\n"), {inline: false}, ""));
+            assertQuick(() => match(Array(31).join(">a\n> b\n"), {inline: false}, ""));
+        });
+    });
+
+    describe("heading ids", function() {
+        /**
+         * @param {string} source
+         * @returns {Array<string>}
+         */
+        var headingIds = function(source) {
+            /** @type {Array<string>} */
+            var ids = [];
+            SimpleMarkdown.visit(blockParse(source), {
+                heading: function(node) {
+                    ids.push(node.id);
+                },
+            });
+            return ids;
+        };
+
+        it("should make github-style ids from the heading text", function() {
+            assert.deepEqual(
+                headingIds("# Hello, World!\n\n## Install *now* (v2.0)\n\n### snake_case & dashes-too\n\n"),
+                ["hello-world", "install-now-v20", "snake_case--dashes-too"]
+            );
+        });
+
+        it("should add -1, -2 to repeated ids", function() {
+            assert.deepEqual(
+                headingIds("# Setup\n\n## Setup\n\n> # Setup\n\n# setup!\n\n"),
+                ["setup", "setup-1", "setup-2", "setup-3"]
+            );
+        });
+
+        it("should keep unicode letters in ids", function() {
+            assert.deepEqual(
+                headingIds("# \u00dcber Caf\u00e9\n\n# \u65e5\u672c\u8a9e \u306e \u898b\u51fa\u3057\n\n# Party \ud83c\udf89\n\n"),
+                [
+                    "\u00fcber-caf\u00e9",
+                    "\u65e5\u672c\u8a9e-\u306e-\u898b\u51fa\u3057",
+                    "party-",
+                ]
+            );
+        });
+
+        it("should start again for each parse", function() {
+            assert.deepEqual(headingIds("# Hi\n\n"), ["hi"]);
+            assert.deepEqual(headingIds("# Hi\n\n"), ["hi"]);
+        });
+    });
+
+    describe("tableOfContents", function() {
+        var source = "# Intro\n\n" +
+            "## Setup\n\n" +
+            "### Install *now*!\n\n" +
+            "## Setup\n\n" +
+            "> # Quoted\n\n" +
+            "# Usage\n\n";
+
+        it("should outline the top-level headings", function() {
+            var toc = SimpleMarkdown.tableOfContents(blockParse(source));
+            /**
+             * @param {Array<SimpleMarkdown.TableOfContentsEntry>} entries
+             * @returns {Array<any>}
+             */
+            var outline = function(entries) {
+                return entries.map(function(entry) {
+                    return [entry.id, entry.level, entry.text, outline(entry.children)];
+                });
+            };
+            assert.deepEqual(outline(toc), [
+                ["intro", 1, "Intro", [
+                    ["setup", 2, "Setup", [
+                        ["install-now", 3, "Install now!", []],
+                    ]],
+                    ["setup-1", 2, "Setup", []],
+                ]],
+                ["usage", 1, "Usage", []],
+            ]);
+            assert.strictEqual(toc[0].children[0].children[0].content[1].type, "em");
+        });
+
+        it("should nest headings under the last heading above their level", function() {
+            var toc = SimpleMarkdown.tableOfContents(blockParse("### Deep\n\n# Top\n\n### Skip\n\n## Mid\n\n"));
+            assert.deepEqual(
+                toc.map((entry) => [entry.id, entry.children.map((child) => child.id)]),
+                [["deep", []], ["top", ["skip", "mid"]]]
+            );
+        });
+
+        it("should output a list of links to the headings", function() {
+            var toc = SimpleMarkdown.tableOfContents(blockParse(source));
+            var list = SimpleMarkdown.tableOfContentsList(toc);
+            assert.strictEqual(list.type, "list");
+            assert.strictEqual(
+                SimpleMarkdown.defaultHtmlOutput([list]),
+                '<ul>' +
+                '<li><a href="#intro">Intro</a>' +
+                '<ul>' +
+                '<li><a href="#setup">Setup</a>' +
+                '<ul><li><a href="#install-now">Install now!</a></li></ul>' +
+                '</li>' +
+                '<li><a href="#setup-1">Setup</a></li>' +
+                '</ul>' +
+                '</li>' +
+                '<li><a href="#usage">Usage</a></li>' +
+                '</ul>'
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.defaultReactOutput([list])),
+                SimpleMarkdown.defaultHtmlOutput([list])
+            );
+        });
+    });
+
+    describe("text output", function() {
+        var textOutput = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "text");
+
+        it("should leave out formatting", function() {
+            assert.strictEqual(
+                textOutput(inlineParse("Some *em* **strong** __u__ ~~del~~ `code` text.")),
+                "Some em strong u del code text."
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("# Title\n\npara one\n\n---\n\nline  \nbreak\n\n"),
+                "Title\n\npara one\n\n---\n\nline\nbreak"
+            );
+        });
+
+        it("should keep list bullets and numbers", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("- one\n- two\n    1. a\n    2. b\n\n"),
+                "- one\n- two\n    1. a\n    2. b"
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("3. three\n4. four\n\n"),
+                "3. three\n4. four"
+            );
+        });
+
+        it("should keep blockquote >s", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("> quoted\n> more *text*\n\n"),
+                "> quoted\n> more text"
+            );
+        });
+
+        it("should separate table cells with tabs", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("| a | b |\n|---|:-:|\n| 1 | *2* |\n| 3 | 4 |\n\n"),
+                "a\tb\n1\t2\n3\t4"
+            );
+        });
+
+        it("should follow links with their urls", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText(
+                    "[link](http://x.com) and <http://auto.com> and [ref][r] and [me](mailto:me@x.com)\n\n" +
+                    "[r]: http://ref.com\n\n"
+                ),
+                "link (http://x.com) and http://auto.com and ref (http://ref.com) and me (mailto:me@x.com)"
+            );
+            // links whose text is their url don't repeat it:
+            assert.strictEqual(
+                textOutput(inlineParse("[http://same.com](http://same.com)")),
+                "http://same.com"
+            );
+        });
+
+        it("should output images as their alt text", function() {
+            assert.strictEqual(
+                textOutput(inlineParse("see ![alt text](http://i.png) here")),
+                "see alt text here"
+            );
+        });
+
+        it("should leave code as it is", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("```js\nvar x = *1*;\n\n  y();\n```\n\n"),
+                "var x = *1*;\n\n  y();"
+            );
+            assert.strictEqual(textOutput(inlineParse("`a *b* <c>`")), "a *b* <c>");
+        });
+
+        it("should not escape text", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText("x &amp; <b> \\* \"q\""),
+                "x &amp; <b> * \"q\""
+            );
+        });
+    });
+
+    describe("visit", function() {
+        it("should visit every node, parents first, with its parent", function() {
+            var parsed = blockParse(
+                "| *a* | b |\n|---|---|\n| [l](http://x) | c |\n\n- *x*\n- y\n\n"
+            );
+            /** @type {Array<Array<?string>>} */
+            var visited = [];
+            /** @type {SimpleMarkdown.Visitor} */
+            var record = function(node, parent) {
+                visited.push([
+                    node.type,
+                    typeof node.content === "string" ? node.content : null,
+                    parent && parent.type,
+                ]);
+            };
+            SimpleMarkdown.visit(parsed, {em: record, link: record, text: record});
+            assert.deepEqual(visited, [
+                ["em", null, "table"],
+                ["text", "a", "em"],
+                ["text", "b", "table"],
+                ["link", null, "table"],
+                ["text", "l", "link"],
+                ["text", "c", "table"],
+                ["em", null, "list"],
+                ["text", "x", "em"],
+                ["text", "y", "list"],
+            ]);
+        });
+
+        it("should skip the children of nodes a visitor returns SKIP for", function() {
+            /** @type {Array<string>} */
+            var texts = [];
+            SimpleMarkdown.visit(inlineParse("a *b* **c**"), {
+                em: () => SimpleMarkdown.SKIP,
+                text: (node) => {
+                    texts.push(node.content);
+                },
+            });
+            assert.deepEqual(texts, ["a ", " ", "c"]);
+        });
+
+        it("should find the children of custom nodes from the rules' childFields", function() {
+            var rules = Object.assign({}, SimpleMarkdown.defaultRules, {
+                aside: {
+                    order: 0,
+                    match: () => null,
+                    parse: () => ({}),
+                    childFields: ["title", "body"],
+                },
+            });
+            var ast = [{
+                type: "aside",
+                title: [{type: "text", content: "t"}],
+                body: [{type: "em", content: [{type: "text", content: "b"}]}],
+                content: [{type: "text", content: "not a child"}],
+            }];
+            /** @type {Array<string>} */
+            var texts = [];
+            var visitors = {
+                text: (/** @type {SimpleMarkdown.SingleASTNode} */ node) => {
+                    texts.push(node.content);
+                },
+            };
+            SimpleMarkdown.visit(ast, visitors, rules);
+            assert.deepEqual(texts, ["t", "b"]);
+
+            texts = [];
+            SimpleMarkdown.visit(ast, visitors);
+            assert.deepEqual(texts, ["not a child"]);
+        });
+    });
+
+    describe("transform", function() {
+        it("should replace nodes", function() {
+            var parsed = inlineParse("a *b* c");
+            var transformed = SimpleMarkdown.transform(parsed, (node) =>
+                node.type === "em" ? {type: "strong", content: node.content} : undefined
+            );
+            assert.strictEqual(defaultHtmlOutput(transformed), "a <strong>b</strong> c");
+            // without changing the original tree, or the nodes that didn't change:
+            assert.strictEqual(parsed[1].type, "em");
+            assert.strictEqual(transformed[0], parsed[0]);
+            assert.strictEqual(transformed[1].content, parsed[1].content);
+        });
+
+        it("should replace nodes with arrays, and remove them", function() {
+            var transformed = SimpleMarkdown.transform(
+                blockParse("para [link](http://x.com) ![img](http://i.png)\n\n"),
+                (node) => {
+                    if (node.type === "link") {
+                        return node.content;
+                    } else if (node.type === "image") {
+                        return null;
+                    }
+                }
+            );
+            assert.strictEqual(
+                defaultHtmlOutput(transformed),
+                '<div class="paragraph">para link </div>'
+            );
+        });
+
+        it("should not transform replacements, or the children of SKIPped nodes", function() {
+            /** @type {Array<string>} */
+            var seen = [];
+            var transformed = SimpleMarkdown.transform(
+                inlineParse("*a* **b** c"),
+                (node) => {
+                    if (node.type === "text") {
+                        seen.push(node.content);
+                        return {type: "text", content: node.content.toUpperCase()};
+                    } else if (node.type === "em") {
+                        return {type: "u", content: [{type: "text", content: "x"}]};
+                    } else if (node.type === "strong") {
+                        return SimpleMarkdown.SKIP;
+                    }
+                }
+            );
+            assert.deepEqual(seen, [" ", " c"]);
+            assert.strictEqual(defaultHtmlOutput(transformed), "<u>x</u> <strong>b</strong> C");
+        });
+
+        it("should transform the items of lists and cells of tables", function() {
+            var transformed = SimpleMarkdown.transform(
+                blockParse("- a\n- b\n\n| h |\n|---|\n| c |\n\n"),
+                (node) => node.type === "text" ? {type: "text", content: "_" + node.content} : undefined
+            );
+            assert.strictEqual(
+                SimpleMarkdown.defaultTextOutput(transformed),
+                "- _a\n- _b\n\n_h\n_c\n\n"
+            );
+        });
+    });
+
+    describe("mentions", function() {
+        var source = "<@123> <@!456> <@&789> <#42> @everyone @here";
+        var discordParse = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules);
+        var htmlOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "html");
+        var reactOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "react");
+
+        /**
+         * @param {string} source
+         */
+        var mentionParse = function(source) {
+            return discordParse(source, {inline: true});
+        };
+
+        /** @type {SimpleMarkdown.State} */
+        var resolvingState = {
+            message: {guild: "g"},
+            resolveMention: function(kind, id, state) {
+                assert.strictEqual(state.message.guild, "g");
+                if (id === "123") {
+                    return {name: "Ann"};
+                } else if (kind === "role") {
+                    return {name: "Mods", color: "#ff0000"};
+                } else if (kind === "channel") {
+                    return {name: "general"};
+                }
+                return null;
+            },
+        };
+
+        it("should parse mentions", function() {
+            validateParse(
+                mentionParse(source).filter(
+                    (/** @type {SimpleMarkdown.SingleASTNode} */ node) => node.type !== "text"
+                ),
+                [
+                    {type: "userMention", id: "123"},
+                    {type: "userMention", id: "456"},
+                    {type: "roleMention", id: "789"},
+                    {type: "channelMention", id: "42"},
+                    {type: "everyoneMention", name: "everyone"},
+                    {type: "everyoneMention", name: "here"},
+                ]
+            );
+        });
+
+        it("should not parse mentions in code or emails", function() {
+            validateParse(mentionParse("`<@1>` me@everyone.com"), [
+                {type: "inlineCode", content: "<@1>"},
+                {type: "text", content: " "},
+                {
+                    type: "link",
+                    content: [{type: "text", content: "me@everyone.com"}],
+                    target: "mailto:me@everyone.com",
+                    title: undefined,
+                },
+            ]);
+        });
+
+        it("should leave mentions as text in the defaultRules", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(source),
+                '<div class="paragraph">&lt;@123&gt; &lt;@!456&gt; &lt;@&amp;789&gt; &lt;#42&gt; @everyone @here</div>'
+            );
+        });
+
+        it("should output mentions as written without resolveMention", function() {
+            assert.strictEqual(
+                htmlOutput(mentionParse(source)),
+                '&lt;@123&gt; &lt;@456&gt; &lt;@&amp;789&gt; &lt;#42&gt; ' +
+                '<span class="mention mention-everyone">@everyone</span> ' +
+                '<span class="mention mention-here">@here</span>'
+            );
+            assert.strictEqual(
+                reactToHtml(reactOutput(mentionParse("<@1>"))),
+                "&lt;@1&gt;"
+            );
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "text")(mentionParse(source)),
+                "<@123> <@456> <@&789> <#42> @everyone @here"
+            );
+        });
+
+        it("should output unknown mentions", function() {
+            assert.strictEqual(
+                htmlOutput(mentionParse("<@1> <@&2> <#3>"), {resolveMention: () => null}),
+                '<span class="mention mention-user mention-unknown" data-id="1">@unknown-user</span> ' +
+                '<span class="mention mention-role mention-unknown" data-id="2">@unknown-role</span> ' +
+                '<span class="mention mention-channel mention-unknown" data-id="3">#unknown-channel</span>'
+            );
+        });
+
+        it("should output names from resolveMention", function() {
+            var expected =
+                '<span class="mention mention-user" data-id="123">@Ann</span> ' +
+                '<span class="mention mention-user mention-unknown" data-id="456">@unknown-user</span> ' +
+                '<span class="mention mention-role" data-id="789" style="color:#ff0000;">@Mods</span> ' +
+                '<span class="mention mention-channel" data-id="42">#general</span> ' +
+                '<span class="mention mention-everyone">@everyone</span> ' +
+                '<span class="mention mention-here">@here</span>';
+            assert.strictEqual(htmlOutput(mentionParse(source), resolvingState), expected);
+            assert.strictEqual(
+                reactToHtml(reactOutput(mentionParse(source), resolvingState)),
+                expected.replace("color:#ff0000;", "color:#ff0000")
+            );
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "text")(
+                    mentionParse(source),
+                    resolvingState
+                ),
+                "@Ann @unknown-user @Mods #general @everyone @here"
+            );
+        });
+
+        it("should leave out colors that aren't plain colors", function() {
+            var html = htmlOutput(mentionParse("<@&1>"), {
+                resolveMention: () => ({name: "x", color: "red;background:url(evil)"}),
+            });
+            assert.strictEqual(html, '<span class="mention mention-role" data-id="1">@x</span>');
+        });
+
+        it("should output mentions as markdown", function() {
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "markdown")(mentionParse(source)),
+                "<@123> <@456> <@&789> <#42> @everyone @here"
+            );
+        });
+    });
+
+    describe("emoji", function() {
+        var emojiShortcodes = require("../simple-markdown-emoji.js").emojiShortcodes;
+        var state = {emojiShortcodes: emojiShortcodes};
+
+        it("should keep the shortcode table out of simple-markdown.js", function() {
+            assert.strictEqual(typeof emojiShortcodes.tada, "string");
+            assert.strictEqual(/** @type {any} */ (SimpleMarkdown).emojiShortcodes, undefined);
+        });
+
+        it("should parse shortcodes in the table", function() {
+            validateParse(inlineParse(":tada: done :nope: `:tada:`", state), [
+                {type: "emoji", name: "tada", emoji: "\ud83c\udf89", jumbo: false},
+                {type: "text", content: " done "},
+                {type: "text", content: ":nope"},
+                {type: "text", content: ": "},
+                {type: "inlineCode", content: ":tada:"},
+            ]);
+        });
+
+        it("should leave shortcodes as text without a table", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(":tada:"),
+                '<div class="paragraph">:tada:</div>'
+            );
+        });
+
+        it("should output emoji", function() {
+            var expected = '<div class="paragraph">' +
+                '<span class="emoji" role="img" aria-label=":tada:" title=":tada:">\ud83c\udf89</span> done' +
+                '</div>';
+            assert.strictEqual(SimpleMarkdown.markdownToHtml(":tada: done", state), expected);
+            assert.strictEqual(reactToHtml(SimpleMarkdown.markdownToReact(":tada: done", state)), expected);
+            assert.strictEqual(SimpleMarkdown.markdownToText(":tada: done", state), "\ud83c\udf89 done");
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(blockParse(":tada: done\n\n", state)),
+                ":tada: done\n\n"
+            );
+        });
+
+        it("should mark paragraphs of just a few emoji as jumbo", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(":tada::+1:", state),
+                '<div class="paragraph">' +
+                '<span class="emoji jumbo" role="img" aria-label=":tada:" title=":tada:">\ud83c\udf89</span>' +
+                '<span class="emoji jumbo" role="img" aria-label=":+1:" title=":+1:">\ud83d\udc4d</span>' +
+                '</div>'
+            );
+
+            var inline = inlineParse(":tada: :tada:", state);
+            assert.strictEqual(SimpleMarkdown.markJumboEmoji(inline), true);
+            assert.strictEqual(inline[0].jumbo, true);
+
+            var withText = inlineParse(":tada: hi", state);
+            assert.strictEqual(SimpleMarkdown.markJumboEmoji(withText), false);
+            assert.strictEqual(
+                SimpleMarkdown.markJumboEmoji(inlineParse(Array(29).join(":tada:"), state)),
+                false
+            );
+        });
+
+        it("should output custom emoji as images with customEmojiUrl", function() {
+            var source = "<:party:123> and <a:dance:456>";
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(source),
+                '<div class="paragraph">:party: and :dance:</div>'
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml(source, {
+                    customEmojiUrl: (id, animated) =>
+                        "https://cdn.example.com/" + id + (animated ? ".gif" : ".png"),
+                }),
+                '<div class="paragraph">' +
+                '<img class="emoji" src="https://cdn.example.com/123.png" alt=":party:" title=":party:">' +
+                ' and ' +
+                '<img class="emoji" src="https://cdn.example.com/456.gif" alt=":dance:" title=":dance:">' +
+                '</div>'
+            );
+        });
+    });
+
+    describe("spoilers", function() {
+        var discordParse = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules);
+        var htmlOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "html");
+        var reactOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "react");
+        var textOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "text");
+
+        /**
+         * @param {string} source
+         */
+        var spoilerParse = function(source) {
+            return discordParse(source, {inline: true});
+        };
+
+        it("should leave spoilers as text in the defaultRules", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("||a|| b"),
+                '<div class="paragraph">||a|| b</div>'
+            );
+        });
+
+        it("should parse spoilers", function() {
+            validateParse(spoilerParse("||a **b**|| and ||x||y"), [
+                {type: "spoiler", content: [
+                    {type: "text", content: "a "},
+                    {type: "strong", content: [{type: "text", content: "b"}]},
+                ]},
+                {type: "text", content: " and "},
+                {type: "spoiler", content: [{type: "text", content: "x"}]},
+                {type: "text", content: "y"},
+            ]);
+        });
+
+        it("should nest with the other inline formatting", function() {
+            validateParse(spoilerParse("__||u||__"), [{
+                type: "u",
+                content: [{type: "spoiler", content: [{type: "text", content: "u"}]}],
+            }]);
+            validateParse(spoilerParse("||__u__||"), [{
+                type: "spoiler",
+                content: [{type: "u", content: [{type: "text", content: "u"}]}],
+            }]);
+        });
+
+        it("should output html spoilers", function() {
+            assert.strictEqual(
+                htmlOutput(spoilerParse("||a|| b")),
+                '<span class="spoiler">a</span> b'
+            );
+            assert.strictEqual(
+                htmlOutput(spoilerParse("||a|| b"), {spoilerToggles: true}),
+                '<span class="spoiler" role="button" ' +
+                'tabindex="0" aria-expanded="false" aria-label="Spoiler">a</span> b'
+            );
+        });
+
+        it("should output react spoilers that reveal themselves", function() {
+            var paragraph = /** @type {any} */ (reactOutput(discordParse("||a|| b\n\n")))[0];
+            assert.strictEqual(
+                reactToHtml(paragraph),
+                '<div class="paragraph"><span class="spoiler" role="button" ' +
+                'tabindex="0" aria-expanded="false" aria-label="Spoiler">a</span> b</div>'
+            );
+
+            /** @type {{[name: string]: string}} */
+            var attributes = {role: "button", "aria-label": "Spoiler"};
+            /** @type {string[]} */
+            var classes = [];
+            var target = {
+                classList: {add: (/** @type {string} */ name) => { classes.push(name); }},
+                setAttribute: (/** @type {string} */ name, /** @type {string} */ value) => {
+                    attributes[name] = value;
+                },
+                removeAttribute: (/** @type {string} */ name) => { delete attributes[name]; },
+            };
+            var spoiler = paragraph.props.children[0];
+            var prevented = false;
+            spoiler.props.onKeyDown({
+                key: "a",
+                currentTarget: target,
+                preventDefault: () => { prevented = true; },
+            });
+            assert.deepEqual(classes, []);
+            spoiler.props.onKeyDown({
+                key: "Enter",
+                currentTarget: target,
+                preventDefault: () => { prevented = true; },
+            });
+            assert.strictEqual(prevented, true);
+            assert.deepEqual(classes, ["revealed"]);
+            assert.deepEqual(attributes, {"aria-expanded": "true"});
+
+            spoiler.props.onClick({currentTarget: target});
+            assert.deepEqual(classes, ["revealed", "revealed"]);
+        });
+
+        it("should redact spoilers in text output when asked", function() {
+            assert.strictEqual(textOutput(spoilerParse("||a|| b")), "a b");
+            assert.strictEqual(
+                textOutput(spoilerParse("||a|| b"), {redactSpoilers: true}),
+                "[spoiler] b"
+            );
+            assert.strictEqual(
+                textOutput(spoilerParse("||a|| b"), {redactSpoilers: "***"}),
+                "*** b"
+            );
+        });
+
+        it("should output markdown spoilers", function() {
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "markdown")(discordParse("||a *b*|| c\n\n")),
+                "||a *b*|| c\n\n"
+            );
+        });
+    });
+
+    describe("discordRules", function() {
+        var discordParse = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules);
+        var discordHtml = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "html");
+        var discordMarkdown = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "markdown");
+
+        /**
+         * @param {string} source
+         * @param {string} expected
+         */
+        var assertDiscordHtml = function(source, expected) {
+            assert.strictEqual(discordHtml(discordParse(source)), expected);
+        };
+
+        it("should leave out headings, lists and tables", function() {
+            assertDiscordHtml(
+                "# no heading\n- no list\n\n",
+                '<div class="paragraph"># no heading<br>- no list</div>'
+            );
+            assertDiscordHtml(
+                "a | b\n- | -\n1 | 2\n\n",
+                '<div class="paragraph">a | b<br>- | -<br>1 | 2</div>'
+            );
+        });
+
+        it("should include headings, lists and tables when asked", function() {
+            var rules = SimpleMarkdown.discordRulesFor({headings: true, lists: true, tables: true});
+            var parse = SimpleMarkdown.parserFor(rules);
+            var html = SimpleMarkdown.outputFor(rules, "html");
+            assert.strictEqual(
+                html(parse("# h\n\n- a\n- b\n\n")),
+                '<h1 id="h">h</h1><ul><li>a</li><li>b</li></ul>'
+            );
+        });
+
+        it("should turn newlines in paragraphs into line breaks", function() {
+            assertDiscordHtml("a\nb\n\nc\n\n",
+                '<div class="paragraph">a<br>b</div><div class="paragraph">c</div>');
+        });
+
+        it("should quote a line with >", function() {
+            assertDiscordHtml(
+                "> one\n> two\nnot quoted\n\n",
+                '<blockquote><div class="paragraph">one<br>two</div></blockquote>' +
+                '<div class="paragraph">not quoted</div>'
+            );
+            assertDiscordHtml(
+                "a\n> b\n\n",
+                '<div class="paragraph">a</div>' +
+                '<blockquote><div class="paragraph">b</div></blockquote>\n'
+            );
+        });
+
+        it("should quote the rest of the message with >>>", function() {
+            assertDiscordHtml(
+                ">>> all\nof\n\n> this\n\n",
+                '<blockquote><div class="paragraph">all<br>of</div>' +
+                '<div class="paragraph">&gt; this</div></blockquote>'
+            );
+        });
+
+        it("should include the inline formatting", function() {
+            assertDiscordHtml(
+                "__u__ ~~s~~ ||sp|| *e* <@123>\n\n",
+                '<div class="paragraph"><u>u</u> <del>s</del> ' +
+                '<span class="spoiler">sp</span> <em>e</em> ' +
+                '&lt;@123&gt;' +
+                '</div>'
+            );
+        });
+
+        it("should parse code blocks with a language anywhere", function() {
+            assertDiscordHtml(
+                "a\n```js\ncode\n```\nb\n\n",
+                '<div class="paragraph">a</div>' +
+                '<pre><code class="markdown-code-js">code</code></pre>\n' +
+                '<div class="paragraph">b</div>'
+            );
+            assertDiscordHtml(
+                "text ```js\ncode\n``` after\n\n",
+                '<div class="paragraph">text ' +
+                '<pre><code class="markdown-code-js">code</code></pre>' +
+                ' after</div>'
+            );
+        });
+
+        it("should not end a paragraph inside a code block", function() {
+            assertDiscordHtml(
+                "x ```a\n\n> b\n``` y\nz\n\n",
+                '<div class="paragraph">x ' +
+                '<pre><code class="markdown-code-a">&gt; b</code></pre>' +
+                ' y<br>z</div>'
+            );
+            assertDiscordHtml(
+                ">>> q ```\n> not\n``` r\n\n",
+                '<blockquote><div class="paragraph">q ' +
+                '<pre><code>&gt; not</code></pre> r</div></blockquote>'
+            );
+            assertDiscordHtml(
+                "a ``` open\nnext\n\n",
+                '<div class="paragraph">a ``` open<br>next</div>'
+            );
+        });
+
+        it("should parse long runs of backticks quickly", function() {
+            var start = Date.now();
+            discordParse("```" + "a `` ".repeat(20000) + "\n\n");
+            discordParse("`".repeat(30000) + "\n\n");
+            discordParse("``` x\n".repeat(5000) + "\n");
+            assert.ok(Date.now() - start < 1000);
+        });
+
+        it("should output markdown that parses back the same", function() {
+            [
+                "> one\nnot quoted\n\n",
+                "__u__ ~~s~~ ||sp|| *e*\n\n",
+                "a\nb\n\n",
+                "text ```js\ncode\n``` after\n\n",
+                "a\n```js\ncode\n```\nb\n\n",
+            ].forEach(function(source) {
+                var markdown = discordMarkdown(discordParse(source));
+                assert.strictEqual(
+                    discordHtml(discordParse(markdown)),
+                    discordHtml(discordParse(source))
+                );
+            });
+        });
+    });
+
+    describe("timestamps", function() {
+        var state = {locale: "en-US", timeZone: "UTC", now: 1700000000000};
+        var discordParse = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules);
+        var textOutput = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "text");
+
+        /**
+         * @param {string} source
+         */
+        var timestampParse = function(source) {
+            return discordParse(source, {inline: true});
+        };
+
+        /**
+         * @param {string} source
+         * @param {SimpleMarkdown.State} outputState
+         */
+        var timestampText = function(source, outputState) {
+            return textOutput(timestampParse(source), outputState);
+        };
+
+        it("should leave timestamps as text in the defaultRules", function() {
+            assert.strictEqual(SimpleMarkdown.markdownToText("<t:5:R>", state), "<t:5:R>");
+        });
+
+        it("should parse timestamps with and without a style", function() {
+            validateParse(timestampParse("<t:1700003600> <t:-5:R>"), [
+                {type: "timestamp", timestamp: 1700003600, style: undefined},
+                {type: "text", content: " "},
+                {type: "timestamp", timestamp: -5, style: "R"},
+            ]);
+        });
+
+        it("should leave timestamps Date can't hold and unknown styles as text", function() {
+            assert.strictEqual(
+                timestampText("<t:99999999999999> <t:1:x>", state),
+                "<t:99999999999999> <t:1:x>"
+            );
+        });
+
+        it("should format each style", function() {
+            /** @type {{[style: string]: string}} */
+            var expected = {
+                t: "11:13 PM",
+                T: "11:13:20 PM",
+                d: "11/14/2023",
+                D: "November 14, 2023",
+                f: "November 14, 2023 at 11:13 PM",
+                F: "Tuesday, November 14, 2023 at 11:13 PM",
+                R: "in 1 hour",
+            };
+            Object.keys(expected).forEach(function(style) {
+                assert.strictEqual(
+                    timestampText("<t:1700003600:" + style + ">", state),
+                    expected[style]
+                );
+            });
+            assert.strictEqual(
+                timestampText("<t:1700003600>", state),
+                "November 14, 2023 at 11:13 PM"
+            );
+        });
+
+        it("should format relative times relative to now", function() {
+            assert.strictEqual(
+                timestampText("<t:1699990000:R>, <t:1700000030:R>, <t:1600000000:R>", state),
+                "3 hours ago, in 30 seconds, 3 years ago"
+            );
+            assert.strictEqual(
+                timestampText("<t:1700003600:R>", {
+                    locale: "en-US",
+                    timeZone: "UTC",
+                    now: new Date(1700000000000),
+                }),
+                "in 1 hour"
+            );
+        });
+
+        it("should use the time zone", function() {
+            assert.strictEqual(
+                timestampText("<t:1700003600:t>", {
+                    locale: "en-US",
+                    timeZone: "Asia/Tokyo",
+                    now: 1700000000000,
+                }),
+                "8:13 AM"
+            );
+        });
+
+        it("should output time elements", function() {
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "html")(timestampParse("<t:1700003600:d>"), state),
+                '<time datetime="2023-11-14T23:13:20.000Z" ' +
+                'title="Tuesday, November 14, 2023 at 11:13 PM">11/14/2023</time>'
+            );
+            assert.strictEqual(
+                reactToHtml(
+                    SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "react")(timestampParse("<t:1700003600:d>"), state)
+                ),
+                '<time dateTime="2023-11-14T23:13:20.000Z" ' +
+                'title="Tuesday, November 14, 2023 at 11:13 PM">11/14/2023</time>'
+            );
+        });
+
+        it("should output markdown timestamps as they were written", function() {
+            assert.strictEqual(
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "markdown")(discordParse("<t:5> <t:-5:R>\n\n")),
+                "<t:5> <t:-5:R>\n\n"
+            );
+        });
+    });
+
+    describe("syntax highlighting", function() {
+        var highlightCode = require("../simple-markdown-highlight.js").highlightCode;
+
+        it("should keep the highlighter out of simple-markdown.js", function() {
+            assert.strictEqual(typeof highlightCode, "function");
+            assert.strictEqual(/** @type {any} */ (SimpleMarkdown).highlightCode, undefined);
+        });
+
+        it("should tokenize js, json, sh and diff", function() {
+            assert.deepEqual(highlightCode('var a = "x"; // c', "javascript"), [
+                {type: "keyword", content: "var"},
+                {content: " a "},
+                {type: "operator", content: "="},
+                {content: " "},
+                {type: "string", content: '"x"'},
+                {type: "punctuation", content: ";"},
+                {content: " "},
+                {type: "comment", content: "// c"},
+            ]);
+            assert.deepEqual(highlightCode('{"a": [1, null]}', "json"), [
+                {type: "punctuation", content: "{"},
+                {type: "property", content: '"a"'},
+                {type: "punctuation", content: ":"},
+                {content: " "},
+                {type: "punctuation", content: "["},
+                {type: "number", content: "1"},
+                {type: "punctuation", content: ","},
+                {content: " "},
+                {type: "literal", content: "null"},
+                {type: "punctuation", content: "]"},
+                {type: "punctuation", content: "}"},
+            ]);
+            assert.deepEqual(highlightCode("echo $HOME", "bash"), [
+                {content: "echo "},
+                {type: "variable", content: "$HOME"},
+            ]);
+            assert.deepEqual(highlightCode("+a\n-b\n c", "diff"), [
+                {type: "inserted", content: "+a"},
+                {content: "\n"},
+                {type: "deleted", content: "-b"},
+                {content: "\n c"},
+            ]);
+        });
+
+        it("should return null for other languages", function() {
+            assert.strictEqual(highlightCode("x = 1", "python"), null);
+            assert.strictEqual(highlightCode("x = 1", undefined), null);
+        });
+
+        it("should output escaped token spans", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml('```js\nvar a = "<b>";\n```', {highlight: highlightCode}),
+                '<pre><code class="markdown-code-js"><span class="token keyword">var</span> a ' +
+                '<span class="token operator">=</span> ' +
+                '<span class="token string">&quot;&lt;b&gt;&quot;</span>' +
+                '<span class="token punctuation">;</span></code></pre>'
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact('```js\n"<b>"\n```', {highlight: highlightCode})),
+                '<pre><code class="markdown-code-js">' +
+                '<span class="token string">&quot;&lt;b&gt;&quot;</span></code></pre>'
+            );
+        });
+
+        it("should use any highlight function in the state", function() {
+            /** @type {Array<any>} */
+            var calls = [];
+            var html = SimpleMarkdown.markdownToHtml("```x {1}\nab\n```", {
+                highlight: function(content, lang, meta) {
+                    calls.push([content, lang, meta && meta.raw]);
+                    return [{type: 't"y', content: "a"}, {content: "b"}];
+                },
+            });
+            assert.deepEqual(calls, [["ab", "x", "{1}"]]);
+            assert.strictEqual(
+                html,
+                '<pre><code class="markdown-code-x"><span class="line highlighted" data-line="1">' +
+                '<span class="token t&quot;y">a</span>b</span></code></pre>'
+            );
+        });
+
+        it("should leave code it can't highlight alone", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("```py\nx < 1\n```", {highlight: highlightCode}),
+                '<pre><code class="markdown-code-py">x &lt; 1</code></pre>'
+            );
+        });
+    });
+
+    describe("code block meta", function() {
+        it("should parse the info string into lang and meta", function() {
+            var parsed = blockParse(
+                "```js{1,3-5} title=\"file.js\" showLineNumbers data-x='y z' k=v flag\na\n```\n\n"
+            );
+            validateParse(parsed, [{
+                type: "codeBlock",
+                lang: "js",
+                content: "a",
+                meta: {
+                    raw: "{1,3-5} title=\"file.js\" showLineNumbers data-x='y z' k=v flag",
+                    title: "file.js",
+                    showLineNumbers: true,
+                    highlightLines: [[1, 1], [3, 5]],
+                    attributes: {
+                        title: "file.js",
+                        showLineNumbers: true,
+                        "data-x": "y z",
+                        k: "v",
+                        flag: true,
+                    },
+                },
+            }]);
+        });
+
+        it("should have no meta when there's only a language", function() {
+            assert.strictEqual(blockParse("```js\na\n```\n\n")[0].meta, undefined);
+            assert.strictEqual(blockParse("```\na\n```\n\n")[0].meta, undefined);
+            assert.strictEqual(blockParse("    a\n\n")[0].meta, undefined);
+        });
+
+        it("should output highlighted lines and titles", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("```js title=\"a.js\" {2}\nvar a;\nvar b;\n```"),
+                '<pre data-title="a.js"><code class="markdown-code-js">' +
+                '<span class="line" data-line="1">var a;</span>\n' +
+                '<span class="line highlighted" data-line="2">var b;</span></code></pre>'
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact("```js {2}\nx\ny\n```")),
+                '<pre><code class="markdown-code-js">' +
+                '<span class="line" data-line="1">x</span>' +
+                '<span class="line highlighted" data-line="2">y</span></code></pre>'
+            );
+        });
+
+        it("should output line numbers", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("```js showLineNumbers\nx\ny\n```"),
+                '<pre class="line-numbers"><code class="markdown-code-js">' +
+                '<span class="line" data-line="1">x</span>\n' +
+                '<span class="line" data-line="2">y</span></code></pre>'
+            );
+        });
+
+        it("should output the info string in markdown", function() {
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(blockParse("```js {1} title=\"a\"\nx\n```\n\n")),
+                "```js {1} title=\"a\"\nx\n```\n\n"
+            );
+            assert.strictEqual(SimpleMarkdown.markdownToText("```js {1}\nx\n```"), "x");
+        });
+    });
+
+    describe("commonmark spec", function() {
+        var commonmarkSpec = require("../commonmark-spec.js");
+
+        it("should keep passing the spec examples", function() {
+            var examples = commonmarkSpec.readExamples();
+            assert.strictEqual(examples.length, 652);
+
+            var result = commonmarkSpec.runExamples(examples);
+            // Raise these when more examples pass:
+            assert.ok(result.passed >= 534, result.passed + "/652 examples passed");
+            /** @type {{[section: string]: number}} */
+            var sectionFloors = {
+                "Emphasis and strong emphasis": 129,
+                "Links": 63,
+                "List items": 48,
+                "Block quotes": 25,
+                "Fenced code blocks": 29,
+                "Tabs": 6,
+                "Hard line breaks": 6,
+            };
+            result.sections.forEach(function(section) {
+                if (sectionFloors[section.name] != null) {
+                    assert.ok(
+                        section.passed >= sectionFloors[section.name],
+                        section.name + ": " + section.passed + "/" + section.total + " passed"
+                    );
+                }
+            });
+        });
+    });
+
+    describe("autolinks in links", function() {
+        it("should not autolink urls or emails in a link's text", function() {
+            var parsed = inlineParse("[www.x.com](http://y) [me@a.com](mailto:me@a.com)");
+            validateParse(parsed, [
+                {
+                    type: "link",
+                    content: [
+                        {type: "text", content: "www"},
+                        {type: "text", content: ".x"},
+                        {type: "text", content: ".com"},
+                    ],
+                    target: "http://y",
+                    title: undefined,
+                },
+                {type: "text", content: " "},
+                {
+                    type: "link",
+                    content: [
+                        {type: "text", content: "me"},
+                        {type: "text", content: "@a"},
+                        {type: "text", content: ".com"},
+                    ],
+                    target: "mailto:me@a.com",
+                    title: undefined,
+                },
+            ]);
+        });
+
+        it("should output links without nested links", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("[see http://a.com](http://y)"),
+                '<div class="paragraph"><a href="http://y">see http://a.com</a></div>'
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("[www.x.com][r]\n\n[r]: http://y"),
+                '<div class="paragraph"><a href="http://y">www.x.com</a></div>'
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact("[me@a.com](mailto:me@a.com)")),
+                '<div class="paragraph"><a href="mailto:me@a.com">me@a.com</a></div>'
+            );
+        });
+
+        it("should still autolink around links", function() {
+            assert.strictEqual(
+                SimpleMarkdown.markdownToHtml("www.x.com and [a](b) me@a.com *www.y.com*"),
+                '<div class="paragraph"><a href="http://www.x.com">www.x.com</a> and ' +
+                '<a href="b">a</a> <a href="mailto:me@a.com">me@a.com</a> ' +
+                '<em><a href="http://www.y.com">www.y.com</a></em></div>'
+            );
+        });
+    });
+
+    describe("raw html", function() {
+        /**
+         * @param {string} source
+         * @param {string} expected
+         * @param {SimpleMarkdown.OptionalState} [state]
+         */
+        var assertHtml = function(source, expected, state) {
+            assert.strictEqual(SimpleMarkdown.markdownToHtml(source, state), expected);
+        };
+
+        it("should escape html without an htmlPolicy", function() {
+            assertHtml(
+                "<div>hi</div> <b>x</b>",
+                '<div class="paragraph">&lt;div&gt;hi&lt;/div&gt; &lt;b&gt;x&lt;/b&gt;</div>'
+            );
+        });
+
+        it("should parse inline html into elements", function() {
+            validateParse(inlineParse('x <span title="t">*a*</span>', {htmlPolicy: true}), [
+                {type: "text", content: "x "},
+                {
+                    type: "htmlInline",
+                    tag: "span",
+                    attributes: {title: "t"},
+                    content: [{type: "em", content: [{type: "text", content: "a"}]}],
+                },
+            ]);
+        });
+
+        it("should parse html blocks without parsing markdown in them", function() {
+            validateParse(blockParse("<div>\n*a*\n</div>\n\n", {htmlPolicy: true}), [{
+                type: "htmlBlock",
+                content: [{
+                    type: "htmlInline",
+                    tag: "div",
+                    attributes: {},
+                    content: [{type: "text", content: "\n*a*\n"}],
+                }],
+            }]);
+        });
+
+        it("should output what the default policy allows", function() {
+            assertHtml(
+                'Some <span title="t">*inline* html</span>',
+                '<div class="paragraph">Some <span title="t"><em>inline</em> html</span></div>',
+                {htmlPolicy: true}
+            );
+            assertHtml(
+                '<div class="x" onclick="evil()">\n*no md*\n</div>',
+                "<div>\n*no md*\n</div>",
+                {htmlPolicy: true}
+            );
+            assertHtml(
+                "<script>alert(1)</script>\n\nafter",
+                '<div class="paragraph">after</div>',
+                {htmlPolicy: true}
+            );
+        });
+
+        it("should check url attributes", function() {
+            assertHtml(
+                'a <a href="javascript:alert(1)">x</a> <img src="x.png" alt="y">',
+                '<div class="paragraph">a <a>x</a> <img src="x.png" alt="y"></div>',
+                {htmlPolicy: true}
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact(
+                    'Some <span title="t">*i*</span> <a href="javascript:x">x</a>',
+                    {htmlPolicy: true}
+                )),
+                '<div class="paragraph">Some <span title="t"><em>i</em></span> <a>x</a></div>'
+            );
+        });
+
+        it("should check each url in a srcset", function() {
+            var srcset = function(/** @type {string} */ value) {
+                return '<picture><source srcset="' + value + '"></picture>';
+            };
+            var urlPolicy = {allowHosts: ["good.com"]};
+            assertHtml(
+                srcset("https://good.com/a.png 1x, https://evil.com/b.png 2x"),
+                '<div class="paragraph"><picture><source></picture></div>',
+                {htmlPolicy: true, urlPolicy: urlPolicy}
+            );
+            assertHtml(
+                srcset("https://good.com/a.png 1x,https://good.com/b,c.png 2x"),
+                '<div class="paragraph"><picture>' +
+                '<source srcset="https://good.com/a.png 1x, https://good.com/b,c.png 2x">' +
+                '</picture></div>',
+                {htmlPolicy: true, urlPolicy: urlPolicy}
+            );
+            assertHtml(
+                srcset("https://good.com/a.png 1x, /b.png 2x"),
+                '<div class="paragraph"><picture><source srcset="' +
+                'https://proxy.com/?u=https%3A%2F%2Fgood.com%2Fa.png 1x, ' +
+                'https://proxy.com/?u=%2Fb.png 2x"></picture></div>',
+                {
+                    htmlPolicy: true,
+                    urlPolicy: {
+                        rewrite: (/** @type {string} */ url) =>
+                            "https://proxy.com/?u=" + encodeURIComponent(url),
+                    },
+                }
+            );
+        });
+
+        it("should use a custom policy", function() {
+            assertHtml(
+                '<b title="t" class="c">x</b> <i>y</i>',
+                '<div class="paragraph"><b title="t">x</b> y</div>',
+                {htmlPolicy: {tags: ["b"], attributes: {"*": ["title"]}}}
+            );
+        });
+
+        it("should close html blocks at a blank line", function() {
+            assertHtml(
+                "<div>\nunclosed <b>x\n\nnext",
+                '<div>\nunclosed <b>x</b></div><div class="paragraph">next</div>',
+                {htmlPolicy: true}
+            );
+            assertHtml(
+                "a <span>b",
+                '<div class="paragraph">a &lt;span&gt;b</div>',
+                {htmlPolicy: true}
+            );
+        });
+
+        it("should output html as it was in markdown and as text in text", function() {
+            var parsed = blockParse(
+                'Some <span title="t">*i*</span>\n\n<div>\na\n</div>\n\n',
+                {htmlPolicy: true}
+            );
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(parsed),
+                'Some <span title="t">*i*</span>\n\n<div>\na\n</div>\n\n'
+            );
+            assert.strictEqual(
+                SimpleMarkdown.markdownToText('Some <span title="t">*i*</span>', {htmlPolicy: true}),
+                "Some i"
+            );
+        });
+    });
+
+    describe("mdast and hast", function() {
+        var source =
+            "# Title\n\n" +
+            "Some *em* __u__ ~~del~~ `code` [l](http://a \"t\") ![i](http://b)\n\n" +
+            "- [x] done\n- todo\n\n" +
+            "> quote\n\n" +
+            "```js\nx\n```\n\n" +
+            "---\n\n" +
+            "note[^1]\n\n" +
+            "[^1]: the note\n\n";
+
+        it("should convert the default nodes to mdast", function() {
+            var tree = SimpleMarkdown.toMdast(blockParse(source));
+            var children = tree.children || [];
+            assert.deepEqual(children.map(function(/** @type {SimpleMarkdown.UnistNode} */ node) { return node.type; }), [
+                "heading", "paragraph", "list", "blockquote", "code",
+                "thematicBreak", "paragraph", "footnoteDefinition",
+            ]);
+            assert.deepEqual(children[0], {
+                type: "heading",
+                depth: 1,
+                children: [{type: "text", value: "Title"}],
+                data: {hProperties: {id: "title"}},
+            });
+            assert.deepEqual((children[1].children || []).filter(function(/** @type {SimpleMarkdown.UnistNode} */ node) {
+                return node.type !== "text";
+            }), [
+                {type: "emphasis", children: [{type: "text", value: "em"}]},
+                {type: "strong", data: {hName: "u"}, children: [{type: "text", value: "u"}]},
+                {type: "delete", children: [{type: "text", value: "del"}]},
+                {type: "inlineCode", value: "code"},
+                {type: "link", url: "http://a", title: "t", children: [{type: "text", value: "l"}]},
+                {type: "image", url: "http://b", title: null, alt: "i"},
+            ]);
+            assert.deepEqual(
+                (children[2].children || []).map(function(/** @type {SimpleMarkdown.UnistNode} */ item) { return item.checked; }),
+                [true, null]
+            );
+            assert.deepEqual(children[4], {type: "code", lang: "js", meta: null, value: "x"});
+        });
+
+        it("should convert reflinks to references", function() {
+            var ast = blockParse("[r1][] [r2][nodef] [R3][R3] ![i][img] [ok][d]\n\n[d]: http://x\n\n");
+            var paragraph = (SimpleMarkdown.toMdast(ast).children || [])[0];
+            assert.deepEqual((paragraph.children || []).filter(function(/** @type {SimpleMarkdown.UnistNode} */ node) {
+                return node.type !== "text";
+            }), [
+                {
+                    type: "linkReference",
+                    identifier: "r1",
+                    label: "r1",
+                    referenceType: "collapsed",
+                    children: [{type: "text", value: "r1"}],
+                },
+                {
+                    type: "linkReference",
+                    identifier: "nodef",
+                    label: "nodef",
+                    referenceType: "full",
+                    children: [{type: "text", value: "r2"}],
+                },
+                {
+                    type: "linkReference",
+                    identifier: "r3",
+                    label: "R3",
+                    referenceType: "collapsed",
+                    children: [{type: "text", value: "R3"}],
+                },
+                {
+                    type: "imageReference",
+                    identifier: "img",
+                    label: "img",
+                    referenceType: "full",
+                    alt: "i",
+                },
+                {
+                    type: "linkReference",
+                    identifier: "d",
+                    label: "d",
+                    referenceType: "full",
+                    children: [{type: "text", value: "ok"}],
+                },
+            ]);
+        });
+
+        it("should convert references back to resolved reflinks", function() {
+            var ast = blockParse("[ok][d] ![i][d]\n\n[d]: http://x \"t\"\n\n");
+            var converted = SimpleMarkdown.fromMdast(SimpleMarkdown.toMdast(ast));
+            var paragraph = /** @type {any} */ (converted[0]);
+            var link = paragraph.content[0];
+            var image = paragraph.content[2];
+            assert.deepEqual([link.type, link.ref, link.target, link.title], ["link", "d", "http://x", "t"]);
+            assert.deepEqual([image.type, image.ref, image.target, image.title], ["image", "d", "http://x", "t"]);
+        });
+
+        it("should keep reflinks' labels in markdown", function() {
+            var markdown = "[r1][] [r2][nodef] [R3][] ![i][img] [ok][d]\n\n[d]: http://x\n\n";
+            var ast = blockParse("[r1][] [r2][nodef] [R3][R3] ![i][img] [ok][d]\n\n[d]: http://x\n\n");
+            assert.strictEqual(SimpleMarkdown.defaultMarkdownOutput(ast), markdown);
+            assert.strictEqual(
+                SimpleMarkdown.defaultMarkdownOutput(SimpleMarkdown.fromMdast(SimpleMarkdown.toMdast(ast))),
+                markdown
+            );
+        });
+
+        it("should convert mdast back to the same ast", function() {
+            var ast = blockParse(source);
+            var converted = SimpleMarkdown.fromMdast(SimpleMarkdown.toMdast(ast));
+            assert.strictEqual(SimpleMarkdown.defaultMarkdownOutput(converted), source);
+            assert.strictEqual(defaultHtmlOutput(converted), defaultHtmlOutput(ast));
+        });
+
+        it("should resolve references with the tree's definitions", function() {
+            var ast = SimpleMarkdown.fromMdast({
+                type: "root",
+                children: [
+                    {type: "paragraph", children: [{
+                        type: "linkReference",
+                        identifier: "a",
+                        label: "A",
+                        referenceType: "full",
+                        children: [{type: "text", value: "text"}],
+                    }]},
+                    {type: "definition", identifier: "a", label: "A", url: "http://a", title: null},
+                ],
+            });
+            assert.strictEqual(
+                defaultHtmlOutput(ast),
+                '<div class="paragraph"><a href="http://a">text</a></div>'
+            );
+        });
+
+        it("should convert to hast", function() {
+            var hast = SimpleMarkdown.toHast(blockParse("Hi *a* [l](javascript:x) __u__\n\n"));
+            assert.deepEqual(hast, {
+                type: "root",
+                children: [{
+                    type: "element",
+                    tagName: "p",
+                    properties: {},
+                    children: [
+                        {type: "text", value: "Hi "},
+                        {type: "element", tagName: "em", properties: {}, children: [
+                            {type: "text", value: "a"},
+                        ]},
+                        {type: "text", value: " "},
+                        {type: "element", tagName: "a", properties: {}, children: [
+                            {type: "text", value: "l"},
+                        ]},
+                        {type: "text", value: " "},
+                        {type: "element", tagName: "u", properties: {}, children: [
+                            {type: "text", value: "u"},
+                        ]},
+                    ],
+                }],
+            });
+        });
+
+        it("should give hast elements their properties as values", function() {
+            var hast = SimpleMarkdown.toHast(blockParse("- [x] a\n\n| a |\n|--:|\n| 1 |\n\n"));
+            var children = hast.children || [];
+            var item = (children[0].children || [])[0];
+            assert.deepEqual((item.children || [])[0], {
+                type: "element",
+                tagName: "input",
+                properties: {
+                    type: "checkbox",
+                    className: ["task-list-item-checkbox"],
+                    checked: true,
+                    disabled: true,
+                },
+                children: [],
+            });
+            var head = ((children[1].children || [])[0].children || [])[0];
+            assert.deepEqual((head.children || [])[0].properties, {style: "text-align:right;", scope: "col"});
+        });
+    });
+
+    describe("VueMarkdown", function() {
+        // vue's dom renderer finds the `document` when it's loaded, so vue
+        // is loaded (by simple-markdown-vue.js) once jsdom's is there, along
+        // with the other globals vue uses:
+        var JSDOM = require("jsdom").JSDOM;
+        var DOM_GLOBALS = ["window", "document", "Element", "SVGElement"];
+        /** @type {any} */
+        var globals = global;
+        /** @type {any} */
+        var window;
+        /** @type {typeof import("vue")} */
+        var Vue;
+        /** @type {typeof import("../simple-markdown-vue")} */
+        var SimpleMarkdownVue;
+
+        before(function() {
+            window = new JSDOM("").window;
+            DOM_GLOBALS.forEach(function(name) {
+                globals[name] = name === "window" ? window : window[name];
+            });
+            Vue = require("vue");
+            SimpleMarkdownVue = require("../simple-markdown-vue.js");
+        });
+
+        after(function() {
+            DOM_GLOBALS.forEach(function(name) {
+                delete globals[name];
+            });
+        });
+
+        /**
+         * @param {() => any} render
+         * @returns {any} the element it's mounted in
+         */
+        var mount = function(render) {
+            var container = window.document.createElement("div");
+            Vue.createApp({render: render}).mount(container);
+            return container;
+        };
+
+        it("should share the core's parser and rules", function() {
+            assert.strictEqual(SimpleMarkdownVue.defaultRules, SimpleMarkdown.defaultRules);
+            assert.strictEqual(SimpleMarkdownVue.SKIP, SimpleMarkdown.SKIP);
+        });
+
+        it("should render markdown", function() {
+            var container = mount(() =>
+                Vue.h(SimpleMarkdownVue.VueMarkdown, {source: "Hi *a* [l](http://x)"})
+            );
+            assert.strictEqual(
+                container.innerHTML,
+                '<div><div class="paragraph">Hi <em>a</em> <a href="http://x">l</a></div></div>'
+            );
+        });
+
+        it("should render inline markdown in any tag", function() {
+            var container = mount(() => Vue.h(SimpleMarkdownVue.VueMarkdown, {
+                source: "Hi *a*\n\nb",
+                inline: true,
+                tag: "span",
+            }));
+            assert.strictEqual(container.innerHTML, "<span>Hi <em>a</em>\n\nb</span>");
+        });
+
+        it("should render nodes with their type's slot", function() {
+            var container = mount(() => Vue.h(
+                SimpleMarkdownVue.VueMarkdown,
+                {source: "Hi [*l*](http://x)"},
+                {
+                    link: (/** @type {any} */ slotProps) =>
+                        Vue.h("b", {"data-href": slotProps.node.target}, slotProps.content),
+                }
+            ));
+            assert.strictEqual(
+                container.innerHTML,
+                '<div><div class="paragraph">Hi <b data-href="http://x"><em>l</em></b></div></div>'
+            );
+        });
+
+        it("should use the given rules and state", function() {
+            var container = mount(() => Vue.h(SimpleMarkdownVue.VueMarkdown, {
+                source: "<@1> ||s||",
+                rules: SimpleMarkdown.discordRules,
+                state: {resolveMention: () => ({name: "ann"})},
+            }));
+            assert.strictEqual(
+                container.innerHTML,
+                '<div><div class="paragraph">' +
+                '<span class="mention mention-user" data-id="1">@ann</span> ' +
+                '<span class="spoiler" role="button" tabindex="0" aria-expanded="false" ' +
+                'aria-label="Spoiler">s</span></div></div>'
+            );
+        });
+
+        it("should only parse again when the source changes", function() {
+            var parses = 0;
+            var rules = Object.assign({}, SimpleMarkdown.defaultRules, {
+                paragraph: Object.assign({}, SimpleMarkdown.defaultRules.paragraph, {
+                    /** @type {SimpleMarkdown.ParseFunction} */
+                    parse: function(capture, parse, state) {
+                        parses++;
+                        return SimpleMarkdown.defaultRules.paragraph.parse(capture, parse, state);
+                    },
+                }),
+            });
+            var source = Vue.ref("a");
+            var other = Vue.ref(0);
+            var container = mount(() => Vue.h("div", [
+                String(other.value),
+                Vue.h(SimpleMarkdownVue.VueMarkdown, {source: source.value, rules: rules}),
+            ]));
+            assert.strictEqual(parses, 1);
+
+            other.value++;
+            return Vue.nextTick().then(function() {
+                assert.strictEqual(
+                    container.innerHTML,
+                    '<div>1<div><div class="paragraph">a</div></div></div>'
+                );
+                assert.strictEqual(parses, 1);
+
+                source.value = "b *c*";
+                return Vue.nextTick();
+            }).then(function() {
+                assert.strictEqual(
+                    container.innerHTML,
+                    '<div>1<div><div class="paragraph">b <em>c</em></div></div></div>'
+                );
+                assert.strictEqual(parses, 2);
+            });
+        });
+
+        it("should output vnodes with markdownToVue", function() {
+            var container = mount(() =>
+                Vue.h("div", /** @type {any} */ (SimpleMarkdownVue.markdownToVue("# h\n\n`c`")))
+            );
+            assert.strictEqual(
+                container.innerHTML,
+                '<div><h1 id="h">h</h1><div class="paragraph"><code>c</code></div></div>'
+            );
+        });
+    });
+
+    describe("react output entry points", function() {
+        it("should have a react output for every default rule", function() {
+            // (rules like nptable that parse to another rule's node
+            // types have a `null` output)
+            Object.keys(SimpleMarkdown.defaultRules).forEach(function(type) {
+                assert.notStrictEqual(
+                    (/** @type {any} */ (SimpleMarkdown.defaultRules[type])).react,
+                    undefined,
+                    type
+                );
+            });
+        });
+
+        it("should output the newer node types", function() {
+            var state = {locale: "en-US", timeZone: "UTC", resolveMention: () => null};
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact("- [x] a\n- [ ] b")),
+                '<ul>' +
+                '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" checked="" disabled=""/> a</li>' +
+                '<li class="task-list-item"><input type="checkbox" class="task-list-item-checkbox" disabled=""/> b</li>' +
+                '</ul>'
+            );
+            var discordReact = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "react");
+            var discordAst = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules)("<@1> <t:0:d>", state);
+            assert.strictEqual(
+                reactToHtml(discordReact(discordAst, state)),
+                '<div class="paragraph">' +
+                '<span class="mention mention-user mention-unknown" data-id="1">@unknown-user</span> ' +
+                '<time dateTime="1970-01-01T00:00:00.000Z" title="Thursday, January 1, 1970 at 12:00 AM">01/01/1970</time>' +
+                '</div>'
+            );
+            assert.strictEqual(
+                reactToHtml(SimpleMarkdown.markdownToReact("| a |\n|:-|\n| 1 |")),
+                '<table>' +
+                '<thead><tr><th style="text-align:left" scope="col">a</th></tr></thead>' +
+                '<tbody><tr><td style="text-align:left">1</td></tr></tbody>' +
+                '</table>'
+            );
+        });
+
+        it("should pass ReactMarkdown's other props to its div", function() {
+            var elem = React.createElement(SimpleMarkdown.ReactMarkdown, {
+                source: "Hi *a*",
+                className: "md",
+            });
+            assert.strictEqual(
+                reactToHtml(elem),
+                '<div class="md"><div class="paragraph">Hi <em>a</em></div></div>'
+            );
+        });
+
+        it("should not require react or vue from the core build", function() {
+            var core = require("fs").readFileSync(
+                require.resolve("../simple-markdown.js"),
+                "utf8"
+            );
+            assert.ok(!/require\(['"](react|vue)['"]\)/.test(core));
+        });
+    });
+
+    describe("element outputs", function() {
+        /** @type {SimpleMarkdown.CreateElement} */
+        var h = function(type, props, children) {
+            return {type: type, props: props, children: children};
+        };
+
+        it("should make elements with the state's createElement", function() {
+            var output = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "element", {
+                createElement: h,
+            });
+            assert.deepEqual(output(inlineParse("*a*")), [
+                {type: "em", props: {key: "0"}, children: ["a"]},
+            ]);
+        });
+
+        it("should throw without a createElement", function() {
+            var output = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "element");
+            assert.throws(function() {
+                output(inlineParse("*a*"));
+            }, /createElement/);
+        });
+
+        it("should have vue outputs that are the element outputs", function() {
+            Object.keys(SimpleMarkdown.defaultRules).forEach(function(type) {
+                /** @type {any} */
+                var rule = SimpleMarkdown.defaultRules[type];
+                assert.strictEqual(rule.vue, rule.element, type);
+            });
+            var output = SimpleMarkdown.outputFor(SimpleMarkdown.defaultRules, "vue", {
+                createElement: h,
+            });
+            assert.deepEqual(output(inlineParse("*a*")), [
+                {type: "em", props: {key: "0"}, children: ["a"]},
+            ]);
+        });
+
+        it("should make react outputs from the element outputs", function() {
+            var discordAst = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules)("||a||", {inline: true});
+            var spoiler = /** @type {any} */ (
+                SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "react")(discordAst)
+            )[0];
+            assert.strictEqual(spoiler.type, "span");
+            assert.strictEqual(spoiler.props.className, "spoiler");
+            assert.strictEqual(spoiler.props.tabIndex, "0");
+            assert.strictEqual(typeof spoiler.props.onClick, "function");
+            assert.strictEqual(typeof spoiler.props.onKeyDown, "function");
+            assert.strictEqual(spoiler.props.onKeydown, undefined);
+        });
+
+        it("should make react elements even with another createElement", function() {
+            var html = reactToHtml(SimpleMarkdown.markdownToReact("*a*", {createElement: h}));
+            assert.strictEqual(html, '<div class="paragraph"><em>a</em></div>');
+        });
+
+        it("should drop raw html's style strings in react", function() {
+            var html = reactToHtml(SimpleMarkdown.markdownToReact(
+                '<b class="x" style="color:red">a</b>',
+                {htmlPolicy: {attributes: {b: ["class", "style"]}}}
+            ));
+            assert.strictEqual(html, '<div class="paragraph"><b class="x">a</b></div>');
+        });
+
+        it("should make a react output for a custom rule", function() {
+            /** @type {SimpleMarkdown.ElementNodeOutput} */
+            var underlineElement = function(node, output, state) {
+                return /** @type {any} */ (state.createElement)(
+                    "u",
+                    {class: "underline"},
+                    output(node.content, state)
+                );
+            };
+            var rules = Object.assign({}, SimpleMarkdown.defaultRules, {
+                u: Object.assign({}, SimpleMarkdown.defaultRules.u, {
+                    element: underlineElement,
+                    react: SimpleMarkdown.reactOutput(underlineElement),
+                }),
+            });
+            var output = SimpleMarkdown.outputFor(rules, "react");
+            var parse = SimpleMarkdown.parserFor(rules);
+            assert.strictEqual(
+                reactToHtml(output(parse("__a__", {inline: true}))),
+                '<u class="underline">a</u>'
+            );
+        });
+    });
+
+    describe("dom output", function() {
+        var JSDOM = require("jsdom").JSDOM;
+        var window = new JSDOM("").window;
+        /** @type {Document} */
+        var doc = window.document;
+
+        /**
+         * @param {Node | null} node
+         * @returns {string}
+         */
+        var domToHtml = function(node) {
+            var container = doc.createElement("div");
+            container.appendChild(/** @type {Node} */ (node));
+            return container.innerHTML;
+        };
+
+        it("should build DOM nodes with the state's document", function() {
+            var fragment = SimpleMarkdown.markdownToDom("Hi *a* <b>b</b>\n\n- c", {
+                document: doc,
+            });
+            assert.strictEqual(
+                domToHtml(fragment),
+                '<div class="paragraph">Hi <em>a</em> &lt;b&gt;b&lt;/b&gt;</div>' +
+                '<ul><li>c</li></ul>'
+            );
+        });
+
+        it("should not change the caller's state", function() {
+            var state = {document: doc};
+            SimpleMarkdown.defaultDomOutput(inlineParse("*a*"), state);
+            assert.deepEqual(Object.keys(state), ["document"]);
+        });
+
+        it("should build DOM nodes with another createElement in the state", function() {
+            var vueLikeH = function() {
+                return {vnode: true};
+            };
+            var fragment = SimpleMarkdown.defaultDomOutput(inlineParse("*a*"), {
+                document: doc,
+                createElement: vueLikeH,
+            });
+            assert.strictEqual(domToHtml(fragment), "<em>a</em>");
+        });
+
+        it("should add event handlers as listeners", function() {
+            var discordAst = SimpleMarkdown.parserFor(SimpleMarkdown.discordRules)("||a||", {inline: true});
+            var fragment = SimpleMarkdown.outputFor(SimpleMarkdown.discordRules, "dom")(discordAst, {
+                document: doc,
+            });
+            var spoiler = /** @type {HTMLElement} */ (/** @type {Node} */ (fragment).firstChild);
+            assert.strictEqual(spoiler.getAttribute("onclick"), null);
+            spoiler.dispatchEvent(new window.MouseEvent("click"));
+            assert.strictEqual(spoiler.getAttribute("aria-expanded"), "true");
+            assert.ok(spoiler.classList.contains("revealed"));
+        });
+
+        it("should throw without a document", function() {
+            assert.throws(function() {
+                SimpleMarkdown.defaultDomOutput(inlineParse("a"));
+            }, /document/);
+        });
+    });
 });
@@ -0,0 +1,144 @@
+// Runs the examples from the CommonMark spec through `commonmarkRules`,
+// and reports how many of each section's examples pass.
+//
+// Usage: `make spec`, or
+//   node commonmark-spec.js [--verbose] [--section <name>] [spec.json]
+//
+// `--verbose` prints each failing example, and `--section` only runs the
+// sections whose names contain <name>. The examples are read from
+// spec/commonmark.json (the spec's own spec.json, from version 0.31.2)
+// unless another file is given.
+//
+// The tests require this file too, to check that the pass rate doesn't
+// go down.
+const fs = require('fs');
+const path = require('path');
+const SimpleMarkdown = require('./simple-markdown');
+
+const DEFAULT_SPEC_PATH = path.join(__dirname, 'spec', 'commonmark.json');
+
+const parse = SimpleMarkdown.parserFor(SimpleMarkdown.commonmarkRules);
+const output = SimpleMarkdown.outputFor(SimpleMarkdown.commonmarkRules, 'html');
+/** @param {string} markdown */
+const render = (markdown) => output(parse(markdown, { inline: false }));
+
+const BLOCK_TAGS =
+  'blockquote|div|h[1-6]|hr|li|ol|p|pre|table|tbody|td|th|thead|tr|ul';
+const BLOCK_TAG_R = new RegExp(`\\s*(</?(?:${BLOCK_TAGS})\\b[^>]*>)\\s*`, 'g');
+
+// We escape a few more characters than the spec's renderer does, and
+// don't keep its newlines between blocks, so both sides are normalized
+// before they're compared: entities are spelled the same way, `/>`s are
+// dropped, and whitespace outside of <pre>s is collapsed (and removed
+// around block tags).
+/** @param {string} html */
+const normalizeHtml = (html) =>
+  html
+    .replace(/&#x27;|&#39;/g, "'")
+    .replace(/&#x2F;/g, '/')
+    .replace(/&#96;/g, '`')
+    .replace(/\s*\/>/g, '>')
+    .split(/(<pre[\s\S]*?<\/pre>)/)
+    .map((part, i) =>
+      i % 2 ? part : part.replace(BLOCK_TAG_R, '$1').replace(/\s+/g, ' ')
+    )
+    .join('')
+    .trim();
+
+/**
+ * @typedef {{markdown: string, html: string, example: number, section: string}} SpecExample
+ * @typedef {{name: string, passed: number, total: number}} SectionResult
+ */
+
+/**
+ * Reads the examples from a spec.json file.
+ *
+ * @param {string} [specPath]
+ * @returns {Array<SpecExample>}
+ */
+const readExamples = (specPath) =>
+  JSON.parse(fs.readFileSync(specPath || DEFAULT_SPEC_PATH, 'utf8'));
+
+/**
+ * Runs `examples`, and returns how many of each section's pass (in the
+ * order the sections are in) and the examples that fail.
+ *
+ * @param {Array<SpecExample>} examples
+ */
+const runExamples = (examples) => {
+  /** @type {Array<SectionResult>} */
+  const sections = [];
+  /** @type {{[section: string]: SectionResult}} */
+  const results = {};
+  /** @type {Array<{example: SpecExample, actual: string}>} */
+  const failures = [];
+  let passed = 0;
+  examples.forEach((example) => {
+    if (!results[example.section]) {
+      results[example.section] = { name: example.section, passed: 0, total: 0 };
+      sections.push(results[example.section]);
+    }
+    const result = results[example.section];
+    result.total++;
+
+    let actual;
+    try {
+      actual = render(example.markdown);
+    } catch (e) {
+      actual = `(threw ${e})`;
+    }
+    if (normalizeHtml(actual) === normalizeHtml(example.html)) {
+      result.passed++;
+      passed++;
+    } else {
+      failures.push({ example, actual });
+    }
+  });
+  return { sections, passed, total: examples.length, failures };
+};
+
+module.exports = { readExamples, runExamples };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const verbose = args.indexOf('--verbose') !== -1;
+  const sectionIndex = args.indexOf('--section');
+  const sectionFilter = sectionIndex !== -1 ? args[sectionIndex + 1] : null;
+  const specPath =
+    args.filter(
+      (arg, i) => arg[0] !== '-' && (sectionIndex === -1 || i !== sectionIndex + 1)
+    )[0] || DEFAULT_SPEC_PATH;
+
+  if (!fs.existsSync(specPath)) {
+    console.error(`No spec examples at ${specPath}.`);
+    process.exit(1);
+  }
+
+  const { sections, passed, total, failures } = runExamples(
+    readExamples(specPath).filter(
+      (example) => !sectionFilter || example.section.indexOf(sectionFilter) !== -1
+    )
+  );
+
+  if (verbose) {
+    failures.forEach(({ example, actual }) => {
+      console.log(`Example ${example.example} (${example.section}):`);
+      console.log(`  markdown: ${JSON.stringify(example.markdown)}`);
+      console.log(`  expected: ${JSON.stringify(example.html)}`);
+      console.log(`  actual:   ${JSON.stringify(actual)}`);
+      console.log('');
+    });
+  }
+
+  /**
+   * @param {number} count
+   * @param {number} total
+   */
+  const percent = (count, total) => `${Math.round((count / total) * 100)}%`.padStart(5);
+  sections.forEach((result) => {
+    const counts = `${result.passed}/${result.total}`.padStart(8);
+    console.log(`${counts} ${percent(result.passed, result.total)}  ${result.name}`);
+  });
+  console.log('');
+  console.log(`${passed}/${total} examples passed (${percent(passed, total).trim()})`);
+}
@@ -0,0 +1 @@
+module.exports = require("./simple-markdown-emoji.js");
@@ -0,0 +1 @@
+export * from './simple-markdown-highlight';
@@ -0,0 +1 @@
+module.exports = require("./simple-markdown-highlight.js");
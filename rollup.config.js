@@ -1,10 +1,62 @@
-export default {
-  input: 'src/index.js',
-
-  output: {
-    format: 'umd',
-    indent: false,
-    file: 'simple-markdown.js',
-    name: 'SimpleMarkdown',
+import path from 'path';
+
+var INDEX = path.resolve(__dirname, 'src/index.js');
+
+export default [
+  {
+    input: 'src/index.js',
+
+    output: {
+      format: 'umd',
+      indent: false,
+      file: 'simple-markdown.js',
+      name: 'SimpleMarkdown',
+    }
+  },
+  // The vue outputs and `VueMarkdown`, which need vue, along with
+  // everything in simple-markdown.js. That's imported rather than
+  // bundled again, so both entries share one parser and one set of
+  // `defaultRules`:
+  {
+    input: 'src/vue.js',
+    external: ['vue', INDEX],
+
+    output: {
+      format: 'umd',
+      indent: false,
+      file: 'simple-markdown-vue.js',
+      name: 'SimpleMarkdownVue',
+      paths: {
+        [INDEX]: './simple-markdown',
+      },
+      globals: {
+        vue: 'Vue',
+        [INDEX]: 'SimpleMarkdown',
+      },
+    }
+  },
+  // The table of emoji shortcodes, which most apps don't need, so it
+  // isn't in simple-markdown.js:
+  {
+    input: 'src/emoji.js',
+
+    output: {
+      format: 'umd',
+      indent: false,
+      file: 'simple-markdown-emoji.js',
+      name: 'SimpleMarkdownEmoji',
+    }
+  },
+  // The syntax highlighter, which is also only for the apps that pass it
+  // in the output state:
+  {
+    input: 'src/highlight.js',
+
+    output: {
+      format: 'umd',
+      indent: false,
+      file: 'simple-markdown-highlight.js',
+      name: 'SimpleMarkdownHighlight',
+    }
   }
-}
+]
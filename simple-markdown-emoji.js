@@ -0,0 +1,306 @@
+(function (global, factory) {
+typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
+typeof define === 'function' && define.amd ? define(['exports'], factory) :
+(global = global || self, factory(global.SimpleMarkdownEmoji = {}));
+}(this, (function (exports) { 'use strict';
+
+/**
+ * Emoji for the most common `:shortcode:`s, named as on github and in
+ * most chat apps. This is only used by the `emoji` rule when it's
+ * passed in as `state.emojiShortcodes`, so it's built separately, into
+ * simple-markdown-emoji.js, for only the apps that use it to load.
+ *
+ * @type {{[shortcode: string]: string}}
+ */
+var emojiShortcodes = {
+	// faces
+	grinning: '😀',
+	smiley: '😃',
+	smile: '😄',
+	grin: '😁',
+	laughing: '😆',
+	satisfied: '😆',
+	sweat_smile: '😅',
+	joy: '😂',
+	rofl: '🤣',
+	relaxed: '☺️',
+	blush: '😊',
+	innocent: '😇',
+	slightly_smiling_face: '🙂',
+	upside_down_face: '🙃',
+	wink: '😉',
+	relieved: '😌',
+	heart_eyes: '😍',
+	smiling_face_with_three_hearts: '🥰',
+	kissing_heart: '😘',
+	yum: '😋',
+	stuck_out_tongue: '😛',
+	stuck_out_tongue_winking_eye: '😜',
+	stuck_out_tongue_closed_eyes: '😝',
+	zany_face: '🤪',
+	nerd_face: '🤓',
+	sunglasses: '😎',
+	star_struck: '🤩',
+	partying_face: '🥳',
+	smirk: '😏',
+	unamused: '😒',
+	disappointed: '😞',
+	pensive: '😔',
+	worried: '😟',
+	confused: '😕',
+	slightly_frowning_face: '🙁',
+	frowning_face: '☹️',
+	persevere: '😣',
+	confounded: '😖',
+	tired_face: '😫',
+	weary: '😩',
+	pleading_face: '🥺',
+	cry: '😢',
+	sob: '😭',
+	triumph: '😤',
+	angry: '😠',
+	rage: '😡',
+	exploding_head: '🤯',
+	flushed: '😳',
+	hot_face: '🥵',
+	cold_face: '🥶',
+	scream: '😱',
+	fearful: '😨',
+	cold_sweat: '😰',
+	hugs: '🤗',
+	thinking: '🤔',
+	shushing_face: '🤫',
+	lying_face: '🤥',
+	no_mouth: '😶',
+	neutral_face: '😐',
+	expressionless: '😑',
+	grimacing: '😬',
+	roll_eyes: '🙄',
+	hushed: '😯',
+	open_mouth: '😮',
+	astonished: '😲',
+	yawning_face: '🥱',
+	sleeping: '😴',
+	drooling_face: '🤤',
+	sleepy: '😪',
+	dizzy_face: '😵',
+	zipper_mouth_face: '🤐',
+	woozy_face: '🥴',
+	nauseated_face: '🤢',
+	mask: '😷',
+	face_with_thermometer: '🤒',
+	smiling_imp: '😈',
+	skull: '💀',
+	poop: '💩',
+	clown_face: '🤡',
+	ghost: '👻',
+	alien: '👽',
+	robot: '🤖',
+	smiley_cat: '😺',
+	see_no_evil: '🙈',
+	hear_no_evil: '🙉',
+	speak_no_evil: '🙊',
+
+	// people and gestures
+	wave: '👋',
+	raised_hand: '✋',
+	ok_hand: '👌',
+	v: '✌️',
+	crossed_fingers: '🤞',
+	metal: '🤘',
+	call_me_hand: '🤙',
+	point_left: '👈',
+	point_right: '👉',
+	point_up: '☝️',
+	point_down: '👇',
+	'+1': '👍',
+	thumbsup: '👍',
+	'-1': '👎',
+	thumbsdown: '👎',
+	fist: '✊',
+	punch: '👊',
+	clap: '👏',
+	raised_hands: '🙌',
+	open_hands: '👐',
+	handshake: '🤝',
+	pray: '🙏',
+	muscle: '💪',
+	eyes: '👀',
+	brain: '🧠',
+	facepalm: '🤦',
+	shrug: '🤷',
+
+	// hearts and symbols
+	heart: '❤️',
+	orange_heart: '🧡',
+	yellow_heart: '💛',
+	green_heart: '💚',
+	blue_heart: '💙',
+	purple_heart: '💜',
+	black_heart: '🖤',
+	white_heart: '🤍',
+	broken_heart: '💔',
+	two_hearts: '💕',
+	sparkling_heart: '💖',
+	heartpulse: '💗',
+	100: '💯',
+	boom: '💥',
+	collision: '💥',
+	sparkles: '✨',
+	star: '⭐',
+	star2: '🌟',
+	dizzy: '💫',
+	zap: '⚡',
+	fire: '🔥',
+	sweat_drops: '💦',
+	zzz: '💤',
+	speech_balloon: '💬',
+	thought_balloon: '💭',
+	white_check_mark: '✅',
+	heavy_check_mark: '✔️',
+	x: '❌',
+	warning: '⚠️',
+	no_entry: '⛔',
+	question: '❓',
+	exclamation: '❗',
+	bangbang: '‼️',
+	interrobang: '⁉️',
+	arrow_up: '⬆️',
+	arrow_down: '⬇️',
+	arrow_left: '⬅️',
+	arrow_right: '➡️',
+	recycle: '♻️',
+	copyright: '©️',
+	registered: '®️',
+	tm: '™️',
+
+	// nature, food and activities
+	sunny: '☀️',
+	cloud: '☁️',
+	umbrella: '☔',
+	snowflake: '❄️',
+	rainbow: '🌈',
+	ocean: '🌊',
+	earth_americas: '🌎',
+	crescent_moon: '🌙',
+	seedling: '🌱',
+	evergreen_tree: '🌲',
+	cactus: '🌵',
+	four_leaf_clover: '🍀',
+	rose: '🌹',
+	sunflower: '🌻',
+	cherry_blossom: '🌸',
+	dog: '🐶',
+	cat: '🐱',
+	mouse: '🐭',
+	rabbit: '🐰',
+	fox_face: '🦊',
+	bear: '🐻',
+	panda_face: '🐼',
+	penguin: '🐧',
+	unicorn: '🦄',
+	bee: '🐝',
+	bug: '🐛',
+	snake: '🐍',
+	turtle: '🐢',
+	octopus: '🐙',
+	whale: '🐳',
+	apple: '🍎',
+	banana: '🍌',
+	avocado: '🥑',
+	pizza: '🍕',
+	hamburger: '🍔',
+	fries: '🍟',
+	taco: '🌮',
+	sushi: '🍣',
+	cake: '🍰',
+	birthday: '🎂',
+	cookie: '🍪',
+	doughnut: '🍩',
+	popcorn: '🍿',
+	coffee: '☕',
+	tea: '🍵',
+	beer: '🍺',
+	beers: '🍻',
+	wine_glass: '🍷',
+	tada: '🎉',
+	confetti_ball: '🎊',
+	balloon: '🎈',
+	gift: '🎁',
+	trophy: '🏆',
+	medal_sports: '🏅',
+	soccer: '⚽',
+	basketball: '🏀',
+	video_game: '🎮',
+	game_die: '🎲',
+	dart: '🎯',
+	art: '🎨',
+	musical_note: '🎵',
+	notes: '🎶',
+	headphones: '🎧',
+	microphone: '🎤',
+	guitar: '🎸',
+
+	// objects and travel
+	rocket: '🚀',
+	airplane: '✈️',
+	car: '🚗',
+	bike: '🚲',
+	house: '🏠',
+	office: '🏢',
+	hourglass: '⌛',
+	alarm_clock: '⏰',
+	watch: '⌚',
+	iphone: '📱',
+	computer: '💻',
+	keyboard: '⌨️',
+	camera: '📷',
+	tv: '📺',
+	bulb: '💡',
+	flashlight: '🔦',
+	books: '📚',
+	book: '📖',
+	memo: '📝',
+	pencil2: '✏️',
+	paperclip: '📎',
+	pushpin: '📌',
+	calendar: '📆',
+	chart_with_upwards_trend: '📈',
+	chart_with_downwards_trend: '📉',
+	clipboard: '📋',
+	file_folder: '📁',
+	email: '📧',
+	envelope: '✉️',
+	inbox_tray: '📥',
+	outbox_tray: '📤',
+	package: '📦',
+	bell: '🔔',
+	no_bell: '🔕',
+	mega: '📣',
+	loudspeaker: '📢',
+	lock: '🔒',
+	unlock: '🔓',
+	key: '🔑',
+	hammer: '🔨',
+	wrench: '🔧',
+	gear: '⚙️',
+	link: '🔗',
+	mag: '🔍',
+	moneybag: '💰',
+	dollar: '💵',
+	credit_card: '💳',
+	gem: '💎',
+	crown: '👑',
+	eyeglasses: '👓',
+	shirt: '👕',
+	checkered_flag: '🏁',
+	triangular_flag_on_post: '🚩',
+	construction: '🚧',
+	rotating_light: '🚨',
+};
+
+exports.emojiShortcodes = emojiShortcodes;
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
@@ -0,0 +1,174 @@
+(function (global, factory) {
+typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
+typeof define === 'function' && define.amd ? define(['exports'], factory) :
+(global = global || self, factory(global.SimpleMarkdownHighlight = {}));
+}(this, (function (exports) { 'use strict';
+
+/**
+ * A small syntax highlighter for the languages that turn up most in code
+ * blocks. It's only used when it's passed in as `state.highlight`, so
+ * like the emoji table, it's built separately, into
+ * simple-markdown-highlight.js.
+ *
+ * Each language is a list of `[tokenType, pattern]`s, tried in order at
+ * every position; a `null` token type matches text that is left plain
+ * (like identifiers, so keywords aren't found inside them). Patterns
+ * can't have capturing groups, because they're joined into one regex
+ * and told apart by which group matched.
+ */
+
+// Matches the end of the code, even with the `m` flag:
+var END = '(?![\\s\\S])';
+
+/** @type {{[lang: string]: Array<[?string, RegExp]>}} */
+var HIGHLIGHT_RULES = {
+	js: [
+		['comment', new RegExp('//[^\\n]*|/\\*[\\s\\S]*?(?:\\*/|' + END + ')')],
+		[
+			'string',
+			new RegExp(
+				'"(?:\\\\[\\s\\S]|[^\\\\"\\n])*"?|' +
+					"'(?:\\\\[\\s\\S]|[^\\\\'\\n])*'?|" +
+					'`(?:\\\\[\\s\\S]|[^\\\\`])*`?',
+			),
+		],
+		[
+			'keyword',
+			/\b(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\b(?!\$)/,
+		],
+		['literal', /\b(?:true|false|null|undefined|NaN|Infinity)\b(?!\$)/],
+		[null, /[A-Za-z_$][\w$]*/],
+		[
+			'number',
+			/(?:0[xX][\da-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)n?/,
+		],
+		['operator', /=>|[-+*/%=!<>&|^~?:]+/],
+		['punctuation', /[{}[\]();,.]/],
+	],
+	json: [
+		['property', /"(?:\\[\s\S]|[^\\"\n])*"(?=\s*:)/],
+		['string', /"(?:\\[\s\S]|[^\\"\n])*"?/],
+		['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/],
+		['literal', /\b(?:true|false|null)\b/],
+		['punctuation', /[{}[\],:]/],
+	],
+	sh: [
+		['comment', /(?:^|[ \t])#[^\n]*/],
+		['string', /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/],
+		['variable', /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9-])/],
+		[
+			'keyword',
+			/\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local|select)\b(?![\w./-])/,
+		],
+		[null, /[\w./-]+/],
+		['operator', /&&|\|\||[|;&<>]+/],
+	],
+	diff: [
+		['meta', /^(?:\+\+\+|---|@@|diff |index )[^\n]*/],
+		['inserted', /^[+>][^\n]*/],
+		['deleted', /^[-<][^\n]*/],
+	],
+};
+
+/** @type {{[alias: string]: string}} */
+var HIGHLIGHT_ALIASES = {
+	javascript: 'js',
+	jsx: 'js',
+	mjs: 'js',
+	cjs: 'js',
+	bash: 'sh',
+	shell: 'sh',
+	zsh: 'sh',
+	console: 'sh',
+	patch: 'diff',
+};
+
+/**
+ * Each language's rules joined into one regex, made the first time the
+ * language is highlighted.
+ * @type {{[lang: string]: RegExp}}
+ */
+var highlightRegexes = {};
+
+/**
+ * @param {string} lang
+ * @returns {RegExp}
+ */
+var highlightRegexFor = function (lang) {
+	if (!highlightRegexes[lang]) {
+		var source = HIGHLIGHT_RULES[lang]
+			.map(function (rule) {
+				return '(' + rule[1].source + ')';
+			})
+			.join('|');
+		highlightRegexes[lang] = new RegExp(source, 'gm');
+	}
+	return highlightRegexes[lang];
+};
+
+/**
+ * Splits `content` into tokens for highlighting, if `lang` is one of
+ * js, json, sh or diff (or one of their aliases, like `javascript` or
+ * `bash`), and returns null otherwise.
+ *
+ * The tokens' contents add up to `content`, and tokens of plain text
+ * have no `type`.
+ *
+ * @param {string} content
+ * @param {string | undefined} lang
+ * @returns {Array<SimpleMarkdown.HighlightToken> | null}
+ */
+var highlightCode = function (content, lang) {
+	var key = lang ? lang.toLowerCase() : '';
+	key = HIGHLIGHT_ALIASES[key] || key;
+	if (!Object.prototype.hasOwnProperty.call(HIGHLIGHT_RULES, key)) {
+		return null;
+	}
+
+	var rules = HIGHLIGHT_RULES[key];
+	var regex = highlightRegexFor(key);
+	/** @type {Array<SimpleMarkdown.HighlightToken>} */
+	var tokens = [];
+	/** @type {(text: string, type?: ?string) => void} */
+	var push = function (text, type) {
+		var last = tokens[tokens.length - 1];
+		if (!type && last && !last.type) {
+			last.content += text;
+		} else if (type) {
+			tokens.push({ type: type, content: text });
+		} else {
+			tokens.push({ content: text });
+		}
+	};
+
+	var index = 0;
+	regex.lastIndex = 0;
+	var match;
+	while ((match = regex.exec(content))) {
+		if (!match[0]) {
+			// Don't get stuck on a pattern that matches nothing:
+			regex.lastIndex++;
+			continue;
+		}
+		if (match.index > index) {
+			push(content.slice(index, match.index));
+		}
+		for (var i = 0; i < rules.length; i++) {
+			if (match[i + 1] != null) {
+				push(match[0], rules[i][0]);
+				break;
+			}
+		}
+		index = regex.lastIndex;
+	}
+	if (index < content.length) {
+		push(content.slice(index));
+	}
+	return tokens;
+};
+
+exports.highlightCode = highlightCode;
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
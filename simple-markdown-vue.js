@@ -0,0 +1,157 @@
+(function (global, factory) {
+typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports, require('vue'), require('./simple-markdown')) :
+typeof define === 'function' && define.amd ? define(['exports', 'vue', './simple-markdown'], factory) :
+(global = global || self, factory(global.SimpleMarkdownVue = {}, global.Vue, global.SimpleMarkdown));
+}(this, (function (exports, vue, index_js) { 'use strict';
+
+/**
+ * Vue's `h` is an element factory, so rules without a `vue` output (like
+ * custom rules with only an `element` output) are output with their
+ * `element` output.
+ *
+ * @param {SimpleMarkdown.ElementRules | SimpleMarkdownVue.VueRules} rules
+ * @returns {SimpleMarkdownVue.VueRules}
+ */
+var vueRulesFor = function (rules) {
+	/** @type {{[type: string]: any}} */
+	var vueRules = {};
+	Object.keys(rules).forEach(function (type) {
+		/** @type {any} */
+		var rule = rules[type];
+		vueRules[type] =
+			rule.vue === undefined ? Object.assign({}, rule, { vue: rule.element }) : rule;
+	});
+	return vueRules;
+};
+
+/**
+ * `outputFor(rules, 'vue')`, with vue's `h` as the element factory, for
+ * rules with `vue` or `element` outputs.
+ *
+ * @param {SimpleMarkdown.ElementRules | SimpleMarkdownVue.VueRules} rules
+ * @param {SimpleMarkdown.OptionalState} [defaultState]
+ * @returns {SimpleMarkdownVue.VueOutput}
+ */
+var vueOutputFor = function (rules, defaultState) {
+	return index_js.outputFor(vueRulesFor(rules), 'vue', Object.assign({ createElement: vue.h }, defaultState));
+};
+
+/** @type {SimpleMarkdownVue.VueOutput} */
+var defaultVueOutput = vueOutputFor(index_js.defaultRules);
+
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {SimpleMarkdownVue.VueElements}
+ */
+var markdownToVue = function (source, state) {
+	return defaultVueOutput(index_js.defaultBlockParse(source, state), state);
+};
+
+/**
+ * A component that renders markdown, with the props:
+ *  - `source`: the markdown
+ *  - `rules`: the rules to parse and render it with (by default, the
+ *    defaultRules)
+ *  - `state`: the state to parse and render it with
+ *  - `inline`: whether to parse it as inline content, rather than blocks
+ *  - `tag`: the element to render it in (by default, a `div`)
+ *
+ * It's only parsed again when `source`, `rules`, `state` or `inline`
+ * change. Each node type has a scoped slot, for rendering nodes of that
+ * type without changing the rules, which is passed the `node`, its
+ * `content` as the rules would render it (if its content is nodes), the
+ * `state`, and an `output` function for rendering any other nodes.
+ */
+var VueMarkdown = vue.defineComponent({
+	name: 'VueMarkdown',
+	props: {
+		source: { type: String, required: true },
+		rules: { type: Object, default: null },
+		state: { type: Object, default: null },
+		inline: { type: Boolean, default: false },
+		tag: { type: String, default: 'div' },
+	},
+	/**
+	 * @param {SimpleMarkdownVue.VueMarkdownProps} props
+	 * @param {{slots: {[name: string]: ((slotProps: any) => any) | undefined}}} context
+	 */
+	setup: function (props, context) {
+		var rules = vue.computed(function () {
+			return props.rules || index_js.defaultRules;
+		});
+		var parse = vue.computed(function () {
+			return index_js.parserFor(rules.value);
+		});
+		var ast = vue.computed(function () {
+			return parse.value(
+				props.source,
+				Object.assign({}, props.state, { inline: props.inline }),
+			);
+		});
+
+		// Nodes of a type with a slot are rendered by the slot, rather than
+		// by their rule:
+		var output = vue.computed(function () {
+			var currentRules = vueRulesFor(rules.value);
+			/** @type {{[type: string]: any}} */
+			var slotRules = { Array: currentRules.Array || vueRulesFor(index_js.defaultRules).Array };
+			Object.keys(currentRules).forEach(function (type) {
+				if (type === 'Array') {
+					return;
+				}
+				slotRules[type] = Object.assign({}, currentRules[type], {
+					/** @type {SimpleMarkdownVue.VueNodeOutput} */
+					vue: function (node, output, state) {
+						var slot = context.slots[type];
+						if (!slot) {
+							return /** @type {any} */ (currentRules[type]).vue(node, output, state);
+						}
+						return slot({
+							node: node,
+							content: Array.isArray(node.content)
+								? output(node.content, state)
+								: undefined,
+							state: state,
+							/** @param {SimpleMarkdown.ASTNode} ast */
+							output: function (ast) {
+								return output(ast, state);
+							},
+						});
+					},
+				});
+			});
+			return vueOutputFor(slotRules);
+		});
+
+		return function () {
+			return vue.h(
+				/** @type {string} */ (props.tag),
+				null,
+				/** @type {any} */ (
+					output.value(
+						ast.value,
+						Object.assign({}, props.state, { inline: props.inline }),
+					)
+				),
+			);
+		};
+	},
+});
+
+Object.keys(index_js).forEach(function (k) {
+if (k !== 'default') Object.defineProperty(exports, k, {
+enumerable: true,
+get: function () {
+return index_js[k];
+}
+});
+});
+exports.VueMarkdown = VueMarkdown;
+exports.defaultVueOutput = defaultVueOutput;
+exports.markdownToVue = markdownToVue;
+exports.vueOutputFor = vueOutputFor;
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+})));
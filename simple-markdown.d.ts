@@ -2,8 +2,8 @@
  * Typings are current as of simple-markdown 0.3.1.
  */
 
-import "node";
-import * as React from "react";
+import 'node';
+import * as React from 'react';
 
 export as namespace SimpleMarkdown;
 
@@ -12,227 +12,636 @@ export as namespace SimpleMarkdown;
 //
 
 export interface Capture extends Array<string> {
-    index?: number,
-    input?: string,
+	index?: number;
+	input?: string;
 }
 type Attr = string | number | boolean | null | undefined;
-export type TableAlignment = "right" | "center" | "left" | null;
+export type TableAlignment = 'right' | 'center' | 'left' | null;
+
+export interface SourcePoint {
+	offset: number;
+	// 1-based:
+	line: number;
+	column: number;
+}
+
+export interface SourcePosition {
+	start: SourcePoint;
+	end: SourcePoint;
+}
 
 export interface SingleASTNode {
-    type: string,
-    [prop: string]: any,
+	type: string;
+	// only present when parsing with `state.trackPosition`:
+	position?: SourcePosition;
+	[prop: string]: any;
 }
 
 export interface UnTypedASTNode {
-    [prop: string]: any
+	[prop: string]: any;
 }
 
 export type ASTNode = SingleASTNode | Array<SingleASTNode>;
 
 export interface State {
-    key?: string | number | undefined;
-    inline?: boolean | undefined;
-    [prop: string]: any,
+	key?: string | number | undefined;
+	inline?: boolean | undefined;
+	inQuote?: boolean;
+	// parsing a link's text, where urls aren't autolinked:
+	inLink?: boolean;
+	nested?: boolean;
+	// the app's message being rendered, for resolvers to look things up in:
+	message?: any;
+	trackPosition?: boolean;
+	_position?: PositionFrame | null;
+	_footnotes?: FootnoteState;
+	// the footnote whose definition is being parsed:
+	_footnoteId?: string;
+	// makes task list checkboxes interactive:
+	onCheckboxChange?: (path: Array<number>, checked: boolean, node: SingleASTNode) => void;
+	// the element factory element outputs create their elements with:
+	createElement?: CreateElement;
+	// the document dom outputs make their nodes with:
+	document?: Document;
+	_domDocument?: Document;
+	_taskItem?: boolean;
+	_listItemPath?: Array<number>;
+	_codeClassPrefix?: string;
+	// only autolink urls, `www.` links and emails with these top-level domains:
+	autolinkTlds?: Array<string>;
+	urlPolicy?: UrlPolicy;
+	// parses raw html, and outputs what it allows (`true` for the default policy):
+	htmlPolicy?: HtmlPolicy | boolean;
+	limits?: ParseLimits;
+	_limits?: ParseLimitState | null;
+	_sourceCache?: { [key: string]: any };
+	_slugs?: { [slug: string]: number };
+	// `:shortcode:`s to parse as emoji, like `emojiShortcodes` from `simple-markdown/emoji`:
+	emojiShortcodes?: { [shortcode: string]: string };
+	customEmojiUrl?: (
+		id: string,
+		animated: boolean,
+		node: SingleASTNode,
+	) => string | null | undefined;
+	// adds accessibility attributes to html spoilers, for a toggle to use:
+	spoilerToggles?: boolean;
+	// replaces spoilers in plain text output (with '[spoiler]', or the given text):
+	redactSpoilers?: boolean | string;
+	// for formatting timestamps (by default, the environment's):
+	locale?: string | Array<string>;
+	timeZone?: string;
+	// what relative timestamps are relative to (by default, the current time):
+	now?: Date | number;
+	// highlights code blocks, returning null for code it can't highlight:
+	highlight?: (
+		content: string,
+		lang: string | undefined,
+		meta: CodeBlockMeta | undefined,
+	) => Array<HighlightToken> | null | undefined;
+	// looks up mentions' display names, such as from `state.message`:
+	resolveMention?: (
+		kind: MentionKind,
+		id: string,
+		state: State,
+	) => ResolvedMention | null | undefined;
+	[prop: string]: any;
+}
+
+// The capture a nested parse is being run for, while tracking positions:
+export interface PositionFrame {
+	text: string;
+	// the original input offset of each character in `text`:
+	map: Array<number>;
+	// how far into `text` previous nested parses have matched:
+	cursor: number;
+	// the whole original input:
+	input: string;
+	lineStarts: Array<number>;
 }
 export type OptionalState = State | null | undefined;
 
+export type MentionKind = 'user' | 'role' | 'channel';
+
+export interface ResolvedMention {
+	name: string;
+	color?: string;
+}
+
+export type ParseLimit = 'length' | 'depth' | 'nodes' | 'time';
+
+export interface ParseLimits {
+	maxLength?: number;
+	// how many parses can be nested inside each other:
+	maxDepth?: number;
+	maxNodes?: number;
+	// in milliseconds:
+	timeout?: number;
+	onLimitExceeded?: (limit: ParseLimit) => void;
+}
+
+// How much of the limits a parse has used so far:
+export interface ParseLimitState {
+	depth: number;
+	nodes: number;
+	deadline: number | null;
+	exceeded: { [limit: string]: boolean };
+}
+
+export type UrlKind = 'link' | 'image';
+export type UnsafeUrlReason = 'scheme' | 'host' | 'malformed';
+
+export interface UrlRules {
+	// allowed schemes (`'https'`), or url prefixes (`'data:image/png'`):
+	schemes?: Array<string>;
+	// hosts (and their subdomains) to allow or deny:
+	allowHosts?: Array<string>;
+	denyHosts?: Array<string>;
+	rewrite?: (url: string, kind: UrlKind, node: SingleASTNode) => string | null;
+	// called for urls the policy doesn't allow; can return a url to use instead:
+	onUnsafeUrl?: (
+		url: string,
+		info: { kind: UrlKind; reason: UnsafeUrlReason; node: SingleASTNode },
+	) => string | null | undefined | void;
+}
+
+export interface UrlPolicy extends UrlRules {
+	link?: UrlRules;
+	image?: UrlRules;
+}
+
+export interface HtmlPolicy {
+	// tags to output; other elements are output without their tags:
+	tags?: Array<string>;
+	// attributes to output, for each tag, or for all tags as `'*'`:
+	attributes?: { [tag: string]: Array<string> };
+	// attributes whose values are checked with `applyUrlPolicy`:
+	urlAttributes?: Array<string>;
+}
+
 export type ReactElement = React.ReactElement<any>;
 export type ReactElements = React.ReactNode;
 
+// An element factory, like vue's or preact's `h`. Props are html
+// attribute names, `on` + event names (like `onClick`) for event
+// handlers, a `style` object, and a `key`:
+export type CreateElement = (type: string, props: { [prop: string]: any }, children?: any) => any;
+
 export interface MatchFunction {
-    (source: string, state: State, prevCapture: string): Capture | null,
-    regex?: RegExp,
+	(source: string, state: State, prevCapture: string): Capture | null;
+	regex?: RegExp;
 }
 
-export type Parser = (
-    source: string,
-    state?: OptionalState,
-) => Array<SingleASTNode>;
+export type Parser = (source: string, state?: OptionalState) => Array<SingleASTNode>;
+
+export interface TableOfContentsEntry {
+	id: string;
+	level: number;
+	text: string;
+	content: Array<SingleASTNode>;
+	children: Array<TableOfContentsEntry>;
+}
+
+export type Visitor = (node: SingleASTNode, parent: SingleASTNode | null) => 'skip' | void;
+// An mdast or hast node, from `toMdast` or `toHast`:
+export interface UnistNode {
+	type: string;
+	// (and `children`, `value` and `data`, depending on the type)
+	position?: SourcePosition;
+	[prop: string]: any;
+}
+
+export interface Visitors {
+	[type: string]: Visitor | undefined;
+}
+export type TransformFunction = (
+	node: SingleASTNode,
+	parent: SingleASTNode | null,
+) => SingleASTNode | Array<SingleASTNode> | null | 'skip' | void;
+
+export interface SourceEdit {
+	offset: number;
+	deleteLength: number;
+	insertText: string;
+}
+
+export interface ParsedDocument {
+	source: string;
+	ast: Array<SingleASTNode>;
+}
+
+export type IncrementalParser = (
+	previous: ParsedDocument,
+	edit: SourceEdit,
+	state?: OptionalState,
+) => ParsedDocument;
 
 export type ParseFunction = (
-    capture: Capture,
-    nestedParse: Parser,
-    state: State,
-) => (UnTypedASTNode | ASTNode);
+	capture: Capture,
+	nestedParse: Parser,
+	state: State,
+) => UnTypedASTNode | ASTNode;
 
 export type SingleNodeParseFunction = (
-    capture: Capture,
-    nestedParse: Parser,
-    state: State,
+	capture: Capture,
+	nestedParse: Parser,
+	state: State,
 ) => UnTypedASTNode;
 
-export type Output<Result> = (
-    node: ASTNode,
-    state?: OptionalState
-) => Result;
+export type Output<Result> = (node: ASTNode, state?: OptionalState) => Result;
 
 export type RefiningNodeOutput<Input, Result extends Input> = (
-    node: SingleASTNode,
-    nestedOutput: Output<Input>,
-    state: State
+	node: SingleASTNode,
+	nestedOutput: Output<Input>,
+	state: State,
 ) => Result;
 
 export type NodeOutput<Result> = RefiningNodeOutput<Result, Result>;
 
 export type ArrayNodeOutput<Result> = (
-    node: Array<SingleASTNode>,
-    nestedOutput: Output<Result>,
-    state: State
+	node: Array<SingleASTNode>,
+	nestedOutput: Output<Result>,
+	state: State,
 ) => Result;
 
 export type ReactOutput = Output<ReactElements>;
 export type ReactNodeOutput = NodeOutput<ReactElements>;
+export type ElementOutput = Output<any>;
+export type ElementNodeOutput = NodeOutput<any>;
+export type DomOutput = Output<Node | null>;
+export type DomNodeOutput = NodeOutput<Node | null>;
 export type HtmlOutput = Output<string>;
 export type HtmlNodeOutput = NodeOutput<string>;
+export type MarkdownOutput = Output<string>;
+export type MarkdownNodeOutput = NodeOutput<string>;
+export type PlainTextOutput = Output<string>;
+export type PlainTextNodeOutput = NodeOutput<string>;
 
 export interface ParserRule {
-    readonly order: number,
-    readonly match: MatchFunction,
-    readonly quality?: (capture: Capture, state: State, prevCapture: string) => number,
-    readonly parse: ParseFunction,
+	readonly order: number;
+	readonly match: MatchFunction;
+	readonly quality?: (capture: Capture, state: State, prevCapture: string) => number;
+	readonly parse: ParseFunction;
+	// the fields of parsed nodes that hold child nodes (default `['content']`):
+	readonly childFields?: Array<string>;
 }
 
 export interface SingleNodeParserRule extends ParserRule {
-    readonly order: number,
-    readonly match: MatchFunction,
-    readonly quality?: (capture: Capture, state: State, prevCapture: string) => number,
-    readonly parse: SingleNodeParseFunction,
+	readonly order: number;
+	readonly match: MatchFunction;
+	readonly quality?: (capture: Capture, state: State, prevCapture: string) => number;
+	readonly parse: SingleNodeParseFunction;
 }
 
 export interface ReactOutputRule {
-    // we allow null because some rules are never output results, and that's
-    // legal as long as no parsers return an AST node matching that rule.
-    // We don't use ? because this makes it be explicitly defined as either
-    // a valid function or null, so it can't be forgotten.
-    readonly react: ReactNodeOutput | null,
+	// we allow null because some rules are never output results, and that's
+	// legal as long as no parsers return an AST node matching that rule.
+	// We don't use ? because this makes it be explicitly defined as either
+	// a valid function or null, so it can't be forgotten.
+	readonly react: ReactNodeOutput | null;
+}
+
+export interface ElementOutputRule {
+	readonly element: ElementNodeOutput | null;
+}
+
+// added to the default rules from their element outputs:
+export interface DomOutputRule {
+	readonly dom?: DomNodeOutput;
+}
+
+// the default rules' `vue` outputs, which are their element outputs
+// (simple-markdown/vue has the vue types):
+export interface VueAliasOutputRule {
+	readonly vue: ElementNodeOutput | null;
 }
 
 export interface HtmlOutputRule {
-    readonly html: HtmlNodeOutput | null,
+	readonly html: HtmlNodeOutput | null;
+}
+
+export interface MarkdownOutputRule {
+	readonly markdown: MarkdownNodeOutput | null;
+}
+
+export interface PlainTextOutputRule {
+	readonly text: PlainTextNodeOutput | null;
 }
 
 export interface ArrayRule {
-    readonly react?: ArrayNodeOutput<ReactElements>,
-    readonly html?: ArrayNodeOutput<string>,
-    readonly [other: string]: ArrayNodeOutput<any> | undefined,
+	readonly react?: ArrayNodeOutput<ReactElements>;
+	readonly element?: ArrayNodeOutput<any>;
+	readonly dom?: ArrayNodeOutput<Node | null>;
+	readonly html?: ArrayNodeOutput<string>;
+	readonly [other: string]: ArrayNodeOutput<any> | undefined;
 }
 export interface ReactArrayRule extends ArrayRule {
-    readonly react: ArrayNodeOutput<ReactElements>,
-    readonly html?: ArrayNodeOutput<string>,
-    readonly [other: string]: ArrayNodeOutput<any> | undefined,
+	readonly react: ArrayNodeOutput<ReactElements>;
+	readonly html?: ArrayNodeOutput<string>;
+	readonly [other: string]: ArrayNodeOutput<any> | undefined;
 }
 export interface HtmlArrayRule extends ArrayRule {
-    readonly react?: ArrayNodeOutput<ReactElements>,
-    readonly html: ArrayNodeOutput<string>,
-    readonly [other: string]: ArrayNodeOutput<any> | undefined,
+	readonly react?: ArrayNodeOutput<ReactElements>;
+	readonly html: ArrayNodeOutput<string>;
+	readonly [other: string]: ArrayNodeOutput<any> | undefined;
 }
 export interface DefaultArrayRule extends ArrayRule {
-    readonly react: ArrayNodeOutput<ReactElements>,
-    readonly html: ArrayNodeOutput<string>
+	readonly react: ArrayNodeOutput<ReactElements>;
+	readonly element: ArrayNodeOutput<any>;
+	readonly vue: ArrayNodeOutput<any>;
+	readonly html: ArrayNodeOutput<string>;
+	readonly markdown: ArrayNodeOutput<string>;
+	readonly text: ArrayNodeOutput<string>;
 }
 
 export interface ParserRules {
-    readonly Array?: ArrayRule,
-    readonly [type: string]: ParserRule | /* only for Array: */ ArrayRule | undefined,
+	readonly Array?: ArrayRule;
+	readonly [type: string]: ParserRule | /* only for Array: */ ArrayRule | undefined;
 }
 
 export interface OutputRules<Rule> {
-    readonly Array?: ArrayRule,
-    readonly [type: string]: Rule | /* only for Array: */ ArrayRule | undefined,
+	readonly Array?: ArrayRule;
+	readonly [type: string]: Rule | /* only for Array: */ ArrayRule | undefined;
 }
 export interface Rules<OutputRule> {
-    readonly Array?: ArrayRule,
-    readonly [type: string]: ParserRule & OutputRule | /* only for Array: */ ArrayRule | undefined,
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & OutputRule) | /* only for Array: */ ArrayRule | undefined;
 }
 export interface ReactRules {
-    readonly Array?: ReactArrayRule,
-    readonly [type: string]: ParserRule & ReactOutputRule | ReactArrayRule | undefined,
+	readonly Array?: ReactArrayRule;
+	readonly [type: string]: (ParserRule & ReactOutputRule) | ReactArrayRule | undefined;
+}
+export interface ElementRules {
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & ElementOutputRule) | ArrayRule | undefined;
+}
+export interface DomRules {
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & DomOutputRule) | ArrayRule | undefined;
+}
+export interface VueAliasRules {
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & VueAliasOutputRule) | ArrayRule | undefined;
 }
 export interface HtmlRules {
-    readonly Array?: HtmlArrayRule,
-    readonly [type: string]: ParserRule & HtmlOutputRule | HtmlArrayRule | undefined,
+	readonly Array?: HtmlArrayRule;
+	readonly [type: string]: (ParserRule & HtmlOutputRule) | HtmlArrayRule | undefined;
+}
+export interface MarkdownRules {
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & MarkdownOutputRule) | ArrayRule | undefined;
+}
+export interface PlainTextRules {
+	readonly Array?: ArrayRule;
+	readonly [type: string]: (ParserRule & PlainTextOutputRule) | ArrayRule | undefined;
 }
 
 // We want to clarify our defaultRules types a little bit more so clients can
 // reuse defaultRules built-ins. So we make some stronger guarantess when
 // we can:
 export interface NonNullReactOutputRule extends ReactOutputRule {
-    readonly react: ReactNodeOutput,
+	readonly react: ReactNodeOutput;
 }
 export interface ElementReactOutputRule extends ReactOutputRule {
-    readonly react: RefiningNodeOutput<ReactElements, ReactElement>,
+	readonly react: RefiningNodeOutput<ReactElements, ReactElement>;
 }
 export interface TextReactOutputRule extends ReactOutputRule {
-    readonly react: RefiningNodeOutput<ReactElements, string>,
+	readonly react: RefiningNodeOutput<ReactElements, string>;
+}
+export interface NonNullElementOutputRule extends ElementOutputRule {
+	readonly element: ElementNodeOutput;
+}
+export interface NonNullVueAliasOutputRule extends VueAliasOutputRule {
+	readonly vue: ElementNodeOutput;
 }
 export interface NonNullHtmlOutputRule extends HtmlOutputRule {
-    readonly html: HtmlNodeOutput,
+	readonly html: HtmlNodeOutput;
+}
+export interface NonNullMarkdownOutputRule extends MarkdownOutputRule {
+	readonly markdown: MarkdownNodeOutput;
+}
+export interface NonNullPlainTextOutputRule extends PlainTextOutputRule {
+	readonly text: PlainTextNodeOutput;
 }
 
 export interface ReactMarkdownProps {
-    source: string,
-    [prop: string]: any,
+	source: string;
+	[prop: string]: any;
 }
 
-export type DefaultInRule = SingleNodeParserRule & ReactOutputRule & HtmlOutputRule;
-export type TextInOutRule = SingleNodeParserRule & TextReactOutputRule & NonNullHtmlOutputRule;
-export type LenientInOutRule = SingleNodeParserRule & NonNullReactOutputRule & NonNullHtmlOutputRule;
-export type DefaultInOutRule = SingleNodeParserRule & ElementReactOutputRule & NonNullHtmlOutputRule;
-
-type DefaultRulesIndexer = ReactRules & HtmlRules;
+export type DefaultInRule = SingleNodeParserRule &
+	ReactOutputRule &
+	ElementOutputRule &
+	VueAliasOutputRule &
+	DomOutputRule &
+	HtmlOutputRule &
+	MarkdownOutputRule &
+	PlainTextOutputRule;
+export type TextInOutRule = SingleNodeParserRule &
+	TextReactOutputRule &
+	NonNullElementOutputRule &
+	NonNullVueAliasOutputRule &
+	DomOutputRule &
+	NonNullHtmlOutputRule &
+	NonNullMarkdownOutputRule &
+	NonNullPlainTextOutputRule;
+export type LenientInOutRule = SingleNodeParserRule &
+	NonNullReactOutputRule &
+	NonNullElementOutputRule &
+	NonNullVueAliasOutputRule &
+	DomOutputRule &
+	NonNullHtmlOutputRule &
+	NonNullMarkdownOutputRule &
+	NonNullPlainTextOutputRule;
+export type DefaultInOutRule = SingleNodeParserRule &
+	ElementReactOutputRule &
+	NonNullElementOutputRule &
+	NonNullVueAliasOutputRule &
+	DomOutputRule &
+	NonNullHtmlOutputRule &
+	NonNullMarkdownOutputRule &
+	NonNullPlainTextOutputRule;
+
+type DefaultRulesIndexer = ReactRules &
+	ElementRules &
+	VueAliasRules &
+	DomRules &
+	HtmlRules &
+	MarkdownRules &
+	PlainTextRules;
 export interface DefaultRules extends DefaultRulesIndexer {
-    readonly Array: DefaultArrayRule,
-    readonly heading: DefaultInOutRule,
-    readonly nptable: DefaultInRule,
-    readonly lheading: DefaultInRule,
-    readonly hr: DefaultInOutRule,
-    readonly codeBlock: DefaultInOutRule,
-    readonly fence: DefaultInRule,
-    readonly blockQuote: DefaultInOutRule,
-    readonly list: DefaultInOutRule,
-    readonly def: LenientInOutRule,
-    readonly table: DefaultInOutRule,
-    readonly tableSeparator: DefaultInRule,
-    readonly newline: TextInOutRule,
-    readonly paragraph: DefaultInOutRule,
-    readonly escape: DefaultInRule,
-    readonly autolink: DefaultInRule,
-    readonly mailto: DefaultInRule,
-    readonly url: DefaultInRule,
-    readonly link: DefaultInOutRule,
-    readonly image: DefaultInOutRule,
-    readonly reflink: DefaultInRule,
-    readonly refimage: DefaultInRule,
-    readonly em: DefaultInOutRule,
-    readonly strong: DefaultInOutRule,
-    readonly u: DefaultInOutRule,
-    readonly del: DefaultInOutRule,
-    readonly inlineCode: DefaultInOutRule,
-    readonly br: DefaultInOutRule,
-    readonly text: TextInOutRule,
+	readonly Array: DefaultArrayRule;
+	readonly heading: DefaultInOutRule;
+	readonly nptable: DefaultInRule;
+	readonly lheading: DefaultInRule;
+	readonly hr: DefaultInOutRule;
+	readonly codeBlock: DefaultInOutRule;
+	readonly fence: DefaultInRule;
+	readonly blockQuote: DefaultInOutRule;
+	readonly list: DefaultInOutRule;
+	readonly checkbox: LenientInOutRule;
+	readonly footnoteDef: DefaultInOutRule;
+	readonly def: LenientInOutRule;
+	readonly htmlBlock: LenientInOutRule;
+	readonly table: DefaultInOutRule;
+	readonly tableSeparator: DefaultInRule;
+	readonly newline: TextInOutRule;
+	readonly paragraph: DefaultInOutRule;
+	readonly escape: DefaultInRule;
+	readonly autolink: DefaultInRule;
+	readonly mailto: DefaultInRule;
+	readonly htmlInline: LenientInOutRule;
+	readonly url: DefaultInRule;
+	readonly footnoteRef: LenientInOutRule;
+	readonly link: DefaultInOutRule;
+	readonly image: DefaultInOutRule;
+	readonly reflink: DefaultInRule;
+	readonly refimage: DefaultInRule;
+	readonly em: DefaultInOutRule;
+	readonly strong: DefaultInOutRule;
+	readonly u: DefaultInOutRule;
+	readonly del: DefaultInOutRule;
+	readonly inlineCode: DefaultInOutRule;
+	readonly br: DefaultInOutRule;
+	readonly emoji: DefaultInOutRule;
+	readonly customEmoji: LenientInOutRule;
+	readonly text: TextInOutRule;
+}
+
+// Rules as they're written, without the `react`, `vue` and `dom` outputs
+// that are made from their `element` outputs:
+export type ElementOnlyRules<Rules> = {
+	readonly [Type in keyof Rules]: Omit<Rules[Type], 'react' | 'vue' | 'dom'>;
+};
+
+// The chat syntax that discordRules add to the defaultRules:
+export interface DiscordSyntaxRules extends DefaultRulesIndexer {
+	readonly userMention: DefaultInOutRule;
+	readonly roleMention: DefaultInOutRule;
+	readonly channelMention: DefaultInOutRule;
+	readonly everyoneMention: DefaultInOutRule;
+	readonly timestamp: DefaultInOutRule;
+	readonly spoiler: DefaultInOutRule;
+}
+
+// The rules in discordRules, or from discordRulesFor:
+export interface DiscordRules extends DiscordSyntaxRules {
+	readonly Array: DefaultArrayRule;
+	readonly codeBlock: DefaultInOutRule;
+	readonly blockQuote: DefaultInOutRule;
+	readonly newline: TextInOutRule;
+	readonly paragraph: DefaultInOutRule;
+	readonly br: DefaultInOutRule;
+	readonly text: TextInOutRule;
+}
+
+// The rules in commonmarkRules:
+export interface CommonmarkRules extends DefaultRulesIndexer {
+	readonly Array: DefaultArrayRule;
+	readonly heading: DefaultInOutRule;
+	readonly lheading: DefaultInRule;
+	readonly hr: DefaultInOutRule;
+	readonly codeBlock: DefaultInOutRule;
+	readonly fence: DefaultInRule;
+	readonly blockQuote: DefaultInOutRule;
+	readonly list: DefaultInOutRule;
+	readonly def: LenientInOutRule;
+	readonly newline: TextInOutRule;
+	readonly paragraph: DefaultInOutRule;
+	readonly escape: DefaultInRule;
+	readonly entity: DefaultInRule;
+	readonly autolink: DefaultInRule;
+	readonly mailto: DefaultInRule;
+	readonly link: DefaultInOutRule;
+	readonly image: DefaultInOutRule;
+	readonly reflink: DefaultInRule;
+	readonly refimage: DefaultInRule;
+	readonly delimiterRun: TextInOutRule;
+	readonly em: DefaultInOutRule;
+	readonly strong: DefaultInOutRule;
+	readonly inlineCode: DefaultInOutRule;
+	readonly br: DefaultInOutRule;
+	readonly text: TextInOutRule;
+}
+
+// What a fenced code block's info string says after its language:
+export interface CodeBlockMeta {
+	// all of it, as it was written:
+	raw: string;
+	title: string | undefined;
+	showLineNumbers: boolean;
+	// inclusive ranges of line numbers (from 1) to highlight, from `{1,3-5}`:
+	highlightLines: Array<[number, number]>;
+	// `key="value"`s, and `true` for bare `key`s:
+	attributes: { [key: string]: string | true };
+}
+
+// A piece of highlighted code, with no `type` if it's plain text:
+export interface HighlightToken {
+	type?: string;
+	content: string;
+}
+
+export interface DiscordRuleOptions {
+	headings?: boolean;
+	tables?: boolean;
+	lists?: boolean;
 }
 
 export interface RefNode {
-    type: string,
-    content?: ASTNode,
-    target?: string,
-    title?: string,
-    alt?: string,
+	type: string;
+	content?: ASTNode;
+	target?: string;
+	title?: string;
+	alt?: string;
+	// the normalized label of the def a reflink or refimage refers to:
+	ref?: string;
+	// what followed the text of a reference, like `[label]` or `[]`:
+	refSuffix?: string;
 }
 
+// Footnotes seen so far in a parse, keyed by normalized id:
+export interface FootnoteState {
+	// ids in the order they were first referenced
+	order: Array<string>;
+	refs: { [id: string]: Array<UnTypedASTNode> };
+	// references from a footnote's own definition, which get no back-link
+	ownRefs: { [id: string]: Array<UnTypedASTNode> };
+	defs: { [id: string]: UnTypedASTNode };
+	// how many footnotes have been numbered
+	count: number;
+}
 
 //
 // EXPORTED FUNCTIONS
 //
 
 type OutputFor = <Rule extends Object, Type extends keyof Rule>(
-    rules: SimpleMarkdown.OutputRules<Rule>,
-    property: Type,
-    defaultState?: OptionalState
+	rules: SimpleMarkdown.OutputRules<Rule>,
+	property: Type,
+	defaultState?: OptionalState,
 ) => Output<any>;
 
 export const defaultRules: DefaultRules;
+export const discordRules: DiscordRules;
+export const discordRulesFor: (options?: DiscordRuleOptions) => DiscordRules;
+export const commonmarkRules: CommonmarkRules;
 export const parserFor: (rules: ParserRules, defaultState?: OptionalState) => Parser;
+export const SKIP: 'skip';
+export const visit: (ast: ASTNode, visitors: Visitors, rules?: ParserRules) => void;
+export const transform: (
+	ast: ASTNode,
+	fn: TransformFunction,
+	rules?: ParserRules,
+) => Array<SingleASTNode>;
+export const toMdast: (ast: ASTNode) => UnistNode;
+export const fromMdast: (tree: UnistNode) => Array<SingleASTNode>;
+export const toHast: (ast: ASTNode, state?: OptionalState, rules?: ElementRules) => UnistNode;
+export const tableOfContents: (ast: Array<SingleASTNode>) => Array<TableOfContentsEntry>;
+export const tableOfContentsList: (toc: Array<TableOfContentsEntry>) => SingleASTNode;
+export const incrementalParserFor: (
+	rules: ParserRules,
+	defaultState?: OptionalState,
+) => IncrementalParser;
 
 export const outputFor: OutputFor;
 
@@ -244,7 +653,9 @@ export const parseBlock: (parse: Parser, content: string, state: State) => ASTNo
 
 export const markdownToReact: (source: string, state?: OptionalState) => ReactElements;
 export const markdownToHtml: (source: string, state?: OptionalState) => string;
-export const ReactMarkdown: (props: { source: string, [prop: string]: any }) => ReactElement;
+export const markdownToText: (source: string, state?: OptionalState) => string;
+export const markdownToDom: (source: string, state?: OptionalState) => DocumentFragment;
+export const ReactMarkdown: (props: ReactMarkdownProps) => ReactElement;
 
 export const defaultRawParse: (source: string, state?: OptionalState) => Array<SingleASTNode>;
 export const defaultBlockParse: (source: string, state?: OptionalState) => Array<SingleASTNode>;
@@ -253,10 +664,34 @@ export const defaultImplicitParse: (source: string, state?: OptionalState) => Ar
 
 export const defaultReactOutput: ReactOutput;
 export const defaultHtmlOutput: HtmlOutput;
+export const defaultMarkdownOutput: MarkdownOutput;
+export const defaultTextOutput: PlainTextOutput;
+export const defaultDomOutput: DomOutput;
 
 export const preprocess: (source: string) => string;
 export const sanitizeText: (text: Attr) => string;
 export const sanitizeUrl: (url: string | null | undefined) => string | null;
+export const applyUrlPolicy: (
+	url: string | null | undefined,
+	kind: UrlKind,
+	state: State,
+	node: SingleASTNode,
+) => string | null;
 export const unescapeUrl: (url: string) => string;
-export const htmlTag: (tagName: string, content: string, attributes?: { [attr: string]: Attr }, isClosed?: boolean) => string;
-export const reactElement: (type: string, key: string | null, props: { [prop: string]: any }) => ReactElement;
+export const escapeMarkdown: (text: string) => string;
+export const markJumboEmoji: (nodes: Array<SingleASTNode>) => boolean;
+export const reactElement: (
+	type: string,
+	key: string | number | null | undefined,
+	props: { [prop: string]: any },
+) => ReactElement;
+export const reactOutput: (
+	elementOutput: ElementNodeOutput | ArrayNodeOutput<any>,
+) => ReactNodeOutput;
+export const domOutput: (elementOutput: ElementNodeOutput | ArrayNodeOutput<any>) => DomNodeOutput;
+export const htmlTag: (
+	tagName: string,
+	content: string,
+	attributes?: { [attr: string]: Attr },
+	isClosed?: boolean,
+) => string;
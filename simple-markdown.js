@@ -1,2111 +1,7746 @@
 (function (global, factory) {
-typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
-typeof define === 'function' && define.amd ? define(factory) :
-(global = global || self, global.SimpleMarkdown = factory());
-}(this, (function () { 'use strict';
-
-/* @flow */
-/* @ts-check */
-
-/**
- * Simple-Markdown
- * ===============
- *
- * Simple-Markdown's primary goal is to be easy to adapt. It aims
- * to be compliant with John Gruber's [Markdown Syntax page][1],
- * but compatiblity with other markdown implementations' edge-cases
- * will be sacrificed where it conflicts with simplicity or
- * extensibility.
- *
- * If your goal is to simply embed a standard markdown implementation
- * in your website, simple-markdown is probably not the best library
- * for you (although it should work). But if you have struggled to
- * customize an existing library to meet your needs, simple-markdown
- * might be able to help.
- *
- * Many of the regexes and original logic has been adapted from
- * the wonderful [marked.js](https://github.com/chjj/marked)
- *
- * LICENSE (MIT):
- * New code copyright (c) 2014-2019 Khan Academy & Aria Buckles.
- *
- * Portions adapted from marked.js copyright (c) 2011-2014
- * Christopher Jeffrey (https://github.com/chjj/).
- *
- * Permission is hereby granted, free of charge, to any person obtaining a copy
- * of this software and associated documentation files (the "Software"), to deal
- * in the Software without restriction, including without limitation the rights
- * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
- * copies of the Software, and to permit persons to whom the Software is
- * furnished to do so, subject to the following conditions:
- *
- * The above copyright notice and this permission notice shall be included in
- * all copies or substantial portions of the Software.
- *
- * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
- * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
- * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
- * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
- * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
- * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
- * THE SOFTWARE.
- */
-
-// Typescript language & simple-markdown.d.ts references:
-/// <reference lib="ES2018" />
-/// <reference path="../simple-markdown.d.ts" />
-
-/*::
-// Flow Type Definitions:
-
-type Capture =
-    Array<string> & {index: number} |
-    Array<string> & {index?: number};
-
-type Attr = string | number | boolean | null | void;
-
-type SingleASTNode = {
-    type: string,
-    [string]: any,
-};
-
-type UnTypedASTNode = {
-    [string]: any
-};
-
-type ASTNode = SingleASTNode | Array<SingleASTNode>;
-
-type State = {
-    key?: string | number | void,
-    inline?: ?boolean,
-    [string]: any,
-};
-
-type ReactElement = React$Element<any>;
-type ReactElements = React$Node;
-
-type MatchFunction = { regex?: RegExp } & (
-    source: string,
-    state: State,
-    prevCapture: string
-) => ?Capture;
-
-type Parser = (
-    source: string,
-    state?: ?State
-) => Array<SingleASTNode>;
-
-type ParseFunction = (
-    capture: Capture,
-    nestedParse: Parser,
-    state: State,
-) => (UnTypedASTNode | ASTNode);
-
-type SingleNodeParseFunction = (
-    capture: Capture,
-    nestedParse: Parser,
-    state: State,
-) => UnTypedASTNode;
-
-type Output<Result> = (
-    node: ASTNode,
-    state?: ?State
-) => Result;
-
-type NodeOutput<Result> = (
-    node: SingleASTNode,
-    nestedOutput: Output<Result>,
-    state: State
-) => Result;
-
-type ArrayNodeOutput<Result> = (
-    node: Array<SingleASTNode>,
-    nestedOutput: Output<Result>,
-    state: State
-) => Result;
-
-type ReactOutput = Output<ReactElements>;
-type ReactNodeOutput = NodeOutput<ReactElements>;
-type HtmlOutput = Output<string>;
-type HtmlNodeOutput = NodeOutput<string>;
-
-type ParserRule = {
-    +order: number,
-    +match: MatchFunction,
-    +quality?: (capture: Capture, state: State, prevCapture: string) => number,
-    +parse: ParseFunction,
-};
-
-type SingleNodeParserRule = {
-    +order: number,
-    +match: MatchFunction,
-    +quality?: (capture: Capture, state: State, prevCapture: string) => number,
-    +parse: SingleNodeParseFunction,
-};
-
-type ReactOutputRule = {
-    // we allow null because some rules are never output results, and that's
-    // legal as long as no parsers return an AST node matching that rule.
-    // We don't use ? because this makes it be explicitly defined as either
-    // a valid function or null, so it can't be forgotten.
-    +react: ReactNodeOutput | null,
-};
-
-type HtmlOutputRule = {
-    +html: HtmlNodeOutput | null,
-};
-
-type ArrayRule = {
-    +react?: ArrayNodeOutput<ReactElements>,
-    +html?: ArrayNodeOutput<string>,
-    +[string]: ArrayNodeOutput<any>,
-};
-
-type ParserRules = {
-    +Array?: ArrayRule,
-    +[type: string]: ParserRule,
-};
-
-type OutputRules<Rule> = {
-    +Array?: ArrayRule,
-    +[type: string]: Rule
-};
-type Rules<OutputRule> = {
-    +Array?: ArrayRule,
-    +[type: string]: ParserRule & OutputRule,
-};
-type ReactRules = {
-    +Array?: {
-        +react: ArrayNodeOutput<ReactElements>,
-    },
-    +[type: string]: ParserRule & ReactOutputRule,
-};
-type HtmlRules = {
-    +Array?: {
-        +html: ArrayNodeOutput<string>,
-    },
-    +[type: string]: ParserRule & HtmlOutputRule,
-};
-
-// We want to clarify our defaultRules types a little bit more so clients can
-// reuse defaultRules built-ins. So we make some stronger guarantess when
-// we can:
-type NonNullReactOutputRule = {
-    +react: ReactNodeOutput,
-};
-type ElementReactOutputRule = {
-    +react: NodeOutput<ReactElement>,
-};
-type TextReactOutputRule = {
-    +react: NodeOutput<string>,
-};
-type NonNullHtmlOutputRule = {
-    +html: HtmlNodeOutput,
-};
-
-type DefaultInRule = SingleNodeParserRule & ReactOutputRule & HtmlOutputRule;
-type TextInOutRule = SingleNodeParserRule & TextReactOutputRule & NonNullHtmlOutputRule;
-type LenientInOutRule = SingleNodeParserRule & NonNullReactOutputRule & NonNullHtmlOutputRule;
-type DefaultInOutRule = SingleNodeParserRule & ElementReactOutputRule & NonNullHtmlOutputRule;
-
-type DefaultRules = {
-    +Array: {
-        +react: ArrayNodeOutput<ReactElements>,
-        +html: ArrayNodeOutput<string>
-    },
-    +heading: DefaultInOutRule,
-    +nptable: DefaultInRule,
-    +lheading: DefaultInRule,
-    +hr: DefaultInOutRule,
-    +codeBlock: DefaultInOutRule,
-    +fence: DefaultInRule,
-    +blockQuote: DefaultInOutRule,
-    +list: DefaultInOutRule,
-    +def: LenientInOutRule,
-    +table: DefaultInOutRule,
-    +tableSeparator: DefaultInRule,
-    +newline: TextInOutRule,
-    +paragraph: DefaultInOutRule,
-    +escape: DefaultInRule,
-    +autolink: DefaultInRule,
-    +mailto: DefaultInRule,
-    +url: DefaultInRule,
-    +link: DefaultInOutRule,
-    +image: DefaultInOutRule,
-    +reflink: DefaultInRule,
-    +refimage: DefaultInRule,
-    +em: DefaultInOutRule,
-    +strong: DefaultInOutRule,
-    +u: DefaultInOutRule,
-    +del: DefaultInOutRule,
-    +inlineCode: DefaultInOutRule,
-    +br: DefaultInOutRule,
-    +text: TextInOutRule,
-};
-
-type RefNode = {
-    type: string,
-    content?: ASTNode,
-    target?: string,
-    title?: string,
-    alt?: string,
-};
-
-// End Flow Definitions
-*/
-
-var CR_NEWLINE_R = /\r\n?/g;
-var TAB_R = /\t/g;
-var FORMFEED_R = /\f/g;
-
-/**
- * Turn various whitespace into easy-to-process whitespace
- * @param {string} source
- * @returns {string}
- */
-var preprocess = function(source /* : string */) {
-    return source.replace(CR_NEWLINE_R, '\n')
-            .replace(FORMFEED_R, '')
-            .replace(TAB_R, '    ');
-};
-
-/**
- * @param {SimpleMarkdown.OptionalState} givenState
- * @param {SimpleMarkdown.OptionalState} defaultState
- * @returns {SimpleMarkdown.State}
- */
-var populateInitialState = function(
-    givenState /* : ?State */,
-    defaultState /* : ?State */
-) /* : State */{
-    var state /* : State */ = givenState || {};
-    if (defaultState != null) {
-        for (var prop in defaultState) {
-            if (Object.prototype.hasOwnProperty.call(defaultState, prop)) {
-                state[prop] = defaultState[prop];
-            }
-        }
-    }
-    return state;
-};
-
-/**
- * Creates a parser for a given set of rules, with the precedence
- * specified as a list of rules.
- *
- * @param {SimpleMarkdown.ParserRules} rules
- *     an object containing
- *     rule type -> {match, order, parse} objects
- *     (lower order is higher precedence)
- * @param {SimpleMarkdown.OptionalState} [defaultState]
- *
- * @returns {SimpleMarkdown.Parser}
- *     The resulting parse function, with the following parameters:
- *     @source: the input source string to be parsed
- *     @state: an optional object to be threaded through parse
- *         calls. Allows clients to add stateful operations to
- *         parsing, such as keeping track of how many levels deep
- *         some nesting is. For an example use-case, see passage-ref
- *         parsing in src/widgets/passage/passage-markdown.jsx
- */
-var parserFor = function(rules /*: ParserRules */, defaultState /*: ?State */) {
-    // Sorts rules in order of increasing order, then
-    // ascending rule name in case of ties.
-    var ruleList = Object.keys(rules).filter(function(type) {
-        var rule = rules[type];
-        if (rule == null || rule.match == null) {
-            return false;
-        }
-        var order = rule.order;
-        if ((typeof order !== 'number' || !isFinite(order)) &&
-                typeof console !== 'undefined') {
-            console.warn(
-                "simple-markdown: Invalid order for rule `" + type + "`: " +
-                String(order)
-            );
-        }
-        return true;
-    });
-
-    ruleList.sort(function(typeA, typeB) {
-        var ruleA /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ (rules[typeA] /*:: :any */);
-        var ruleB /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ (rules[typeB] /*:: :any */);
-        var orderA = ruleA.order;
-        var orderB = ruleB.order;
-
-        // First sort based on increasing order
-        if (orderA !== orderB) {
-            return orderA - orderB;
-        }
-
-        var secondaryOrderA = ruleA.quality ? 0 : 1;
-        var secondaryOrderB = ruleB.quality ? 0 : 1;
-
-        if (secondaryOrderA !== secondaryOrderB) {
-            return secondaryOrderA - secondaryOrderB;
-
-        // Then based on increasing unicode lexicographic ordering
-        } else if (typeA < typeB) {
-            return -1;
-        } else if (typeA > typeB) {
-            return 1;
-
-        } else {
-            // Rules should never have the same name,
-            // but this is provided for completeness.
-            return 0;
-        }
-    });
-
-    /** @type {SimpleMarkdown.State} */
-    var latestState;
-    /** @type {SimpleMarkdown.Parser} */
-    var nestedParse = function(source /* : string */, state /* : ?State */) {
-        /** @type Array<SimpleMarkdown.SingleASTNode> */
-        var result = [];
-        state = state || latestState;
-        latestState = state;
-        while (source) {
-            // store the best match, it's rule, and quality:
-            var ruleType = null;
-            var rule = null;
-            var capture = null;
-            var quality = NaN;
-
-            // loop control variables:
-            var i = 0;
-            var currRuleType = ruleList[0];
-            var currRule /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ ( rules[currRuleType] /*:: :any */ );
-
-            do {
-                var currOrder = currRule.order;
-                var prevCaptureStr = state.prevCapture == null ? "" : state.prevCapture[0];
-                var currCapture = currRule.match(source, state, prevCaptureStr);
-
-                if (currCapture) {
-                    var currQuality = currRule.quality ? currRule.quality(
-                        currCapture,
-                        state,
-                        prevCaptureStr
-                    ) : 0;
-                    // This should always be true the first time because
-                    // the initial quality is NaN (that's why there's the
-                    // condition negation).
-                    if (!(currQuality <= quality)) {
-                        ruleType = currRuleType;
-                        rule = currRule;
-                        capture = currCapture;
-                        quality = currQuality;
-                    }
-                }
-
-                // Move on to the next item.
-                // Note that this makes `currRule` be the next item
-                i++;
-                currRuleType = ruleList[i];
-                currRule = /*::((*/ /** @type {SimpleMarkdown.ParserRule} */ (rules[currRuleType]) /*:: : any) : ParserRule)*/;
-
-            } while (
-                // keep looping while we're still within the ruleList
-                currRule && (
-                    // if we don't have a match yet, continue
-                    !capture || (
-                        // or if we have a match, but the next rule is
-                        // at the same order, and has a quality measurement
-                        // functions, then this rule must have a quality
-                        // measurement function (since they are sorted before
-                        // those without), and we need to check if there is
-                        // a better quality match
-                        currRule.order === currOrder &&
-                        currRule.quality
-                    )
-                )
-            );
-
-            // TODO(aria): Write tests for these
-            if (rule == null || capture == null /*:: || ruleType == null */) {
-                throw new Error(
-                    "Could not find a matching rule for the below " +
-                    "content. The rule with highest `order` should " +
-                    "always match content provided to it. Check " +
-                    "the definition of `match` for '" +
-                    ruleList[ruleList.length - 1] +
-                    "'. It seems to not match the following source:\n" +
-                    source
-                );
-            }
-            if (capture.index) { // If present and non-zero, i.e. a non-^ regexp result:
-                throw new Error(
-                    "`match` must return a capture starting at index 0 " +
-                    "(the current parse index). Did you forget a ^ at the " +
-                    "start of the RegExp?"
-                );
-            }
-
-            var parsed = rule.parse(capture, nestedParse, state);
-            // We maintain the same object here so that rules can
-            // store references to the objects they return and
-            // modify them later. (oops sorry! but this adds a lot
-            // of power--see reflinks.)
-            if (Array.isArray(parsed)) {
-                Array.prototype.push.apply(result, parsed);
-            } else {
-                // We also let rules override the default type of
-                // their parsed node if they would like to, so that
-                // there can be a single output function for all links,
-                // even if there are several rules to parse them.
-                if (parsed.type == null) {
-                    parsed.type = ruleType;
-                }
-                result.push(/** @type {SimpleMarkdown.SingleASTNode} */ (parsed));
-            }
-
-            state.prevCapture = capture;
-            source = source.substring(state.prevCapture[0].length);
-        }
-        return result;
-    };
-
-    /** @type {SimpleMarkdown.Parser} */
-    var outerParse = function(source /* : string */, state /* : ?State */) {
-        latestState = populateInitialState(state, defaultState);
-        if (!latestState.inline && !latestState.disableAutoBlockNewlines) {
-            source = source + "\n\n";
-        }
-        // We store the previous capture so that match functions can
-        // use some limited amount of lookbehind. Lists use this to
-        // ensure they don't match arbitrary '- ' or '* ' in inline
-        // text (see the list rule for more information). This stores
-        // the full regex capture object, if there is one.
-        latestState.prevCapture = null;
-        return nestedParse(preprocess(source), latestState);
-    };
-    return outerParse;
-};
-
-// Creates a match function for an inline scoped element from a regex
-/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
-var inlineRegex = function(regex /* : RegExp */) {
-    /** @type {SimpleMarkdown.MatchFunction} */
-    var match /* : MatchFunction */ = function(source, state) {
-        if (state.inline) {
-            return regex.exec(source);
-        } else {
-            return null;
-        }
-    };
-    match.regex = regex;
-    return match;
-};
-
-// Creates a match function for a block scoped element from a regex
-/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
-var blockRegex = function(regex /* : RegExp */) {
-    /** @type {SimpleMarkdown.MatchFunction} */
-    var match /* : MatchFunction */ = function(source, state) {
-        if (state.inline) {
-            return null;
-        } else {
-            return regex.exec(source);
-        }
-    };
-    match.regex = regex;
-    return match;
-};
-
-// Creates a match function from a regex, ignoring block/inline scope
-/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
-var anyScopeRegex = function(regex /* : RegExp */) {
-    /** @type {SimpleMarkdown.MatchFunction} */
-    var match /* : MatchFunction */ = function(source, state) {
-        return regex.exec(source);
-    };
-    match.regex = regex;
-    return match;
-};
-
-var TYPE_SYMBOL =
-    (typeof Symbol === 'function' && Symbol.for &&
-     Symbol.for('react.element')) ||
-    0xeac7;
-
-/**
- * @param {string} type
- * @param {string | number | null | undefined} key
- * @param {Object<string, any>} props
- * @returns {SimpleMarkdown.ReactElement}
- */
-var reactElement = function(
-    type /* : string */,
-    key /* : string | number | null | void */,
-    props /* : { [string]: any } */
-) /* : ReactElement */ {
-    var element /* : ReactElement */ = /** @type {SimpleMarkdown.ReactElement} */ ({
-        $$typeof: TYPE_SYMBOL,
-        type: type,
-        key: key == null ? undefined : key,
-        ref: null,
-        props: props,
-        _owner: null
-    } /* : any */);
-    return element;
-};
-
-/** Returns a closed HTML tag.
- * @param {string} tagName - Name of HTML tag (eg. "em" or "a")
- * @param {string} content - Inner content of tag
- * @param {{ [attr: string]: SimpleMarkdown.Attr }} [attributes] - Optional extra attributes of tag as an object of key-value pairs
- *   eg. { "href": "http://google.com" }. Falsey attributes are filtered out.
- * @param {boolean} [isClosed] - boolean that controls whether tag is closed or not (eg. img tags).
- *   defaults to true
- */
-var htmlTag = function(
-    tagName /* : string */,
-    content /* : string */,
-    attributes /* : ?{[any]: ?Attr} */,
-    isClosed /* : ?boolean */
-) {
-    attributes = attributes || {};
-    isClosed = typeof isClosed !== 'undefined' ? isClosed : true;
-
-    var attributeString = "";
-    for (var attr in attributes) {
-        var attribute = attributes[attr];
-        // Removes falsey attributes
-        if (Object.prototype.hasOwnProperty.call(attributes, attr) &&
-                attribute) {
-            attributeString += " " +
-                sanitizeText(attr) + '="' +
-                sanitizeText(attribute) + '"';
-        }
-    }
-
-    var unclosedTag = "<" + tagName + attributeString + ">";
-
-    if (isClosed) {
-        return unclosedTag + content + "</" + tagName + ">";
-    } else {
-        return unclosedTag;
-    }
-};
-
-var EMPTY_PROPS = {};
-
-/**
- * @param {string | null | undefined} url - url to sanitize
- * @returns {string | null} - url if safe, or null if a safe url could not be made
- */
-var sanitizeUrl = function(url /* : ?string */) {
-    if (url == null) {
-        return null;
-    }
-    try {
-        var prot = decodeURIComponent(url)
-            .replace(/[^A-Za-z0-9/:]/g, '')
-            .toLowerCase();
-        if (prot.indexOf('javascript:') === 0 || prot.indexOf('vbscript:') === 0 || prot.indexOf('data:') === 0) {
-            return null;
-        }
-    } catch (e) {
-        // decodeURIComponent sometimes throws a URIError
-        // See `decodeURIComponent('a%AFc');`
-        // http://stackoverflow.com/questions/9064536/javascript-decodeuricomponent-malformed-uri-exception
-        return null;
-    }
-    return url;
-};
-
-var SANITIZE_TEXT_R = /[<>&"']/g;
-/** @type {any} */
-var SANITIZE_TEXT_CODES = {
-    '<': '&lt;',
-    '>': '&gt;',
-    '&': '&amp;',
-    '"': '&quot;',
-    "'": '&#x27;',
-    '/': '&#x2F;',
-    "`": '&#96;'
-};
-/**
- * @param {SimpleMarkdown.Attr} text
- * @returns {string}
- */
-var sanitizeText = function(text /* : Attr */) {
-    return String(text).replace(SANITIZE_TEXT_R, function(chr) {
-        return SANITIZE_TEXT_CODES[chr];
-    });
-};
-
-var UNESCAPE_URL_R = /\\([^0-9A-Za-z\s])/g;
-
-/**
- * @param {string} rawUrlString
- * @returns {string}
- */
-var unescapeUrl = function(rawUrlString /* : string */) {
-    return rawUrlString.replace(UNESCAPE_URL_R, "$1");
-};
-
-/**
- * Parse some content with the parser `parse`, with state.inline
- * set to true. Useful for block elements; not generally necessary
- * to be used by inline elements (where state.inline is already true.
- *
- * @param {SimpleMarkdown.Parser} parse
- * @param {string} content
- * @param {SimpleMarkdown.State} state
- * @returns {SimpleMarkdown.ASTNode}
- */
-var parseInline = function(parse, content, state) {
-    var isCurrentlyInline = state.inline || false;
-    state.inline = true;
-    var result = parse(content, state);
-    state.inline = isCurrentlyInline;
-    return result;
-};
-/**
- * @param {SimpleMarkdown.Parser} parse
- * @param {string} content
- * @param {SimpleMarkdown.State} state
- * @returns {SimpleMarkdown.ASTNode}
- */
-var parseBlock = function(parse, content, state) {
-    var isCurrentlyInline = state.inline || false;
-    state.inline = false;
-    var result = parse(content + "\n\n", state);
-    state.inline = isCurrentlyInline;
-    return result;
-};
-
-/**
- * @param {SimpleMarkdown.Capture} capture
- * @param {SimpleMarkdown.Parser} parse
- * @param {SimpleMarkdown.State} state
- * @returns {SimpleMarkdown.UnTypedASTNode}
- */
-var parseCaptureInline = function(capture, parse, state) {
-    return {
-        content: parseInline(parse, capture[1], state)
-    };
-};
-/**
- * @returns {SimpleMarkdown.UnTypedASTNode}
- */
-var ignoreCapture = function() { return {}; };
-
-// recognize a `*` `-`, `+`, `1.`, `2.`... list bullet
-var LIST_BULLET = "(?:[*+-]|\\d+\\.)";
-// recognize the start of a list item:
-// leading space plus a bullet plus a space (`   * `)
-var LIST_ITEM_PREFIX = "( *)(" + LIST_BULLET + ") +";
-var LIST_ITEM_PREFIX_R = new RegExp("^" + LIST_ITEM_PREFIX);
-// recognize an individual list item:
-//  * hi
-//    this is part of the same item
-//
-//    as is this, which is a new paragraph in the same item
-//
-//  * but this is not part of the same item
-var LIST_ITEM_R = new RegExp(
-    LIST_ITEM_PREFIX +
-    "[^\\n]*(?:\\n" +
-    "(?!\\1" + LIST_BULLET + " )[^\\n]*)*(\n|$)",
-    "gm"
-);
-var BLOCK_END_R = /\n{2,}$/;
-var INLINE_CODE_ESCAPE_BACKTICKS_R = /^ (?= *`)|(` *) $/g;
-// recognize the end of a paragraph block inside a list item:
-// two or more newlines at end end of the item
-var LIST_BLOCK_END_R = BLOCK_END_R;
-var LIST_ITEM_END_R = / *\n+$/;
-// check whether a list item has paragraphs: if it does,
-// we leave the newlines at the end
-var LIST_R = new RegExp(
-    "^( *)(" + LIST_BULLET + ") " +
-    "[\\s\\S]+?(?:\n{2,}(?! )" +
-    "(?!\\1" + LIST_BULLET + " )\\n*" +
-    // the \\s*$ here is so that we can parse the inside of nested
-    // lists, where our content might end before we receive two `\n`s
-    "|\\s*\n*$)"
-);
-var LIST_LOOKBEHIND_R = /(?:^|\n)( *)$/;
-
-var TABLES = (function() {
-    var TABLE_ROW_SEPARATOR_TRIM = /^ *\| *| *\| *$/g;
-    var TABLE_CELL_END_TRIM = / *$/;
-    var TABLE_RIGHT_ALIGN = /^ *-+: *$/;
-    var TABLE_CENTER_ALIGN = /^ *:-+: *$/;
-    var TABLE_LEFT_ALIGN = /^ *:-+ *$/;
-
-    /**
-     * @param {string} alignCapture
-     * @returns {SimpleMarkdown.TableAlignment}
-     */
-    var parseTableAlignCapture = function(alignCapture) {
-        if (TABLE_RIGHT_ALIGN.test(alignCapture)) {
-            return "right";
-        } else if (TABLE_CENTER_ALIGN.test(alignCapture)) {
-            return "center";
-        } else if (TABLE_LEFT_ALIGN.test(alignCapture)) {
-            return "left";
-        } else {
-            return null;
-        }
-    };
-
-    /**
-     * @param {string} source
-     * @param {SimpleMarkdown.Parser} parse
-     * @param {SimpleMarkdown.State} state
-     * @param {boolean} trimEndSeparators
-     * @returns {Array<SimpleMarkdown.TableAlignment>}
-     */
-    var parseTableAlign = function(source, parse, state, trimEndSeparators) {
-        if (trimEndSeparators) {
-            source = source.replace(TABLE_ROW_SEPARATOR_TRIM, "");
-        }
-        var alignText = source.trim().split("|");
-        return alignText.map(parseTableAlignCapture);
-    };
-
-    /**
-     * @param {string} source
-     * @param {SimpleMarkdown.Parser} parse
-     * @param {SimpleMarkdown.State} state
-     * @param {boolean} trimEndSeparators
-     * @returns {SimpleMarkdown.SingleASTNode[][]}
-     */
-    var parseTableRow = function(source, parse, state, trimEndSeparators) {
-        var prevInTable = state.inTable;
-        state.inTable = true;
-        var tableRow = parse(source.trim(), state);
-        state.inTable = prevInTable;
-
-        /** @type {SimpleMarkdown.SingleASTNode[][]} */
-        var cells = [[]];
-        tableRow.forEach(function(node, i) {
-            if (node.type === 'tableSeparator') {
-                // Filter out empty table separators at the start/end:
-                if (!trimEndSeparators || i !== 0 && i !== tableRow.length - 1) {
-                    // Split the current row:
-                    cells.push([]);
-                }
-            } else {
-                if (node.type === 'text' && (
-                    tableRow[i + 1] == null ||
-                    tableRow[i + 1].type === 'tableSeparator'
-                )) {
-                    node.content = node.content.replace(TABLE_CELL_END_TRIM, "");
-                }
-                cells[cells.length - 1].push(node);
-            }
-        });
-
-        return cells;
-    };
-
-    /**
-     * @param {string} source
-     * @param {SimpleMarkdown.Parser} parse
-     * @param {SimpleMarkdown.State} state
-     * @param {boolean} trimEndSeparators
-     * @returns {SimpleMarkdown.ASTNode[][]}
-     */
-    var parseTableCells = function(source, parse, state, trimEndSeparators) {
-        var rowsText = source.trim().split("\n");
-
-        return rowsText.map(function(rowText) {
-            return parseTableRow(rowText, parse, state, trimEndSeparators);
-        });
-    };
-
-    /**
-     * @param {boolean} trimEndSeparators
-     * @returns {SimpleMarkdown.SingleNodeParseFunction}
-     */
-    var parseTable = function(trimEndSeparators) {
-        /** @type {SimpleMarkdown.SingleNodeParseFunction} */
-        return function(capture, parse, state) {
-            state.inline = true;
-            var header = parseTableRow(capture[1], parse, state, trimEndSeparators);
-            var align = parseTableAlign(capture[2], parse, state, trimEndSeparators);
-            var cells = parseTableCells(capture[3], parse, state, trimEndSeparators);
-            state.inline = false;
-
-            return {
-                type: "table",
-                header: header,
-                align: align,
-                cells: cells
-            };
-        };
-    };
-
-    return {
-        parseTable: parseTable(true),
-        parseNpTable: parseTable(false),
-        TABLE_REGEX: /^ *(\|.+)\n *\|( *[-:]+[-| :]*)\n((?: *\|.*(?:\n|$))*)\n*/,
-        NPTABLE_REGEX: /^ *(\S.*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:.*\|.*(?:\n|$))*)\n*/
-    };
-})();
-
-var LINK_INSIDE = "(?:\\[[^\\]]*\\]|[^\\[\\]]|\\](?=[^\\[]*\\]))*";
-var LINK_HREF_AND_TITLE =
-        "\\s*<?((?:\\([^)]*\\)|[^\\s\\\\]|\\\\.)*?)>?(?:\\s+['\"]([\\s\\S]*?)['\"])?\\s*";
-var AUTOLINK_MAILTO_CHECK_R = /mailto:/i;
-
-/**
- * @param {SimpleMarkdown.Capture} capture
- * @param {SimpleMarkdown.State} state
- * @param {SimpleMarkdown.RefNode} refNode
- * @returns {SimpleMarkdown.RefNode}
- */
-var parseRef = function(capture, state, refNode /* : RefNode */) {
-    var ref = (capture[2] || capture[1])
-        .replace(/\s+/g, ' ')
-        .toLowerCase();
-
-    // We store information about previously seen defs on
-    // state._defs (_ to deconflict with client-defined
-    // state). If the def for this reflink/refimage has
-    // already been seen, we can use its target/source
-    // and title here:
-    if (state._defs && state._defs[ref]) {
-        var def = state._defs[ref];
-        // `refNode` can be a link or an image. Both use
-        // target and title properties.
-        refNode.target = def.target;
-        refNode.title = def.title;
-    }
-
-    // In case we haven't seen our def yet (or if someone
-    // overwrites that def later on), we add this node
-    // to the list of ref nodes for that def. Then, when
-    // we find the def, we can modify this link/image AST
-    // node :).
-    // I'm sorry.
-    state._refs = state._refs || {};
-    state._refs[ref] = state._refs[ref] || [];
-    state._refs[ref].push(refNode);
-
-    return refNode;
-};
-
-var currOrder = 0;
-/** @type {SimpleMarkdown.DefaultRules} */
-var defaultRules /* : DefaultRules */ = {
-    Array: {
-        react: function(arr, output, state) {
-            var oldKey = state.key;
-            var result /* : Array<ReactElements> */ = [];
-
-            // map output over the ast, except group any text
-            // nodes together into a single string output.
-            for (var i = 0, key = 0; i < arr.length; i++, key++) {
-                // `key` is our numerical `state.key`, which we increment for
-                // every output node, but don't change for joined text nodes.
-                // (i, however, must change for joined text nodes)
-                state.key = '' + i;
-
-                var node = arr[i];
-                if (node.type === 'text') {
-                    node = { type: 'text', content: node.content };
-                    for (; i + 1 < arr.length && arr[i + 1].type === 'text'; i++) {
-                        node.content += arr[i + 1].content;
-                    }
-                }
-
-                result.push(output(node, state));
-            }
-
-            state.key = oldKey;
-            return result;
-        },
-        html: function(arr, output, state) {
-            var result = "";
-
-            // map output over the ast, except group any text
-            // nodes together into a single string output.
-            for (var i = 0; i < arr.length; i++) {
-
-                var node = arr[i];
-                if (node.type === 'text') {
-                    node = { type: 'text', content: node.content };
-                    for (; i + 1 < arr.length && arr[i + 1].type === 'text'; i++) {
-                        node.content += arr[i + 1].content;
-                    }
-                }
-
-                result += output(node, state);
-            }
-            return result;
-        }
-    },
-    heading: {
-        order: currOrder++,
-        match: blockRegex(/^ *(#{1,6})([^\n]+?)#* *(?:\n *)+\n/),
-        parse: function(capture, parse, state) {
-            return {
-                level: capture[1].length,
-                content: parseInline(parse, capture[2].trim(), state)
-            };
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'h' + node.level,
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("h" + node.level, output(node.content, state));
-        }
-    },
-    nptable: {
-        order: currOrder++,
-        match: blockRegex(TABLES.NPTABLE_REGEX),
-        parse: TABLES.parseNpTable,
-        react: null,
-        html: null
-    },
-    lheading: {
-        order: currOrder++,
-        match: blockRegex(/^([^\n]+)\n *(=|-){3,} *(?:\n *)+\n/),
-        parse: function(capture, parse, state) {
-            return {
-                type: "heading",
-                level: capture[2] === '=' ? 1 : 2,
-                content: parseInline(parse, capture[1], state)
-            };
-        },
-        react: null,
-        html: null
-    },
-    hr: {
-        order: currOrder++,
-        match: blockRegex(/^( *[-*_]){3,} *(?:\n *)+\n/),
-        parse: ignoreCapture,
-        react: function(node, output, state) {
-            return reactElement(
-                'hr',
-                state.key,
-                EMPTY_PROPS
-            );
-        },
-        html: function(node, output, state) {
-            return "<hr>";
-        }
-    },
-    codeBlock: {
-        order: currOrder++,
-        match: blockRegex(/^(?:    [^\n]+\n*)+(?:\n *)+\n/),
-        parse: function(capture, parse, state) {
-            var content = capture[0]
-                .replace(/^    /gm, '')
-                .replace(/\n+$/, '');
-            return {
-                lang: undefined,
-                content: content
-            };
-        },
-        react: function(node, output, state) {
-            var className = node.lang ?
-                "markdown-code-" + node.lang :
-                undefined;
-
-            return reactElement(
-                'pre',
-                state.key,
-                {
-                    children: reactElement(
-                        'code',
-                        null,
-                        {
-                            className: className,
-                            children: node.content
-                        }
-                    )
-                }
-            );
-        },
-        html: function(node, output, state) {
-            var className = node.lang ?
-                "markdown-code-" + node.lang :
-                undefined;
-
-            var codeBlock = htmlTag("code", sanitizeText(node.content), {
-                class: className
-            });
-            return htmlTag("pre", codeBlock);
-        }
-    },
-    fence: {
-        order: currOrder++,
-        match: blockRegex(/^ *(`{3,}|~{3,}) *(?:(\S+) *)?\n([\s\S]+?)\n?\1 *(?:\n *)+\n/),
-        parse: function(capture, parse, state) {
-            return {
-                type: "codeBlock",
-                lang: capture[2] || undefined,
-                content: capture[3]
-            };
-        },
-        react: null,
-        html: null
-    },
-    blockQuote: {
-        order: currOrder++,
-        match: blockRegex(/^( *>[^\n]+(\n[^\n]+)*\n*)+\n{2,}/),
-        parse: function(capture, parse, state) {
-            var content = capture[0].replace(/^ *> ?/gm, '');
-            return {
-                content: parse(content, state)
-            };
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'blockquote',
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("blockquote", output(node.content, state));
-        }
-    },
-    list: {
-        order: currOrder++,
-        match: function(source, state) {
-            // We only want to break into a list if we are at the start of a
-            // line. This is to avoid parsing "hi * there" with "* there"
-            // becoming a part of a list.
-            // You might wonder, "but that's inline, so of course it wouldn't
-            // start a list?". You would be correct! Except that some of our
-            // lists can be inline, because they might be inside another list,
-            // in which case we can parse with inline scope, but need to allow
-            // nested lists inside this inline scope.
-            var prevCaptureStr = state.prevCapture == null ? "" : state.prevCapture[0];
-            var isStartOfLineCapture = LIST_LOOKBEHIND_R.exec(prevCaptureStr);
-            var isListBlock = state._list || !state.inline;
-
-            if (isStartOfLineCapture && isListBlock) {
-                source = isStartOfLineCapture[1] + source;
-                return LIST_R.exec(source);
-            } else {
-                return null;
-            }
-        },
-        parse: function(capture, parse, state) {
-            var bullet = capture[2];
-            var ordered = bullet.length > 1;
-            var start = ordered ? +bullet : undefined;
-            var items = /** @type {string[]} */ (
-                capture[0]
-                    .replace(LIST_BLOCK_END_R, "\n")
-                    .match(LIST_ITEM_R)
-            );
-
-            // We know this will match here, because of how the regexes are
-            // defined
-            /*:: items = ((items : any) : Array<string>) */
-
-            var lastItemWasAParagraph = false;
-            var itemContent = items.map(function(/** @type {string} */ item, /** @type {number} */ i) {
-                // We need to see how far indented this item is:
-                var prefixCapture = LIST_ITEM_PREFIX_R.exec(item);
-                var space = prefixCapture ? prefixCapture[0].length : 0;
-                // And then we construct a regex to "unindent" the subsequent
-                // lines of the items by that amount:
-                var spaceRegex = new RegExp("^ {1," + space + "}", "gm");
-
-                // Before processing the item, we need a couple things
-                var content = item
-                         // remove indents on trailing lines:
-                        .replace(spaceRegex, '')
-                         // remove the bullet:
-                        .replace(LIST_ITEM_PREFIX_R, '');
-
-                // I'm not sur4 why this is necessary again?
-                /*:: items = ((items : any) : Array<string>) */
-
-                // Handling "loose" lists, like:
-                //
-                //  * this is wrapped in a paragraph
-                //
-                //  * as is this
-                //
-                //  * as is this
-                var isLastItem = (i === items.length - 1);
-                var containsBlocks = content.indexOf("\n\n") !== -1;
-
-                // Any element in a list is a block if it contains multiple
-                // newlines. The last element in the list can also be a block
-                // if the previous item in the list was a block (this is
-                // because non-last items in the list can end with \n\n, but
-                // the last item can't, so we just "inherit" this property
-                // from our previous element).
-                var thisItemIsAParagraph = containsBlocks ||
-                        (isLastItem && lastItemWasAParagraph);
-                lastItemWasAParagraph = thisItemIsAParagraph;
-
-                // backup our state for restoration afterwards. We're going to
-                // want to set state._list to true, and state.inline depending
-                // on our list's looseness.
-                var oldStateInline = state.inline;
-                var oldStateList = state._list;
-                state._list = true;
-
-                // Parse inline if we're in a tight list, or block if we're in
-                // a loose list.
-                var adjustedContent;
-                if (thisItemIsAParagraph) {
-                    state.inline = false;
-                    adjustedContent = content.replace(LIST_ITEM_END_R, "\n\n");
-                } else {
-                    state.inline = true;
-                    adjustedContent = content.replace(LIST_ITEM_END_R, "");
-                }
-
-                var result = parse(adjustedContent, state);
-
-                // Restore our state before returning
-                state.inline = oldStateInline;
-                state._list = oldStateList;
-                return result;
-            });
-
-            return {
-                ordered: ordered,
-                start: start,
-                items: itemContent
-            };
-        },
-        react: function(node, output, state) {
-            var ListWrapper = node.ordered ? "ol" : "ul";
-
-            return reactElement(
-                ListWrapper,
-                state.key,
-                {
-                    start: node.start,
-                    children: node.items.map(function(
-                        /** @type {SimpleMarkdown.ASTNode} */ item,
-                        /** @type {number} */ i
-                    ) {
-                        return reactElement(
-                            'li',
-                            '' + i,
-                            {
-                                children: output(item, state)
-                            }
-                        );
-                    })
-                }
-            );
-        },
-        html: function(node, output, state) {
-            var listItems = node.items.map(function(/** @type {SimpleMarkdown.ASTNode} */ item) {
-                return htmlTag("li", output(item, state));
-            }).join("");
-
-            var listTag = node.ordered ? "ol" : "ul";
-            var attributes = {
-                start: node.start
-            };
-            return htmlTag(listTag, listItems, attributes);
-        }
-    },
-    def: {
-        order: currOrder++,
-        // TODO(aria): This will match without a blank line before the next
-        // block element, which is inconsistent with most of the rest of
-        // simple-markdown.
-        match: blockRegex(
-            /^ *\[([^\]]+)\]: *<?([^\s>]*)>?(?: +["(]([^\n]+)[")])? *\n(?: *\n)*/
-        ),
-        parse: function(capture, parse, state) {
-            var def = capture[1]
-                .replace(/\s+/g, ' ')
-                .toLowerCase();
-            var target = capture[2];
-            var title = capture[3];
-
-            // Look for previous links/images using this def
-            // If any links/images using this def have already been declared,
-            // they will have added themselves to the state._refs[def] list
-            // (_ to deconflict with client-defined state). We look through
-            // that list of reflinks for this def, and modify those AST nodes
-            // with our newly found information now.
-            // Sorry :(.
-            if (state._refs && state._refs[def]) {
-                // `refNode` can be a link or an image
-                state._refs[def].forEach(function(/** @type {SimpleMarkdown.RefNode} */ refNode) {
-                    refNode.target = target;
-                    refNode.title = title;
-                });
-            }
-
-            // Add this def to our map of defs for any future links/images
-            // In case we haven't found any or all of the refs referring to
-            // this def yet, we add our def to the table of known defs, so
-            // that future reflinks can modify themselves appropriately with
-            // this information.
-            state._defs = state._defs || {};
-            state._defs[def] = {
-                target: target,
-                title: title,
-            };
-
-            // return the relevant parsed information
-            // for debugging only.
-            return {
-                def: def,
-                target: target,
-                title: title,
-            };
-        },
-        react: function() { return null; },
-        html: function() { return ""; }
-    },
-    table: {
-        order: currOrder++,
-        match: blockRegex(TABLES.TABLE_REGEX),
-        parse: TABLES.parseTable,
-        react: function(node, output, state) {
-            /**
-             * @param {number} colIndex
-             * @returns {{ [attr: string]: SimpleMarkdown.Attr }}
-             */
-            var getStyle = function(colIndex) {
-                return node.align[colIndex] == null ? {} : {
-                    textAlign: node.align[colIndex]
-                };
-            };
-
-            var headers = node.header.map(function(
-                /** @type {SimpleMarkdown.ASTNode} */ content,
-                /** @type {number} */ i
-            ) {
-                return reactElement(
-                    'th',
-                    '' + i,
-                    {
-                        style: getStyle(i),
-                        scope: 'col',
-                        children: output(content, state)
-                    }
-                );
-            });
-
-            var rows = node.cells.map(function(
-                    /** @type {SimpleMarkdown.ASTNode[]} */ row,
-                    /** @type {number} */ r
-            ) {
-                return reactElement(
-                    'tr',
-                    '' + r,
-                    {
-                        children: row.map(function(
-                            /** @type {SimpleMarkdown.ASTNode} */ content,
-                            /** @type {number} */ c
-                        ) {
-                            return reactElement(
-                                'td',
-                                '' + c,
-                                {
-                                    style: getStyle(c),
-                                    children: output(content, state)
-                                }
-                            );
-                        })
-                    }
-                );
-            });
-
-            return reactElement(
-                'table',
-                state.key,
-                {
-                    children: [reactElement(
-                        'thead',
-                        'thead',
-                        {
-                            children: reactElement(
-                                'tr',
-                                null,
-                                {
-                                    children: headers
-                                }
-                            )
-                        }
-                    ), reactElement(
-                        'tbody',
-                        'tbody',
-                        {
-                            children: rows
-                        }
-                    )]
-                }
-            );
-        },
-        html: function(node, output, state) {
-            /**
-             * @param {number} colIndex
-             * @returns {string}
-             */
-            var getStyle = function(colIndex) {
-                return node.align[colIndex] == null ? "" :
-                    "text-align:" + node.align[colIndex] + ";";
-            };
-
-            var headers = node.header.map(function(
-                /** @type {SimpleMarkdown.ASTNode} */ content,
-                /** @type {number} */ i
-            ) {
-                return htmlTag("th", output(content, state),
-                    { style: getStyle(i), scope: "col" });
-            }).join("");
-
-            var rows = node.cells.map(function(/** @type {SimpleMarkdown.ASTNode[]} */ row) {
-                var cols = row.map(function(
-                    /** @type {SimpleMarkdown.ASTNode} */ content,
-                    /** @type {number} */ c
-                ) {
-                    return htmlTag("td", output(content, state),
-                        { style: getStyle(c) });
-                }).join("");
-
-                return htmlTag("tr", cols);
-            }).join("");
-
-            var thead = htmlTag("thead", htmlTag("tr", headers));
-            var tbody = htmlTag("tbody", rows);
-
-            return htmlTag("table", thead + tbody);
-        }
-    },
-    newline: {
-        order: currOrder++,
-        match: blockRegex(/^(?:\n *)*\n/),
-        parse: ignoreCapture,
-        react: function(node, output, state) { return "\n"; },
-        html: function(node, output, state) { return "\n"; }
-    },
-    paragraph: {
-        order: currOrder++,
-        match: blockRegex(/^((?:[^\n]|\n(?! *\n))+)(?:\n *)+\n/),
-        parse: parseCaptureInline,
-        react: function(node, output, state) {
-            return reactElement(
-                'div',
-                state.key,
-                {
-                    className: 'paragraph',
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            var attributes = {
-                class: 'paragraph'
-            };
-            return htmlTag("div", output(node.content, state), attributes);
-        }
-    },
-    escape: {
-        order: currOrder++,
-        // We don't allow escaping numbers, letters, or spaces here so that
-        // backslashes used in plain text still get rendered. But allowing
-        // escaping anything else provides a very flexible escape mechanism,
-        // regardless of how this grammar is extended.
-        match: inlineRegex(/^\\([^0-9A-Za-z\s])/),
-        parse: function(capture, parse, state) {
-            return {
-                type: "text",
-                content: capture[1]
-            };
-        },
-        react: null,
-        html: null
-    },
-    tableSeparator: {
-        order: currOrder++,
-        match: function(source, state) {
-            if (!state.inTable) {
-                return null;
-            }
-            return /^ *\| */.exec(source);
-        },
-        parse: function() {
-            return { type: 'tableSeparator' };
-        },
-        // These shouldn't be reached, but in case they are, be reasonable:
-        react: function() { return ' | '; },
-        html: function() { return ' &vert; '; },
-    },
-    autolink: {
-        order: currOrder++,
-        match: inlineRegex(/^<([^: >]+:\/[^ >]+)>/),
-        parse: function(capture, parse, state) {
-            return {
-                type: "link",
-                content: [{
-                    type: "text",
-                    content: capture[1]
-                }],
-                target: capture[1]
-            };
-        },
-        react: null,
-        html: null
-    },
-    mailto: {
-        order: currOrder++,
-        match: inlineRegex(/^<([^ >]+@[^ >]+)>/),
-        parse: function(capture, parse, state) {
-            var address = capture[1];
-            var target = capture[1];
-
-            // Check for a `mailto:` already existing in the link:
-            if (!AUTOLINK_MAILTO_CHECK_R.test(target)) {
-                target = "mailto:" + target;
-            }
-
-            return {
-                type: "link",
-                content: [{
-                    type: "text",
-                    content: address
-                }],
-                target: target
-            };
-        },
-        react: null,
-        html: null
-    },
-    url: {
-        order: currOrder++,
-        match: inlineRegex(/^(https?:\/\/[^\s<]+[^<.,:;"')\]\s])/),
-        parse: function(capture, parse, state) {
-            return {
-                type: "link",
-                content: [{
-                    type: "text",
-                    content: capture[1]
-                }],
-                target: capture[1],
-                title: undefined
-            };
-        },
-        react: null,
-        html: null
-    },
-    link: {
-        order: currOrder++,
-        match: inlineRegex(new RegExp(
-            "^\\[(" + LINK_INSIDE + ")\\]\\(" + LINK_HREF_AND_TITLE + "\\)"
-        )),
-        parse: function(capture, parse, state) {
-            var link ={
-                content: parse(capture[1], state),
-                target: unescapeUrl(capture[2]),
-                title: capture[3]
-            };
-            return link;
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'a',
-                state.key,
-                {
-                    href: sanitizeUrl(node.target),
-                    title: node.title,
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            var attributes = {
-                href: sanitizeUrl(node.target),
-                title: node.title
-            };
-
-            return htmlTag("a", output(node.content, state), attributes);
-        }
-    },
-    image: {
-        order: currOrder++,
-        match: inlineRegex(new RegExp(
-            "^!\\[(" + LINK_INSIDE + ")\\]\\(" + LINK_HREF_AND_TITLE + "\\)"
-        )),
-        parse: function(capture, parse, state) {
-            var image = {
-                alt: capture[1],
-                target: unescapeUrl(capture[2]),
-                title: capture[3]
-            };
-            return image;
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'img',
-                state.key,
-                {
-                    src: sanitizeUrl(node.target),
-                    alt: node.alt,
-                    title: node.title
-                }
-            );
-        },
-        html: function(node, output, state) {
-            var attributes = {
-                src: sanitizeUrl(node.target),
-                alt: node.alt,
-                title: node.title
-            };
-
-            return htmlTag("img", "", attributes, false);
-        }
-    },
-    reflink: {
-        order: currOrder++,
-        match: inlineRegex(new RegExp(
-            // The first [part] of the link
-            "^\\[(" + LINK_INSIDE + ")\\]" +
-            // The [ref] target of the link
-            "\\s*\\[([^\\]]*)\\]"
-        )),
-        parse: function(capture, parse, state) {
-            return parseRef(capture, state, {
-                type: "link",
-                content: parse(capture[1], state)
-            });
-        },
-        react: null,
-        html: null
-    },
-    refimage: {
-        order: currOrder++,
-        match: inlineRegex(new RegExp(
-            // The first [part] of the link
-            "^!\\[(" + LINK_INSIDE + ")\\]" +
-            // The [ref] target of the link
-            "\\s*\\[([^\\]]*)\\]"
-        )),
-        parse: function(capture, parse, state) {
-            return parseRef(capture, state, {
-                type: "image",
-                alt: capture[1]
-            });
-        },
-        react: null,
-        html: null
-    },
-    em: {
-        order: currOrder /* same as strong/u */,
-        match: inlineRegex(
-            new RegExp(
-                // only match _s surrounding words.
-                "^\\b_" +
-                "((?:__|\\\\[\\s\\S]|[^\\\\_])+?)_" +
-                "\\b" +
-                // Or match *s:
-                "|" +
-                // Only match *s that are followed by a non-space:
-                "^\\*(?=\\S)(" +
-                // Match at least one of:
-                "(?:" +
-                  //  - `**`: so that bolds inside italics don't close the
-                  //          italics
-                  "\\*\\*|" +
-                  //  - escape sequence: so escaped *s don't close us
-                  "\\\\[\\s\\S]|" +
-                  //  - whitespace: followed by a non-* (we don't
-                  //          want ' *' to close an italics--it might
-                  //          start a list)
-                  "\\s+(?:\\\\[\\s\\S]|[^\\s\\*\\\\]|\\*\\*)|" +
-                  //  - non-whitespace, non-*, non-backslash characters
-                  "[^\\s\\*\\\\]" +
-                ")+?" +
-                // followed by a non-space, non-* then *
-                ")\\*(?!\\*)"
-            )
-        ),
-        quality: function(capture) {
-            // precedence by length, `em` wins ties:
-            return capture[0].length + 0.2;
-        },
-        parse: function(capture, parse, state) {
-            return {
-                content: parse(capture[2] || capture[1], state)
-            };
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'em',
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("em", output(node.content, state));
-        }
-    },
-    strong: {
-        order: currOrder /* same as em */,
-        match: inlineRegex(/^\*\*((?:\\[\s\S]|[^\\])+?)\*\*(?!\*)/),
-        quality: function(capture) {
-            // precedence by length, wins ties vs `u`:
-            return capture[0].length + 0.1;
-        },
-        parse: parseCaptureInline,
-        react: function(node, output, state) {
-            return reactElement(
-                'strong',
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("strong", output(node.content, state));
-        }
-    },
-    u: {
-        order: currOrder++ /* same as em&strong; increment for next rule */,
-        match: inlineRegex(/^__((?:\\[\s\S]|[^\\])+?)__(?!_)/),
-        quality: function(capture) {
-            // precedence by length, loses all ties
-            return capture[0].length;
-        },
-        parse: parseCaptureInline,
-        react: function(node, output, state) {
-            return reactElement(
-                'u',
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("u", output(node.content, state));
-        }
-    },
-    del: {
-        order: currOrder++,
-        match: inlineRegex(/^~~(?=\S)((?:\\[\s\S]|~(?!~)|[^\s~\\]|\s(?!~~))+?)~~/),
-        parse: parseCaptureInline,
-        react: function(node, output, state) {
-            return reactElement(
-                'del',
-                state.key,
-                {
-                    children: output(node.content, state)
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("del", output(node.content, state));
-        }
-    },
-    inlineCode: {
-        order: currOrder++,
-        match: inlineRegex(/^(`+)([\s\S]*?[^`])\1(?!`)/),
-        parse: function(capture, parse, state) {
-            return {
-                content: capture[2].replace(INLINE_CODE_ESCAPE_BACKTICKS_R, "$1")
-            };
-        },
-        react: function(node, output, state) {
-            return reactElement(
-                'code',
-                state.key,
-                {
-                    children: node.content
-                }
-            );
-        },
-        html: function(node, output, state) {
-            return htmlTag("code", sanitizeText(node.content));
-        }
-    },
-    br: {
-        order: currOrder++,
-        match: anyScopeRegex(/^ {2,}\n/),
-        parse: ignoreCapture,
-        react: function(node, output, state) {
-            return reactElement(
-                'br',
-                state.key,
-                EMPTY_PROPS
-            );
-        },
-        html: function(node, output, state) {
-            return "<br>";
-        }
-    },
-    text: {
-        order: currOrder++,
-        // Here we look for anything followed by non-symbols,
-        // double newlines, or double-space-newlines
-        // We break on any symbol characters so that this grammar
-        // is easy to extend without needing to modify this regex
-        match: anyScopeRegex(
-            /^[\s\S]+?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n\n| {2,}\n|\w+:\S|$)/
-        ),
-        parse: function(capture, parse, state) {
-            return {
-                content: capture[0]
-            };
-        },
-        react: function(node, output, state) {
-            return node.content;
-        },
-        html: function(node, output, state) {
-            return sanitizeText(node.content);
-        }
-    }
-};
-
-/** (deprecated)
- * @param {any} rules
- * @param {any} property
- * @returns {any}
- */
-var ruleOutput = function/* :: <Rule : Object> */(
-    rules /* : OutputRules<Rule> */,
-    property /* : $Keys<Rule> */
-) {
-    if (!property && typeof console !== "undefined") {
-        console.warn("simple-markdown ruleOutput should take 'react' or " +
-            "'html' as the second argument."
-        );
-    }
-
-    /** @type {SimpleMarkdown.NodeOutput<any>} */
-    var nestedRuleOutput /* : NodeOutput<any> */ = function(
-        ast /* : SingleASTNode */,
-        outputFunc /* : Output<any> */,
-        state /* : State */
-    ) {
-        return rules[ast.type][property](ast, outputFunc, state);
-    };
-    return nestedRuleOutput;
-};
-
-/** (deprecated)
- * @param {any} outputFunc
- * @returns {any}
- */
-var reactFor = function(outputFunc /* : ReactNodeOutput */) /* : ReactOutput */ {
-    /** @type {SimpleMarkdown.ReactOutput} */
-    var nestedOutput /* : ReactOutput */ = function(ast, state) {
-        state = state || {};
-        if (Array.isArray(ast)) {
-            var oldKey = state.key;
-            var result /* : Array<ReactElements> */ = [];
-
-            // map nestedOutput over the ast, except group any text
-            // nodes together into a single string output.
-            var lastResult = null;
-            for (var i = 0; i < ast.length; i++) {
-                state.key = '' + i;
-                var nodeOut = nestedOutput(ast[i], state);
-                if (typeof nodeOut === "string" && typeof lastResult === "string") {
-                    lastResult = lastResult + nodeOut;
-                    result[result.length - 1] = lastResult;
-                } else {
-                    result.push(nodeOut);
-                    lastResult = nodeOut;
-                }
-            }
-
-            state.key = oldKey;
-            return result;
-        } else {
-            return outputFunc(ast, nestedOutput, state);
-        }
-    };
-    return nestedOutput;
-};
-
-/** (deprecated)
- * @param {any} outputFunc
- * @returns {any}
- */
-var htmlFor = function(outputFunc /* : HtmlNodeOutput */) /* : HtmlOutput */ {
-    /** @type {SimpleMarkdown.HtmlOutput} */
-    var nestedOutput /* : HtmlOutput */ = function(ast, state) {
-        state = state || {};
-        if (Array.isArray(ast)) {
-            return ast.map(function(node) {
-                return nestedOutput(node, state);
-            }).join("");
-        } else {
-            return outputFunc(ast, nestedOutput, state);
-        }
-    };
-    return nestedOutput;
-};
-
-/**
- * @type {SimpleMarkdown.OutputFor}
- */
-var outputFor = function/* :: <Rule : Object> */(
-    rules /* : OutputRules<Rule> */,
-    property /* : $Keys<Rule> */,
-    defaultState /* : ?State */
-) {
-    if (!property) {
-        throw new Error('simple-markdown: outputFor: `property` must be ' +
-            'defined. ' +
-            'if you just upgraded, you probably need to replace `outputFor` ' +
-            'with `reactFor`'
-        );
-    }
-
-    /** @type {SimpleMarkdown.State} */
-    var latestState;
-    /** @type {SimpleMarkdown.ArrayRule} */
-    var arrayRule = rules.Array || defaultRules.Array;
-
-    // Tricks to convince tsc that this var is not null:
-    var arrayRuleCheck = arrayRule[property];
-    if (!arrayRuleCheck) {
-        throw new Error('simple-markdown: outputFor: to join nodes of type `' +
-            property + '` you must provide an `Array:` joiner rule with that type, ' +
-            'Please see the docs for details on specifying an Array rule.'
-        );
-    }
-    var arrayRuleOutput = arrayRuleCheck;
-
-    /** @type {SimpleMarkdown.Output<any>} */
-    var nestedOutput /* : Output<any> */ = function(ast, state) {
-        state = state || latestState;
-        latestState = state;
-        if (Array.isArray(ast)) {
-            return arrayRuleOutput(ast, nestedOutput, state);
-        } else {
-            return rules[ast.type][property](ast, nestedOutput, state);
-        }
-    };
-
-    /** @type {SimpleMarkdown.Output<any>} */
-    var outerOutput = function(ast, state) {
-        latestState = populateInitialState(state, defaultState);
-        return nestedOutput(ast, latestState);
-    };
-    return outerOutput;
-};
-
-var defaultRawParse = parserFor(defaultRules);
-/**
- * @param {string} source
- * @param {SimpleMarkdown.OptionalState} [state]
- * @returns {Array<SimpleMarkdown.SingleASTNode>}
- */
-var defaultBlockParse = function(source, state) {
-    state = state || {};
-    state.inline = false;
-    return defaultRawParse(source, state);
-};
-/**
- * @param {string} source
- * @param {SimpleMarkdown.OptionalState} [state]
- * @returns {Array<SimpleMarkdown.SingleASTNode>}
- */
-var defaultInlineParse = function(source, state) {
-    state = state || {};
-    state.inline = true;
-    return defaultRawParse(source, state);
-};
-/**
- * @param {string} source
- * @param {SimpleMarkdown.OptionalState} [state]
- * @returns {Array<SimpleMarkdown.SingleASTNode>}
- */
-var defaultImplicitParse = function(source, state) {
-    var isBlock = BLOCK_END_R.test(source);
-    state = state || {};
-    state.inline = !isBlock;
-    return defaultRawParse(source, state);
-};
-
-/** @type {SimpleMarkdown.ReactOutput} */
-var defaultReactOutput /* : ReactOutput */ = outputFor(defaultRules, "react");
-/** @type {SimpleMarkdown.HtmlOutput} */
-var defaultHtmlOutput /* : HtmlOutput */ = outputFor(defaultRules, "html");
-
-/**
- * @param {string} source
- * @param {SimpleMarkdown.OptionalState} [state]
- * @returns {SimpleMarkdown.ReactElements}
- */
-var markdownToReact = function(source, state) /* : ReactElements */ {
-    return defaultReactOutput(defaultBlockParse(source, state), state);
-};
-/**
- * @param {string} source
- * @param {SimpleMarkdown.OptionalState} [state]
- * @returns {string}
- */
-var markdownToHtml = function(source, state) /* : string */ {
-    return defaultHtmlOutput(defaultBlockParse(source, state), state);
-};
-
-/**
- * @param {SimpleMarkdown.ReactMarkdownProps} props
- * @returns {SimpleMarkdown.ReactElement}
- */
-var ReactMarkdown = function(props) {
-    /** @type {Object} */
-    var divProps = {};
-
-    for (var prop in props) {
-        if (prop !== 'source' &&
-            Object.prototype.hasOwnProperty.call(props, prop)
-        ) {
-            divProps[prop] = props[prop];
-        }
-    }
-    divProps.children = markdownToReact(props.source);
-
-    return reactElement(
-        'div',
-        null,
-        divProps
-    );
-};
-
-
-/*:: // Flow exports:
-type Exports = {
-    +defaultRules: DefaultRules,
-    +parserFor: (rules: ParserRules, defaultState?: ?State) => Parser,
-    +outputFor: <Rule : Object>(rules: OutputRules<Rule>, param: $Keys<Rule>, defaultState?: ?State) => Output<any>,
-
-    +ruleOutput: <Rule : Object>(rules: OutputRules<Rule>, param: $Keys<Rule>) => NodeOutput<any>,
-    +reactFor: (ReactNodeOutput) => ReactOutput,
-    +htmlFor: (HtmlNodeOutput) => HtmlOutput,
-
-    +inlineRegex: (regex: RegExp) => MatchFunction,
-    +blockRegex: (regex: RegExp) => MatchFunction,
-    +anyScopeRegex: (regex: RegExp) => MatchFunction,
-    +parseInline: (parse: Parser, content: string, state: State) => ASTNode,
-    +parseBlock: (parse: Parser, content: string, state: State) => ASTNode,
-
-    +markdownToReact: (source: string, state?: ?State) => ReactElements,
-    +markdownToHtml: (source: string, state?: ?State) => string,
-    +ReactMarkdown: (props: { source: string, [string]: any }) => ReactElement,
-
-    +defaultRawParse: (source: string, state?: ?State) => Array<SingleASTNode>,
-    +defaultBlockParse: (source: string, state?: ?State) => Array<SingleASTNode>,
-    +defaultInlineParse: (source: string, state?: ?State) => Array<SingleASTNode>,
-    +defaultImplicitParse: (source: string, state?: ?State) => Array<SingleASTNode>,
-
-    +defaultReactOutput: ReactOutput,
-    +defaultHtmlOutput: HtmlOutput,
-
-    +preprocess: (source: string) => string,
-    +sanitizeText: (text: Attr) => string,
-    +sanitizeUrl: (url: ?string) => ?string,
-    +unescapeUrl: (url: string) => string,
-    +htmlTag: (tagName: string, content: string, attributes: ?{ [any]: ?Attr }, isClosed: ?boolean) => string,
-    +reactElement: (type: string, key: string | null, props: { [string]: any }) => ReactElement,
-};
-
-export type {
-    // Hopefully you shouldn't have to use these, but they're here if you need!
-    // Top-level API:
-    State,
-    Parser,
-    Output,
-    ReactOutput,
-    HtmlOutput,
-
-    // Most of the following types should be considered experimental and
-    // subject to change or change names. Again, they shouldn't be necessary,
-    // but if they are I'd love to hear how so I can better support them!
-
-    // Individual Rule fields:
-    Capture,
-    MatchFunction,
-    ParseFunction,
-    NodeOutput,
-    ArrayNodeOutput,
-    ReactNodeOutput,
-
-    // Single rules:
-    ParserRule,
-    ReactOutputRule,
-    HtmlOutputRule,
-
-    // Sets of rules:
-    ParserRules,
-    OutputRules,
-    Rules,
-    ReactRules,
-    HtmlRules,
-};
-*/
-
-var SimpleMarkdown /* : Exports */ = {
-    defaultRules: defaultRules,
-    parserFor: parserFor,
-    outputFor: outputFor,
-
-    inlineRegex: inlineRegex,
-    blockRegex: blockRegex,
-    anyScopeRegex: anyScopeRegex,
-    parseInline: parseInline,
-    parseBlock: parseBlock,
-
-    // default wrappers:
-    markdownToReact: markdownToReact,
-    markdownToHtml: markdownToHtml,
-    ReactMarkdown: ReactMarkdown,
-
-    defaultBlockParse: defaultBlockParse,
-    defaultInlineParse: defaultInlineParse,
-    defaultImplicitParse: defaultImplicitParse,
-
-    defaultReactOutput: defaultReactOutput,
-    defaultHtmlOutput: defaultHtmlOutput,
-
-    preprocess: preprocess,
-    sanitizeText: sanitizeText,
-    sanitizeUrl: sanitizeUrl,
-    unescapeUrl: unescapeUrl,
-    htmlTag: htmlTag,
-    reactElement: reactElement,
-
-    // deprecated:
-    defaultRawParse: defaultRawParse,
-    ruleOutput: ruleOutput,
-    reactFor: reactFor,
-    htmlFor: htmlFor,
-
-    defaultParse: function() {
-        if (typeof console !== 'undefined') {
-            console.warn('defaultParse is deprecated, please use `defaultImplicitParse`');
-        }
-        return defaultImplicitParse.apply(null, /** @type {any} */ (arguments));
-    },
-    defaultOutput: function() {
-        if (typeof console !== 'undefined') {
-            console.warn('defaultOutput is deprecated, please use `defaultReactOutput`');
-        }
-        return defaultReactOutput.apply(null, /** @type {any} */ (arguments));
-    }
-};
-
-return SimpleMarkdown;
+typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
+typeof define === 'function' && define.amd ? define(['exports'], factory) :
+(global = global || self, factory(global.SimpleMarkdown = {}));
+}(this, (function (exports) { 'use strict';
+
+var CR_NEWLINE_R = /\r\n?/g;
+var TAB_R = /\t/g;
+var FORMFEED_R = /\f/g;
+
+/**
+ * Turn various whitespace into easy-to-process whitespace
+ * @param {string} source
+ * @returns {string}
+ */
+var preprocess = function (source /* : string */) {
+	return source.replace(CR_NEWLINE_R, '\n').replace(FORMFEED_R, '').replace(TAB_R, '    ');
+};
+
+/**
+ * @param {SimpleMarkdown.OptionalState} givenState
+ * @param {SimpleMarkdown.OptionalState} defaultState
+ * @returns {SimpleMarkdown.State}
+ */
+var populateInitialState = function (
+	givenState /* : ?State */,
+	defaultState /* : ?State */,
+) /* : State */ {
+	var state /* : State */ = givenState || {};
+	if (defaultState != null) {
+		for (var prop in defaultState) {
+			if (Object.prototype.hasOwnProperty.call(defaultState, prop)) {
+				state[prop] = defaultState[prop];
+			}
+		}
+	}
+	return state;
+};
+
+var LINE_R = /\n/g;
+
+/**
+ * Maps every character of `preprocess(source)` back to its offset in the
+ * raw `source`, so that positions survive the whitespace normalisation.
+ * The returned array has one more entry than the preprocessed string, for
+ * the end-of-input offset.
+ *
+ * @param {string} source
+ * @returns {Array<number>}
+ */
+var preprocessOffsets = function (source /* : string */) /* : Array<number> */ {
+	var offsets = [];
+	for (var i = 0; i < source.length; i++) {
+		var chr = source[i];
+		if (chr === '\r') {
+			offsets.push(i);
+			if (source[i + 1] === '\n') {
+				i++;
+			}
+		} else if (chr === '\t') {
+			offsets.push(i, i, i, i);
+		} else if (chr !== '\f') {
+			offsets.push(i);
+		}
+	}
+	offsets.push(source.length);
+	return offsets;
+};
+
+/**
+ * @param {string} source
+ * @returns {Array<number>} the offset at which each line of `source` starts
+ */
+var lineStartOffsets = function (source /* : string */) /* : Array<number> */ {
+	var starts = [0];
+	LINE_R.lastIndex = 0;
+	while (LINE_R.exec(source)) {
+		starts.push(LINE_R.lastIndex);
+	}
+	return starts;
+};
+
+/**
+ * @param {number} offset
+ * @param {Array<number>} lineStarts
+ * @returns {SimpleMarkdown.SourcePoint} 1-based line and column for `offset`
+ */
+var sourcePoint = function (offset /* : number */, lineStarts /* : Array<number> */) {
+	var low = 0;
+	var high = lineStarts.length - 1;
+	while (low < high) {
+		var mid = (low + high + 1) >> 1;
+		if (lineStarts[mid] <= offset) {
+			low = mid;
+		} else {
+			high = mid - 1;
+		}
+	}
+	return {
+		offset: offset,
+		line: low + 1,
+		column: offset - lineStarts[low] + 1,
+	};
+};
+
+/**
+ * Works out where a nested `source` came from inside the capture currently
+ * being parsed (`frame`), and returns the original offset of each of its
+ * characters.
+ *
+ * Rules are free to hand nested parses any string, but in practice it is
+ * either a slice of their capture (headings, links, paragraphs...), or the
+ * capture with some per-line prefix removed and some trailing newlines
+ * added (blockQuote's `>`s, list item indentation, parseBlock). We handle
+ * the first case with a plain search, and the second by matching the
+ * nested source up line by line. Characters we can't place (text a rule
+ * made up) are pinned to the nearest position we do know.
+ *
+ * @param {string} source
+ * @param {SimpleMarkdown.PositionFrame} frame
+ * @returns {Array<number>}
+ */
+var alignSource = function (source /* : string */, frame /* : PositionFrame */) {
+	var text = frame.text;
+	var map = [];
+	var i;
+
+	// Trailing newlines are usually padding added by the rule (or by
+	// parseBlock), so we place the rest of the source first:
+	var core = source.replace(/\n+$/, '');
+	var index = core ? text.indexOf(core, frame.cursor) : -1;
+	if (index !== -1) {
+		for (i = 0; i < core.length; i++) {
+			map.push(frame.map[index + i]);
+		}
+		frame.cursor = index + core.length;
+	} else {
+		var lineStart = frame.cursor;
+		var lines = core.split('\n');
+		for (var l = 0; l < lines.length; l++) {
+			var lineEnd = text.indexOf('\n', lineStart);
+			if (lineEnd === -1) {
+				lineEnd = text.length;
+			}
+			var line = lines[l];
+			var column = line ? text.slice(lineStart, lineEnd).lastIndexOf(line) : 0;
+			// A previous nested parse can leave us at the tail of a line,
+			// or before some blank lines:
+			while (l === 0 && column === -1 && lineEnd < text.length) {
+				lineStart = lineEnd + 1;
+				lineEnd = text.indexOf('\n', lineStart);
+				if (lineEnd === -1) {
+					lineEnd = text.length;
+				}
+				column = text.slice(lineStart, lineEnd).lastIndexOf(line);
+			}
+			for (i = 0; i < line.length; i++) {
+				map.push(frame.map[column === -1 ? lineStart : lineStart + column + i]);
+			}
+			if (l < lines.length - 1) {
+				// the newline separating this line from the next:
+				map.push(frame.map[lineEnd]);
+			}
+
+			frame.cursor = column === -1 || !line ? lineStart : lineStart + column + line.length;
+			lineStart = Math.min(lineEnd + 1, text.length);
+		}
+	}
+
+	// Trailing newlines, plus the end of the source:
+	var end = frame.cursor;
+	for (i = core.length; i <= source.length; i++) {
+		map.push(frame.map[end]);
+		if (text[end] === '\n') {
+			end++;
+		}
+	}
+	return map;
+};
+
+/**
+ * Attaches a `position` to `node`, and to any child nodes a rule made up
+ * itself (such as the text inside an autolink), which share its range.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {number} start
+ * @param {number} end
+ * @param {Array<number>} lineStarts
+ */
+var addPosition = function (node, start, end, lineStarts) {
+	if (node.position != null) {
+		return;
+	}
+	node.position = {
+		start: sourcePoint(start, lineStarts),
+		end: sourcePoint(end, lineStarts),
+	};
+	if (Array.isArray(node.content)) {
+		node.content.forEach(function (/** @type {SimpleMarkdown.SingleASTNode} */ child) {
+			addPosition(child, start, end, lineStarts);
+		});
+	}
+};
+
+/**
+ * Calls `state.limits.onLimitExceeded` the first time `limit` is hit
+ * during a parse.
+ *
+ * @param {SimpleMarkdown.ParseLimitState} limits
+ * @param {SimpleMarkdown.State} state
+ * @param {SimpleMarkdown.ParseLimit} limit
+ */
+var reportLimit = function (limits, state, limit) {
+	if (!limits.exceeded[limit]) {
+		limits.exceeded[limit] = true;
+		var onLimitExceeded = state.limits && state.limits.onLimitExceeded;
+		if (onLimitExceeded) {
+			onLimitExceeded(limit);
+		}
+	}
+};
+
+/**
+ * Returns the parse limit that stops us parsing any further at this
+ * point, if any. Running out of nodes or time stops the rest of the
+ * parse, but nesting too deeply only stops the current nested parse.
+ *
+ * @param {SimpleMarkdown.ParseLimitState} limits
+ * @param {SimpleMarkdown.State} state
+ * @returns {?SimpleMarkdown.ParseLimit}
+ */
+var checkParseLimits = function (limits, state) {
+	var config = state.limits || {};
+	/** @type {?SimpleMarkdown.ParseLimit} */
+	var limit = null;
+	if (limits.exceeded.nodes || (config.maxNodes != null && limits.nodes >= config.maxNodes)) {
+		limit = 'nodes';
+	} else if (limits.exceeded.time || (limits.deadline != null && Date.now() > limits.deadline)) {
+		limit = 'time';
+	} else if (config.maxDepth != null && limits.depth > config.maxDepth) {
+		limit = 'depth';
+	}
+	if (limit) {
+		reportLimit(limits, state, limit);
+	}
+	return limit;
+};
+
+/**
+ * Creates a parser for a given set of rules, with the precedence
+ * specified as a list of rules.
+ *
+ * @param {SimpleMarkdown.ParserRules} rules
+ *     an object containing
+ *     rule type -> {match, order, parse} objects
+ *     (lower order is higher precedence)
+ * @param {SimpleMarkdown.OptionalState} [defaultState]
+ *
+ * @returns {SimpleMarkdown.Parser}
+ *     The resulting parse function, with the following parameters:
+ *     @source: the input source string to be parsed
+ *     @state: an optional object to be threaded through parse
+ *         calls. Allows clients to add stateful operations to
+ *         parsing, such as keeping track of how many levels deep
+ *         some nesting is. For an example use-case, see passage-ref
+ *         parsing in src/widgets/passage/passage-markdown.jsx
+ */
+var parserFor = function (rules /*: ParserRules */, defaultState /*: ?State */) {
+	// Sorts rules in order of increasing order, then
+	// ascending rule name in case of ties.
+	var ruleList = Object.keys(rules).filter(function (type) {
+		var rule = rules[type];
+		if (rule == null || rule.match == null) {
+			return false;
+		}
+		var order = rule.order;
+		if ((typeof order !== 'number' || !isFinite(order)) && typeof console !== 'undefined') {
+			console.warn(
+				'simple-markdown: Invalid order for rule `' + type + '`: ' + String(order),
+			);
+		}
+		return true;
+	});
+
+	ruleList.sort(function (typeA, typeB) {
+		var ruleA /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ (
+			rules[typeA] /*:: :any */
+		);
+		var ruleB /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ (
+			rules[typeB] /*:: :any */
+		);
+		var orderA = ruleA.order;
+		var orderB = ruleB.order;
+
+		// First sort based on increasing order
+		if (orderA !== orderB) {
+			return orderA - orderB;
+		}
+
+		var secondaryOrderA = ruleA.quality ? 0 : 1;
+		var secondaryOrderB = ruleB.quality ? 0 : 1;
+
+		if (secondaryOrderA !== secondaryOrderB) {
+			return secondaryOrderA - secondaryOrderB;
+
+			// Then based on increasing unicode lexicographic ordering
+		} else if (typeA < typeB) {
+			return -1;
+		} else if (typeA > typeB) {
+			return 1;
+		} else {
+			// Rules should never have the same name,
+			// but this is provided for completeness.
+			return 0;
+		}
+	});
+
+	/** @type {SimpleMarkdown.State} */
+	var latestState;
+	/** @type {SimpleMarkdown.Parser} */
+	var nestedParse = function (source /* : string */, state /* : ?State */) {
+		/** @type Array<SimpleMarkdown.SingleASTNode> */
+		var result = [];
+		state = state || latestState;
+		latestState = state;
+
+		// When tracking positions, `offsets` holds the original input
+		// offset of every character in `source`, and `consumed` is how far
+		// into `source` we have parsed.
+		/** @type {SimpleMarkdown.PositionFrame | null} */
+		var frame = (state.trackPosition && state._position) || null;
+		var offsets = frame ? alignSource(source, frame) : null;
+		var consumed = 0;
+
+		var limits = state._limits || null;
+		if (limits) {
+			limits.depth++;
+		}
+
+		// What rules find out about `source` while it's parsed, keyed by
+		// distance from its end so that it holds for the rest of it too:
+		var outerSourceCache = state._sourceCache;
+		state._sourceCache = {};
+
+		while (source) {
+			// Past a limit, we give up on parsing whatever is left, and
+			// output it as plain text:
+			var exceeded = limits && checkParseLimits(limits, state);
+			if (exceeded) {
+				/** @type {SimpleMarkdown.SingleASTNode} */
+				var remaining = { type: 'text', content: source };
+				if (frame && offsets) {
+					addPosition(
+						remaining,
+						offsets[consumed],
+						offsets[offsets.length - 1],
+						frame.lineStarts,
+					);
+				}
+				result.push(remaining);
+				break;
+			}
+
+			// store the best match, it's rule, and quality:
+			var ruleType = null;
+			var rule = null;
+			var capture = null;
+			var quality = NaN;
+
+			// loop control variables:
+			var i = 0;
+			var currRuleType = ruleList[0];
+			var currRule /* : ParserRule */ = /** @type {SimpleMarkdown.ParserRule} */ (
+				rules[currRuleType] /*:: :any */
+			);
+
+			do {
+				var currOrder = currRule.order;
+				var prevCaptureStr = state.prevCapture == null ? '' : state.prevCapture[0];
+				var currCapture = currRule.match(source, state, prevCaptureStr);
+
+				if (currCapture) {
+					var currQuality = currRule.quality
+						? currRule.quality(currCapture, state, prevCaptureStr)
+						: 0;
+					// This should always be true the first time because
+					// the initial quality is NaN (that's why there's the
+					// condition negation).
+					if (!(currQuality <= quality)) {
+						ruleType = currRuleType;
+						rule = currRule;
+						capture = currCapture;
+						quality = currQuality;
+					}
+				}
+
+				// Move on to the next item.
+				// Note that this makes `currRule` be the next item
+				i++;
+				currRuleType = ruleList[i];
+				currRule = /*::((*/ /** @type {SimpleMarkdown.ParserRule} */ (
+					rules[currRuleType]
+				) /*:: : any) : ParserRule)*/;
+			} while (
+				// keep looping while we're still within the ruleList
+				currRule &&
+				// if we don't have a match yet, continue
+				(!capture ||
+					// or if we have a match, but the next rule is
+					// at the same order, and has a quality measurement
+					// functions, then this rule must have a quality
+					// measurement function (since they are sorted before
+					// those without), and we need to check if there is
+					// a better quality match
+					(currRule.order === currOrder && currRule.quality))
+			);
+
+			// TODO(aria): Write tests for these
+			if (rule == null || capture == null /*:: || ruleType == null */) {
+				throw new Error(
+					'Could not find a matching rule for the below ' +
+						'content. The rule with highest `order` should ' +
+						'always match content provided to it. Check ' +
+						"the definition of `match` for '" +
+						ruleList[ruleList.length - 1] +
+						"'. It seems to not match the following source:\n" +
+						source,
+				);
+			}
+			if (capture.index) {
+				// If present and non-zero, i.e. a non-^ regexp result:
+				throw new Error(
+					'`match` must return a capture starting at index 0 ' +
+						'(the current parse index). Did you forget a ^ at the ' +
+						'start of the RegExp?',
+				);
+			}
+
+			var captureLength = capture[0].length;
+			// how much of the capture came from `source`, rather than from
+			// lookbehind context a rule added itself (see `list`):
+			var sourceLength = captureLength;
+			if (frame && offsets) {
+				var lead = 0;
+				while (
+					capture[0][lead] === ' ' &&
+					source.lastIndexOf(capture[0].slice(lead), 0) !== 0
+				) {
+					lead++;
+				}
+				if (lead < captureLength && capture[0][lead] !== ' ' && lead > 0) {
+					sourceLength -= lead;
+				} else {
+					lead = 0;
+				}
+
+				var captureMap = [];
+				for (var j = 0; j <= captureLength; j++) {
+					captureMap.push(
+						offsets[Math.min(consumed + Math.max(j - lead, 0), offsets.length - 1)],
+					);
+				}
+				state._position = {
+					text: capture[0],
+					map: captureMap,
+					cursor: 0,
+					input: frame.input,
+					lineStarts: frame.lineStarts,
+				};
+			}
+
+			var parsed = rule.parse(capture, nestedParse, state);
+
+			if (frame && offsets) {
+				state._position = frame;
+				var start = offsets[consumed];
+				// A "\n" that preprocess made from "\r\n" maps to the "\r",
+				// so the capture ends after the whole line break:
+				var last = offsets[Math.min(consumed + sourceLength - 1, offsets.length - 1)];
+				var lastLength = frame.input.slice(last, last + 2) === '\r\n' ? 2 : 1;
+				var end = Math.min(
+					last + lastLength,
+					offsets[Math.min(consumed + sourceLength, offsets.length - 1)],
+				);
+				var lineStarts = frame.lineStarts;
+				var parsedNodes = /** @type {Array<SimpleMarkdown.SingleASTNode>} */ (
+					Array.isArray(parsed) ? parsed : [parsed]
+				);
+				parsedNodes.forEach(function (node) {
+					addPosition(node, start, end, lineStarts);
+				});
+			}
+			consumed += captureLength;
+			// We maintain the same object here so that rules can
+			// store references to the objects they return and
+			// modify them later. (oops sorry! but this adds a lot
+			// of power--see reflinks.)
+			if (limits) {
+				limits.nodes += Array.isArray(parsed) ? parsed.length : 1;
+			}
+			if (Array.isArray(parsed)) {
+				Array.prototype.push.apply(result, parsed);
+			} else {
+				// We also let rules override the default type of
+				// their parsed node if they would like to, so that
+				// there can be a single output function for all links,
+				// even if there are several rules to parse them.
+				if (parsed.type == null) {
+					parsed.type = ruleType;
+				}
+				result.push(/** @type {SimpleMarkdown.SingleASTNode} */ (parsed));
+			}
+
+			state.prevCapture = capture;
+			source = source.substring(state.prevCapture[0].length);
+		}
+		state._sourceCache = outerSourceCache;
+		if (limits) {
+			limits.depth--;
+		}
+		return result;
+	};
+
+	/** @type {SimpleMarkdown.Parser} */
+	var outerParse = function (source /* : string */, state /* : ?State */) {
+		latestState = populateInitialState(state, defaultState);
+
+		// Input past `limits.maxLength` isn't parsed at all, but appended
+		// as plain text afterwards:
+		var limits = latestState.limits;
+		var fullSource = source;
+		/** @type {?SimpleMarkdown.SingleASTNode} */
+		var unparsed = null;
+		latestState._limits = null;
+		if (limits) {
+			latestState._limits = {
+				depth: 0,
+				nodes: 0,
+				deadline: limits.timeout != null ? Date.now() + limits.timeout : null,
+				exceeded: {},
+			};
+			if (limits.maxLength != null && source.length > limits.maxLength) {
+				source = source.slice(0, limits.maxLength);
+				unparsed = { type: 'text', content: fullSource.slice(source.length) };
+				reportLimit(latestState._limits, latestState, 'length');
+			}
+		}
+
+		var inputLength = source.length;
+		if (!latestState.inline && !latestState.disableAutoBlockNewlines) {
+			source = source + '\n\n';
+		}
+		// We store the previous capture so that match functions can
+		// use some limited amount of lookbehind. Lists use this to
+		// ensure they don't match arbitrary '- ' or '* ' in inline
+		// text (see the list rule for more information). This stores
+		// the full regex capture object, if there is one.
+		latestState.prevCapture = null;
+		if (!latestState.trackPosition) {
+			var untrackedResult = nestedParse(preprocess(source), latestState);
+			latestState._limits = null;
+			return unparsed ? untrackedResult.concat(unparsed) : untrackedResult;
+		}
+
+		// Position tracking starts from a frame covering the whole input,
+		// which each rule's capture then narrows for its nested parses.
+		var processed = preprocess(source);
+		latestState._position = {
+			text: processed,
+			map: preprocessOffsets(source).map(function (offset) {
+				return Math.min(offset, inputLength);
+			}),
+			cursor: 0,
+			input: fullSource,
+			lineStarts: lineStartOffsets(fullSource),
+		};
+		var result = nestedParse(processed, latestState);
+		latestState._position = null;
+		latestState._limits = null;
+		if (unparsed) {
+			addPosition(unparsed, inputLength, fullSource.length, lineStartOffsets(fullSource));
+			result.push(unparsed);
+		}
+		return result;
+	};
+	return outerParse;
+};
+
+// Node types whose meaning depends on the rest of the document (defs
+// resolve reflinks anywhere, footnotes are numbered document-wide), so
+// that reparsing only part of a document around them isn't safe. The
+// same goes for code fences, which we look for in the source instead:
+var DOCUMENT_STATE_TYPES = ['def', 'footnoteDef', 'footnoteRef'];
+var FENCE_R = /`{3,}|~{3,}/;
+
+/**
+ * Calls `callback` for every node in `ast`, however deeply nested, and
+ * whichever field it is nested in.
+ *
+ * @param {any} ast
+ * @param {(node: SimpleMarkdown.SingleASTNode) => void} callback
+ */
+var forEachNode = function (ast, callback) {
+	if (Array.isArray(ast)) {
+		ast.forEach(function (child) {
+			forEachNode(child, callback);
+		});
+	} else if (ast != null && typeof ast === 'object' && typeof ast.type === 'string') {
+		callback(ast);
+		for (var key in ast) {
+			if (key !== 'position' && Object.prototype.hasOwnProperty.call(ast, key)) {
+				forEachNode(ast[key], callback);
+			}
+		}
+	}
+};
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {number}
+ */
+var startOffset = function (node) {
+	return node.position ? node.position.start.offset : 0;
+};
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {number}
+ */
+var endOffset = function (node) {
+	return node.position ? node.position.end.offset : 0;
+};
+
+/**
+ * Moves the positions of every node in `ast` by `delta` characters,
+ * recalculating their lines and columns against `lineStarts`.
+ *
+ * @param {any} ast
+ * @param {number} delta
+ * @param {Array<number>} lineStarts
+ */
+var shiftPositions = function (ast, delta, lineStarts) {
+	forEachNode(ast, function (node) {
+		if (node.position != null) {
+			node.position = {
+				start: sourcePoint(node.position.start.offset + delta, lineStarts),
+				end: sourcePoint(node.position.end.offset + delta, lineStarts),
+			};
+		}
+	});
+};
+
+/**
+ * Calls `update` for every node in `ast`, in document order, without
+ * changing any of them: `update` returns the fields of the node to
+ * change (or null), and the nodes it changes, and any nodes they are
+ * nested in, are copied. Everything else is returned as it is, so that
+ * `ast` can be shared with the result.
+ *
+ * @param {any} ast
+ * @param {(node: SimpleMarkdown.SingleASTNode) => ?{[key: string]: any}} update
+ * @returns {any}
+ */
+var updateNodes = function (ast, update) {
+	if (Array.isArray(ast)) {
+		var changed = false;
+		var children = ast.map(function (child) {
+			var updated = updateNodes(child, update);
+			changed = changed || updated !== child;
+			return updated;
+		});
+		return changed ? children : ast;
+	} else if (ast == null || typeof ast !== 'object' || typeof ast.type !== 'string') {
+		return ast;
+	}
+
+	var changes = update(ast) || {};
+	/** @type {any} */
+	var copy = {};
+	var copyChanged = false;
+	for (var key in ast) {
+		if (Object.prototype.hasOwnProperty.call(ast, key)) {
+			var value = Object.prototype.hasOwnProperty.call(changes, key)
+				? changes[key]
+				: key === 'position'
+				? ast[key]
+				: updateNodes(ast[key], update);
+			copyChanged = copyChanged || value !== ast[key];
+			copy[key] = value;
+		}
+	}
+	for (var changedKey in changes) {
+		if (!Object.prototype.hasOwnProperty.call(ast, changedKey)) {
+			copyChanged = true;
+			copy[changedKey] = changes[changedKey];
+		}
+	}
+	return copyChanged ? copy : ast;
+};
+
+/**
+ * @param {SimpleMarkdown.SourcePoint} a
+ * @param {SimpleMarkdown.SourcePoint} b
+ * @returns {boolean}
+ */
+var samePoint = function (a, b) {
+	return a.offset === b.offset && a.line === b.line && a.column === b.column;
+};
+
+/**
+ * Like `shiftPositions`, but for nodes from a previous ast, which are
+ * copied if their positions move rather than changed.
+ *
+ * @param {any} ast
+ * @param {number} delta
+ * @param {Array<number>} lineStarts
+ * @returns {any}
+ */
+var shiftedCopy = function (ast, delta, lineStarts) {
+	return updateNodes(ast, function (node) {
+		if (node.position == null) {
+			return null;
+		}
+		var position = {
+			start: sourcePoint(node.position.start.offset + delta, lineStarts),
+			end: sourcePoint(node.position.end.offset + delta, lineStarts),
+		};
+		return samePoint(position.start, node.position.start) &&
+			samePoint(position.end, node.position.end)
+			? null
+			: { position: position };
+	});
+};
+
+/**
+ * Creates an incremental block parser for a set of rules, for re-parsing
+ * a document as it is edited.
+ *
+ * The returned function takes a previous `{source, ast}` result (start
+ * with `{source: '', ast: []}`) and an edit to its source, and returns
+ * the new `{source, ast}`. Only the top-level blocks around the edit are
+ * re-parsed: the rest are reused from the previous ast, which is left
+ * as it was. Blocks before the edit keep their identity, as do blocks
+ * after it whose positions don't change; the others are copied with
+ * their new positions. Nodes always have positions, as if parsed with
+ * `trackPosition`, since they're what tell us where the blocks are.
+ *
+ * @param {SimpleMarkdown.ParserRules} rules
+ * @param {SimpleMarkdown.OptionalState} [defaultState]
+ * @returns {SimpleMarkdown.IncrementalParser}
+ */
+var incrementalParserFor = function (rules /*: ParserRules */, defaultState /*: ?State */) {
+	var parse = parserFor(rules, defaultState);
+
+	/**
+	 * @param {string} source
+	 * @param {SimpleMarkdown.OptionalState} givenState
+	 * @param {Object} [defs] - reflink defs from outside `source`
+	 * @returns {Array<SimpleMarkdown.SingleASTNode>}
+	 */
+	var blockParse = function (source, givenState, defs) {
+		/** @type {SimpleMarkdown.State} */
+		var state = {};
+		for (var prop in givenState) {
+			if (Object.prototype.hasOwnProperty.call(givenState, prop)) {
+				state[prop] = givenState[prop];
+			}
+		}
+		state.inline = false;
+		state.trackPosition = true;
+		state._defs = defs;
+		return parse(source, state);
+	};
+
+	/** @type {SimpleMarkdown.IncrementalParser} */
+	var incrementalParse = function (previous, edit, state) {
+		var oldSource = previous.source;
+		var oldAst = previous.ast;
+		var editEnd = edit.offset + edit.deleteLength;
+		var source = oldSource.slice(0, edit.offset) + edit.insertText + oldSource.slice(editEnd);
+		var delta = edit.insertText.length - edit.deleteLength;
+
+		var canReuse = oldAst.length > 0;
+		/** @type {{[def: string]: {target: ?string, title: ?string}}} */
+		var defs = {};
+		forEachNode(oldAst, function (node) {
+			if (node.position == null) {
+				canReuse = false;
+			} else if (node.type === 'def') {
+				defs[node.def] = { target: node.target, title: node.title };
+			}
+		});
+		if (!canReuse) {
+			return { source: source, ast: blockParse(source, state) };
+		}
+
+		// Find the blocks the edit touches, plus one either side, since
+		// edits can join blocks up (or split them apart):
+		var first = 0;
+		while (first < oldAst.length - 1 && endOffset(oldAst[first]) < edit.offset) {
+			first++;
+		}
+		first = Math.max(first - 1, 0);
+		var last = first;
+		while (last < oldAst.length - 1 && startOffset(oldAst[last + 1]) <= editEnd) {
+			last++;
+		}
+		last = Math.min(last + 1, oldAst.length - 1);
+
+		var start = startOffset(oldAst[first]);
+		var lineStarts = lineStartOffsets(source);
+		for (;;) {
+			// We re-parse one more block than we need to, to check that the
+			// blocks after the edit still parse the way they did before (an
+			// unclosed code fence might swallow them now, say). If they
+			// don't, we try again with more blocks.
+			var lookahead = last + 1 < oldAst.length ? oldAst[last + 1] : null;
+			var end = oldSource.length;
+			if (lookahead && last + 2 < oldAst.length) {
+				end = startOffset(oldAst[last + 2]);
+			}
+
+			// Code fences can reach arbitrarily far in either direction
+			// (a new closing fence can turn a paragraph far above it into
+			// a code block), so we don't try to be clever with them.
+			var region = source.slice(start, end + delta);
+			var mustReparseAll =
+				FENCE_R.test(region) || /[`~]/.test(oldSource.slice(edit.offset, editEnd));
+			forEachNode(oldAst.slice(first, last + 2), function (node) {
+				mustReparseAll = mustReparseAll || DOCUMENT_STATE_TYPES.indexOf(node.type) !== -1;
+			});
+			var ast = mustReparseAll ? [] : blockParse(region, state, defs);
+			forEachNode(ast, function (node) {
+				mustReparseAll = mustReparseAll || DOCUMENT_STATE_TYPES.indexOf(node.type) !== -1;
+			});
+			if (mustReparseAll) {
+				return { source: source, ast: blockParse(source, state) };
+			}
+			shiftPositions(ast, start, lineStarts);
+
+			if (lookahead == null) {
+				var newAst = oldAst.slice(0, first).concat(ast);
+				return { source: source, ast: slugHeadings(newAst) };
+			}
+
+			var parsedLookahead = ast[ast.length - 1];
+			if (
+				parsedLookahead != null &&
+				parsedLookahead.type === lookahead.type &&
+				startOffset(parsedLookahead) === startOffset(lookahead) + delta &&
+				endOffset(parsedLookahead) === endOffset(lookahead) + delta
+			) {
+				var reused = shiftedCopy(oldAst.slice(last + 1), delta, lineStarts);
+				var syncedAst = oldAst.slice(0, first).concat(ast.slice(0, -1), reused);
+				// Heading ids depend on the headings before them:
+				return { source: source, ast: slugHeadings(syncedAst) };
+			}
+
+			last = Math.min(last + (last - first + 1), oldAst.length - 1);
+		}
+	};
+	return incrementalParse;
+};
+
+// Creates a match function for an inline scoped element from a regex
+/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
+var inlineRegex = function (regex /* : RegExp */) {
+	/** @type {SimpleMarkdown.MatchFunction} */
+	var match /* : MatchFunction */ = function (source, state) {
+		if (state.inline) {
+			return regex.exec(source);
+		} else {
+			return null;
+		}
+	};
+	match.regex = regex;
+	return match;
+};
+
+// Creates a match function for a block scoped element from a regex
+/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
+var blockRegex = function (regex /* : RegExp */) {
+	/** @type {SimpleMarkdown.MatchFunction} */
+	var match /* : MatchFunction */ = function (source, state) {
+		if (state.inline) {
+			return null;
+		} else {
+			return regex.exec(source);
+		}
+	};
+	match.regex = regex;
+	return match;
+};
+
+// Creates a match function from a regex, ignoring block/inline scope
+/** @type {(regex: RegExp) => SimpleMarkdown.MatchFunction} */
+var anyScopeRegex = function (regex /* : RegExp */) {
+	/** @type {SimpleMarkdown.MatchFunction} */
+	var match /* : MatchFunction */ = function (source, state) {
+		return regex.exec(source);
+	};
+	match.regex = regex;
+	return match;
+};
+
+var TYPE_SYMBOL =
+	(typeof Symbol === 'function' && Symbol.for && Symbol.for('react.element')) || 0xeac7;
+
+/**
+ * React elements are plain objects, so react outputs don't need react
+ * itself to create them.
+ *
+ * @param {string} type
+ * @param {string | number | null | undefined} key
+ * @param {Object<string, any>} props
+ * @returns {SimpleMarkdown.ReactElement}
+ */
+var reactElement = function (
+	type /* : string */,
+	key /* : string | number | null | void */,
+	props /* : { [string]: any } */,
+) /* : ReactElement */ {
+	var element /* : ReactElement */ = /** @type {SimpleMarkdown.ReactElement} */ (
+		{
+			$$typeof: TYPE_SYMBOL,
+			type: type,
+			key: key == null ? undefined : key,
+			ref: null,
+			props: props,
+			_owner: null,
+		} /* : any */
+	);
+	return element;
+};
+
+// Names of html attributes, as hast properties and react props, that
+// aren't just the same name, or camelCased from `data-` and `aria-`
+// attributes:
+/** @type {{[attr: string]: string}} */
+var HAST_PROPERTY_NAMES = {
+	class: 'className',
+	for: 'htmlFor',
+	colspan: 'colSpan',
+	rowspan: 'rowSpan',
+	datetime: 'dateTime',
+	srcset: 'srcSet',
+	tabindex: 'tabIndex',
+	readonly: 'readOnly',
+	maxlength: 'maxLength',
+	accesskey: 'accessKey',
+	crossorigin: 'crossOrigin',
+	referrerpolicy: 'referrerPolicy',
+};
+
+// React's names for event handler props that element outputs spell
+// with the event's name, like vue (`onKeydown`):
+/** @type {{[prop: string]: string}} */
+var REACT_EVENT_PROPS = {
+	onKeydown: 'onKeyDown',
+	onKeyup: 'onKeyUp',
+	onMousedown: 'onMouseDown',
+	onMouseup: 'onMouseUp',
+	onMouseenter: 'onMouseEnter',
+	onMouseleave: 'onMouseLeave',
+	onDblclick: 'onDoubleClick',
+};
+
+/**
+ * An element factory that creates react elements, for `react` outputs.
+ * Attributes are renamed to react's props (`class` to `className`), and
+ * styles that aren't objects (from raw html) are dropped, since react
+ * only takes style objects.
+ *
+ * @type {SimpleMarkdown.CreateElement}
+ */
+var reactElementFactory = function (type, props, children) {
+	/** @type {{[prop: string]: any}} */
+	var reactProps = {};
+	Object.keys(props).forEach(function (name) {
+		var value = props[name];
+		if (name !== 'key' && !(name === 'style' && typeof value === 'string')) {
+			reactProps[HAST_PROPERTY_NAMES[name] || REACT_EVENT_PROPS[name] || name] = value;
+		}
+	});
+	if (children !== undefined) {
+		reactProps.children = children;
+	}
+	return reactElement(type, props.key, reactProps);
+};
+
+/**
+ * Makes a `react` output from an `element` output, by giving it the
+ * react element factory.
+ *
+ * @param {SimpleMarkdown.NodeOutput<any> | SimpleMarkdown.ArrayNodeOutput<any>} elementOutput
+ * @returns {SimpleMarkdown.NodeOutput<any>}
+ */
+var reactOutput = function (elementOutput) {
+	return function (node, output, state) {
+		var reactState =
+			state.createElement === reactElementFactory
+				? state
+				: Object.assign({}, state, { createElement: reactElementFactory });
+		return elementOutput(/** @type {any} */ (node), output, reactState);
+	};
+};
+
+/**
+ * Makes a DOM node from an element output's result: strings become text
+ * nodes, and arrays become document fragments.
+ *
+ * @param {Document} doc
+ * @param {any} value
+ * @returns {Node | null}
+ */
+var toDomNode = function (doc, value) {
+	if (value == null || typeof value === 'boolean') {
+		return null;
+	}
+	if (Array.isArray(value)) {
+		var fragment = doc.createDocumentFragment();
+		value.forEach(function (child) {
+			var childNode = toDomNode(doc, child);
+			if (childNode) {
+				fragment.appendChild(childNode);
+			}
+		});
+		return fragment;
+	}
+	if (typeof value === 'string' || typeof value === 'number') {
+		return doc.createTextNode('' + value);
+	}
+	return value;
+};
+
+/**
+ * An element factory that creates DOM elements with `doc`, for `dom`
+ * outputs. Props are set with `setAttribute` (so nothing is parsed as
+ * html), event handlers are added as listeners, and `on*` props that
+ * aren't functions are dropped.
+ *
+ * @param {Document} doc
+ * @returns {SimpleMarkdown.CreateElement}
+ */
+var domElementFactory = function (doc) {
+	/** @type {SimpleMarkdown.CreateElement} */
+	var factory = function (type, props, children) {
+		var element = doc.createElement(type);
+		Object.keys(props).forEach(function (name) {
+			var value = props[name];
+			if (name === 'key' || value == null || value === false) {
+				return;
+			}
+			if (/^on/i.test(name)) {
+				if (typeof value === 'function') {
+					element.addEventListener(name.slice(2).toLowerCase(), value);
+				}
+			} else if (name === 'style' && typeof value === 'object') {
+				/** @type {any} */
+				var style = /** @type {HTMLElement} */ (element).style;
+				Object.keys(value).forEach(function (property) {
+					if (value[property] != null) {
+						style[property] = value[property];
+					}
+				});
+			} else {
+				element.setAttribute(name, value === true ? '' : '' + value);
+			}
+		});
+		var childNode = toDomNode(doc, children);
+		if (childNode) {
+			element.appendChild(childNode);
+		}
+		return element;
+	};
+	return factory;
+};
+
+/**
+ * Creates an element for element outputs, with the element factory in
+ * `state.createElement`, such as vue's or preact's `h`. It's called
+ * with the tag, the props (html attribute names, `on` + event names
+ * like `onClick` for event handlers, a `style` object, and the `key`),
+ * and the children (nested arrays of elements and strings), so the
+ * rules don't depend on any one framework.
+ *
+ * @param {SimpleMarkdown.State} state
+ * @param {string} type
+ * @param {string | number | null | undefined} key
+ * @param {Object<string, any>} props
+ * @param {any} [children]
+ * @returns {any}
+ */
+var createElement = function (state, type, key, props, children) {
+	if (typeof state.createElement !== 'function') {
+		throw new Error(
+			'simple-markdown: element output needs an element factory ' +
+				'as `createElement` in its state, like ' +
+				"`outputFor(rules, 'element', {createElement: h})`.",
+		);
+	}
+	return state.createElement(
+		type,
+		key == null ? props : Object.assign({ key: key }, props),
+		children,
+	);
+};
+
+/**
+ * Makes a `dom` output from an `element` output, which outputs DOM nodes
+ * made with `state.document` (or the global `document`), by giving it a
+ * `createElement` that makes DOM elements. The caller's state is left as
+ * it was: the element output gets a copy with the DOM element factory.
+ *
+ * @param {SimpleMarkdown.NodeOutput<any> | SimpleMarkdown.ArrayNodeOutput<any>} elementOutput
+ * @returns {SimpleMarkdown.NodeOutput<any>}
+ */
+var domOutput = function (elementOutput) {
+	return function (node, output, state) {
+		var doc = state.document || (typeof document === 'undefined' ? null : document);
+		if (!doc) {
+			throw new Error(
+				'simple-markdown: dom output needs a `document` in its ' +
+					"state, like `outputFor(rules, 'dom', {document: document})`.",
+			);
+		}
+		// Nested dom outputs get the state we made, so it's only made once:
+		var domState =
+			state._domDocument === doc
+				? state
+				: Object.assign({}, state, {
+						document: doc,
+						createElement: domElementFactory(doc),
+						_domDocument: doc,
+				  });
+		return toDomNode(doc, elementOutput(/** @type {any} */ (node), output, domState));
+	};
+};
+
+/**
+ * Adds the outputs made from a rule's `element` output: `react`, `vue`
+ * (which is the `element` output, since vue's `h` is an element factory)
+ * and `dom`.
+ *
+ * @template Rule
+ * @param {Rule} rule
+ * @returns {Rule}
+ */
+var withElementOutputs = function (rule) {
+	/** @type {any} */
+	var anyRule = rule;
+	if (anyRule.element !== undefined) {
+		anyRule.react = anyRule.element && reactOutput(anyRule.element);
+		anyRule.vue = anyRule.element;
+		anyRule.dom = anyRule.element && domOutput(anyRule.element);
+	}
+	return rule;
+};
+
+/** Returns a closed HTML tag.
+ * @param {string} tagName - Name of HTML tag (eg. "em" or "a")
+ * @param {string} content - Inner content of tag
+ * @param {{ [attr: string]: SimpleMarkdown.Attr }} [attributes] - Optional extra attributes of tag as an object of key-value pairs
+ *   eg. { "href": "http://google.com" }. Falsey attributes are filtered out.
+ * @param {boolean} [isClosed] - boolean that controls whether tag is closed or not (eg. img tags).
+ *   defaults to true
+ */
+var htmlTag = function (
+	tagName /* : string */,
+	content /* : string */,
+	attributes /* : ?{[any]: ?Attr} */,
+	isClosed /* : ?boolean */,
+) {
+	attributes = attributes || {};
+	isClosed = typeof isClosed !== 'undefined' ? isClosed : true;
+
+	var attributeString = '';
+	for (var attr in attributes) {
+		var attribute = attributes[attr];
+		// Removes falsey attributes
+		if (Object.prototype.hasOwnProperty.call(attributes, attr) && attribute) {
+			attributeString += ' ' + sanitizeText(attr) + '="' + sanitizeText(attribute) + '"';
+		}
+	}
+
+	var unclosedTag = '<' + tagName + attributeString + '>';
+
+	if (isClosed) {
+		return unclosedTag + content + '</' + tagName + '>';
+	} else {
+		return unclosedTag;
+	}
+};
+
+var EMPTY_PROPS = {};
+
+/**
+ * Strips a url down to the characters that browsers look at when working
+ * out its scheme (they ignore whitespace and control characters in it,
+ * and decode entities), for comparing against url schemes.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+var normalizeUrlPrefix = function (url /* : string */) {
+	return decodeURIComponent(url)
+		.replace(/[^A-Za-z0-9/:]/g, '')
+		.toLowerCase();
+};
+
+/**
+ * The default url policy, for when `state.urlPolicy` isn't set: blocks
+ * script and data urls, and allows everything else.
+ *
+ * @param {string | null | undefined} url - url to sanitize
+ * @returns {string | null} - url if safe, or null if a safe url could not be made
+ */
+var sanitizeUrl = function (url /* : ?string */) {
+	if (url == null) {
+		return null;
+	}
+	try {
+		var prot = normalizeUrlPrefix(url);
+		if (
+			prot.indexOf('javascript:') === 0 ||
+			prot.indexOf('vbscript:') === 0 ||
+			prot.indexOf('data:') === 0
+		) {
+			return null;
+		}
+	} catch (e) {
+		// decodeURIComponent sometimes throws a URIError
+		// See `decodeURIComponent('a%AFc');`
+		// http://stackoverflow.com/questions/9064536/javascript-decodeuricomponent-malformed-uri-exception
+		return null;
+	}
+	return url;
+};
+
+var URL_SCHEME_R = /^[a-z0-9]+:/;
+// Browsers find hosts in urls with these schemes even without the
+// `//`, so `https:evil.com` is `https://evil.com`:
+var URL_HOST_R =
+	/^(?:(?:https?|ftp|wss?|file):\/*|(?:[a-z][a-z0-9+.-]*:)?\/\/)(?:[^/?#@]*@)?(\[[^\]]*\]|[^/?#:]*)/i;
+/** @type {{[kind: string]: Array<string>}} */
+var DEFAULT_URL_SCHEMES = {
+	link: ['http', 'https', 'mailto', 'tel'],
+	image: ['http', 'https'],
+};
+
+/**
+ * The host of `url`, as browsers would read it, or null if it hasn't
+ * got one. Throws a URIError for malformed percent-encodings.
+ *
+ * @param {string} url
+ * @returns {?string}
+ */
+var urlHost = function (url) {
+	// Browsers ignore tabs and newlines in urls, and treat backslashes
+	// like slashes, so `/\evil.com` has a host too:
+	var hostMatch = URL_HOST_R.exec(
+		url
+			.replace(/[\t\n\r]/g, '')
+			.trim()
+			.replace(/\\/g, '/'),
+	);
+	if (!hostMatch) {
+		return null;
+	}
+	// They also decode hosts, and ignore a trailing `.`, so
+	// `%65vil.com.` is `evil.com`:
+	return decodeURIComponent(hostMatch[1]).toLowerCase().replace(/\.$/, '');
+};
+
+/**
+ * Whether `host` is one of `hosts`, or a subdomain of one of them.
+ *
+ * @param {string} host
+ * @param {Array<string>} hosts
+ * @returns {boolean}
+ */
+var hostMatches = function (host, hosts) {
+	return hosts.some(function (pattern) {
+		pattern = pattern.toLowerCase().replace(/\.$/, '');
+		return host === pattern || host.slice(-pattern.length - 1) === '.' + pattern;
+	});
+};
+
+/**
+ * Checks `url` against the parts of `state.urlPolicy` that apply to
+ * `kind` of url, and returns the url to output, or null if it isn't
+ * allowed. Without a policy, this is just `sanitizeUrl`.
+ *
+ * @param {string | null | undefined} url
+ * @param {SimpleMarkdown.UrlKind} kind - `'link'` or `'image'`
+ * @param {SimpleMarkdown.State} state
+ * @param {SimpleMarkdown.SingleASTNode} node - the node the url belongs to
+ * @returns {string | null}
+ */
+var applyUrlPolicy = function (url /* : ?string */, kind, state, node) {
+	var policy = state.urlPolicy;
+	if (policy == null) {
+		return sanitizeUrl(url);
+	}
+	if (url == null) {
+		return null;
+	}
+
+	// Settings for a kind of url override the policy-wide ones:
+	var kindPolicy = policy[kind];
+	var urlPolicy = policy;
+	/** @type {(name: keyof SimpleMarkdown.UrlRules) => any} */
+	var setting = function (name) {
+		return kindPolicy && kindPolicy[name] !== undefined ? kindPolicy[name] : urlPolicy[name];
+	};
+
+	/** @type {?SimpleMarkdown.UnsafeUrlReason} */
+	var reason = null;
+	var prefix = '';
+	/** @type {?string} */
+	var host = null;
+	try {
+		prefix = normalizeUrlPrefix(url);
+		host = urlHost(url);
+		var schemes = setting('schemes') || DEFAULT_URL_SCHEMES[kind] || DEFAULT_URL_SCHEMES.link;
+		// Relative urls don't have a scheme, and are always allowed
+		// through. Scheme entries can be longer prefixes, like
+		// `data:image/png`, to allow only some urls with that scheme:
+		if (
+			URL_SCHEME_R.test(prefix) &&
+			!schemes.some(function (/** @type {string} */ scheme) {
+				var schemePrefix = normalizeUrlPrefix(scheme);
+				if (schemePrefix.indexOf(':') === -1) {
+					schemePrefix += ':';
+				}
+				return prefix.indexOf(schemePrefix) === 0;
+			})
+		) {
+			reason = 'scheme';
+		}
+	} catch (e) {
+		// decodeURIComponent throws for malformed urls, as in `sanitizeUrl`
+		reason = 'malformed';
+	}
+
+	if (reason == null) {
+		var allowHosts = setting('allowHosts');
+		var denyHosts = setting('denyHosts');
+		if (host == null) {
+			// Only relative urls are allowed through `allowHosts`
+			// without a host, since we can't tell where others go:
+			if (allowHosts && URL_SCHEME_R.test(prefix)) {
+				reason = 'host';
+			}
+		} else if (
+			(allowHosts && !hostMatches(host, allowHosts)) ||
+			(denyHosts && hostMatches(host, denyHosts))
+		) {
+			reason = 'host';
+		}
+	}
+
+	if (reason != null) {
+		var onUnsafeUrl = setting('onUnsafeUrl');
+		var replacement = onUnsafeUrl
+			? onUnsafeUrl(url, { kind: kind, reason: reason, node: node })
+			: null;
+		return replacement == null ? null : replacement;
+	}
+	var rewrite = setting('rewrite');
+	return rewrite ? rewrite(url, kind, node) : url;
+};
+
+var SANITIZE_TEXT_R = /[<>&"']/g;
+/** @type {any} */
+var SANITIZE_TEXT_CODES = {
+	'<': '&lt;',
+	'>': '&gt;',
+	'&': '&amp;',
+	'"': '&quot;',
+	"'": '&#x27;',
+	'/': '&#x2F;',
+	'`': '&#96;',
+};
+/**
+ * @param {SimpleMarkdown.Attr} text
+ * @returns {string}
+ */
+var sanitizeText = function (text /* : Attr */) {
+	return String(text).replace(SANITIZE_TEXT_R, function (chr) {
+		return SANITIZE_TEXT_CODES[chr];
+	});
+};
+
+var UNESCAPE_URL_R = /\\([^0-9A-Za-z\s])/g;
+
+/**
+ * @param {string} rawUrlString
+ * @returns {string}
+ */
+var unescapeUrl = function (rawUrlString /* : string */) {
+	return rawUrlString.replace(UNESCAPE_URL_R, '$1');
+};
+
+var ESCAPE_MARKDOWN_R = /[\\`*_~[\]<>|]|(https?):(?=\/\/)/g;
+var ESCAPE_MARKDOWN_LINE_START_R = /(^|\n)( *)([#+=-]|\d+\.)/g;
+var ESCAPE_MARKDOWN_END_R = /#$/;
+
+/**
+ * Escapes anything in `text` that would be parsed as markdown syntax,
+ * so that markdown output re-parses to the same text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+var escapeMarkdown = function (text /* : string */) {
+	return text
+		.replace(ESCAPE_MARKDOWN_R, function (match, protocol) {
+			return protocol ? protocol + '\\:' : '\\' + match;
+		})
+		.replace(ESCAPE_MARKDOWN_LINE_START_R, function (match, newline, indent, syntax) {
+			// numbered list bullets are escaped at their `.`
+			return newline + indent + syntax.slice(0, -1) + '\\' + syntax.slice(-1);
+		})
+		.replace(ESCAPE_MARKDOWN_END_R, '\\#');
+};
+
+var MARKDOWN_URL_R = /[\\()<> ]/g;
+
+/**
+ * @param {string | null | undefined} url
+ * @returns {string} `url`, escaped for use as a markdown link target
+ */
+var markdownUrl = function (url /* : ?string */) {
+	return (url || '').replace(MARKDOWN_URL_R, function (chr) {
+		return chr === ' ' ? '%20' : '\\' + chr;
+	});
+};
+
+/**
+ * @param {string | null | undefined} title
+ * @returns {string}
+ */
+var markdownTitle = function (title /* : ?string */) {
+	return title ? ' "' + title + '"' : '';
+};
+
+/**
+ * Parse some content with the parser `parse`, with state.inline
+ * set to true. Useful for block elements; not generally necessary
+ * to be used by inline elements (where state.inline is already true.
+ *
+ * @param {SimpleMarkdown.Parser} parse
+ * @param {string} content
+ * @param {SimpleMarkdown.State} state
+ * @returns {SimpleMarkdown.ASTNode}
+ */
+var parseInline = function (parse, content, state) {
+	var isCurrentlyInline = state.inline || false;
+	state.inline = true;
+	var result = parse(content, state);
+	state.inline = isCurrentlyInline;
+	return result;
+};
+/**
+ * @param {SimpleMarkdown.Parser} parse
+ * @param {string} content
+ * @param {SimpleMarkdown.State} state
+ * @returns {SimpleMarkdown.ASTNode}
+ */
+var parseBlock = function (parse, content, state) {
+	var isCurrentlyInline = state.inline || false;
+	state.inline = false;
+	var result = parse(content + '\n\n', state);
+	state.inline = isCurrentlyInline;
+	return result;
+};
+/**
+ * Parse a link's text, with state.inLink set to true, so that urls and
+ * emails in it aren't autolinked inside the link.
+ *
+ * @param {SimpleMarkdown.Parser} parse
+ * @param {string} content
+ * @param {SimpleMarkdown.State} state
+ * @returns {SimpleMarkdown.ASTNode}
+ */
+var parseLinkText = function (parse, content, state) {
+	var isCurrentlyInLink = state.inLink || false;
+	state.inLink = true;
+	var result = parse(content, state);
+	state.inLink = isCurrentlyInLink;
+	return result;
+};
+
+/**
+ * @param {SimpleMarkdown.Capture} capture
+ * @param {SimpleMarkdown.Parser} parse
+ * @param {SimpleMarkdown.State} state
+ * @returns {SimpleMarkdown.UnTypedASTNode}
+ */
+var parseCaptureInline = function (capture, parse, state) {
+	return {
+		content: parseInline(parse, capture[1], state),
+	};
+};
+/**
+ * @returns {SimpleMarkdown.UnTypedASTNode}
+ */
+var ignoreCapture = function () {
+	return {};
+};
+
+// recognize a `*` `-`, `+`, `1.`, `2.`... list bullet
+var LIST_BULLET = '(?:[*+-]|\\d+\\.)';
+// recognize the start of a list item:
+// leading space plus a bullet plus a space (`   * `)
+var LIST_ITEM_PREFIX = '( *)(' + LIST_BULLET + ') +';
+var LIST_ITEM_PREFIX_R = new RegExp('^' + LIST_ITEM_PREFIX);
+// recognize an individual list item:
+//  * hi
+//    this is part of the same item
+//
+//    as is this, which is a new paragraph in the same item
+//
+//  * but this is not part of the same item
+var LIST_ITEM_R = new RegExp(
+	LIST_ITEM_PREFIX + '[^\\n]*(?:\\n' + '(?!\\1' + LIST_BULLET + ' )[^\\n]*)*(\n|$)',
+	'gm',
+);
+var BLOCK_END_R = /\n{2,}$/;
+var INLINE_CODE_ESCAPE_BACKTICKS_R = /^ (?= *`)|(` *) $/g;
+// recognize the end of a paragraph block inside a list item:
+// two or more newlines at end end of the item
+var LIST_BLOCK_END_R = BLOCK_END_R;
+
+/**
+ * Replaces the newlines at the end of a list item (and any spaces before
+ * them), as `item.replace(/ *\n+$/, replacement)` would, but without that
+ * regex searching for the end from every newline in a long run of them.
+ *
+ * @param {string} item
+ * @param {string} replacement
+ * @returns {string}
+ */
+var replaceListItemEnd = function (item, replacement) {
+	var end = item.length;
+	while (end > 0 && item.charAt(end - 1) === '\n') {
+		end--;
+	}
+	if (end === item.length) {
+		return item;
+	}
+	while (end > 0 && item.charAt(end - 1) === ' ') {
+		end--;
+	}
+	return item.slice(0, end) + replacement;
+};
+// check whether a list item has paragraphs: if it does,
+// we leave the newlines at the end
+var LIST_END = '\n{2,}(?! )(?!\\1' + LIST_BULLET + ' )\\n*';
+var LIST_R = new RegExp(
+	'^( *)(' +
+		LIST_BULLET +
+		') ' +
+		// The list only ends in (or after) whitespace, so after the first
+		// character we step over the whitespace before each non-space
+		// character at once, and look for the end from its start. Looking
+		// from every character of it would search the rest of the
+		// whitespace again each time.
+		'[\\s\\S](?:\\s*\\S)*?(?:' +
+		LIST_END +
+		// the \\s*$ here is so that we can parse the inside of nested
+		// lists, where our content might end before we receive two `\n`s
+		'|\\s*$|\\s*?' +
+		LIST_END +
+		')',
+);
+var LIST_LOOKBEHIND_R = /(?:^|\n)( *)$/;
+// recognize a `[ ]` or `[x]` task checkbox at the start of a list item
+var TASK_ITEM_R = /^\[([ xX])\] +/;
+
+/**
+ * Runs `outputItem` for each of a list's items, with the index path of
+ * the item (through any lists it is nested in) on `state._listItemPath`,
+ * for task checkboxes to report.
+ *
+ * @template T
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @param {(item: Array<SimpleMarkdown.SingleASTNode>, i: number) => T} outputItem
+ * @returns {Array<T>}
+ */
+var mapListItems = function (node, state, outputItem) {
+	var oldPath = state._listItemPath;
+	var parentPath = oldPath || [];
+	var result = node.items.map(function (
+		/** @type {Array<SimpleMarkdown.SingleASTNode>} */ item,
+		/** @type {number} */ i,
+	) {
+		state._listItemPath = parentPath.concat([i]);
+		return outputItem(item, i);
+	});
+	state._listItemPath = oldPath;
+	return result;
+};
+
+/**
+ * @param {Array<SimpleMarkdown.SingleASTNode>} item
+ * @returns {boolean}
+ */
+var isTaskItem = function (item) {
+	return item.length > 0 && item[0].type === 'checkbox';
+};
+
+/**
+ * The change handler of a task list checkbox, which calls
+ * `state.onCheckboxChange` with the path of its item, or undefined if
+ * there isn't an `onCheckboxChange` (and so the checkbox is disabled).
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {((event: any) => void) | undefined}
+ */
+var checkboxChangeHandler = function (node, state) {
+	if (!state.onCheckboxChange) {
+		return undefined;
+	}
+	var onCheckboxChange = state.onCheckboxChange;
+	var path = state._listItemPath || [];
+	/** @param {any} event */
+	return function (event) {
+		onCheckboxChange(path, event.target.checked, node);
+	};
+};
+
+var TABLES = (function () {
+	var TABLE_ROW_SEPARATOR_TRIM = /^ *\| *| *\| *$/g;
+	var TABLE_CELL_END_TRIM = / *$/;
+	var TABLE_RIGHT_ALIGN = /^ *-+: *$/;
+	var TABLE_CENTER_ALIGN = /^ *:-+: *$/;
+	var TABLE_LEFT_ALIGN = /^ *:-+ *$/;
+
+	/**
+	 * @param {string} alignCapture
+	 * @returns {SimpleMarkdown.TableAlignment}
+	 */
+	var parseTableAlignCapture = function (alignCapture) {
+		if (TABLE_RIGHT_ALIGN.test(alignCapture)) {
+			return 'right';
+		} else if (TABLE_CENTER_ALIGN.test(alignCapture)) {
+			return 'center';
+		} else if (TABLE_LEFT_ALIGN.test(alignCapture)) {
+			return 'left';
+		} else {
+			return null;
+		}
+	};
+
+	/**
+	 * @param {string} source
+	 * @param {SimpleMarkdown.Parser} parse
+	 * @param {SimpleMarkdown.State} state
+	 * @param {boolean} trimEndSeparators
+	 * @returns {Array<SimpleMarkdown.TableAlignment>}
+	 */
+	var parseTableAlign = function (source, parse, state, trimEndSeparators) {
+		if (trimEndSeparators) {
+			source = source.replace(TABLE_ROW_SEPARATOR_TRIM, '');
+		}
+		var alignText = source.trim().split('|');
+		return alignText.map(parseTableAlignCapture);
+	};
+
+	/**
+	 * @param {string} source
+	 * @param {SimpleMarkdown.Parser} parse
+	 * @param {SimpleMarkdown.State} state
+	 * @param {boolean} trimEndSeparators
+	 * @returns {SimpleMarkdown.SingleASTNode[][]}
+	 */
+	var parseTableRow = function (source, parse, state, trimEndSeparators) {
+		var prevInTable = state.inTable;
+		state.inTable = true;
+		var tableRow = parse(source.trim(), state);
+		state.inTable = prevInTable;
+
+		/** @type {SimpleMarkdown.SingleASTNode[][]} */
+		var cells = [[]];
+		tableRow.forEach(function (node, i) {
+			if (node.type === 'tableSeparator') {
+				// Filter out empty table separators at the start/end:
+				if (!trimEndSeparators || (i !== 0 && i !== tableRow.length - 1)) {
+					// Split the current row:
+					cells.push([]);
+				}
+			} else {
+				if (
+					node.type === 'text' &&
+					(tableRow[i + 1] == null || tableRow[i + 1].type === 'tableSeparator')
+				) {
+					node.content = node.content.replace(TABLE_CELL_END_TRIM, '');
+				}
+				cells[cells.length - 1].push(node);
+			}
+		});
+
+		return cells;
+	};
+
+	/**
+	 * @param {string} source
+	 * @param {SimpleMarkdown.Parser} parse
+	 * @param {SimpleMarkdown.State} state
+	 * @param {boolean} trimEndSeparators
+	 * @returns {SimpleMarkdown.ASTNode[][]}
+	 */
+	var parseTableCells = function (source, parse, state, trimEndSeparators) {
+		var rowsText = source.trim().split('\n');
+
+		return rowsText.map(function (rowText) {
+			return parseTableRow(rowText, parse, state, trimEndSeparators);
+		});
+	};
+
+	/**
+	 * @param {boolean} trimEndSeparators
+	 * @returns {SimpleMarkdown.SingleNodeParseFunction}
+	 */
+	var parseTable = function (trimEndSeparators) {
+		/** @type {SimpleMarkdown.SingleNodeParseFunction} */
+		return function (capture, parse, state) {
+			state.inline = true;
+			var header = parseTableRow(capture[1], parse, state, trimEndSeparators);
+			var align = parseTableAlign(capture[2], parse, state, trimEndSeparators);
+			var cells = parseTableCells(capture[3], parse, state, trimEndSeparators);
+			state.inline = false;
+
+			return {
+				type: 'table',
+				header: header,
+				align: align,
+				cells: cells,
+			};
+		};
+	};
+
+	return {
+		parseTable: parseTable(true),
+		parseNpTable: parseTable(false),
+		// Lines with a `|` in them are matched up to their first `|`, and
+		// a delimiter row's first `-` or `:` on its own, so that there's
+		// only one way to match each: otherwise a long line that doesn't
+		// match is tried split every way, in quadratic time.
+		TABLE_REGEX: /^ *(\|.+)\n *\|( *[-:][-| :]*)\n((?: *\|.*(?:\n|$))*)\n*/,
+		NPTABLE_REGEX:
+			/^ *(\S(?:(?!\|).)*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:(?:(?!\|).)*\|.*(?:\n|$))*)\n*/,
+	};
+})();
+
+// A `]` can be part of the link text if another `]` follows before the
+// next `[`. We look ahead for it with `[^\[\]]*` rather than `[^\[]*`,
+// which matches the same strings but backtracks over every `]` on the way.
+var LINK_INSIDE = '(?:\\[[^\\]]*\\]|[^\\[\\]]|\\](?=[^\\[\\]]*\\]))*';
+// A url can have `(...)`s in it (nested up to once), but not a `(` that
+// isn't closed, and no whitespace but in a title. Otherwise, for every
+// `[...](` without a `)` after it, we'd search the rest of the source.
+var LINK_HREF_AND_TITLE =
+	'\\s*<?((?:\\((?:[^\\s\\\\()]|\\\\.|\\([^\\s\\\\()]*\\))*\\)|[^\\s\\\\(]|\\\\.)*?)>?' +
+	'(?:\\s+[\'"]([\\s\\S]*?)[\'"])?\\s*';
+var AUTOLINK_MAILTO_CHECK_R = /mailto:/i;
+var MARKDOWN_AUTOLINK_R = /^[^: >]+:\/[^ >]+$/;
+var MARKDOWN_MAILTO_R = /^[^ >]+@[^ >]+$/;
+var MARKDOWN_TRAILING_NEWLINES_R = /\n+$/;
+var MARKDOWN_WWW_R = /^www\.[^ <>]+$/;
+
+// Freeform urls, and GFM's extended autolinks: `www.` links and bare
+// emails, which can only start at the start of a word (or after the `*`,
+// `_`, `~` or `(` that can come before one).
+var HTTP_AUTOLINK_R = /^https?:\/\/[^\s<]+/;
+var WWW_AUTOLINK_R = /^www\.[^\s<]+/;
+var EMAIL_AUTOLINK_R = /^[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+var AUTOLINK_LOOKBEHIND_R = /(?:^|[\s*_~(])$/;
+var AUTOLINK_TRAILING_PUNCTUATION_R = /[?!.,:;*_~"']$/;
+var AUTOLINK_TRAILING_ENTITY_R = /&[a-zA-Z0-9]+;$/;
+var AUTOLINK_HOST_R = /^(?:https?:\/\/|[^@]*@)?([^/?#:]*)/;
+// Domains need at least two parts, and no `_`s in the last two:
+var AUTOLINK_DOMAIN_R = /^(?:[\w-]+\.)*[a-zA-Z0-9-]+\.[a-zA-Z0-9-]+$/;
+
+/**
+ * Takes the punctuation that ends a sentence (or closes a parenthesis)
+ * off the end of an autolink, as GFM does: `?!.,:*_~` and quotes, any
+ * `)`s that aren't balanced by a `(` in the link, and something that
+ * looks like an entity.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+var trimAutolink = function (url) {
+	var untrimmed;
+	do {
+		untrimmed = url;
+		url = url
+			.replace(AUTOLINK_TRAILING_ENTITY_R, '')
+			.replace(AUTOLINK_TRAILING_PUNCTUATION_R, '');
+		if (url[url.length - 1] === ')' && url.split(')').length > url.split('(').length) {
+			url = url.slice(0, -1);
+		}
+	} while (url !== untrimmed);
+	return url;
+};
+
+/**
+ * Finds a freeform url, `www.` link or email at the start of `source`,
+ * returning it with the url it links to, or null if there isn't one, if
+ * we're in a link's text already, or if `state.autolinkTlds` is set and
+ * it doesn't end in one of them.
+ *
+ * @param {string} source
+ * @param {SimpleMarkdown.State} state
+ * @param {string} prevCapture
+ * @returns {?SimpleMarkdown.Capture}
+ */
+var matchAutolink = function (source, state, prevCapture) {
+	if (state.inLink) {
+		return null;
+	}
+	var atWordStart = AUTOLINK_LOOKBEHIND_R.test(prevCapture);
+	var match = HTTP_AUTOLINK_R.exec(source);
+	var text = match && trimAutolink(match[0]);
+	var target = text;
+	if (!match && atWordStart && (match = WWW_AUTOLINK_R.exec(source))) {
+		text = trimAutolink(match[0]);
+		target = 'http://' + text;
+	} else if (!match && atWordStart && (match = EMAIL_AUTOLINK_R.exec(source))) {
+		text = match[0].replace(/\.$/, '');
+		// Emails can't end in `-` or `_`:
+		target = /[-_]$/.test(text) ? null : 'mailto:' + text;
+	}
+	if (!text || !target) {
+		return null;
+	}
+
+	var hostCapture = AUTOLINK_HOST_R.exec(text);
+	var host = hostCapture ? hostCapture[1] : '';
+	if (target.indexOf('http') === 0 && text !== target && !AUTOLINK_DOMAIN_R.test(host)) {
+		return null;
+	}
+	if (state.autolinkTlds) {
+		var tld = host.slice(host.lastIndexOf('.') + 1).toLowerCase();
+		var allowed = state.autolinkTlds.some(function (allowedTld) {
+			return allowedTld.replace(/^\./, '').toLowerCase() === tld;
+		});
+		if (!allowed) {
+			return null;
+		}
+	}
+	return [text, target];
+};
+
+/**
+ * @param {SimpleMarkdown.Capture} capture
+ * @param {SimpleMarkdown.State} state
+ * @param {SimpleMarkdown.RefNode} refNode
+ * @returns {SimpleMarkdown.RefNode}
+ */
+var parseRef = function (capture, state, refNode /* : RefNode */) {
+	var ref = (capture[2] || capture[1]).replace(/\s+/g, ' ').toLowerCase();
+	// Kept for the reflinks whose def never turns up, and for converting
+	// to mdast:
+	refNode.ref = ref;
+
+	// We store information about previously seen defs on
+	// state._defs (_ to deconflict with client-defined
+	// state). If the def for this reflink/refimage has
+	// already been seen, we can use its target/source
+	// and title here:
+	if (state._defs && state._defs[ref]) {
+		var def = state._defs[ref];
+		// `refNode` can be a link or an image. Both use
+		// target and title properties.
+		refNode.target = def.target;
+		refNode.title = def.title;
+	}
+
+	// In case we haven't seen our def yet (or if someone
+	// overwrites that def later on), we add this node
+	// to the list of ref nodes for that def. Then, when
+	// we find the def, we can modify this link/image AST
+	// node :).
+	// I'm sorry.
+	state._refs = state._refs || {};
+	state._refs[ref] = state._refs[ref] || [];
+	state._refs[ref].push(refNode);
+
+	return refNode;
+};
+
+/**
+ * What follows the text of a reference in markdown: its `refSuffix`
+ * from the commonmarkRules, or else `[]` if the text is the label
+ * already, and `[ref]` otherwise.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {string} text
+ * @returns {string}
+ */
+var markdownRefSuffix = function (node, text) {
+	if (node.refSuffix != null) {
+		return node.refSuffix;
+	}
+	var ref = node.ref;
+	return ref == null || ref === text.replace(/\s+/g, ' ').toLowerCase() ? '[]' : '[' + ref + ']';
+};
+
+/**
+ * @param {string} id
+ * @returns {string}
+ */
+var normalizeFootnoteId = function (id /* : string */) {
+	return id.replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Numbers footnotes in the order they were first referenced, skipping
+ * any that haven't been defined (yet).
+ *
+ * Like reflinks, footnotes can be referenced before they are defined,
+ * so we keep the footnoteRef and footnoteDef nodes we've parsed on
+ * state._footnotes, and renumber them in place when a definition turns
+ * up for a footnote we've already seen referenced. References a footnote
+ * makes to itself from its own definition are kept apart in `ownRefs`:
+ * they get its number, but no back-link.
+ *
+ * @param {SimpleMarkdown.FootnoteState} footnotes
+ */
+var numberFootnotes = function (footnotes /* : FootnoteState */) {
+	var number = 0;
+	footnotes.order.forEach(function (id) {
+		var def = footnotes.defs[id];
+		var refs = footnotes.refs[id];
+		var footnoteNumber = def ? ++number : undefined;
+		refs.concat(footnotes.ownRefs[id] || []).forEach(function (refNode) {
+			refNode.number = footnoteNumber;
+		});
+		if (def) {
+			def.number = footnoteNumber;
+			def.refCount = refs.length;
+		}
+	});
+	footnotes.count = number;
+};
+
+/**
+ * @param {SimpleMarkdown.State} state
+ * @returns {SimpleMarkdown.FootnoteState}
+ */
+var footnoteState = function (state) {
+	state._footnotes = state._footnotes || {
+		order: [],
+		refs: {},
+		ownRefs: {},
+		defs: {},
+		count: 0,
+	};
+	return state._footnotes;
+};
+
+/**
+ * @param {Array<SimpleMarkdown.SingleASTNode>} arr
+ * @returns {Array<SimpleMarkdown.SingleASTNode>} the referenced footnoteDefs
+ *     in `arr`, in footnote order
+ */
+var collectFootnotes = function (arr) {
+	return arr
+		.filter(function (node) {
+			return node.type === 'footnoteDef' && node.number != null;
+		})
+		.sort(function (defA, defB) {
+			return defA.number - defB.number;
+		});
+};
+
+/**
+ * @param {number} number
+ * @param {number} index - which reference to the footnote this is, from 1,
+ *     or 0 for a reference from the footnote's own definition
+ * @returns {string | undefined}
+ */
+var footnoteRefId = function (number /* : number */, index /* : number */) {
+	if (!index) {
+		// Nothing links back to these, and the first reference has `fnref-N`
+		return undefined;
+	}
+	return 'fnref-' + number + (index > 1 ? '-' + index : '');
+};
+
+// The characters github leaves out of heading slugs: punctuation other
+// than `-` and `_`, symbols and emoji.
+var SLUG_REMOVE_R =
+	/[\u0000-\u001f\u0021-\u002c\u002e\u002f\u003a-\u0040\u005b-\u005e\u0060\u007b-\u00a9\u00ab-\u00b1\u00b4\u00b6-\u00b8\u00bb\u00bf\u00d7\u00f7\u2000-\u206f\u20a0-\u20ff\u2190-\u2bff\u2e00-\u2e7f\u3000-\u303f\ufe30-\ufe4f\uff01-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]|\ud83c[\udf00-\udfff]|\ud83d[\udc00-\udeff]|\ud83e[\udd00-\udfff]/g;
+
+/**
+ * Turns heading text into an anchor id the way github does: lowercased,
+ * without punctuation, and with `-`s for spaces.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+var slugify = function (text /* : string */) {
+	return text.toLowerCase().replace(SLUG_REMOVE_R, '').replace(/ /g, '-');
+};
+
+/**
+ * Slugifies `text`, adding a `-1`, `-2`, etc. suffix if the slug has
+ * been used already.
+ *
+ * @param {string} text
+ * @param {{[slug: string]: number}} slugs - the slugs used so far
+ * @returns {string}
+ */
+var uniqueSlug = function (text /* : string */, slugs) {
+	var base = slugify(text);
+	var slug = base;
+	while (Object.prototype.hasOwnProperty.call(slugs, slug)) {
+		slugs[base]++;
+		slug = base + '-' + slugs[base];
+	}
+	slugs[slug] = 0;
+	return slug;
+};
+
+/**
+ * The text of a heading's inline content, without any formatting.
+ *
+ * @param {SimpleMarkdown.ASTNode} content
+ * @returns {string}
+ */
+var headingText = function (content) {
+	var text = '';
+	forEachNode(content, function (node) {
+		if (typeof node.content === 'string') {
+			text += node.content;
+		}
+	});
+	return text;
+};
+
+/**
+ * Gives every heading in `ast` its id again, in order, for when parts of
+ * a document have been parsed separately. Headings whose ids change are
+ * copied (as in `updateNodes`), since they may be shared with another ast.
+ *
+ * @param {Array<SimpleMarkdown.SingleASTNode>} ast
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var slugHeadings = function (ast) {
+	/** @type {{[slug: string]: number}} */
+	var slugs = {};
+	return updateNodes(ast, function (node) {
+		if (node.type !== 'heading') {
+			return null;
+		}
+		var id = uniqueSlug(headingText(node.content), slugs);
+		return id === node.id ? null : { id: id };
+	});
+};
+
+/**
+ * @param {string} text
+ * @param {SimpleMarkdown.State} state
+ * @returns {string}
+ */
+var headingId = function (text, state) {
+	state._slugs = state._slugs || {};
+	return uniqueSlug(text, state._slugs);
+};
+
+/**
+ * Collects the top-level headings of `ast` into an outline, where each
+ * heading's entry has the headings below it (until the next heading of
+ * the same level or higher) as its `children`.
+ *
+ * @param {Array<SimpleMarkdown.SingleASTNode>} ast
+ * @returns {Array<SimpleMarkdown.TableOfContentsEntry>}
+ */
+var tableOfContents = function (ast) {
+	/** @type {Array<SimpleMarkdown.TableOfContentsEntry>} */
+	var toc = [];
+	/** @type {Array<SimpleMarkdown.TableOfContentsEntry>} */
+	var parents = [];
+	ast.forEach(function (node) {
+		if (node.type !== 'heading') {
+			return;
+		}
+		/** @type {SimpleMarkdown.TableOfContentsEntry} */
+		var entry = {
+			id: node.id,
+			level: node.level,
+			text: headingText(node.content),
+			content: node.content,
+			children: [],
+		};
+		while (parents.length && parents[parents.length - 1].level >= entry.level) {
+			parents.pop();
+		}
+		(parents.length ? parents[parents.length - 1].children : toc).push(entry);
+		parents.push(entry);
+	});
+	return toc;
+};
+
+/**
+ * Turns a `tableOfContents` outline into a (nested) list of links to
+ * the headings, which can be output with any of the default outputs.
+ *
+ * @param {Array<SimpleMarkdown.TableOfContentsEntry>} toc
+ * @returns {SimpleMarkdown.SingleASTNode}
+ */
+var tableOfContentsList = function (toc) {
+	return {
+		type: 'list',
+		ordered: false,
+		start: undefined,
+		items: toc.map(function (entry) {
+			/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+			var item = [
+				{
+					type: 'link',
+					target: '#' + entry.id,
+					title: undefined,
+					content: [{ type: 'text', content: entry.text }],
+				},
+			];
+			if (entry.children.length) {
+				item.push(tableOfContentsList(entry.children));
+			}
+			return item;
+		}),
+	};
+};
+
+/** @type {{[kind: string]: string}} */
+var MENTION_PREFIXES = { user: '@', role: '@', channel: '#' };
+/** @type {{[kind: string]: string}} */
+var MENTION_SOURCE_PREFIXES = { user: '<@', role: '<@&', channel: '<#' };
+/** @type {{[kind: string]: string}} */
+var UNKNOWN_MENTION_NAMES = {
+	user: 'unknown-user',
+	role: 'unknown-role',
+	channel: 'unknown-channel',
+};
+var MENTION_COLOR_R = /^(?:#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/;
+var MENTION_LOOKBEHIND_R = /[\w.]$/;
+var EVERYONE_MENTION_R = /^@(everyone|here)\b(?!\.\w)/;
+
+/**
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {string} id
+ * @returns {string}
+ */
+var mentionSource = function (kind, id) {
+	return MENTION_SOURCE_PREFIXES[kind] + id + '>';
+};
+
+/**
+ * Looks up how to display a mention with `state.resolveMention`, falling
+ * back to a placeholder name for ids it doesn't know. Without a
+ * `resolveMention`, there's nothing to display, so it returns null and
+ * the mention is output as it was written.
+ *
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {string} id
+ * @param {SimpleMarkdown.State} state
+ * @returns {?{name: string, color: ?string, resolved: boolean}}
+ */
+var resolveMention = function (kind, id, state) {
+	if (!state.resolveMention) {
+		return null;
+	}
+	var mention = state.resolveMention(kind, id, state);
+	if (mention == null) {
+		return {
+			name: MENTION_PREFIXES[kind] + UNKNOWN_MENTION_NAMES[kind],
+			color: null,
+			resolved: false,
+		};
+	}
+	// colors end up in style attributes, so they have to be plain colors:
+	var color = mention.color && MENTION_COLOR_R.test(mention.color) ? mention.color : null;
+	return { name: MENTION_PREFIXES[kind] + mention.name, color: color, resolved: true };
+};
+
+/**
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {boolean} resolved
+ * @returns {string}
+ */
+var mentionClass = function (kind, resolved) {
+	return 'mention mention-' + kind + (resolved ? '' : ' mention-unknown');
+};
+
+/**
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {any}
+ */
+var mentionElement = function (kind, node, state) {
+	var mention = resolveMention(kind, node.id, state);
+	if (!mention) {
+		return mentionSource(kind, node.id);
+	}
+	return createElement(
+		state,
+		'span',
+		state.key,
+		{
+			class: mentionClass(kind, mention.resolved),
+			'data-id': node.id,
+			style: mention.color ? { color: mention.color } : undefined,
+		},
+		mention.name,
+	);
+};
+
+/**
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {string}
+ */
+var mentionHtml = function (kind, node, state) {
+	var mention = resolveMention(kind, node.id, state);
+	if (!mention) {
+		return sanitizeText(mentionSource(kind, node.id));
+	}
+	return htmlTag('span', sanitizeText(mention.name), {
+		class: mentionClass(kind, mention.resolved),
+		'data-id': node.id,
+		style: mention.color ? 'color:' + mention.color + ';' : undefined,
+	});
+};
+
+/**
+ * @param {SimpleMarkdown.MentionKind} kind
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {string}
+ */
+var mentionText = function (kind, node, state) {
+	var mention = resolveMention(kind, node.id, state);
+	return mention ? mention.name : mentionSource(kind, node.id);
+};
+
+// `<t:1700000000:R>`: seconds since the epoch, and an optional style
+var TIMESTAMP_R = /^<t:(-?\d{1,13})(?::([tTdDfFR]))?>/;
+var DEFAULT_TIMESTAMP_STYLE = 'f';
+/**
+ * The Intl.DateTimeFormat options for each timestamp style but `R`
+ * (relative), which is formatted with Intl.RelativeTimeFormat:
+ * @type {{[style: string]: Intl.DateTimeFormatOptions}}
+ */
+var TIMESTAMP_FORMATS = {
+	t: { hour: 'numeric', minute: '2-digit' },
+	T: { hour: 'numeric', minute: '2-digit', second: '2-digit' },
+	d: { year: 'numeric', month: '2-digit', day: '2-digit' },
+	D: { year: 'numeric', month: 'long', day: 'numeric' },
+	f: { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' },
+	F: {
+		weekday: 'long',
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: '2-digit',
+	},
+};
+/**
+ * Units for relative timestamps, largest first, with their length in
+ * seconds:
+ * @type {Array<[string, number]>}
+ */
+var RELATIVE_TIME_UNITS = [
+	['year', 365 * 24 * 60 * 60],
+	['month', 30 * 24 * 60 * 60],
+	['week', 7 * 24 * 60 * 60],
+	['day', 24 * 60 * 60],
+	['hour', 60 * 60],
+	['minute', 60],
+	['second', 1],
+];
+
+/**
+ * Formats a timestamp node's time in one of the timestamp styles, in
+ * `state.locale` and `state.timeZone` (by default, the environment's).
+ * Relative times are relative to `state.now`, or to the current time,
+ * so passing all three makes output the same wherever it's rendered.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {string} style
+ * @param {SimpleMarkdown.State} state
+ * @returns {string}
+ */
+var formatTimestamp = function (node, style, state) {
+	var time = node.timestamp * 1000;
+	// Not in every environment we support (or every typescript lib):
+	var RelativeTimeFormat = /** @type {any} */ (Intl).RelativeTimeFormat;
+
+	if (style === 'R' && RelativeTimeFormat) {
+		var now = state.now == null ? Date.now() : +state.now;
+		var seconds = (time - now) / 1000;
+		var unit =
+			RELATIVE_TIME_UNITS.filter(function (unit) {
+				return Math.abs(seconds) >= unit[1];
+			})[0] || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+		return new RelativeTimeFormat(state.locale, { numeric: 'auto' }).format(
+			Math.round(seconds / unit[1]),
+			unit[0],
+		);
+	}
+
+	var format = TIMESTAMP_FORMATS[style] || TIMESTAMP_FORMATS[DEFAULT_TIMESTAMP_STYLE];
+	return new Intl.DateTimeFormat(
+		state.locale,
+		Object.assign({ timeZone: state.timeZone }, format),
+	).format(new Date(time));
+};
+
+/**
+ * The attributes of a timestamp's `<time>` element: its time as an ISO
+ * string, and its full date and time to show on hover.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {{datetime: string, title: string}}
+ */
+var timestampAttributes = function (node, state) {
+	return {
+		datetime: new Date(node.timestamp * 1000).toISOString(),
+		title: formatTimestamp(node, 'F', state),
+	};
+};
+
+var EMOJI_R = /^:([a-z0-9_+-]+):/;
+var CUSTOM_EMOJI_R = /^<(a)?:(\w+):(\d+)>/;
+// Chat apps show messages of just a few emoji bigger:
+var JUMBO_EMOJI_MAX = 27;
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {boolean}
+ */
+var isEmoji = function (node) {
+	return node.type === 'emoji' || node.type === 'customEmoji';
+};
+
+/**
+ * If `nodes` are just emoji (and whitespace), and not too many of them,
+ * marks the emoji as `jumbo`, to be output bigger. Paragraphs do this
+ * with their content, but messages parsed as inline content have to
+ * call this themselves.
+ *
+ * @param {Array<SimpleMarkdown.SingleASTNode>} nodes
+ * @returns {boolean} whether the emoji are jumbo
+ */
+var markJumboEmoji = function (nodes) {
+	var emoji = nodes.filter(isEmoji);
+	var jumbo =
+		emoji.length > 0 &&
+		emoji.length <= JUMBO_EMOJI_MAX &&
+		nodes.every(function (node) {
+			return (
+				isEmoji(node) ||
+				node.type === 'br' ||
+				(node.type === 'text' && !node.content.trim())
+			);
+		});
+	emoji.forEach(function (node) {
+		node.jumbo = jumbo;
+	});
+	return jumbo;
+};
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {string}
+ */
+var emojiClass = function (node) {
+	return node.jumbo ? 'emoji jumbo' : 'emoji';
+};
+
+/**
+ * The image url for a custom emoji, from `state.customEmojiUrl`, or
+ * null if there isn't one (or the url policy doesn't allow it).
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {?string}
+ */
+var customEmojiUrl = function (node, state) {
+	var url = state.customEmojiUrl ? state.customEmojiUrl(node.id, node.animated, node) : null;
+	return applyUrlPolicy(url, 'image', state, node);
+};
+
+// The language at the start of a fence's info string, like `js` in
+// ```` ```js title="a.js" ```` or ```` ```js{1,3} ````:
+var FENCE_LANG_R = /^([^\s{="']+)(?=[\s{]|$)/;
+// The rest of the info string: `{1,3-5}` line ranges, and `key="value"`,
+// `key='value'`, `key=value` or bare `key` attributes:
+var FENCE_META_R = /\{([^}]*)\}|([^\s={]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S*)))?/g;
+var LINE_RANGE_R = /^(\d+)(?:-(\d+))?$/;
+
+/**
+ * Parses a fenced code block's info string into its language and the
+ * meta data after it.
+ *
+ * @param {string} info
+ * @returns {{lang: string | undefined, meta: SimpleMarkdown.CodeBlockMeta}}
+ */
+var parseFenceInfo = function (info) {
+	info = info.trim();
+	var langMatch = FENCE_LANG_R.exec(info);
+	var raw = (langMatch ? info.slice(langMatch[0].length) : info).trim();
+
+	/** @type {SimpleMarkdown.CodeBlockMeta} */
+	var meta = {
+		raw: raw,
+		title: undefined,
+		showLineNumbers: false,
+		highlightLines: [],
+		attributes: {},
+	};
+	FENCE_META_R.lastIndex = 0;
+	var match;
+	while ((match = FENCE_META_R.exec(raw))) {
+		if (match[1] != null) {
+			match[1].split(',').forEach(function (range) {
+				var rangeMatch = LINE_RANGE_R.exec(range.trim());
+				if (rangeMatch) {
+					var start = +rangeMatch[1];
+					var end = rangeMatch[2] ? +rangeMatch[2] : start;
+					if (start <= end) {
+						meta.highlightLines.push([start, end]);
+					}
+				}
+			});
+		} else if (match[2] !== '__proto__') {
+			var key = match[2];
+			var value = match[3] != null ? match[3] : match[4] != null ? match[4] : match[5];
+			meta.attributes[key] = value != null ? value : true;
+		}
+	}
+
+	if (typeof meta.attributes.title === 'string') {
+		meta.title = meta.attributes.title;
+	}
+	meta.showLineNumbers = meta.attributes.showLineNumbers != null;
+	return {
+		lang: langMatch ? langMatch[1] : undefined,
+		meta: meta,
+	};
+};
+
+/**
+ * Highlights a code block with `state.highlight`. If there's no
+ * highlighter, or it doesn't know the block's language, the code is a
+ * single plain token.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {Array<SimpleMarkdown.HighlightToken>}
+ */
+var highlightTokens = function (node, state) {
+	var tokens = state.highlight && state.highlight(node.content, node.lang, node.meta);
+	return tokens || [{ content: node.content }];
+};
+
+/**
+ * Whether a code block's lines are output one by one, to be numbered or
+ * highlighted.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {boolean}
+ */
+var hasCodeLines = function (node) {
+	return !!node.meta && (node.meta.showLineNumbers || node.meta.highlightLines.length > 0);
+};
+
+/**
+ * Splits a code block's tokens into a list of tokens for each line, so
+ * that a token over several lines (like a block comment) is split too.
+ *
+ * @param {Array<SimpleMarkdown.HighlightToken>} tokens
+ * @returns {Array<Array<SimpleMarkdown.HighlightToken>>}
+ */
+var splitCodeLines = function (tokens) {
+	/** @type {Array<Array<SimpleMarkdown.HighlightToken>>} */
+	var lines = [[]];
+	tokens.forEach(function (token) {
+		token.content.split('\n').forEach(function (content, i) {
+			if (i > 0) {
+				lines.push([]);
+			}
+			if (content) {
+				lines[lines.length - 1].push(
+					token.type ? { type: token.type, content: content } : { content: content },
+				);
+			}
+		});
+	});
+	return lines;
+};
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {number} lineNumber - starting from 1
+ * @returns {string}
+ */
+var codeLineClass = function (node, lineNumber) {
+	var highlighted = node.meta.highlightLines.some(function (
+		/** @type {[number, number]} */ range,
+	) {
+		return lineNumber >= range[0] && lineNumber <= range[1];
+	});
+	return highlighted ? 'line highlighted' : 'line';
+};
+
+// Raw html, for the opt-in `htmlBlock` and `htmlInline` rules:
+var HTML_TAG_NAME = '[a-zA-Z][a-zA-Z0-9-]*';
+var HTML_ATTRIBUTE =
+	'[a-zA-Z_:][a-zA-Z0-9_.:-]*(?:\\s*=\\s*(?:[^\\s"\'=<>`]+|\'[^\']*\'|"[^"]*"))?';
+var HTML_OPEN_TAG = '<(' + HTML_TAG_NAME + ')((?:\\s+' + HTML_ATTRIBUTE + ')*)\\s*(\\/?)>';
+var HTML_CLOSE_TAG = '<\\/(' + HTML_TAG_NAME + ')\\s*>';
+var HTML_OPEN_TAG_R = new RegExp('^' + HTML_OPEN_TAG);
+var HTML_CLOSE_TAG_R = new RegExp('^' + HTML_CLOSE_TAG);
+var HTML_ATTRIBUTE_R =
+	/([a-zA-Z_:][a-zA-Z0-9_.:-]*)(?:\s*=\s*(?:([^\s"'=<>`]+)|'([^']*)'|"([^"]*)"))?/g;
+// Comments, `<!DOCTYPE>`s, processing instructions and CDATA, which are
+// all left out:
+var HTML_DECLARATION =
+	'<(?:!--[\\s\\S]*?--|![A-Za-z][^>]*|\\?[\\s\\S]*?\\?|!\\[CDATA\\[[\\s\\S]*?\\]\\])>';
+var HTML_DECLARATION_R = new RegExp('^' + HTML_DECLARATION);
+var HTML_TEXT_R = /^[^<]+|^</;
+var HTML_BLOCK_TAGS =
+	'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|' +
+	'dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|' +
+	'header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|' +
+	'param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+// Html blocks are the ones from CommonMark: tags whose contents aren't
+// markdown, up to their closing tag; comments and the like, up to their
+// end; and block-level tags, or any other tag on a line of its own, up
+// to the next blank line.
+var HTML_BLOCK_R = new RegExp(
+	'^ {0,3}(?:' +
+		'<(script|pre|style|textarea)(?=[\\s>]|$)[\\s\\S]*?(?:<\\/\\1>[^\\n]*|$)|' +
+		HTML_DECLARATION +
+		'[^\\n]*|' +
+		'<\\/?(?:' +
+		HTML_BLOCK_TAGS +
+		')(?=[\\s>]|\\/>|$)[\\s\\S]*?(?=\\n *\\n|$)|' +
+		'(?:' +
+		HTML_OPEN_TAG +
+		'|' +
+		HTML_CLOSE_TAG +
+		')[ \\t]*(?=\\n|$)[\\s\\S]*?(?=\\n *\\n|$)' +
+		')\\n*',
+	'i',
+);
+var HTML_VOID_TAGS = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+];
+// Tags whose contents are text, rather than more html:
+var HTML_RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'xmp'];
+// Tags whose contents are left out along with them when they aren't
+// allowed, rather than being output without them:
+var HTML_DROPPED_TAGS = ['script', 'style', 'title', 'template', 'iframe', 'object', 'noscript'];
+
+/** @type {SimpleMarkdown.HtmlPolicy} */
+var DEFAULT_HTML_POLICY = {
+	tags: [
+		'a',
+		'abbr',
+		'b',
+		'blockquote',
+		'br',
+		'caption',
+		'cite',
+		'code',
+		'col',
+		'colgroup',
+		'dd',
+		'del',
+		'details',
+		'dfn',
+		'div',
+		'dl',
+		'dt',
+		'em',
+		'figcaption',
+		'figure',
+		'h1',
+		'h2',
+		'h3',
+		'h4',
+		'h5',
+		'h6',
+		'hr',
+		'i',
+		'img',
+		'ins',
+		'kbd',
+		'li',
+		'mark',
+		'ol',
+		'p',
+		'picture',
+		'pre',
+		'q',
+		'rp',
+		'rt',
+		'ruby',
+		's',
+		'samp',
+		'small',
+		'source',
+		'span',
+		'strong',
+		'sub',
+		'summary',
+		'sup',
+		'table',
+		'tbody',
+		'td',
+		'tfoot',
+		'th',
+		'thead',
+		'time',
+		'tr',
+		'u',
+		'ul',
+		'var',
+		'wbr',
+	],
+	attributes: {
+		'*': ['title', 'lang', 'dir'],
+		a: ['href'],
+		img: ['src', 'alt', 'width', 'height'],
+		source: ['srcset', 'media', 'type', 'width', 'height'],
+		ol: ['start', 'type', 'reversed'],
+		li: ['value'],
+		td: ['colspan', 'rowspan', 'align'],
+		th: ['colspan', 'rowspan', 'align', 'scope'],
+		col: ['span'],
+		colgroup: ['span'],
+		details: ['open'],
+		blockquote: ['cite'],
+		q: ['cite'],
+		del: ['cite', 'datetime'],
+		ins: ['cite', 'datetime'],
+		time: ['datetime'],
+	},
+	urlAttributes: [
+		'href',
+		'src',
+		'srcset',
+		'cite',
+		'action',
+		'formaction',
+		'poster',
+		'background',
+	],
+};
+
+/**
+ * Decodes the entities in raw html's text and attribute values, so that
+ * they aren't escaped again when they're output.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+var decodeHtmlEntities = function (text) {
+	return text.replace(COMMONMARK_ENTITY_G, function (match) {
+		var decoded = decodeEntity(COMMONMARK_ENTITY_R.exec(match) || [match]);
+		return decoded == null ? match : decoded;
+	});
+};
+
+/**
+ * An `htmlInline` node for an opening tag, with no content yet.
+ *
+ * @param {SimpleMarkdown.Capture} capture - a match of HTML_OPEN_TAG_R
+ * @returns {SimpleMarkdown.SingleASTNode}
+ */
+var htmlElementNode = function (capture) {
+	/** @type {{[attr: string]: string | boolean}} */
+	var attributes = {};
+	HTML_ATTRIBUTE_R.lastIndex = 0;
+	var match;
+	while ((match = HTML_ATTRIBUTE_R.exec(capture[2]))) {
+		var name = match[1].toLowerCase();
+		// Like browsers, we keep the first of repeated attributes:
+		if (name !== '__proto__' && !Object.prototype.hasOwnProperty.call(attributes, name)) {
+			var value = match[2] != null ? match[2] : match[3] != null ? match[3] : match[4];
+			attributes[name] = value != null ? decodeHtmlEntities(value) : true;
+		}
+	}
+	return {
+		type: 'htmlInline',
+		tag: capture[1].toLowerCase(),
+		attributes: attributes,
+		content: [],
+	};
+};
+
+/**
+ * Finds the `</tag>` that closes a `<tag>` whose contents start at
+ * `start`, skipping over any `<tag>`s nested inside it.
+ *
+ * @param {string} source
+ * @param {string} tag
+ * @param {number} start
+ * @returns {?RegExpExecArray} the closing tag, or null if it isn't closed
+ */
+var htmlClosingTag = function (source, tag, start) {
+	var tagRegex = new RegExp('<(\\/?)' + tag + '(?:\\s[^>]*?)?\\s*(\\/?)>', 'gi');
+	tagRegex.lastIndex = start;
+	var depth = 1;
+	var match;
+	while ((match = tagRegex.exec(source))) {
+		depth += match[1] ? -1 : match[2] ? 0 : 1;
+		if (depth === 0) {
+			return match;
+		}
+	}
+	return null;
+};
+
+/**
+ * `htmlClosingTag` for `htmlInline`, which pairs up every `<tag>` in the
+ * source being parsed at once, rather than searching the rest of it
+ * again from each one (which took quadratic time for unclosed tags).
+ *
+ * @param {string} source starting with the `<tag>`
+ * @param {string} tag
+ * @param {number} start
+ * @param {SimpleMarkdown.State} state
+ * @returns {?{index: number, end: number}} the closing tag, or null
+ */
+var htmlInlineClosingTag = function (source, tag, start, state) {
+	var cache = state._sourceCache || {};
+	var key = 'htmlClosingTags:' + tag.toLowerCase();
+	/** @type {{[openEnd: number]: [number, number]}} */
+	var pairs = cache[key];
+	if (!pairs) {
+		// by distance from the end of `source`, the end of each `<tag>`
+		// and the start and end of the `</tag>` that closes it:
+		pairs = cache[key] = {};
+		var tagRegex = new RegExp('<(\\/?)' + tag + '(?:\\s[^<>]*?)?\\s*(\\/?)>', 'gi');
+		/** @type {Array<number>} */
+		var open = [];
+		var match;
+		while ((match = tagRegex.exec(source))) {
+			var fromEnd = source.length - match.index;
+			if (match[1]) {
+				if (open.length) {
+					pairs[/** @type {number} */ (open.pop())] = [
+						fromEnd,
+						fromEnd - match[0].length,
+					];
+				}
+			} else if (!match[2]) {
+				open.push(fromEnd - match[0].length);
+			}
+		}
+	}
+	var pair = pairs[source.length - start];
+	return pair ? { index: source.length - pair[0], end: source.length - pair[1] } : null;
+};
+
+/**
+ * Parses html into `htmlInline` nodes for its elements and `text` nodes
+ * for its text. Like a browser, elements left open are closed at the
+ * end, and closing tags that don't close anything are ignored.
+ *
+ * @param {string} source
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var parseHtml = function (source) {
+	/** @type {SimpleMarkdown.SingleASTNode} */
+	var root = { type: 'htmlBlock', content: [] };
+	var open = [root];
+	while (source) {
+		var parent = open[open.length - 1];
+		var capture;
+		if ((capture = HTML_DECLARATION_R.exec(source))) ; else if ((capture = HTML_CLOSE_TAG_R.exec(source))) {
+			for (var i = open.length - 1; i > 0; i--) {
+				if (open[i].tag === capture[1].toLowerCase()) {
+					open.length = i;
+					break;
+				}
+			}
+		} else if ((capture = HTML_OPEN_TAG_R.exec(source))) {
+			var element = htmlElementNode(capture);
+			parent.content.push(element);
+			if (HTML_RAW_TEXT_TAGS.indexOf(element.tag) !== -1) {
+				var close = htmlClosingTag(source, element.tag, capture[0].length);
+				var end = close ? close.index : source.length;
+				var text = source.slice(capture[0].length, end);
+				element.content = text ? [{ type: 'text', content: text }] : [];
+				capture = [source.slice(0, close ? end + close[0].length : end)];
+			} else if (!capture[3] && HTML_VOID_TAGS.indexOf(element.tag) === -1) {
+				open.push(element);
+			}
+		} else {
+			capture = HTML_TEXT_R.exec(source) || [source];
+			var last = parent.content[parent.content.length - 1];
+			if (last && last.type === 'text') {
+				last.content += decodeHtmlEntities(capture[0]);
+			} else {
+				parent.content.push({ type: 'text', content: decodeHtmlEntities(capture[0]) });
+			}
+		}
+		source = source.slice(capture[0].length);
+	}
+	return root.content;
+};
+
+/**
+ * Writes attributes out as html source.
+ *
+ * @param {{[attr: string]: SimpleMarkdown.Attr}} attributes
+ * @returns {string}
+ */
+var htmlAttributesSource = function (attributes) {
+	return Object.keys(attributes)
+		.map(function (name) {
+			var value = attributes[name];
+			return value === true
+				? ' ' + name
+				: ' ' +
+						name +
+						'="' +
+						String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;') +
+						'"';
+		})
+		.join('');
+};
+
+/**
+ * Writes raw html nodes, as parsed by `parseHtml`, back out as html
+ * source, for markdown output.
+ *
+ * @param {SimpleMarkdown.ASTNode} nodes
+ * @returns {string}
+ */
+var htmlSource = function (nodes) {
+	return (Array.isArray(nodes) ? nodes : [nodes])
+		.map(function (node) {
+			if (node.type === 'text') {
+				return node.content.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+			}
+			var openTag = '<' + node.tag + htmlAttributesSource(node.attributes) + '>';
+			return HTML_VOID_TAGS.indexOf(node.tag) !== -1
+				? openTag
+				: openTag + htmlSource(node.content) + '</' + node.tag + '>';
+		})
+		.join('');
+};
+
+/**
+ * The `name` setting of `state.htmlPolicy`, or its default.
+ *
+ * @param {SimpleMarkdown.State} state
+ * @param {keyof SimpleMarkdown.HtmlPolicy} name
+ * @returns {any}
+ */
+var htmlPolicySetting = function (state, name) {
+	var policy = state.htmlPolicy;
+	return policy && typeof policy === 'object' && policy[name] !== undefined
+		? policy[name]
+		: DEFAULT_HTML_POLICY[name];
+};
+
+/**
+ * Applies `applyUrlPolicy` to each of the image candidates in a `srcset`
+ * (a url, then optional descriptors like `2x`, separated by commas).
+ * Returns null, dropping the whole attribute, if any of them isn't
+ * allowed. As in browsers, a url can have commas in it, but not at its
+ * end.
+ *
+ * @param {string} srcset
+ * @param {SimpleMarkdown.State} state
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {?string}
+ */
+var applySrcsetPolicy = function (srcset, state, node) {
+	/** @type {Array<string>} */
+	var candidates = [];
+	var rest = srcset.replace(/^[\s,]+/, '');
+	while (rest) {
+		var url = rest.split(/\s/)[0];
+		rest = rest.slice(url.length);
+		var descriptors = '';
+		if (/,$/.test(url)) {
+			url = url.replace(/,+$/, '');
+		} else {
+			var end = rest.indexOf(',');
+			descriptors = (end === -1 ? rest : rest.slice(0, end)).trim();
+			rest = end === -1 ? '' : rest.slice(end + 1);
+		}
+		var allowedUrl = applyUrlPolicy(url, 'image', state, node);
+		if (allowedUrl == null) {
+			return null;
+		}
+		candidates.push(descriptors ? allowedUrl + ' ' + descriptors : allowedUrl);
+		rest = rest.replace(/^[\s,]+/, '');
+	}
+	return candidates.join(', ');
+};
+
+/**
+ * The attributes of a raw html element that `state.htmlPolicy` allows,
+ * with the values of url attributes checked by `applyUrlPolicy`, or null
+ * if the element's tag isn't allowed. Event handler attributes (`on*`)
+ * are never allowed.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.State} state
+ * @returns {?{[attr: string]: SimpleMarkdown.Attr}}
+ */
+var allowedHtmlAttributes = function (node, state) {
+	if (htmlPolicySetting(state, 'tags').indexOf(node.tag) === -1) {
+		return null;
+	}
+	var allowed = htmlPolicySetting(state, 'attributes');
+	var names = (allowed['*'] || []).concat(allowed[node.tag] || []);
+	var urlAttributes = htmlPolicySetting(state, 'urlAttributes');
+
+	/** @type {{[attr: string]: SimpleMarkdown.Attr}} */
+	var attributes = {};
+	Object.keys(node.attributes).forEach(function (name) {
+		if (names.indexOf(name) === -1 || /^on/.test(name)) {
+			return;
+		}
+		var value = node.attributes[name];
+		if (urlAttributes.indexOf(name) !== -1) {
+			/** @type {SimpleMarkdown.UrlKind} */
+			var kind = name === 'src' || name === 'poster' ? 'image' : 'link';
+			value =
+				name === 'srcset'
+					? applySrcsetPolicy(String(value), state, node)
+					: applyUrlPolicy(String(value), kind, state, node);
+		}
+		attributes[name] = value;
+	});
+	return attributes;
+};
+
+/**
+ * Reveals the spoiler an event happened on.
+ *
+ * @param {any} event
+ */
+var revealSpoiler = function (event) {
+	var spoiler = event.currentTarget;
+	spoiler.classList.add('revealed');
+	spoiler.setAttribute('aria-expanded', 'true');
+	// Once revealed, the content can be read as it is:
+	spoiler.removeAttribute('role');
+	spoiler.removeAttribute('aria-label');
+};
+
+/**
+ * Reveals a spoiler with the keyboard, as its button role promises.
+ *
+ * @param {any} event
+ */
+var spoilerKeydown = function (event) {
+	if (event.key === 'Enter' || event.key === ' ') {
+		event.preventDefault();
+		revealSpoiler(event);
+	}
+};
+
+/**
+ * Outputs an array of nodes as react or other elements, joining adjacent
+ * text nodes, and adding the element `footnotesSection` returns for the
+ * referenced footnotes, if there are any, at the end.
+ *
+ * @param {SimpleMarkdown.SingleASTNode[]} arr
+ * @param {SimpleMarkdown.Output<any>} output
+ * @param {SimpleMarkdown.State} state
+ * @param {(footnotes: SimpleMarkdown.SingleASTNode[]) => any} footnotesSection
+ * @returns {any[]}
+ */
+var outputElementArray = function (arr, output, state, footnotesSection) {
+	var oldKey = state.key;
+	var result = [];
+
+	// map output over the ast, except group any text
+	// nodes together into a single string output.
+	for (var i = 0, key = 0; i < arr.length; i++, key++) {
+		// `key` is our numerical `state.key`, which we increment for
+		// every output node, but don't change for joined text nodes.
+		// (i, however, must change for joined text nodes)
+		state.key = '' + i;
+
+		var node = arr[i];
+		if (node.type === 'footnoteDef') {
+			continue;
+		}
+		if (node.type === 'text') {
+			node = { type: 'text', content: node.content };
+			for (; i + 1 < arr.length && arr[i + 1].type === 'text'; i++) {
+				node.content += arr[i + 1].content;
+			}
+		}
+
+		result.push(output(node, state));
+	}
+
+	// Footnote definitions are collected into a list at the end:
+	var footnotes = collectFootnotes(arr);
+	if (footnotes.length) {
+		state.key = 'footnotes';
+		result.push(footnotesSection(footnotes));
+	}
+
+	state.key = oldKey;
+	return result;
+};
+
+var currOrder = 0;
+/** @type {SimpleMarkdown.ElementOnlyRules<SimpleMarkdown.DefaultRules>} */
+var defaultElementRules /* : DefaultRules */ = {
+	Array: {
+		element: function (arr, output, state) {
+			return outputElementArray(arr, output, state, function (footnotes) {
+				return createElement(state, 'section', state.key, { class: 'footnotes' }, [
+					createElement(
+						state,
+						'ol',
+						null,
+						{ start: footnotes[0].number },
+						footnotes.map(function (def) {
+							return output(def, state);
+						}),
+					),
+				]);
+			});
+		},
+		html: function (arr, output, state) {
+			var result = '';
+
+			// map output over the ast, except group any text
+			// nodes together into a single string output.
+			for (var i = 0; i < arr.length; i++) {
+				var node = arr[i];
+				if (node.type === 'footnoteDef') {
+					continue;
+				}
+				if (node.type === 'text') {
+					node = { type: 'text', content: node.content };
+					for (; i + 1 < arr.length && arr[i + 1].type === 'text'; i++) {
+						node.content += arr[i + 1].content;
+					}
+				}
+
+				result += output(node, state);
+			}
+
+			// Referenced footnotes are listed after everything else:
+			var footnotes = collectFootnotes(arr);
+			if (footnotes.length) {
+				var footnoteItems = footnotes
+					.map(function (def) {
+						return output(def, state);
+					})
+					.join('');
+				var start = footnotes[0].number === 1 ? undefined : footnotes[0].number;
+				result += htmlTag('section', htmlTag('ol', footnoteItems, { start: start }), {
+					class: 'footnotes',
+				});
+			}
+			return result;
+		},
+		markdown: function (arr, output, state) {
+			var result = '';
+
+			// join text nodes before escaping them, so that escapes which
+			// depend on the surrounding text see all of it
+			for (var i = 0; i < arr.length; i++) {
+				var node = arr[i];
+				if (node.type === 'text') {
+					node = { type: 'text', content: node.content };
+					for (; i + 1 < arr.length && arr[i + 1].type === 'text'; i++) {
+						node.content += arr[i + 1].content;
+					}
+				}
+
+				result += output(node, state);
+			}
+			return result;
+		},
+		text: function (arr, output, state) {
+			var result = '';
+			for (var i = 0; i < arr.length; i++) {
+				if (arr[i].type !== 'footnoteDef') {
+					result += output(arr[i], state);
+				}
+			}
+
+			// Referenced footnotes are listed after everything else:
+			collectFootnotes(arr).forEach(function (def) {
+				result += output(def, state);
+			});
+			return result;
+		},
+	},
+	heading: {
+		order: currOrder++,
+		match: blockRegex(/^ *(#{1,6})([^\n]+?)#* *(?:\n *)+\n/),
+		parse: function (capture, parse, state) {
+			var content = parseInline(parse, capture[2].trim(), state);
+			return {
+				level: capture[1].length,
+				id: headingId(headingText(content), state),
+				content: content,
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'h' + node.level,
+				state.key,
+				{ id: node.id },
+				output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			return htmlTag('h' + node.level, output(node.content, state), { id: node.id });
+		},
+		markdown: function (node, output, state) {
+			return new Array(node.level + 1).join('#') + ' ' + output(node.content, state) + '\n\n';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state) + '\n\n';
+		},
+	},
+	nptable: {
+		order: currOrder++,
+		match: blockRegex(TABLES.NPTABLE_REGEX),
+		parse: TABLES.parseNpTable,
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	lheading: {
+		order: currOrder++,
+		match: blockRegex(/^([^\n]+)\n *(=|-){3,} *(?:\n *)+\n/),
+		parse: function (capture, parse, state) {
+			var content = parseInline(parse, capture[1], state);
+			return {
+				type: 'heading',
+				level: capture[2] === '=' ? 1 : 2,
+				id: headingId(headingText(content), state),
+				content: content,
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	hr: {
+		order: currOrder++,
+		match: blockRegex(/^( *[-*_]){3,} *(?:\n *)+\n/),
+		parse: ignoreCapture,
+		element: function (node, output, state) {
+			return createElement(state, 'hr', state.key, EMPTY_PROPS);
+		},
+		html: function (node, output, state) {
+			return '<hr>';
+		},
+		markdown: function (node, output, state) {
+			return '---\n\n';
+		},
+		text: function (node, output, state) {
+			return '---\n\n';
+		},
+	},
+	codeBlock: {
+		order: currOrder++,
+		match: blockRegex(/^(?:    [^\n]+\n*)+(?:\n *)+\n/),
+		parse: function (capture, parse, state) {
+			var content = capture[0].replace(/^    /gm, '').replace(/\n+$/, '');
+			return {
+				lang: undefined,
+				content: content,
+			};
+		},
+		element: function (node, output, state) {
+			var className = node.lang
+				? (state._codeClassPrefix || 'markdown-code-') + node.lang
+				: undefined;
+			var tokens = highlightTokens(node, state);
+			/**
+			 * @param {SimpleMarkdown.HighlightToken} token
+			 * @param {number} i
+			 * @returns {any}
+			 */
+			var tokenElement = function (token, i) {
+				return token.type
+					? createElement(
+							state,
+							'span',
+							i,
+							{ class: 'token ' + token.type },
+							token.content,
+					  )
+					: token.content;
+			};
+
+			var code = hasCodeLines(node)
+				? splitCodeLines(tokens).map(function (line, i) {
+						return [
+							i > 0 ? '\n' : '',
+							createElement(
+								state,
+								'span',
+								i,
+								{ class: codeLineClass(node, i + 1), 'data-line': i + 1 },
+								line.map(tokenElement),
+							),
+						];
+				  })
+				: tokens.map(tokenElement);
+
+			return createElement(
+				state,
+				'pre',
+				state.key,
+				{
+					class: node.meta && node.meta.showLineNumbers ? 'line-numbers' : undefined,
+					'data-title': node.meta && node.meta.title,
+				},
+				[createElement(state, 'code', null, { class: className }, code)],
+			);
+		},
+		html: function (node, output, state) {
+			var className = node.lang
+				? (state._codeClassPrefix || 'markdown-code-') + node.lang
+				: undefined;
+			var tokens = highlightTokens(node, state);
+			/** @type {(token: SimpleMarkdown.HighlightToken) => string} */
+			var tokenHtml = function (token) {
+				return token.type
+					? htmlTag('span', sanitizeText(token.content), { class: 'token ' + token.type })
+					: sanitizeText(token.content);
+			};
+
+			var code = hasCodeLines(node)
+				? splitCodeLines(tokens)
+						.map(function (line, i) {
+							return htmlTag('span', line.map(tokenHtml).join(''), {
+								class: codeLineClass(node, i + 1),
+								'data-line': String(i + 1),
+							});
+						})
+						.join('\n')
+				: tokens.map(tokenHtml).join('');
+
+			var codeBlock = htmlTag('code', code, {
+				class: className,
+			});
+			return htmlTag('pre', codeBlock, {
+				class: node.meta && node.meta.showLineNumbers ? 'line-numbers' : undefined,
+				'data-title': node.meta && node.meta.title,
+			});
+		},
+		markdown: function (node, output, state) {
+			// the fence has to be longer than any run of backticks in the code
+			var fence = '```';
+			while (node.content.indexOf(fence) !== -1) {
+				fence += '`';
+			}
+			var info = [node.lang, node.meta && node.meta.raw].filter(Boolean).join(' ');
+			return fence + info + '\n' + node.content + '\n' + fence + '\n\n';
+		},
+		text: function (node, output, state) {
+			return node.content + '\n\n';
+		},
+	},
+	fence: {
+		order: currOrder++,
+		match: blockRegex(/^ *(`{3,}|~{3,})([^\n]*)\n([\s\S]+?)\n?\1 *(?:\n *)+\n/),
+		parse: function (capture, parse, state) {
+			var info = parseFenceInfo(capture[2]);
+			/** @type {SimpleMarkdown.UnTypedASTNode} */
+			var node = {
+				type: 'codeBlock',
+				lang: info.lang,
+				content: capture[3],
+			};
+			// Only fences with more than a language have meta:
+			if (info.meta.raw) {
+				node.meta = info.meta;
+			}
+			return node;
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	blockQuote: {
+		order: currOrder++,
+		// Lines after a blank line only continue the quote if they start
+		// with a `>`. (This is `/^( *>[^\n]+(\n[^\n]+)*\n*)+\n{2,}/`,
+		// but a `>` line can't be matched as a new section and as part of
+		// the last one, which backtracked through every way of splitting
+		// up the lines when there wasn't a blank line at the end.)
+		match: blockRegex(/^ *>[^\n]+(?:\n[^\n]+|\n{2,} *>[^\n]+)*\n{2,}/),
+		parse: function (capture, parse, state) {
+			var content = capture[0].replace(/^ *> ?/gm, '');
+			return {
+				content: parse(content, state),
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'blockquote',
+				state.key,
+				EMPTY_PROPS,
+				output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			return htmlTag('blockquote', output(node.content, state));
+		},
+		markdown: function (node, output, state) {
+			var content = output(node.content, state).replace(MARKDOWN_TRAILING_NEWLINES_R, '');
+			return content.replace(/^/gm, '> ').replace(/^> $/gm, '>') + '\n\n';
+		},
+		text: function (node, output, state) {
+			var content = output(node.content, state).replace(MARKDOWN_TRAILING_NEWLINES_R, '');
+			return content.replace(/^/gm, '> ').replace(/^> $/gm, '>') + '\n\n';
+		},
+	},
+	list: {
+		order: currOrder++,
+		childFields: ['items'],
+		match: function (source, state) {
+			// We only want to break into a list if we are at the start of a
+			// line. This is to avoid parsing "hi * there" with "* there"
+			// becoming a part of a list.
+			// You might wonder, "but that's inline, so of course it wouldn't
+			// start a list?". You would be correct! Except that some of our
+			// lists can be inline, because they might be inside another list,
+			// in which case we can parse with inline scope, but need to allow
+			// nested lists inside this inline scope.
+			var prevCaptureStr = state.prevCapture == null ? '' : state.prevCapture[0];
+			var isStartOfLineCapture = LIST_LOOKBEHIND_R.exec(prevCaptureStr);
+			var isListBlock = state._list || !state.inline;
+
+			if (isStartOfLineCapture && isListBlock) {
+				source = isStartOfLineCapture[1] + source;
+				return LIST_R.exec(source);
+			} else {
+				return null;
+			}
+		},
+		parse: function (capture, parse, state) {
+			var bullet = capture[2];
+			var ordered = bullet.length > 1;
+			var start = ordered ? +bullet : undefined;
+			var items = /** @type {string[]} */ (
+				capture[0].replace(LIST_BLOCK_END_R, '\n').match(LIST_ITEM_R)
+			);
+
+			// We know this will match here, because of how the regexes are
+			// defined
+			/*:: items = ((items : any) : Array<string>) */
+
+			var lastItemWasAParagraph = false;
+			var itemContent = items.map(function (
+				/** @type {string} */ item,
+				/** @type {number} */ i,
+			) {
+				// We need to see how far indented this item is:
+				var prefixCapture = LIST_ITEM_PREFIX_R.exec(item);
+				var space = prefixCapture ? prefixCapture[0].length : 0;
+				// And then we construct a regex to "unindent" the subsequent
+				// lines of the items by that amount:
+				var spaceRegex = new RegExp('^ {1,' + space + '}', 'gm');
+
+				// Before processing the item, we need a couple things
+				var content = item
+					// remove indents on trailing lines:
+					.replace(spaceRegex, '')
+					// remove the bullet:
+					.replace(LIST_ITEM_PREFIX_R, '');
+
+				// I'm not sur4 why this is necessary again?
+				/*:: items = ((items : any) : Array<string>) */
+
+				// Handling "loose" lists, like:
+				//
+				//  * this is wrapped in a paragraph
+				//
+				//  * as is this
+				//
+				//  * as is this
+				var isLastItem = i === items.length - 1;
+				var containsBlocks = content.indexOf('\n\n') !== -1;
+
+				// Any element in a list is a block if it contains multiple
+				// newlines. The last element in the list can also be a block
+				// if the previous item in the list was a block (this is
+				// because non-last items in the list can end with \n\n, but
+				// the last item can't, so we just "inherit" this property
+				// from our previous element).
+				var thisItemIsAParagraph = containsBlocks || (isLastItem && lastItemWasAParagraph);
+				lastItemWasAParagraph = thisItemIsAParagraph;
+
+				// backup our state for restoration afterwards. We're going to
+				// want to set state._list to true, and state.inline depending
+				// on our list's looseness.
+				var oldStateInline = state.inline;
+				var oldStateList = state._list;
+				state._list = true;
+				// let the checkbox rule know it can match, if this is a task
+				state._taskItem = TASK_ITEM_R.test(content);
+
+				// Parse inline if we're in a tight list, or block if we're in
+				// a loose list.
+				var adjustedContent;
+				if (thisItemIsAParagraph) {
+					state.inline = false;
+					adjustedContent = replaceListItemEnd(content, '\n\n');
+				} else {
+					state.inline = true;
+					adjustedContent = replaceListItemEnd(content, '');
+				}
+
+				var result = parse(adjustedContent, state);
+
+				// Restore our state before returning
+				state.inline = oldStateInline;
+				state._list = oldStateList;
+				state._taskItem = false;
+				return result;
+			});
+
+			return {
+				ordered: ordered,
+				start: start,
+				items: itemContent,
+			};
+		},
+		element: function (node, output, state) {
+			var ListWrapper = node.ordered ? 'ol' : 'ul';
+
+			return createElement(
+				state,
+				ListWrapper,
+				state.key,
+				{ start: node.start },
+				mapListItems(node, state, (item, i) =>
+					createElement(
+						state,
+						'li',
+						i,
+						{ class: isTaskItem(item) ? 'task-list-item' : undefined },
+						output(item, state),
+					),
+				),
+			);
+		},
+		html: function (node, output, state) {
+			var listItems = mapListItems(node, state, function (item) {
+				return htmlTag('li', output(item, state), {
+					class: isTaskItem(item) ? 'task-list-item' : undefined,
+				});
+			}).join('');
+
+			var listTag = node.ordered ? 'ol' : 'ul';
+			var attributes = {
+				start: node.start,
+			};
+			return htmlTag(listTag, listItems, attributes);
+		},
+		markdown: function (node, output, state) {
+			var isLoose = node.items.some(function (
+				/** @type {SimpleMarkdown.SingleASTNode[]} */ item,
+			) {
+				return item.some(function (itemNode) {
+					return itemNode.type === 'paragraph';
+				});
+			});
+			var start = node.start == null ? 1 : node.start;
+
+			var listItems = node.items.map(function (
+				/** @type {SimpleMarkdown.SingleASTNode[]} */ item,
+				/** @type {number} */ i,
+			) {
+				var content = '';
+				if (isLoose) {
+					content = output(item, state);
+				} else {
+					// Tight items are inline, apart from any nested lists,
+					// which need to start on a line of their own
+					/** @type {SimpleMarkdown.SingleASTNode[]} */
+					var inlineNodes = [];
+					item.forEach(function (itemNode) {
+						if (itemNode.type === 'list') {
+							content = (content + output(inlineNodes, state)).replace(/\s*$/, '\n');
+							content += output(itemNode, state);
+							inlineNodes = [];
+						} else {
+							inlineNodes.push(itemNode);
+						}
+					});
+					content += output(inlineNodes, state);
+				}
+
+				var bullet = node.ordered ? start + i + '. ' : '- ';
+				var indent = new Array(bullet.length + 1).join(' ');
+				return (
+					bullet +
+					content
+						.replace(/^\s*\n/, '')
+						.replace(MARKDOWN_TRAILING_NEWLINES_R, '')
+						.replace(/\n(?=[^\n])/g, '\n' + indent)
+				);
+			});
+
+			return listItems.join(isLoose ? '\n\n' : '\n') + '\n\n';
+		},
+		text: function (node, output, state) {
+			var start = node.start == null ? 1 : node.start;
+			var listItems = node.items.map(function (
+				/** @type {SimpleMarkdown.SingleASTNode[]} */ item,
+				/** @type {number} */ i,
+			) {
+				// Nested lists start on a line of their own:
+				var content = item.reduce(function (text, itemNode) {
+					if (itemNode.type === 'list' && text) {
+						text = text.replace(/\s*$/, '\n');
+					}
+					return text + output(itemNode, state);
+				}, '');
+
+				var bullet = node.ordered ? start + i + '. ' : '- ';
+				var indent = new Array(bullet.length + 1).join(' ');
+				return (
+					bullet +
+					content
+						.replace(MARKDOWN_TRAILING_NEWLINES_R, '')
+						.replace(/\n(?=[^\n])/g, '\n' + indent)
+				);
+			});
+			return listItems.join('\n') + '\n\n';
+		},
+	},
+	checkbox: {
+		order: currOrder++,
+		// Only matches at the start of a list item, where `list` has
+		// already checked for a checkbox. This comes before every other
+		// rule that could match there, so we can't match anywhere else.
+		match: function (source, state) {
+			return state._taskItem ? TASK_ITEM_R.exec(source) : null;
+		},
+		parse: function (capture, parse, state) {
+			state._taskItem = false;
+			return {
+				checked: capture[1] !== ' ',
+			};
+		},
+		element: function (node, output, state) {
+			var onChange = checkboxChangeHandler(node, state);
+			return [
+				createElement(state, 'input', state.key, {
+					type: 'checkbox',
+					class: 'task-list-item-checkbox',
+					checked: node.checked,
+					disabled: !onChange,
+					onChange: onChange,
+				}),
+				' ',
+			];
+		},
+		html: function (node, output, state) {
+			// We can't attach a callback to html, but we can leave the
+			// item's path for whoever does:
+			var path = state.onCheckboxChange && state._listItemPath;
+			var attributes = {
+				type: 'checkbox',
+				class: 'task-list-item-checkbox',
+				checked: node.checked,
+				disabled: !path,
+				'data-list-item-path': path ? path.join('.') : undefined,
+			};
+			return htmlTag('input', '', attributes, false) + ' ';
+		},
+		markdown: function (node, output, state) {
+			return node.checked ? '[x] ' : '[ ] ';
+		},
+		text: function (node, output, state) {
+			return node.checked ? '[x] ' : '[ ] ';
+		},
+	},
+	footnoteDef: {
+		order: currOrder++,
+		match: blockRegex(/^ *\[\^([^\]]+)\]: *([^\n]+(?:\n +[^\n]+)*)\n(?: *\n)*/),
+		parse: function (capture, parse, state) {
+			var id = normalizeFootnoteId(capture[1]);
+			var footnotes = footnoteState(state);
+			var prevFootnoteId = state._footnoteId;
+			state._footnoteId = id;
+			var content = parseInline(parse, capture[2].replace(/\n +/g, '\n'), state);
+			state._footnoteId = prevFootnoteId;
+			var def = {
+				id: id,
+				content: content,
+				number: undefined,
+				refCount: 0,
+			};
+
+			// As with defs, a later footnoteDef replaces an earlier one
+			footnotes.defs[id] = def;
+			// Defining a footnote that was already referenced can change
+			// the numbers of any footnotes referenced after it
+			if (footnotes.refs[id]) {
+				numberFootnotes(footnotes);
+			}
+			return def;
+		},
+		// Rendered by the Array rule, as a list item in the footnotes list:
+		element: function (node, output, state) {
+			var backrefs = [];
+			for (var i = 1; i <= node.refCount; i++) {
+				backrefs.push(' ');
+				backrefs.push(
+					createElement(
+						state,
+						'a',
+						i,
+						{
+							href: '#' + footnoteRefId(node.number, i),
+							class: 'footnote-backref',
+							'aria-label':
+								'Back to reference ' + node.number + (i > 1 ? '-' + i : ''),
+						},
+						[
+							'\u21a9',
+							i > 1 ? createElement(state, 'sup', null, EMPTY_PROPS, '' + i) : null,
+						],
+					),
+				);
+			}
+
+			return createElement(state, 'li', 'fn-' + node.number, { id: 'fn-' + node.number }, [
+				output(node.content, state),
+				backrefs,
+			]);
+		},
+		html: function (node, output, state) {
+			var backrefs = '';
+			for (var i = 1; i <= node.refCount; i++) {
+				backrefs +=
+					' ' +
+					htmlTag('a', '&#8617;' + (i > 1 ? htmlTag('sup', '' + i) : ''), {
+						href: '#' + footnoteRefId(node.number, i),
+						class: 'footnote-backref',
+						'aria-label': 'Back to reference ' + node.number + (i > 1 ? '-' + i : ''),
+					});
+			}
+
+			return htmlTag('li', output(node.content, state) + backrefs, {
+				id: 'fn-' + node.number,
+			});
+		},
+		markdown: function (node, output, state) {
+			var content = output(node.content, state).replace(/\n/g, '\n    ');
+			return '[^' + node.id + ']: ' + content + '\n\n';
+		},
+		// Listed at the end by the Array rule:
+		text: function (node, output, state) {
+			return '[' + node.number + '] ' + output(node.content, state) + '\n\n';
+		},
+	},
+	def: {
+		order: currOrder++,
+		// TODO(aria): This will match without a blank line before the next
+		// block element, which is inconsistent with most of the rest of
+		// simple-markdown.
+		match: blockRegex(/^ *\[([^\]]+)\]: *<?([^\s>]*)>?(?: +["(]([^\n]+)[")])? *\n(?: *\n)*/),
+		parse: function (capture, parse, state) {
+			var def = capture[1].replace(/\s+/g, ' ').toLowerCase();
+			var target = capture[2];
+			var title = capture[3];
+
+			// Look for previous links/images using this def
+			// If any links/images using this def have already been declared,
+			// they will have added themselves to the state._refs[def] list
+			// (_ to deconflict with client-defined state). We look through
+			// that list of reflinks for this def, and modify those AST nodes
+			// with our newly found information now.
+			// Sorry :(.
+			if (state._refs && state._refs[def]) {
+				// `refNode` can be a link or an image
+				state._refs[def].forEach(function (/** @type {SimpleMarkdown.RefNode} */ refNode) {
+					refNode.target = target;
+					refNode.title = title;
+				});
+			}
+
+			// Add this def to our map of defs for any future links/images
+			// In case we haven't found any or all of the refs referring to
+			// this def yet, we add our def to the table of known defs, so
+			// that future reflinks can modify themselves appropriately with
+			// this information.
+			state._defs = state._defs || {};
+			state._defs[def] = {
+				target: target,
+				title: title,
+			};
+
+			// return the relevant parsed information
+			// for debugging only.
+			return {
+				def: def,
+				target: target,
+				title: title,
+			};
+		},
+		element: function () {
+			return null;
+		},
+		html: function () {
+			return '';
+		},
+		markdown: function (node, output, state) {
+			// def targets aren't unescaped, so we can only encode spaces
+			var target = (node.target || '').replace(/ /g, '%20');
+			return '[' + node.def + ']: ' + target + markdownTitle(node.title) + '\n\n';
+		},
+		text: function () {
+			return '';
+		},
+	},
+	htmlBlock: {
+		order: currOrder++,
+		// Only with an `htmlPolicy`; without one, html is escaped as text:
+		match: function (source, state) {
+			return state.inline || !state.htmlPolicy ? null : HTML_BLOCK_R.exec(source);
+		},
+		parse: function (capture, parse, state) {
+			return { content: parseHtml(capture[0].replace(/\n+$/, '')) };
+		},
+		element: function (node, output, state) {
+			return output(node.content, state);
+		},
+		html: function (node, output, state) {
+			return output(node.content, state);
+		},
+		markdown: function (node, output, state) {
+			return htmlSource(node.content) + '\n\n';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state) + '\n\n';
+		},
+	},
+	table: {
+		order: currOrder++,
+		childFields: ['header', 'cells'],
+		match: blockRegex(TABLES.TABLE_REGEX),
+		parse: TABLES.parseTable,
+		element: function (node, output, state) {
+			/**
+			 * @param {number} colIndex
+			 * @returns {{ [attr: string]: SimpleMarkdown.Attr }}
+			 */
+			var getStyle = function (colIndex) {
+				return node.align[colIndex] == null
+					? {}
+					: {
+							textAlign: node.align[colIndex],
+					  };
+			};
+
+			var headers = node.header.map(
+				(/** @type {SimpleMarkdown.ASTNode} */ content, /** @type {number} */ i) =>
+					createElement(
+						state,
+						'th',
+						i,
+						{ style: getStyle(i), scope: 'col' },
+						output(content, state),
+					),
+			);
+
+			var rows = node.cells.map(
+				(/** @type {SimpleMarkdown.ASTNode[]} */ row, /** @type {number} */ r) =>
+					createElement(
+						state,
+						'tr',
+						r,
+						EMPTY_PROPS,
+						row.map((content, c) =>
+							createElement(
+								state,
+								'td',
+								c,
+								{ style: getStyle(c) },
+								output(content, state),
+							),
+						),
+					),
+			);
+
+			return createElement(state, 'table', state.key, EMPTY_PROPS, [
+				createElement(state, 'thead', 'thead', EMPTY_PROPS, [
+					createElement(state, 'tr', null, EMPTY_PROPS, headers),
+				]),
+				createElement(state, 'tbody', 'tbody', EMPTY_PROPS, rows),
+			]);
+		},
+		html: function (node, output, state) {
+			/**
+			 * @param {number} colIndex
+			 * @returns {string}
+			 */
+			var getStyle = function (colIndex) {
+				return node.align[colIndex] == null
+					? ''
+					: 'text-align:' + node.align[colIndex] + ';';
+			};
+
+			var headers = node.header
+				.map(function (
+					/** @type {SimpleMarkdown.ASTNode} */ content,
+					/** @type {number} */ i,
+				) {
+					return htmlTag('th', output(content, state), {
+						style: getStyle(i),
+						scope: 'col',
+					});
+				})
+				.join('');
+
+			var rows = node.cells
+				.map(function (/** @type {SimpleMarkdown.ASTNode[]} */ row) {
+					var cols = row
+						.map(function (
+							/** @type {SimpleMarkdown.ASTNode} */ content,
+							/** @type {number} */ c,
+						) {
+							return htmlTag('td', output(content, state), { style: getStyle(c) });
+						})
+						.join('');
+
+					return htmlTag('tr', cols);
+				})
+				.join('');
+
+			var thead = htmlTag('thead', htmlTag('tr', headers));
+			var tbody = htmlTag('tbody', rows);
+
+			return htmlTag('table', thead + tbody);
+		},
+		markdown: function (node, output, state) {
+			/**
+			 * @param {SimpleMarkdown.ASTNode[]} row
+			 * @returns {string}
+			 */
+			var tableRow = function (row) {
+				var cols = row.map(function (/** @type {SimpleMarkdown.ASTNode} */ content) {
+					return output(content, state);
+				});
+				return '| ' + cols.join(' | ') + ' |';
+			};
+
+			var alignMarks = { left: ':--', right: '--:', center: ':-:' };
+			var align = node.align.map(function (
+				/** @type {SimpleMarkdown.TableAlignment} */ align,
+			) {
+				return align == null ? '---' : alignMarks[align];
+			});
+
+			return (
+				[tableRow(node.header), '| ' + align.join(' | ') + ' |']
+					.concat(node.cells.map(tableRow))
+					.join('\n') + '\n\n'
+			);
+		},
+		text: function (node, output, state) {
+			/**
+			 * @param {SimpleMarkdown.ASTNode[]} row
+			 * @returns {string}
+			 */
+			var tableRow = function (row) {
+				return row
+					.map(function (/** @type {SimpleMarkdown.ASTNode} */ content) {
+						return output(content, state);
+					})
+					.join('\t');
+			};
+
+			return [tableRow(node.header)].concat(node.cells.map(tableRow)).join('\n') + '\n\n';
+		},
+	},
+	newline: {
+		order: currOrder++,
+		match: blockRegex(/^(?:\n *)*\n/),
+		parse: ignoreCapture,
+		element: function (node, output, state) {
+			return '\n';
+		},
+		html: function (node, output, state) {
+			return '\n';
+		},
+		markdown: function (node, output, state) {
+			// blocks end in their own blank lines
+			return '';
+		},
+		text: function (node, output, state) {
+			return '';
+		},
+	},
+	paragraph: {
+		order: currOrder++,
+		match: blockRegex(/^((?:[^\n]|\n(?! *\n))+)(?:\n *)+\n/),
+		parse: function (capture, parse, state) {
+			var content = parseInline(parse, capture[1], state);
+			if (Array.isArray(content)) {
+				markJumboEmoji(content);
+			}
+			return { content: content };
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'div',
+				state.key,
+				{ class: 'paragraph' },
+				output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			var attributes = {
+				class: 'paragraph',
+			};
+			return htmlTag('div', output(node.content, state), attributes);
+		},
+		markdown: function (node, output, state) {
+			return output(node.content, state) + '\n\n';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state) + '\n\n';
+		},
+	},
+	escape: {
+		order: currOrder++,
+		// We don't allow escaping numbers, letters, or spaces here so that
+		// backslashes used in plain text still get rendered. But allowing
+		// escaping anything else provides a very flexible escape mechanism,
+		// regardless of how this grammar is extended.
+		match: inlineRegex(/^\\([^0-9A-Za-z\s])/),
+		parse: function (capture, parse, state) {
+			return {
+				type: 'text',
+				content: capture[1],
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	tableSeparator: {
+		order: currOrder++,
+		match: function (source, state) {
+			if (!state.inTable) {
+				return null;
+			}
+			return /^ *\| */.exec(source);
+		},
+		parse: function () {
+			return { type: 'tableSeparator' };
+		},
+		// These shouldn't be reached, but in case they are, be reasonable:
+		element: () => ' | ',
+		html: () => ' &vert; ',
+		markdown: () => ' | ',
+		text: () => ' | ',
+	},
+	autolink: {
+		order: currOrder++,
+		match: inlineRegex(/^<([^: >]+:\/[^ >]+)>/),
+		parse: function (capture, parse, state) {
+			return {
+				type: 'link',
+				content: [
+					{
+						type: 'text',
+						content: capture[1],
+					},
+				],
+				target: capture[1],
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	mailto: {
+		order: currOrder++,
+		match: inlineRegex(/^<([^ >]+@[^ >]+)>/),
+		parse: function (capture, parse, state) {
+			var address = capture[1];
+			var target = capture[1];
+
+			// Check for a `mailto:` already existing in the link:
+			if (!AUTOLINK_MAILTO_CHECK_R.test(target)) {
+				target = 'mailto:' + target;
+			}
+
+			return {
+				type: 'link',
+				content: [
+					{
+						type: 'text',
+						content: address,
+					},
+				],
+				target: target,
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	htmlInline: {
+		order: currOrder++,
+		// An element, with its contents parsed as markdown, if it's
+		// closed in the same paragraph. Only with an `htmlPolicy`:
+		match: function (source, state) {
+			var capture = state.inline && state.htmlPolicy ? HTML_OPEN_TAG_R.exec(source) : null;
+			var tag = capture && capture[1].toLowerCase();
+			if (!capture || capture[3] || HTML_VOID_TAGS.indexOf(tag || '') !== -1) {
+				return capture;
+			}
+			var close = htmlInlineClosingTag(source, capture[1], capture[0].length, state);
+			if (!close) {
+				return null;
+			}
+			return [
+				source.slice(0, close.end),
+				capture[1],
+				capture[2],
+				capture[3],
+				source.slice(capture[0].length, close.index),
+			];
+		},
+		parse: function (capture, parse, state) {
+			var node = htmlElementNode(capture);
+			if (capture[4] && HTML_RAW_TEXT_TAGS.indexOf(node.tag) !== -1) {
+				node.content = [{ type: 'text', content: capture[4] }];
+			} else if (capture[4]) {
+				node.content = parseInline(parse, capture[4], state);
+			}
+			return node;
+		},
+		element: function (node, output, state) {
+			var attributes = allowedHtmlAttributes(node, state);
+			if (!attributes) {
+				return HTML_DROPPED_TAGS.indexOf(node.tag) !== -1
+					? null
+					: output(node.content, state);
+			}
+			return createElement(
+				state,
+				node.tag,
+				state.key,
+				attributes,
+				HTML_VOID_TAGS.indexOf(node.tag) !== -1 ? undefined : output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			var attributes = allowedHtmlAttributes(node, state);
+			if (!attributes) {
+				return HTML_DROPPED_TAGS.indexOf(node.tag) !== -1
+					? ''
+					: output(node.content, state);
+			}
+			// Boolean attributes, like `<details open>`, are spelled out:
+			for (var name in attributes) {
+				if (attributes[name] === true) {
+					attributes[name] = name;
+				}
+			}
+			var isVoid = HTML_VOID_TAGS.indexOf(node.tag) !== -1;
+			return htmlTag(
+				node.tag,
+				isVoid ? '' : output(node.content, state),
+				attributes,
+				!isVoid,
+			);
+		},
+		markdown: function (node, output, state) {
+			var openTag = '<' + node.tag + htmlAttributesSource(node.attributes) + '>';
+			return HTML_VOID_TAGS.indexOf(node.tag) !== -1
+				? openTag
+				: openTag + output(node.content, state) + '</' + node.tag + '>';
+		},
+		text: function (node, output, state) {
+			return HTML_DROPPED_TAGS.indexOf(node.tag) !== -1 ? '' : output(node.content, state);
+		},
+	},
+	url: {
+		order: currOrder++,
+		match: function (source, state, prevCapture) {
+			return state.inline ? matchAutolink(source, state, prevCapture) : null;
+		},
+		parse: function (capture, parse, state) {
+			return {
+				type: 'link',
+				content: [
+					{
+						type: 'text',
+						content: capture[0],
+					},
+				],
+				target: capture[1],
+				title: undefined,
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	footnoteRef: {
+		order: currOrder++,
+		match: inlineRegex(/^\[\^([^\]]+)\]/),
+		parse: function (capture, parse, state) {
+			var id = normalizeFootnoteId(capture[1]);
+			var footnotes = footnoteState(state);
+			var refs = footnotes.refs[id];
+			var ownRefs = footnotes.ownRefs[id];
+
+			// A footnote referencing itself from its own definition is
+			// numbered with it, but doesn't count as one of its references
+			if (state._footnoteId === id) {
+				var ownRef = { id: id, number: refs ? refs[0].number : undefined, index: 0 };
+				(ownRefs || (footnotes.ownRefs[id] = [])).push(ownRef);
+				return ownRef;
+			}
+
+			if (!refs) {
+				refs = footnotes.refs[id] = [];
+				footnotes.order.push(id);
+			}
+
+			var def = footnotes.defs[id];
+			var refNode = {
+				id: id,
+				number: refs.length ? refs[0].number : def ? ++footnotes.count : undefined,
+				index: refs.length + 1,
+			};
+			refs.push(refNode);
+			if (def) {
+				def.number = refNode.number;
+				def.refCount = refs.length;
+				(ownRefs || []).forEach(function (ownRefNode) {
+					ownRefNode.number = refNode.number;
+				});
+			}
+			return refNode;
+		},
+		element: function (node, output, state) {
+			// Without a footnoteDef, leave the reference as we found it
+			if (node.number == null) {
+				return '[^' + node.id + ']';
+			}
+			return createElement(state, 'sup', state.key, { class: 'footnote-ref' }, [
+				createElement(
+					state,
+					'a',
+					null,
+					{ href: '#fn-' + node.number, id: footnoteRefId(node.number, node.index) },
+					'' + node.number,
+				),
+			]);
+		},
+		html: function (node, output, state) {
+			// Without a footnoteDef, leave the reference as we found it
+			if (node.number == null) {
+				return sanitizeText('[^' + node.id + ']');
+			}
+			var link = htmlTag('a', '' + node.number, {
+				href: '#fn-' + node.number,
+				id: footnoteRefId(node.number, node.index),
+			});
+			return htmlTag('sup', link, { class: 'footnote-ref' });
+		},
+		markdown: function (node, output, state) {
+			return '[^' + node.id + ']';
+		},
+		text: function (node, output, state) {
+			return node.number == null ? '[^' + node.id + ']' : '[' + node.number + ']';
+		},
+	},
+	link: {
+		order: currOrder++,
+		match: inlineRegex(
+			new RegExp('^\\[(' + LINK_INSIDE + ')\\]\\(' + LINK_HREF_AND_TITLE + '\\)'),
+		),
+		parse: function (capture, parse, state) {
+			var link = {
+				content: parseLinkText(parse, capture[1], state),
+				target: unescapeUrl(capture[2]),
+				title: capture[3],
+			};
+			return link;
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'a',
+				state.key,
+				{ href: applyUrlPolicy(node.target, 'link', state, node), title: node.title },
+				output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			var attributes = {
+				href: applyUrlPolicy(node.target, 'link', state, node),
+				title: node.title,
+			};
+
+			return htmlTag('a', output(node.content, state), attributes);
+		},
+		markdown: function (node, output, state) {
+			var content = output(node.content, state);
+			// Reflinks keep their label (and unresolved ones have no target):
+			if (node.ref != null || node.target == null) {
+				return '[' + content + ']' + markdownRefSuffix(node, content);
+			}
+			// Links that show their own target round-trip as autolinks:
+			var text =
+				node.content.length === 1 &&
+				node.content[0].type === 'text' &&
+				node.content[0].content;
+			if (text && node.title == null) {
+				if (text === node.target && MARKDOWN_AUTOLINK_R.test(text)) {
+					return '<' + text + '>';
+				}
+				if ('http://' + text === node.target && MARKDOWN_WWW_R.test(text)) {
+					return text;
+				}
+				if (
+					(text === node.target || 'mailto:' + text === node.target) &&
+					MARKDOWN_MAILTO_R.test(text)
+				) {
+					return '<' + text + '>';
+				}
+			}
+			return (
+				'[' + content + '](' + markdownUrl(node.target) + markdownTitle(node.title) + ')'
+			);
+		},
+		text: function (node, output, state) {
+			var content = output(node.content, state);
+			// Autolinks (and unresolved reflinks) don't need their target
+			// spelled out again:
+			if (
+				node.target == null ||
+				content === node.target ||
+				'mailto:' + content === node.target ||
+				'http://' + content === node.target
+			) {
+				return content;
+			}
+			return content + ' (' + node.target + ')';
+		},
+	},
+	image: {
+		order: currOrder++,
+		match: inlineRegex(
+			new RegExp('^!\\[(' + LINK_INSIDE + ')\\]\\(' + LINK_HREF_AND_TITLE + '\\)'),
+		),
+		parse: function (capture, parse, state) {
+			var image = {
+				alt: capture[1],
+				target: unescapeUrl(capture[2]),
+				title: capture[3],
+			};
+			return image;
+		},
+		element: function (node, output, state) {
+			return createElement(state, 'img', state.key, {
+				src: applyUrlPolicy(node.target, 'image', state, node),
+				alt: node.alt,
+				title: node.title,
+			});
+		},
+		html: function (node, output, state) {
+			var attributes = {
+				src: applyUrlPolicy(node.target, 'image', state, node),
+				alt: node.alt,
+				title: node.title,
+			};
+
+			return htmlTag('img', '', attributes, false);
+		},
+		markdown: function (node, output, state) {
+			// Refimages keep their label (and unresolved ones have no target):
+			if (node.ref != null || node.target == null) {
+				return '![' + node.alt + ']' + markdownRefSuffix(node, node.alt);
+			}
+			return (
+				'![' + node.alt + '](' + markdownUrl(node.target) + markdownTitle(node.title) + ')'
+			);
+		},
+		text: function (node, output, state) {
+			return node.alt;
+		},
+	},
+	reflink: {
+		order: currOrder++,
+		match: inlineRegex(
+			new RegExp(
+				// The first [part] of the link
+				'^\\[(' +
+					LINK_INSIDE +
+					')\\]' +
+					// The [ref] target of the link
+					'\\s*\\[([^\\]]*)\\]',
+			),
+		),
+		parse: function (capture, parse, state) {
+			return parseRef(capture, state, {
+				type: 'link',
+				content: parseLinkText(parse, capture[1], state),
+			});
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	refimage: {
+		order: currOrder++,
+		match: inlineRegex(
+			new RegExp(
+				// The first [part] of the link
+				'^!\\[(' +
+					LINK_INSIDE +
+					')\\]' +
+					// The [ref] target of the link
+					'\\s*\\[([^\\]]*)\\]',
+			),
+		),
+		parse: function (capture, parse, state) {
+			return parseRef(capture, state, {
+				type: 'image',
+				alt: capture[1],
+			});
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	em: {
+		order: currOrder /* same as strong/u */,
+		match: inlineRegex(
+			new RegExp(
+				// only match _s surrounding words.
+				'^\\b_' +
+					'((?:__|\\\\[\\s\\S]|[^\\\\_])+?)_' +
+					'\\b' +
+					// Or match *s:
+					'|' +
+					// Only match *s that are followed by a non-space:
+					'^\\*(?=\\S)(' +
+					// Match at least one of:
+					'(?:' +
+					//  - `**`: so that bolds inside italics don't close the
+					//          italics
+					'\\*\\*|' +
+					//  - escape sequence: so escaped *s don't close us
+					'\\\\[\\s\\S]|' +
+					//  - whitespace: followed by a non-* (we don't
+					//          want ' *' to close an italics--it might
+					//          start a list)
+					'\\s+(?:\\\\[\\s\\S]|[^\\s\\*\\\\]|\\*\\*)|' +
+					//  - non-whitespace, non-*, non-backslash characters
+					'[^\\s\\*\\\\]' +
+					')+?' +
+					// followed by a non-space, non-* then *
+					')\\*(?!\\*)',
+			),
+		),
+		quality: function (capture) {
+			// precedence by length, `em` wins ties:
+			return capture[0].length + 0.2;
+		},
+		parse: function (capture, parse, state) {
+			return {
+				content: parse(capture[2] || capture[1], state),
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(state, 'em', state.key, EMPTY_PROPS, output(node.content, state));
+		},
+
+		html: function (node, output, state) {
+			return htmlTag('em', output(node.content, state));
+		},
+		markdown: function (node, output, state) {
+			return '*' + output(node.content, state) + '*';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state);
+		},
+	},
+	strong: {
+		order: currOrder /* same as em */,
+		match: inlineRegex(/^\*\*((?:\\[\s\S]|[^\\])+?)\*\*(?!\*)/),
+		quality: function (capture) {
+			// precedence by length, wins ties vs `u`:
+			return capture[0].length + 0.1;
+		},
+		parse: parseCaptureInline,
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'strong',
+				state.key,
+				EMPTY_PROPS,
+				output(node.content, state),
+			);
+		},
+
+		html: function (node, output, state) {
+			return htmlTag('strong', output(node.content, state));
+		},
+		markdown: function (node, output, state) {
+			return '**' + output(node.content, state) + '**';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state);
+		},
+	},
+	u: {
+		order: currOrder++ /* same as em&strong; increment for next rule */,
+		match: inlineRegex(/^__((?:\\[\s\S]|[^\\])+?)__(?!_)/),
+		quality: function (capture) {
+			// precedence by length, loses all ties
+			return capture[0].length;
+		},
+		parse: parseCaptureInline,
+		element: function (node, output, state) {
+			return createElement(state, 'u', state.key, EMPTY_PROPS, output(node.content, state));
+		},
+
+		html: function (node, output, state) {
+			return htmlTag('u', output(node.content, state));
+		},
+		markdown: function (node, output, state) {
+			return '__' + output(node.content, state) + '__';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state);
+		},
+	},
+	del: {
+		order: currOrder++,
+		match: inlineRegex(/^~~(?=\S)((?:\\[\s\S]|~(?!~)|[^\s~\\]|\s(?!~~))+?)~~/),
+		parse: parseCaptureInline,
+		element: function (node, output, state) {
+			return createElement(state, 'del', state.key, EMPTY_PROPS, output(node.content, state));
+		},
+		html: function (node, output, state) {
+			return htmlTag('del', output(node.content, state));
+		},
+		markdown: function (node, output, state) {
+			return '~~' + output(node.content, state) + '~~';
+		},
+		text: function (node, output, state) {
+			return output(node.content, state);
+		},
+	},
+	inlineCode: {
+		order: currOrder++,
+		// The opening backticks have to be the whole run of them, or a
+		// long run of unmatched backticks takes cubic time to give up on:
+		match: inlineRegex(/^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/),
+		parse: function (capture, parse, state) {
+			return {
+				content: capture[2].replace(INLINE_CODE_ESCAPE_BACKTICKS_R, '$1'),
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(state, 'code', state.key, EMPTY_PROPS, node.content);
+		},
+		html: function (node, output, state) {
+			return htmlTag('code', sanitizeText(node.content));
+		},
+		markdown: function (node, output, state) {
+			var fence = '`';
+			while (node.content.indexOf(fence) !== -1) {
+				fence += '`';
+			}
+			// A space keeps backticks at either end from joining the fence;
+			// the parser strips it again
+			var before = node.content[0] === '`' ? ' ' : '';
+			var after = node.content[node.content.length - 1] === '`' ? ' ' : '';
+			return fence + before + node.content + after + fence;
+		},
+		text: function (node, output, state) {
+			return node.content;
+		},
+	},
+	br: {
+		order: currOrder++,
+		match: anyScopeRegex(/^ {2,}\n/),
+		parse: ignoreCapture,
+		element: function (node, output, state) {
+			return createElement(state, 'br', state.key, EMPTY_PROPS);
+		},
+
+		html: function (node, output, state) {
+			return '<br>';
+		},
+		markdown: function (node, output, state) {
+			return '  \n';
+		},
+		text: function (node, output, state) {
+			return '\n';
+		},
+	},
+	emoji: {
+		order: currOrder++,
+		// Only shortcodes in `state.emojiShortcodes` (such as the table
+		// exported as `emojiShortcodes`) are emoji; others are left as text
+		match: function (source, state) {
+			var shortcodes = state.emojiShortcodes;
+			var capture = state.inline && shortcodes ? EMOJI_R.exec(source) : null;
+			if (
+				capture &&
+				shortcodes &&
+				Object.prototype.hasOwnProperty.call(shortcodes, capture[1])
+			) {
+				return capture;
+			}
+			return null;
+		},
+		parse: function (capture, parse, state) {
+			return {
+				name: capture[1],
+				emoji: (state.emojiShortcodes || {})[capture[1]],
+				jumbo: false,
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'span',
+				state.key,
+				{
+					class: emojiClass(node),
+					role: 'img',
+					'aria-label': ':' + node.name + ':',
+					title: ':' + node.name + ':',
+				},
+				node.emoji,
+			);
+		},
+		html: function (node, output, state) {
+			return htmlTag('span', sanitizeText(node.emoji), {
+				class: emojiClass(node),
+				role: 'img',
+				'aria-label': ':' + node.name + ':',
+				title: ':' + node.name + ':',
+			});
+		},
+		markdown: function (node, output, state) {
+			return ':' + node.name + ':';
+		},
+		text: function (node, output, state) {
+			return node.emoji;
+		},
+	},
+	customEmoji: {
+		order: currOrder++,
+		match: inlineRegex(CUSTOM_EMOJI_R),
+		parse: function (capture, parse, state) {
+			return {
+				name: capture[2],
+				id: capture[3],
+				animated: !!capture[1],
+				jumbo: false,
+			};
+		},
+		element: function (node, output, state) {
+			var src = customEmojiUrl(node, state);
+			if (src == null) {
+				return ':' + node.name + ':';
+			}
+			return createElement(state, 'img', state.key, {
+				class: emojiClass(node),
+				src: src,
+				alt: ':' + node.name + ':',
+				title: ':' + node.name + ':',
+			});
+		},
+		html: function (node, output, state) {
+			var src = customEmojiUrl(node, state);
+			if (src == null) {
+				return sanitizeText(':' + node.name + ':');
+			}
+			var attributes = {
+				class: emojiClass(node),
+				src: src,
+				alt: ':' + node.name + ':',
+				title: ':' + node.name + ':',
+			};
+			return htmlTag('img', '', attributes, false);
+		},
+		markdown: function (node, output, state) {
+			return '<' + (node.animated ? 'a' : '') + ':' + node.name + ':' + node.id + '>';
+		},
+		text: function (node, output, state) {
+			return ':' + node.name + ':';
+		},
+	},
+	text: {
+		order: currOrder++,
+		// Here we look for anything followed by non-symbols,
+		// double newlines, or double-space-newlines
+		// We break on any symbol characters so that this grammar
+		// is easy to extend without needing to modify this regex
+		// Runs of letters and of spaces are stepped over at once, since
+		// we'd only stop inside one where we'd stop at its start, and
+		// checking from every character would scan the rest of the run
+		// each time.
+		match: anyScopeRegex(
+			/^[\s\S](?:[0-9A-Za-z]+| +|[\s\S])*?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n\n| {2,}\n|\w+:\S|\bwww\.|\b[\w.+-]+@|$)/,
+		),
+		parse: function (capture, parse, state) {
+			return {
+				content: capture[0],
+			};
+		},
+		element: (node, output, state) => node.content,
+		html: (node, output, state) => sanitizeText(node.content),
+		markdown: (node, output, state) => escapeMarkdown(node.content),
+		text: (node, output, state) => node.content,
+	},
+};
+
+// Every rule's `react`, `vue` and `dom` outputs are made from its
+// `element` output:
+Object.keys(defaultElementRules).forEach(function (type) {
+	withElementOutputs(defaultElementRules[type]);
+});
+/** @type {SimpleMarkdown.DefaultRules} */
+var defaultRules /* : DefaultRules */ = /** @type {any} */ (defaultElementRules);
+
+// Chat syntax that isn't markdown, so only the discordRules parse it:
+/** @type {SimpleMarkdown.ElementOnlyRules<SimpleMarkdown.DiscordSyntaxRules>} */
+var discordSyntaxRules = {
+	userMention: {
+		order: defaultRules.autolink.order - 0.5,
+		match: inlineRegex(/^<@!?(\d+)>/),
+		parse: function (capture, parse, state) {
+			return { id: capture[1] };
+		},
+		element: function (node, output, state) {
+			return mentionElement('user', node, state);
+		},
+		html: function (node, output, state) {
+			return mentionHtml('user', node, state);
+		},
+		markdown: function (node, output, state) {
+			return mentionSource('user', node.id);
+		},
+		text: function (node, output, state) {
+			return mentionText('user', node, state);
+		},
+	},
+	roleMention: {
+		order: defaultRules.autolink.order - 0.5,
+		match: inlineRegex(/^<@&(\d+)>/),
+		parse: function (capture, parse, state) {
+			return { id: capture[1] };
+		},
+		element: function (node, output, state) {
+			return mentionElement('role', node, state);
+		},
+		html: function (node, output, state) {
+			return mentionHtml('role', node, state);
+		},
+		markdown: function (node, output, state) {
+			return mentionSource('role', node.id);
+		},
+		text: function (node, output, state) {
+			return mentionText('role', node, state);
+		},
+	},
+	channelMention: {
+		order: defaultRules.autolink.order - 0.5,
+		match: inlineRegex(/^<#(\d+)>/),
+		parse: function (capture, parse, state) {
+			return { id: capture[1] };
+		},
+		element: function (node, output, state) {
+			return mentionElement('channel', node, state);
+		},
+		html: function (node, output, state) {
+			return mentionHtml('channel', node, state);
+		},
+		markdown: function (node, output, state) {
+			return mentionSource('channel', node.id);
+		},
+		text: function (node, output, state) {
+			return mentionText('channel', node, state);
+		},
+	},
+	everyoneMention: {
+		order: defaultRules.autolink.order - 0.5,
+		match: function (source, state, prevCapture) {
+			// Not in the middle of a word or email address, like `me@here.com`:
+			if (!state.inline || MENTION_LOOKBEHIND_R.test(prevCapture)) {
+				return null;
+			}
+			return EVERYONE_MENTION_R.exec(source);
+		},
+		parse: function (capture, parse, state) {
+			return { name: capture[1] };
+		},
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'span',
+				state.key,
+				{ class: 'mention mention-' + node.name },
+				'@' + node.name,
+			);
+		},
+		html: function (node, output, state) {
+			return htmlTag('span', '@' + node.name, { class: 'mention mention-' + node.name });
+		},
+		markdown: function (node, output, state) {
+			return '@' + node.name;
+		},
+		text: function (node, output, state) {
+			return '@' + node.name;
+		},
+	},
+	timestamp: {
+		order: defaultRules.autolink.order - 0.5,
+		match: function (source, state, prevCapture) {
+			var capture = state.inline ? TIMESTAMP_R.exec(source) : null;
+			// Too far from 1970 for a Date:
+			if (capture && isNaN(new Date(+capture[1] * 1000).getTime())) {
+				return null;
+			}
+			return capture;
+		},
+		parse: function (capture, parse, state) {
+			return {
+				timestamp: +capture[1],
+				style: capture[2],
+			};
+		},
+		element: function (node, output, state) {
+			var attributes = timestampAttributes(node, state);
+			return createElement(
+				state,
+				'time',
+				state.key,
+				{ datetime: attributes.datetime, title: attributes.title },
+				formatTimestamp(node, node.style, state),
+			);
+		},
+		html: function (node, output, state) {
+			return htmlTag(
+				'time',
+				sanitizeText(formatTimestamp(node, node.style, state)),
+				timestampAttributes(node, state),
+			);
+		},
+		markdown: function (node, output, state) {
+			return '<t:' + node.timestamp + (node.style ? ':' + node.style : '') + '>';
+		},
+		text: function (node, output, state) {
+			return formatTimestamp(node, node.style, state);
+		},
+	},
+	spoiler: {
+		order: defaultRules.em.order /* same as em/strong/u */,
+		match: inlineRegex(/^\|\|((?:\\[\s\S]|[^\\])+?)\|\|(?!\|)/),
+		quality: function (capture) {
+			// precedence by length, wins ties vs `u`:
+			return capture[0].length + 0.05;
+		},
+		parse: parseCaptureInline,
+		element: function (node, output, state) {
+			return createElement(
+				state,
+				'span',
+				state.key,
+				{
+					class: 'spoiler',
+					role: 'button',
+					tabindex: '0',
+					'aria-expanded': 'false',
+					'aria-label': 'Spoiler',
+					onClick: revealSpoiler,
+					onKeydown: spoilerKeydown,
+				},
+				output(node.content, state),
+			);
+		},
+		html: function (node, output, state) {
+			// We can't attach a toggle to html, but we can make the spoiler
+			// accessible for whoever does:
+			var attributes = state.spoilerToggles
+				? {
+						class: 'spoiler',
+						role: 'button',
+						tabindex: '0',
+						'aria-expanded': 'false',
+						'aria-label': 'Spoiler',
+				  }
+				: { class: 'spoiler' };
+			return htmlTag('span', output(node.content, state), attributes);
+		},
+		markdown: function (node, output, state) {
+			return '||' + output(node.content, state) + '||';
+		},
+		text: function (node, output, state) {
+			if (state.redactSpoilers) {
+				return typeof state.redactSpoilers === 'string'
+					? state.redactSpoilers
+					: '[spoiler]';
+			}
+			return output(node.content, state);
+		},
+	},
+};
+Object.keys(discordSyntaxRules).forEach(function (type) {
+	withElementOutputs(discordSyntaxRules[type]);
+});
+
+// Rules chat messages don't have: block syntax that needs blank lines
+// around it, reference-style links and images, and footnotes.
+var DISCORD_OMITTED_RULES = [
+	'heading',
+	'nptable',
+	'lheading',
+	'hr',
+	'fence',
+	'list',
+	'checkbox',
+	'footnoteDef',
+	'def',
+	'table',
+	'tableSeparator',
+	'footnoteRef',
+	'image',
+	'reflink',
+	'refimage',
+	'htmlBlock',
+	'htmlInline',
+];
+// `> ` quotes the rest of its line (and the lines after it that start
+// with `> ` too), while `>>> ` quotes the rest of the message:
+var DISCORD_QUOTE_R = /^ *>>> +[\s\S]*|^(?: *> +[^\n]*(?:\n|$))+/;
+var DISCORD_QUOTE_ALL_R = /^ *>>> ?/;
+// Paragraphs end at a blank line, but also before a quote or a code
+// block, neither of which needs a blank line before it in a message.
+// A code block opened in the middle of a line is part of the paragraph,
+// newlines and all; a backtick is only text if it doesn't open one:
+var DISCORD_PARAGRAPH_R =
+	/^((?:[^\n`]|```(?:[^`]|`(?!``))*```|`(?!``(?:[^`]|`(?!``))*```)|\n(?! *\n)(?! *>(?:>>)? )(?! *```))+)(?:\n *)*\n/;
+// Inside a quote, `>` can't start another one:
+var DISCORD_QUOTED_PARAGRAPH_R =
+	/^((?:[^\n`]|```(?:[^`]|`(?!``))*```|`(?!``(?:[^`]|`(?!``))*```)|\n(?! *\n)(?! *```))+)(?:\n *)*\n/;
+// Code blocks can be used anywhere, even in the middle of a line, and
+// take a language from their first line if there's more than one:
+var DISCORD_CODE_BLOCK_R = /^```(?:([a-z0-9_+\-.#]+?)\n)?\n*([^\n][\s\S]*?)\n*```/i;
+
+/**
+ * Changes to the defaultRules for chat messages.
+ * @type {{[type: string]: Partial<SimpleMarkdown.ParserRule & SimpleMarkdown.MarkdownOutputRule>}}
+ */
+var discordRuleOverrides = {
+	codeBlock: {
+		match: anyScopeRegex(DISCORD_CODE_BLOCK_R),
+		parse: function (capture, parse, state) {
+			return {
+				lang: capture[1] || undefined,
+				content: capture[2],
+			};
+		},
+		markdown: function (node, output, state) {
+			// Code blocks can be inside paragraphs, so we can't end them in a
+			// blank line, and in the middle of a paragraph's line, they end
+			// where the fence does:
+			return defaultRules.codeBlock
+				.markdown(node, output, state)
+				.replace(/\n+$/, state.inline ? '' : '\n');
+		},
+	},
+	blockQuote: {
+		match: function (source, state) {
+			// Quotes don't nest:
+			if (state.inline || state.inQuote) {
+				return null;
+			}
+			return DISCORD_QUOTE_R.exec(source);
+		},
+		parse: function (capture, parse, state) {
+			var content = DISCORD_QUOTE_ALL_R.test(capture[0])
+				? capture[0].replace(DISCORD_QUOTE_ALL_R, '')
+				: capture[0].replace(/^ *> ?/gm, '');
+			var isCurrentlyInQuote = state.inQuote || false;
+			state.inQuote = true;
+			var result = parseBlock(parse, content, state);
+			state.inQuote = isCurrentlyInQuote;
+			return {
+				content: result,
+			};
+		},
+		markdown: function (node, output, state) {
+			var content = output(node.content, state).replace(MARKDOWN_TRAILING_NEWLINES_R, '');
+			// a bare `>` isn't a quote, so blank lines keep their space:
+			return content.replace(/^/gm, '> ') + '\n';
+		},
+	},
+	paragraph: {
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			return (state.inQuote ? DISCORD_QUOTED_PARAGRAPH_R : DISCORD_PARAGRAPH_R).exec(source);
+		},
+		markdown: function (node, output, state) {
+			var isCurrentlyInline = state.inline || false;
+			state.inline = true;
+			var content = output(node.content, state);
+			state.inline = isCurrentlyInline;
+			return content + '\n\n';
+		},
+	},
+	br: {
+		// Every newline in a paragraph is a line break:
+		match: inlineRegex(/^\n/),
+		markdown: function (node, output, state) {
+			return '\n';
+		},
+	},
+	text: {
+		// The default text rule, but stopping at every newline for `br`:
+		match: anyScopeRegex(
+			/^[\s\S](?:[0-9A-Za-z]+| +|[\s\S])*?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n| {2,}\n|\w+:\S|\bwww\.|\b[\w.+-]+@|$)/,
+		),
+	},
+};
+
+/**
+ * Makes a set of rules for chat messages, as they're written in discord,
+ * out of the defaultRules: there are no headings, tables or lists unless
+ * `options` asks for them, `> ` quotes a single line and `>>> ` the rest
+ * of the message, and newlines are line breaks. Mentions, timestamps and
+ * spoilers are parsed too, and code blocks, emoji and the inline
+ * formatting are all the defaultRules'.
+ *
+ * The optional rules work as they do in the defaultRules, so they need
+ * a blank line after them.
+ *
+ * @param {SimpleMarkdown.DiscordRuleOptions} [options]
+ * @returns {SimpleMarkdown.DiscordRules}
+ */
+var discordRulesFor = function (options) {
+	options = options || {};
+	/** @type {Array<string>} */
+	var included = [];
+	if (options.headings) {
+		included.push('heading');
+	}
+	if (options.tables) {
+		included.push('nptable', 'table', 'tableSeparator');
+	}
+	if (options.lists) {
+		included.push('list', 'checkbox');
+	}
+
+	/** @type {{[type: string]: any}} */
+	var rules = {};
+	Object.keys(defaultRules).forEach(function (type) {
+		if (DISCORD_OMITTED_RULES.indexOf(type) !== -1 && included.indexOf(type) === -1) {
+			return;
+		}
+		rules[type] = discordRuleOverrides[type]
+			? withElementOutputs(Object.assign({}, defaultRules[type], discordRuleOverrides[type]))
+			: defaultRules[type];
+	});
+	Object.assign(rules, discordSyntaxRules);
+	return /** @type {SimpleMarkdown.DiscordRules} */ (rules);
+};
+
+var discordRules = discordRulesFor();
+
+// Named character references: the ones in common use, rather than all
+// two thousand of html's. Unknown names are left as they were written.
+/** @type {{[name: string]: string}} */
+var COMMONMARK_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: '\u00a0',
+	ensp: '\u2002',
+	emsp: '\u2003',
+	thinsp: '\u2009',
+	shy: '\u00ad',
+	zwnj: '\u200c',
+	zwj: '\u200d',
+	lrm: '\u200e',
+	rlm: '\u200f',
+	copy: '\u00a9',
+	reg: '\u00ae',
+	trade: '\u2122',
+	hellip: '\u2026',
+	ndash: '\u2013',
+	mdash: '\u2014',
+	lsquo: '\u2018',
+	rsquo: '\u2019',
+	sbquo: '\u201a',
+	ldquo: '\u201c',
+	rdquo: '\u201d',
+	bdquo: '\u201e',
+	laquo: '\u00ab',
+	raquo: '\u00bb',
+	lsaquo: '\u2039',
+	rsaquo: '\u203a',
+	bull: '\u2022',
+	middot: '\u00b7',
+	dagger: '\u2020',
+	Dagger: '\u2021',
+	prime: '\u2032',
+	Prime: '\u2033',
+	sect: '\u00a7',
+	para: '\u00b6',
+	iexcl: '\u00a1',
+	iquest: '\u00bf',
+	cent: '\u00a2',
+	pound: '\u00a3',
+	curren: '\u00a4',
+	yen: '\u00a5',
+	euro: '\u20ac',
+	deg: '\u00b0',
+	plusmn: '\u00b1',
+	times: '\u00d7',
+	divide: '\u00f7',
+	minus: '\u2212',
+	permil: '\u2030',
+	micro: '\u00b5',
+	sup1: '\u00b9',
+	sup2: '\u00b2',
+	sup3: '\u00b3',
+	frac14: '\u00bc',
+	frac12: '\u00bd',
+	frac34: '\u00be',
+	larr: '\u2190',
+	uarr: '\u2191',
+	rarr: '\u2192',
+	darr: '\u2193',
+	harr: '\u2194',
+	lArr: '\u21d0',
+	rArr: '\u21d2',
+	hArr: '\u21d4',
+	le: '\u2264',
+	ge: '\u2265',
+	ne: '\u2260',
+	asymp: '\u2248',
+	equiv: '\u2261',
+	infin: '\u221e',
+	sum: '\u2211',
+	prod: '\u220f',
+	radic: '\u221a',
+	part: '\u2202',
+	nabla: '\u2207',
+	isin: '\u2208',
+	notin: '\u2209',
+	cap: '\u2229',
+	cup: '\u222a',
+	and: '\u2227',
+	or: '\u2228',
+	forall: '\u2200',
+	exist: '\u2203',
+	empty: '\u2205',
+	alpha: '\u03b1',
+	beta: '\u03b2',
+	gamma: '\u03b3',
+	delta: '\u03b4',
+	epsilon: '\u03b5',
+	theta: '\u03b8',
+	lambda: '\u03bb',
+	mu: '\u03bc',
+	pi: '\u03c0',
+	sigma: '\u03c3',
+	tau: '\u03c4',
+	phi: '\u03c6',
+	omega: '\u03c9',
+	Delta: '\u0394',
+	Sigma: '\u03a3',
+	Omega: '\u03a9',
+	hearts: '\u2665',
+	spades: '\u2660',
+	clubs: '\u2663',
+	diams: '\u2666',
+	loz: '\u25ca',
+	Agrave: '\u00c0',
+	Aacute: '\u00c1',
+	Acirc: '\u00c2',
+	Atilde: '\u00c3',
+	Auml: '\u00c4',
+	Aring: '\u00c5',
+	AElig: '\u00c6',
+	Ccedil: '\u00c7',
+	Egrave: '\u00c8',
+	Eacute: '\u00c9',
+	Ntilde: '\u00d1',
+	Ouml: '\u00d6',
+	Oslash: '\u00d8',
+	Uuml: '\u00dc',
+	szlig: '\u00df',
+	agrave: '\u00e0',
+	aacute: '\u00e1',
+	acirc: '\u00e2',
+	atilde: '\u00e3',
+	auml: '\u00e4',
+	aring: '\u00e5',
+	aelig: '\u00e6',
+	ccedil: '\u00e7',
+	egrave: '\u00e8',
+	eacute: '\u00e9',
+	ecirc: '\u00ea',
+	euml: '\u00eb',
+	igrave: '\u00ec',
+	iacute: '\u00ed',
+	icirc: '\u00ee',
+	iuml: '\u00ef',
+	eth: '\u00f0',
+	ntilde: '\u00f1',
+	ograve: '\u00f2',
+	oacute: '\u00f3',
+	ocirc: '\u00f4',
+	otilde: '\u00f5',
+	ouml: '\u00f6',
+	oslash: '\u00f8',
+	ugrave: '\u00f9',
+	uacute: '\u00fa',
+	ucirc: '\u00fb',
+	uuml: '\u00fc',
+	yacute: '\u00fd',
+	thorn: '\u00fe',
+	yuml: '\u00ff',
+	Dcaron: '\u010e',
+	HilbertSpace: '\u210b',
+	DifferentialD: '\u2146',
+	ClockwiseContourIntegral: '\u2232',
+	ngE: '\u2267\u0338',
+};
+var COMMONMARK_ENTITY = '&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));';
+var COMMONMARK_ENTITY_R = new RegExp('^' + COMMONMARK_ENTITY);
+var COMMONMARK_ENTITY_G = new RegExp(COMMONMARK_ENTITY, 'g');
+var COMMONMARK_ESCAPE_G = /\\([!-\/:-@\[-`{-~])/g;
+// Characters that are left alone in urls, along with `%` escapes:
+var COMMONMARK_URL_ENCODE_R =
+	/%[0-9a-fA-F]{2}|[\ud800-\udbff][\udc00-\udfff]|[^A-Za-z0-9;\/?:@&=+$,\-_.!~*'()#]/g;
+// Punctuation for deciding whether a `*` or `_` can open or close
+// emphasis: ascii's, and the common blocks of unicode's:
+var COMMONMARK_PUNCTUATION_R =
+	/[!-\/:-@\[-`{-~\u00a1-\u00a9\u00ab\u00ac\u00ae-\u00b1\u00b4\u00b6-\u00b8\u00bb\u00bf\u00d7\u00f7\u2010-\u2027\u2030-\u205e\u20a0-\u20c0\u2190-\u23ff\u25a0-\u27bf\u2e00-\u2e4f\u3001-\u3003\u3008-\u3011\u3014-\u301f\uff01-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]/;
+var COMMONMARK_WHITESPACE_R = /\s/;
+
+var COMMONMARK_BLANK_LINE_R = /^[ \t]*$/;
+var COMMONMARK_HR = ' {0,3}(?:(?:\\*[ \\t]*){3,}|(?:-[ \\t]*){3,}|(?:_[ \\t]*){3,})';
+var COMMONMARK_HR_R = new RegExp('^' + COMMONMARK_HR + '(?:\\n|$)');
+var COMMONMARK_HR_LINE_R = new RegExp('^' + COMMONMARK_HR + '$');
+// A line that ends a paragraph without a blank line: an ATX heading, a
+// quote, a fence, a thematic break, or a list item that isn't empty (and
+// that starts from 1, if it's ordered).
+var COMMONMARK_INTERRUPT_R = new RegExp(
+	'^(?: {0,3}(?:#{1,6}(?:[ \\t]|$)|>|`{3,}(?!.*`)|~{3,}|[*+-][ \\t]+\\S|1[.)][ \\t]+\\S)|' +
+		COMMONMARK_HR +
+		'$)',
+);
+// A line that a lazy continuation line can't follow, because it isn't
+// paragraph text: an ATX heading, a fence or a thematic break.
+var COMMONMARK_NOT_PARAGRAPH_R = new RegExp(
+	'^(?: {0,3}(?:#{1,6}(?:[ \\t]|$)|`{3,}|~{3,})|' + COMMONMARK_HR + '$)',
+);
+var COMMONMARK_HEADING_R = /^ {0,3}(#{1,6})(?=[ \t]|\n|$)([^\n]*)(?:\n|$)/;
+var COMMONMARK_HEADING_CLOSE_R = /(?:^|[ \t]+)#+[ \t]*$/;
+var COMMONMARK_SETEXT_UNDERLINE_R = /^ {0,3}(=+|-+)[ \t]*$/;
+var COMMONMARK_FENCE_R = /^( {0,3})(`{3,}|~{3,})([^\n]*)/;
+var COMMONMARK_QUOTE_R = /^ {0,3}> ?/;
+var COMMONMARK_LIST_ITEM_R = /^( {0,3})([*+-]|\d{1,9}[.)])(?=[ \t]|$)/;
+var COMMONMARK_LINK_LABEL = '((?:\\\\[\\s\\S]|[^\\\\\\[\\]]){0,999})';
+var COMMONMARK_LINK_DESTINATION =
+	'(?:<((?:\\\\[\\s\\S]|[^\\\\<>\\n])*)>|' +
+	'((?:\\\\[\\s\\S]|\\((?:\\\\[\\s\\S]|[^\\\\()\\s])*\\)|[^\\\\()\\s\\x00-\\x1f])*))';
+var COMMONMARK_LINK_TITLE =
+	'("(?:\\\\[\\s\\S]|[^\\\\"])*"|\'(?:\\\\[\\s\\S]|[^\\\\\'])*\'|\\((?:\\\\[\\s\\S]|[^\\\\()])*\\))';
+var COMMONMARK_LINK_HREF_AND_TITLE =
+	'\\([ \\t\\n]*' +
+	COMMONMARK_LINK_DESTINATION +
+	'(?:[ \\t\\n]+' +
+	COMMONMARK_LINK_TITLE +
+	')?[ \\t\\n]*\\)';
+var COMMONMARK_DEF_R = new RegExp(
+	'^ {0,3}\\[' +
+		COMMONMARK_LINK_LABEL +
+		'\\]:[ \\t]*\\n?[ \\t]*' +
+		'(<(?:\\\\[\\s\\S]|[^\\\\<>\\n])*>|[^\\s<]\\S*)' +
+		'(?:(?:[ \\t]+|[ \\t]*\\n[ \\t]*)' +
+		COMMONMARK_LINK_TITLE +
+		')?[ \\t]*(?:\\n|$)',
+);
+var COMMONMARK_REF_R = new RegExp(
+	'^(!?)\\[(' + LINK_INSIDE + ')\\](?:\\[' + COMMONMARK_LINK_LABEL + '\\])?',
+);
+var COMMONMARK_AUTOLINK_R = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>\x00-\x1f]*)>/;
+var COMMONMARK_EMAIL_R =
+	/^<([a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+var COMMONMARK_CODE_R = /^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/;
+var COMMONMARK_BACKTICKS_R = /^`+/;
+var COMMONMARK_DELIMITER_RUN_R = /^(\*+|_+)(?=([\s\S]?))/;
+
+/**
+ * @param {number} code
+ * @returns {string}
+ */
+var codePointString = function (code) {
+	if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+		return '\ufffd';
+	}
+	if (code < 0x10000) {
+		return String.fromCharCode(code);
+	}
+	code -= 0x10000;
+	return String.fromCharCode(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+};
+
+/**
+ * The text an entity or numeric character reference stands for, or null
+ * if it's a name we don't know.
+ *
+ * @param {SimpleMarkdown.Capture} capture
+ * @returns {?string}
+ */
+var decodeEntity = function (capture) {
+	if (capture[1] || capture[2]) {
+		return codePointString(capture[1] ? parseInt(capture[1], 16) : parseInt(capture[2], 10));
+	}
+	return Object.prototype.hasOwnProperty.call(COMMONMARK_ENTITIES, capture[3])
+		? COMMONMARK_ENTITIES[capture[3]]
+		: null;
+};
+
+/**
+ * Unescapes backslash escapes and decodes entities, as CommonMark does
+ * for link destinations, titles and info strings.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+var unescapeCommonmark = function (text) {
+	return text.replace(COMMONMARK_ESCAPE_G, '$1').replace(COMMONMARK_ENTITY_G, function (match) {
+		var decoded = decodeEntity(COMMONMARK_ENTITY_R.exec(match) || [match]);
+		return decoded == null ? match : decoded;
+	});
+};
+
+/**
+ * Percent-encodes the characters of `url` that aren't allowed in urls,
+ * leaving any `%` escapes it already has.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+var encodeCommonmarkUrl = function (url) {
+	return url.replace(COMMONMARK_URL_ENCODE_R, function (match) {
+		if (match.length === 3 && match[0] === '%') {
+			return match;
+		}
+		try {
+			return encodeURIComponent(match);
+		} catch (e) {
+			// a lone surrogate:
+			return '%EF%BF%BD';
+		}
+	});
+};
+
+/**
+ * Link labels match case-insensitively, with any run of whitespace
+ * matching any other. Lower-, upper- then lower-casing folds the few
+ * letters (like `\u00df`) whose upper-case is more than one letter.
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+var normalizeLinkLabel = function (label) {
+	return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase().toLowerCase();
+};
+
+/**
+ * The column the first non-whitespace character of `line` is at, with
+ * tabs stopping at every 4 columns.
+ *
+ * @param {string} line
+ * @returns {number}
+ */
+var commonmarkIndent = function (line) {
+	var column = 0;
+	for (var i = 0; i < line.length; i++) {
+		if (line[i] === ' ') {
+			column++;
+		} else if (line[i] === '\t') {
+			column += 4 - (column % 4);
+		} else {
+			break;
+		}
+	}
+	return column;
+};
+
+/**
+ * Removes up to `columns` columns of indentation from `line`. A tab that
+ * is only partly removed leaves the rest of its width as spaces.
+ *
+ * @param {string} line
+ * @param {number} columns
+ * @returns {string}
+ */
+var removeIndent = function (line, columns) {
+	var column = 0;
+	var i = 0;
+	while (i < line.length && column < columns) {
+		if (line[i] === ' ') {
+			column++;
+		} else if (line[i] === '\t') {
+			var width = 4 - (column % 4);
+			if (column + width > columns) {
+				return new Array(column + width - columns + 1).join(' ') + line.slice(i + 1);
+			}
+			column += width;
+		} else {
+			break;
+		}
+		i++;
+	}
+	return line.slice(i);
+};
+
+/**
+ * The index just past the end of the line starting at `start`, including
+ * its `\n`.
+ *
+ * @param {string} source
+ * @param {number} start
+ * @returns {number}
+ */
+var nextLineEnd = function (source, start) {
+	var end = source.indexOf('\n', start);
+	return end === -1 ? source.length : end + 1;
+};
+
+/**
+ * @param {string} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+var lineAt = function (source, start, end) {
+	return source.slice(start, source[end - 1] === '\n' ? end - 1 : end);
+};
+
+/**
+ * Finds the lines of a paragraph at the start of `source`: up to a blank
+ * line or a line that can interrupt a paragraph, or up to and including
+ * a setext heading underline.
+ *
+ * @param {string} source
+ * @returns {{text: string, length: number, underline: ?string}}
+ */
+var scanCommonmarkParagraph = function (source) {
+	var start = 0;
+	while (start < source.length) {
+		var end = nextLineEnd(source, start);
+		var line = lineAt(source, start, end);
+		if (COMMONMARK_BLANK_LINE_R.test(line)) {
+			break;
+		}
+		if (start > 0) {
+			var underline = COMMONMARK_SETEXT_UNDERLINE_R.exec(line);
+			if (underline) {
+				return { text: source.slice(0, start), length: end, underline: underline[1][0] };
+			}
+			if (COMMONMARK_INTERRUPT_R.test(line)) {
+				break;
+			}
+		}
+		start = end;
+	}
+	return { text: source.slice(0, start), length: start, underline: null };
+};
+
+/**
+ * Whether a line can be followed by a lazy continuation line: that is,
+ * whether it's paragraph text (as near as we can tell without parsing
+ * the blocks it's in).
+ *
+ * @param {string} line
+ * @param {boolean} inFence
+ * @returns {boolean}
+ */
+var canContinueLazily = function (line, inFence) {
+	return (
+		!inFence &&
+		!COMMONMARK_BLANK_LINE_R.test(line) &&
+		commonmarkIndent(line) < 4 &&
+		!COMMONMARK_NOT_PARAGRAPH_R.test(line)
+	);
+};
+
+/**
+ * The marker of a list item starting `line`, and the column its content
+ * starts at, or null if `line` doesn't start a list item.
+ *
+ * @param {string} line
+ * @returns {?{bullet: string, column: number, content: string, empty: boolean}}
+ */
+var listItemStart = function (line) {
+	if (COMMONMARK_HR_LINE_R.test(line)) {
+		return null;
+	}
+	var match = COMMONMARK_LIST_ITEM_R.exec(line);
+	if (!match) {
+		return null;
+	}
+	var markerWidth = match[0].length;
+	var rest = line.slice(markerWidth);
+	var empty = COMMONMARK_BLANK_LINE_R.test(rest);
+	var spaces = commonmarkIndent(rest);
+	// Content indented by 5 or more is indented code, one space in:
+	var padding = empty || spaces > 4 ? 1 : spaces;
+	return {
+		bullet: match[2],
+		column: markerWidth + padding,
+		content: empty ? '' : removeIndent(rest, padding),
+		empty: empty,
+	};
+};
+
+/**
+ * Bullet lists continue with the same bullet, and ordered lists with the
+ * same `.` or `)` after their numbers.
+ *
+ * @param {string} bullet
+ * @returns {string}
+ */
+var listDelimiter = function (bullet) {
+	return bullet[bullet.length - 1];
+};
+
+/**
+ * Finds the list at the start of `source`, with the content of each of
+ * its items, unindented.
+ *
+ * @param {string} source
+ * @returns {?{length: number, bullet: string, items: Array<string>, blankBetweenItems: boolean}}
+ */
+var scanCommonmarkList = function (source) {
+	var first = listItemStart(lineAt(source, 0, nextLineEnd(source, 0)));
+	if (!first) {
+		return null;
+	}
+	var delimiter = listDelimiter(first.bullet);
+	/** @type {Array<string>} */
+	var items = [];
+	var blankBetweenItems = false;
+	var blankAfterEmptyItem = false;
+	/** @type {?{lines: Array<string>, column: number, blankLines: number, lazy: boolean, inFence: boolean}} */
+	var item = null;
+	/** @type {(lines: Array<string>) => void} */
+	var finishItem = function (lines) {
+		items.push(lines.join('\n').replace(/\n+$/, ''));
+	};
+	var length = 0;
+	var start = 0;
+	while (start < source.length) {
+		var end = nextLineEnd(source, start);
+		var line = lineAt(source, start, end);
+		var blank = COMMONMARK_BLANK_LINE_R.test(line);
+
+		if (blank) {
+			// An item can start with at most one blank line:
+			if (item && item.lines.length === 1 && item.lines[0] === '') {
+				finishItem([]);
+				item = null;
+			}
+			if (item) {
+				item.lines.push('');
+				item.blankLines++;
+				item.lazy = false;
+			} else {
+				blankAfterEmptyItem = true;
+			}
+			start = end;
+			continue;
+		}
+
+		if (item && commonmarkIndent(line) >= item.column) {
+			var content = removeIndent(line, item.column);
+			item.lines.push(content);
+			item.blankLines = 0;
+			if (COMMONMARK_FENCE_R.test(content)) {
+				item.inFence = !item.inFence;
+			}
+			item.lazy = canContinueLazily(content, item.inFence);
+			start = length = end;
+			continue;
+		}
+
+		var next = listItemStart(line);
+		if (next && listDelimiter(next.bullet) === delimiter) {
+			if (item) {
+				blankBetweenItems = blankBetweenItems || item.blankLines > 0;
+				finishItem(item.lines);
+			}
+			blankBetweenItems = blankBetweenItems || blankAfterEmptyItem;
+			var inFence = COMMONMARK_FENCE_R.test(next.content);
+			item = {
+				lines: [next.content],
+				column: next.column,
+				blankLines: 0,
+				lazy: canContinueLazily(next.content, inFence),
+				inFence: inFence,
+			};
+			start = length = end;
+			continue;
+		}
+
+		if (item && item.lazy && !next && !COMMONMARK_INTERRUPT_R.test(line)) {
+			item.lines.push(line);
+			start = length = end;
+			continue;
+		}
+		break;
+	}
+	if (item) {
+		finishItem(item.lines);
+	}
+
+	return {
+		length: length,
+		bullet: first.bullet,
+		items: items,
+		blankBetweenItems: blankBetweenItems,
+	};
+};
+
+/**
+ * Whether a `*` or `_` run can open and close emphasis, from the
+ * characters on either side of it (where the start or end of the text
+ * counts as whitespace).
+ *
+ * @param {string} run
+ * @param {string} before
+ * @param {string} after
+ * @returns {SimpleMarkdown.UnTypedASTNode}
+ */
+var delimiterRunNode = function (run, before, after) {
+	var beforeSpace = !before || COMMONMARK_WHITESPACE_R.test(before);
+	var afterSpace = !after || COMMONMARK_WHITESPACE_R.test(after);
+	var beforePunctuation = COMMONMARK_PUNCTUATION_R.test(before);
+	var afterPunctuation = COMMONMARK_PUNCTUATION_R.test(after);
+	var leftFlanking = !afterSpace && (!afterPunctuation || beforeSpace || beforePunctuation);
+	var rightFlanking = !beforeSpace && (!beforePunctuation || afterSpace || afterPunctuation);
+	var char = run[0];
+	return {
+		char: char,
+		count: run.length,
+		// `_` can't open or close emphasis inside a word:
+		canOpen:
+			char === '*' ? leftFlanking : leftFlanking && (!rightFlanking || beforePunctuation),
+		canClose:
+			char === '*' ? rightFlanking : rightFlanking && (!leftFlanking || afterPunctuation),
+	};
+};
+
+/**
+ * @param {SimpleMarkdown.SourcePoint} point
+ * @param {number} columns
+ * @returns {SimpleMarkdown.SourcePoint}
+ */
+var shiftPoint = function (point, columns) {
+	return {
+		offset: point.offset + columns,
+		line: point.line,
+		column: point.column + columns,
+	};
+};
+
+/**
+ * Turns the `delimiterRun`s in a parsed run of inline nodes into `em` and
+ * `strong` nodes, with the algorithm from the CommonMark spec: each run
+ * that can close emphasis is matched with the nearest run of the same
+ * character before it that can open it (but not, if either run could do
+ * both, when their lengths add up to a multiple of 3 unless both are),
+ * using two characters of each for `strong` or one for `em`. Whatever is
+ * left of the runs is text.
+ *
+ * @param {Array<SimpleMarkdown.SingleASTNode>} nodes
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var resolveEmphasis = function (nodes) {
+	/**
+	 * @typedef {{node: SimpleMarkdown.SingleASTNode, prev: ?Entry, next: ?Entry, delimiter: ?Delimiter}} Entry
+	 * @typedef {{entry: Entry, char: string, count: number, length: number, used: number, canOpen: boolean, canClose: boolean, active: boolean}} Delimiter
+	 */
+	/** @type {?Entry} */
+	var head = null;
+	/** @type {?Entry} */
+	var last = null;
+	/** @type {Array<Delimiter>} */
+	var delimiters = [];
+	nodes.forEach(function (node) {
+		/** @type {Entry} */
+		var entry = { node: node, prev: last, next: null, delimiter: null };
+		if (last) {
+			last.next = entry;
+		} else {
+			head = entry;
+		}
+		last = entry;
+		if (node.type === 'delimiterRun') {
+			entry.delimiter = {
+				entry: entry,
+				char: node.char,
+				count: node.count,
+				length: node.count,
+				used: 0,
+				canOpen: node.canOpen,
+				canClose: node.canClose,
+				active: true,
+			};
+			delimiters.push(entry.delimiter);
+		}
+	});
+	if (!delimiters.length) {
+		return nodes;
+	}
+
+	/** @type {(entry: Entry) => void} */
+	var unlink = function (entry) {
+		if (entry.prev) {
+			entry.prev.next = entry.next;
+		} else {
+			head = entry.next;
+		}
+		if (entry.next) {
+			entry.next.prev = entry.prev;
+		}
+	};
+	/** @type {(entry: Entry) => SimpleMarkdown.SingleASTNode} */
+	var entryNode = function (entry) {
+		var delimiter = entry.delimiter;
+		if (!delimiter) {
+			return entry.node;
+		}
+		/** @type {SimpleMarkdown.SingleASTNode} */
+		var text = {
+			type: 'text',
+			content: new Array(delimiter.count + 1).join(delimiter.char),
+		};
+		var position = entry.node.position;
+		if (position) {
+			text.position = {
+				start: shiftPoint(position.start, delimiter.used),
+				end: shiftPoint(position.start, delimiter.used + delimiter.count),
+			};
+		}
+		return text;
+	};
+
+	// Where the search for an opener for each kind of closer can stop,
+	// because we know there are none before it:
+	/** @type {{[kind: string]: number}} */
+	var openersBottom = {};
+	for (var c = 0; c < delimiters.length; c++) {
+		var closer = delimiters[c];
+		if (!closer.canClose) {
+			continue;
+		}
+		var kind = closer.char + (closer.canOpen ? '1' : '0') + (closer.length % 3);
+		var bottom = openersBottom[kind] != null ? openersBottom[kind] : -1;
+		while (closer.count > 0) {
+			/** @type {?Delimiter} */
+			var opener = null;
+			for (var o = c - 1; o > bottom; o--) {
+				var candidate = delimiters[o];
+				if (
+					candidate.active &&
+					candidate.count > 0 &&
+					candidate.canOpen &&
+					candidate.char === closer.char &&
+					!(
+						(candidate.canClose || closer.canOpen) &&
+						(candidate.length + closer.length) % 3 === 0 &&
+						(candidate.length % 3 !== 0 || closer.length % 3 !== 0)
+					)
+				) {
+					opener = candidate;
+					break;
+				}
+			}
+			if (!opener) {
+				openersBottom[kind] = c - 1;
+				break;
+			}
+
+			var use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+			opener.count -= use;
+			closer.count -= use;
+
+			/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+			var content = [];
+			for (var e = opener.entry.next; e && e !== closer.entry; e = e.next) {
+				content.push(entryNode(e));
+			}
+			/** @type {SimpleMarkdown.SingleASTNode} */
+			var node = { type: use === 2 ? 'strong' : 'em', content: content };
+			var openerPosition = opener.entry.node.position;
+			var closerPosition = closer.entry.node.position;
+			if (openerPosition && closerPosition) {
+				node.position = {
+					start: shiftPoint(openerPosition.start, opener.used + opener.count),
+					end: shiftPoint(closerPosition.start, closer.used + use),
+				};
+			}
+			closer.used += use;
+
+			/** @type {Entry} */
+			var wrapper = { node: node, prev: opener.entry, next: closer.entry, delimiter: null };
+			opener.entry.next = wrapper;
+			closer.entry.prev = wrapper;
+			// Runs inside the emphasis can't match anything outside it:
+			for (var d = o + 1; d < c; d++) {
+				delimiters[d].active = false;
+			}
+			if (opener.count === 0) {
+				unlink(opener.entry);
+			}
+			if (closer.count === 0) {
+				unlink(closer.entry);
+			}
+		}
+	}
+
+	/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+	var result = [];
+	// (`head` is set in the callbacks above)
+	var entry = /** @type {?Entry} */ (head);
+	while (entry) {
+		result.push(entryNode(entry));
+		entry = entry.next;
+	}
+	return result;
+};
+
+/**
+ * Parses inline content, then turns its `*` and `_` runs into emphasis.
+ *
+ * @param {SimpleMarkdown.Parser} parse
+ * @param {string} content
+ * @param {SimpleMarkdown.State} state
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var parseCommonmarkInline = function (parse, content, state) {
+	return resolveEmphasis(
+		/** @type {Array<SimpleMarkdown.SingleASTNode>} */ (parseInline(parse, content, state)),
+	);
+};
+
+/**
+ * The destination and title of an inline link or image, or a def, as
+ * they were written.
+ *
+ * @param {?string} destination
+ * @param {?string} title
+ * @returns {{target: string, title: string | undefined}}
+ */
+var commonmarkLinkTarget = function (destination, title) {
+	return {
+		target: encodeCommonmarkUrl(unescapeCommonmark(destination || '')),
+		title: title ? unescapeCommonmark(title.slice(1, -1)) : undefined,
+	};
+};
+
+/**
+ * Runs a codeBlock output with `language-` class names, as CommonMark
+ * (and most highlighters) expect.
+ *
+ * @template T
+ * @param {SimpleMarkdown.State} state
+ * @param {() => T} output
+ * @returns {T}
+ */
+var withLanguageClass = function (state, output) {
+	var oldPrefix = state._codeClassPrefix;
+	state._codeClassPrefix = 'language-';
+	var result = output();
+	state._codeClassPrefix = oldPrefix;
+	return result;
+};
+
+/**
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {SimpleMarkdown.SingleASTNode}
+ */
+var withoutFinalNewline = function (node) {
+	return Object.assign({}, node, { content: node.content.replace(/\n$/, '') });
+};
+
+// The defaultRules that CommonMark has, along with its own `entity` and
+// `delimiterRun`; the rest are extensions to it.
+var COMMONMARK_RULES = [
+	'Array',
+	'heading',
+	'lheading',
+	'hr',
+	'codeBlock',
+	'fence',
+	'blockQuote',
+	'list',
+	'def',
+	'newline',
+	'paragraph',
+	'escape',
+	'entity',
+	'autolink',
+	'mailto',
+	'link',
+	'image',
+	'reflink',
+	'refimage',
+	'delimiterRun',
+	'em',
+	'strong',
+	'inlineCode',
+	'br',
+	'text',
+];
+
+/**
+ * Changes to the defaultRules to follow the CommonMark spec.
+ * @type {{[type: string]: Partial<SimpleMarkdown.ParserRule & SimpleMarkdown.HtmlOutputRule & SimpleMarkdown.ReactOutputRule & SimpleMarkdown.ElementOutputRule & SimpleMarkdown.MarkdownOutputRule & SimpleMarkdown.PlainTextOutputRule>}}
+ */
+var commonmarkRuleOverrides = {
+	heading: {
+		match: function (source, state) {
+			return state.inline ? null : COMMONMARK_HEADING_R.exec(source);
+		},
+		parse: function (capture, parse, state) {
+			var text = capture[2].trim().replace(COMMONMARK_HEADING_CLOSE_R, '');
+			return {
+				level: capture[1].length,
+				content: parseCommonmarkInline(parse, text, state),
+			};
+		},
+	},
+	lheading: {
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var firstLine = lineAt(source, 0, nextLineEnd(source, 0));
+			if (
+				commonmarkIndent(firstLine) >= 4 ||
+				COMMONMARK_INTERRUPT_R.test(firstLine) ||
+				listItemStart(firstLine)
+			) {
+				return null;
+			}
+			var paragraph = scanCommonmarkParagraph(source);
+			if (!paragraph.underline) {
+				return null;
+			}
+			return [source.slice(0, paragraph.length), paragraph.text, paragraph.underline];
+		},
+		parse: function (capture, parse, state) {
+			var text = capture[1].replace(/^[ \t]+/gm, '').trim();
+			return {
+				type: 'heading',
+				level: capture[2] === '=' ? 1 : 2,
+				content: parseCommonmarkInline(parse, text, state),
+			};
+		},
+	},
+	hr: {
+		match: function (source, state) {
+			return state.inline ? null : COMMONMARK_HR_R.exec(source);
+		},
+	},
+	codeBlock: {
+		// Indented code: lines indented by 4 or more, and the blank lines
+		// between them.
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var length = 0;
+			var start = 0;
+			while (start < source.length) {
+				var end = nextLineEnd(source, start);
+				var line = lineAt(source, start, end);
+				if (COMMONMARK_BLANK_LINE_R.test(line)) {
+					if (!length) {
+						return null;
+					}
+				} else if (commonmarkIndent(line) >= 4) {
+					length = end;
+				} else {
+					break;
+				}
+				start = end;
+			}
+			return length ? [source.slice(0, length)] : null;
+		},
+		parse: function (capture, parse, state) {
+			var lines = capture[0].replace(/\n$/, '').split('\n');
+			return {
+				lang: undefined,
+				content:
+					lines
+						.map(function (line) {
+							return removeIndent(line, 4);
+						})
+						.join('\n') + '\n',
+			};
+		},
+		element: function (node, output, state) {
+			return withLanguageClass(state, function () {
+				return defaultRules.codeBlock.element(node, output, state);
+			});
+		},
+		html: function (node, output, state) {
+			return withLanguageClass(state, function () {
+				return defaultRules.codeBlock.html(node, output, state);
+			});
+		},
+		// Code keeps the newline at the end of its last line:
+		markdown: function (node, output, state) {
+			return defaultRules.codeBlock.markdown(withoutFinalNewline(node), output, state);
+		},
+		text: function (node, output, state) {
+			return defaultRules.codeBlock.text(withoutFinalNewline(node), output, state);
+		},
+	},
+	fence: {
+		// A fence runs to a closing fence of the same character that's at
+		// least as long, or to the end of the document (or the block it's
+		// in).
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var open = COMMONMARK_FENCE_R.exec(source);
+			if (!open || (open[2][0] === '`' && open[3].indexOf('`') !== -1)) {
+				return null;
+			}
+			var closeR = new RegExp('^ {0,3}' + open[2][0] + '{' + open[2].length + ',}[ \\t]*$');
+			/** @type {Array<string>} */
+			var lines = [];
+			var length = source.length;
+			var start = nextLineEnd(source, 0);
+			while (start < source.length) {
+				var end = nextLineEnd(source, start);
+				var line = lineAt(source, start, end);
+				if (closeR.test(line)) {
+					length = end;
+					break;
+				}
+				lines.push(removeIndent(line, open[1].length));
+				start = end;
+			}
+			if (length === source.length) {
+				// Unclosed, so the blank lines after a block are ours:
+				while (lines.length && COMMONMARK_BLANK_LINE_R.test(lines[lines.length - 1])) {
+					lines.pop();
+				}
+			}
+			var content = lines.length ? lines.join('\n') + '\n' : '';
+			return [source.slice(0, length), open[3], content];
+		},
+		parse: function (capture, parse, state) {
+			var info = parseFenceInfo(unescapeCommonmark(capture[1].trim()));
+			/** @type {SimpleMarkdown.UnTypedASTNode} */
+			var node = {
+				type: 'codeBlock',
+				lang: info.lang,
+				content: capture[2],
+			};
+			if (info.meta.raw) {
+				node.meta = info.meta;
+			}
+			return node;
+		},
+	},
+	blockQuote: {
+		match: function (source, state) {
+			if (state.inline || !COMMONMARK_QUOTE_R.test(source)) {
+				return null;
+			}
+			/** @type {Array<string>} */
+			var lines = [];
+			var lazy = false;
+			var inFence = false;
+			var start = 0;
+			while (start < source.length) {
+				var end = nextLineEnd(source, start);
+				var line = lineAt(source, start, end);
+				var marker = COMMONMARK_QUOTE_R.exec(line);
+				if (marker) {
+					line = line.slice(marker[0].length);
+				} else if (
+					!lazy ||
+					COMMONMARK_BLANK_LINE_R.test(line) ||
+					COMMONMARK_INTERRUPT_R.test(line)
+				) {
+					break;
+				}
+				lines.push(line);
+				if (COMMONMARK_FENCE_R.test(line)) {
+					inFence = !inFence;
+				}
+				lazy = canContinueLazily(line, inFence);
+				start = end;
+			}
+			return [source.slice(0, start), lines.join('\n')];
+		},
+		parse: function (capture, parse, state) {
+			return {
+				content: parseBlock(parse, capture[1], state),
+			};
+		},
+	},
+	list: {
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var list = scanCommonmarkList(source);
+			return list ? [source.slice(0, list.length)] : null;
+		},
+		parse: function (capture, parse, state) {
+			var list = /** @type {NonNullable<ReturnType<typeof scanCommonmarkList>>} */ (
+				scanCommonmarkList(capture[0])
+			);
+			var ordered = list.bullet.length > 1;
+			var loose = list.blankBetweenItems;
+			var items = list.items.map(function (item) {
+				var nodes = /** @type {Array<SimpleMarkdown.SingleASTNode>} */ (
+					parseBlock(parse, item, state)
+				);
+				// A blank line between two of an item's blocks makes the list
+				// loose:
+				var blocks = nodes.filter(function (node, i) {
+					if (node.type !== 'newline') {
+						return true;
+					}
+					if (i > 0 && i < nodes.length - 1) {
+						loose = true;
+					}
+					return false;
+				});
+				return blocks;
+			});
+
+			return {
+				ordered: ordered,
+				start: ordered ? parseInt(list.bullet, 10) : undefined,
+				// Tight lists don't wrap their items' text in paragraphs:
+				items: loose
+					? items
+					: items.map(function (blocks) {
+							/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+							var content = [];
+							blocks.forEach(function (block) {
+								if (block.type === 'paragraph') {
+									content.push.apply(content, block.content);
+								} else {
+									content.push(block);
+								}
+							});
+							return content;
+					  }),
+			};
+		},
+		html: function (node, output, state) {
+			var listItems = node.items
+				.map(function (/** @type {Array<SimpleMarkdown.SingleASTNode>} */ item) {
+					return htmlTag('li', output(item, state));
+				})
+				.join('');
+			return htmlTag(node.ordered ? 'ol' : 'ul', listItems, {
+				start: node.ordered && node.start !== 1 ? String(node.start) : undefined,
+			});
+		},
+	},
+	def: {
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var capture = COMMONMARK_DEF_R.exec(source);
+			// Labels need something other than whitespace in them:
+			return capture && /\S/.test(capture[1]) ? capture : null;
+		},
+		parse: function (capture, parse, state) {
+			var def = normalizeLinkLabel(capture[1]);
+			var destination = capture[2][0] === '<' ? capture[2].slice(1, -1) : capture[2];
+			var link = commonmarkLinkTarget(destination, capture[3]);
+			// The first def for a label is the one that counts:
+			if (state._defs && state._defs[def]) {
+				return { def: def, target: link.target, title: link.title };
+			}
+			var defCapture = /** @type {SimpleMarkdown.Capture} */ (
+				/** @type {any} */ ([capture[0], def, link.target, link.title])
+			);
+			return defaultRules.def.parse(defCapture, parse, state);
+		},
+	},
+	newline: {
+		match: blockRegex(/^(?:[ \t]*(?:\n|$))+/),
+	},
+	paragraph: {
+		match: function (source, state) {
+			if (state.inline) {
+				return null;
+			}
+			var paragraph = scanCommonmarkParagraph(source);
+			return paragraph.text ? [paragraph.text] : null;
+		},
+		parse: function (capture, parse, state) {
+			var text = capture[0].replace(/^[ \t]+/gm, '').trim();
+			return {
+				content: parseCommonmarkInline(parse, text, state),
+			};
+		},
+		element: function (node, output, state) {
+			return createElement(state, 'p', state.key, EMPTY_PROPS, output(node.content, state));
+		},
+		html: function (node, output, state) {
+			return htmlTag('p', output(node.content, state));
+		},
+	},
+	escape: {
+		// Only ascii punctuation can be escaped:
+		match: inlineRegex(/^\\([!-\/:-@\[-`{-~])/),
+	},
+	entity: {
+		order: defaultRules.escape.order,
+		match: function (source, state) {
+			if (!state.inline) {
+				return null;
+			}
+			var capture = COMMONMARK_ENTITY_R.exec(source);
+			return capture && decodeEntity(capture) != null ? capture : null;
+		},
+		parse: function (capture, parse, state) {
+			return {
+				type: 'text',
+				content: decodeEntity(capture),
+			};
+		},
+		element: null,
+		html: null,
+		markdown: null,
+		text: null,
+	},
+	autolink: {
+		match: inlineRegex(COMMONMARK_AUTOLINK_R),
+		parse: function (capture, parse, state) {
+			return {
+				type: 'link',
+				content: [
+					{
+						type: 'text',
+						content: capture[1],
+					},
+				],
+				target: encodeCommonmarkUrl(capture[1]),
+			};
+		},
+	},
+	mailto: {
+		match: inlineRegex(COMMONMARK_EMAIL_R),
+	},
+	link: {
+		match: inlineRegex(
+			new RegExp('^\\[(' + LINK_INSIDE + ')\\]' + COMMONMARK_LINK_HREF_AND_TITLE),
+		),
+		parse: function (capture, parse, state) {
+			var link = commonmarkLinkTarget(capture[2] || capture[3], capture[4]);
+			return {
+				content: resolveEmphasis(
+					/** @type {Array<SimpleMarkdown.SingleASTNode>} */ (parse(capture[1], state)),
+				),
+				target: link.target,
+				title: link.title,
+			};
+		},
+		// Reference links with no def are just text:
+		element: function (node, output, state) {
+			if (node.target == null) {
+				return ['[', output(node.content, state), ']' + node.refSuffix];
+			}
+			return defaultRules.link.element(node, output, state);
+		},
+		html: function (node, output, state) {
+			if (node.target == null) {
+				return '[' + output(node.content, state) + ']' + sanitizeText(node.refSuffix);
+			}
+			return defaultRules.link.html(node, output, state);
+		},
+		markdown: function (node, output, state) {
+			if (node.target == null) {
+				return '[' + output(node.content, state) + ']' + node.refSuffix;
+			}
+			return defaultRules.link.markdown(node, output, state);
+		},
+	},
+	image: {
+		match: inlineRegex(
+			new RegExp('^!\\[(' + LINK_INSIDE + ')\\]' + COMMONMARK_LINK_HREF_AND_TITLE),
+		),
+		parse: function (capture, parse, state) {
+			var link = commonmarkLinkTarget(capture[2] || capture[3], capture[4]);
+			return {
+				// The alt text is the text of the description, without its
+				// formatting:
+				alt: headingText(parseCommonmarkInline(parse, capture[1], state)),
+				target: link.target,
+				title: link.title,
+			};
+		},
+		element: function (node, output, state) {
+			if (node.target == null) {
+				return '![' + node.alt + ']' + node.refSuffix;
+			}
+			return defaultRules.image.element(node, output, state);
+		},
+		html: function (node, output, state) {
+			if (node.target == null) {
+				return sanitizeText('![' + node.alt + ']' + node.refSuffix);
+			}
+			return defaultRules.image.html(node, output, state);
+		},
+		markdown: function (node, output, state) {
+			if (node.target == null) {
+				return '![' + node.alt + ']' + node.refSuffix;
+			}
+			return defaultRules.image.markdown(node, output, state);
+		},
+	},
+	// Full (`[text][label]`), collapsed (`[text][]`) and shortcut (`[text]`)
+	// reference links:
+	reflink: {
+		match: function (source, state) {
+			if (!state.inline) {
+				return null;
+			}
+			var capture = COMMONMARK_REF_R.exec(source);
+			if (!capture || capture[1]) {
+				return null;
+			}
+			return /\S/.test(capture[3] || capture[2]) ? capture : null;
+		},
+		parse: function (capture, parse, state) {
+			var label = normalizeLinkLabel(capture[3] || capture[2]);
+			return parseRef(/** @type {SimpleMarkdown.Capture} */ ([capture[0], label]), state, {
+				type: 'link',
+				content: resolveEmphasis(
+					/** @type {Array<SimpleMarkdown.SingleASTNode>} */ (parse(capture[2], state)),
+				),
+				refSuffix: capture[3] == null ? '' : '[' + capture[3] + ']',
+			});
+		},
+	},
+	refimage: {
+		match: function (source, state) {
+			if (!state.inline) {
+				return null;
+			}
+			var capture = COMMONMARK_REF_R.exec(source);
+			if (!capture || !capture[1]) {
+				return null;
+			}
+			return /\S/.test(capture[3] || capture[2]) ? capture : null;
+		},
+		parse: function (capture, parse, state) {
+			var label = normalizeLinkLabel(capture[3] || capture[2]);
+			return parseRef(/** @type {SimpleMarkdown.Capture} */ ([capture[0], label]), state, {
+				type: 'image',
+				alt: headingText(parseCommonmarkInline(parse, capture[2], state)),
+				refSuffix: capture[3] == null ? '' : '[' + capture[3] + ']',
+			});
+		},
+	},
+	// A run of `*`s or `_`s, which resolveEmphasis turns into `em` and
+	// `strong` once the whole paragraph (or heading, or link text) is
+	// parsed:
+	delimiterRun: {
+		order: defaultRules.em.order,
+		match: inlineRegex(COMMONMARK_DELIMITER_RUN_R),
+		parse: function (capture, parse, state) {
+			var prevCapture = state.prevCapture == null ? '' : state.prevCapture[0];
+			return delimiterRunNode(capture[1], prevCapture.slice(-1), capture[2]);
+		},
+		element: function (node, output, state) {
+			return new Array(node.count + 1).join(node.char);
+		},
+		html: function (node, output, state) {
+			return new Array(node.count + 1).join(node.char);
+		},
+		markdown: function (node, output, state) {
+			return escapeMarkdown(new Array(node.count + 1).join(node.char));
+		},
+		text: function (node, output, state) {
+			return new Array(node.count + 1).join(node.char);
+		},
+	},
+	// `em` and `strong` only come from delimiterRuns:
+	em: {
+		match: undefined,
+	},
+	strong: {
+		match: undefined,
+	},
+	inlineCode: {
+		// A run of backticks that isn't closed by one just as long is
+		// text, all of it:
+		match: function (source, state) {
+			if (!state.inline) {
+				return null;
+			}
+			return COMMONMARK_CODE_R.exec(source) || COMMONMARK_BACKTICKS_R.exec(source);
+		},
+		parse: function (capture, parse, state) {
+			if (capture[2] == null) {
+				return {
+					type: 'text',
+					content: capture[0],
+				};
+			}
+			var content = capture[2].replace(/\n/g, ' ');
+			// One space on each side is stripped, if there's something else:
+			if (/^ [\s\S]*[^ ][\s\S]* $/.test(content)) {
+				content = content.slice(1, -1);
+			}
+			return { content: content };
+		},
+	},
+	br: {
+		match: inlineRegex(/^(?: {2,}|\\)\n/),
+	},
+};
+
+/**
+ * Rules that follow the CommonMark spec, in place of the defaultRules'
+ * own flavor of markdown: emphasis from `*` and `_` runs as the spec
+ * pairs them up, quotes and list items with lazy continuation lines,
+ * indented code that doesn't need a blank line after it, case-folded
+ * link labels (where the first def wins), shortcut reference links, and
+ * entities. Paragraphs output `<p>`s and code blocks `language-` classes.
+ *
+ * Tables, strikethrough, footnotes and the chat rules aren't included,
+ * nor is raw html.
+ *
+ * @type {SimpleMarkdown.CommonmarkRules}
+ */
+var commonmarkRules = (function () {
+	/** @type {{[type: string]: any}} */
+	var rules = {};
+	COMMONMARK_RULES.forEach(function (type) {
+		rules[type] = withElementOutputs(
+			Object.assign({}, defaultRules[type], commonmarkRuleOverrides[type]),
+		);
+	});
+	return /** @type {SimpleMarkdown.CommonmarkRules} */ (rules);
+})();
+
+// Returned from a `visit` visitor or a `transform` function to skip the
+// children of the current node:
+var SKIP = 'skip';
+
+/**
+ * The fields of `node` that hold its child nodes. Rules can list these
+ * as `childFields`. Otherwise, nodes have their children in `content`,
+ * if it's an array.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {SimpleMarkdown.ParserRules} rules
+ * @returns {Array<string>}
+ */
+var childFieldsOf = function (node, rules) {
+	var rule = /** @type {?SimpleMarkdown.ParserRule} */ (rules[node.type]);
+	if (rule && rule.childFields) {
+		return rule.childFields;
+	}
+	return Array.isArray(node.content) ? ['content'] : [];
+};
+
+/**
+ * Calls `visitors[node.type](node, parent)` for every node in `ast`,
+ * parents before their children. Visitors can return `SKIP` to skip the
+ * children of a node.
+ *
+ * @param {SimpleMarkdown.ASTNode} ast
+ * @param {SimpleMarkdown.Visitors} visitors
+ * @param {SimpleMarkdown.ParserRules} [rules] - for the child fields of
+ *     custom node types; defaults to `defaultRules`
+ */
+var visit = function (ast, visitors, rules) {
+	var childRules = rules || defaultRules;
+
+	/**
+	 * @param {Array<any>} nodes - nodes, or arrays of them (nested as deep
+	 *     as the field holding them, like list items or table cells)
+	 * @param {?SimpleMarkdown.SingleASTNode} parent
+	 */
+	var visitNodes = function (nodes, parent) {
+		nodes.forEach(function (node) {
+			if (Array.isArray(node)) {
+				visitNodes(node, parent);
+				return;
+			}
+			var visitor = visitors[node.type];
+			if (visitor && visitor(node, parent) === SKIP) {
+				return;
+			}
+			childFieldsOf(node, childRules).forEach(function (field) {
+				if (Array.isArray(node[field])) {
+					visitNodes(node[field], node);
+				}
+			});
+		});
+	};
+	visitNodes(Array.isArray(ast) ? ast : [ast], null);
+};
+
+/**
+ * Maps `fn` over every node in `ast`, parents before their children, and
+ * returns the new ast. `fn(node, parent)` can return:
+ *  - nothing, to keep the node (and transform its children)
+ *  - a node, or an array of nodes, to replace the node with
+ *  - null, to remove the node
+ *  - `SKIP`, to keep the node as it is, without transforming its children
+ *
+ * `ast` isn't modified: nodes with changed children are copied, and any
+ * others are reused.
+ *
+ * @param {SimpleMarkdown.ASTNode} ast
+ * @param {SimpleMarkdown.TransformFunction} fn
+ * @param {SimpleMarkdown.ParserRules} [rules] - for the child fields of
+ *     custom node types; defaults to `defaultRules`
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var transform = function (ast, fn, rules) {
+	var childRules = rules || defaultRules;
+
+	/**
+	 * @param {Array<any>} nodes - as in `visit`
+	 * @param {?SimpleMarkdown.SingleASTNode} parent
+	 * @returns {Array<any>} - `nodes` itself if nothing changed
+	 */
+	var transformNodes = function (nodes, parent) {
+		/** @type {Array<any>} */
+		var result = [];
+		var changed = false;
+		nodes.forEach(function (node) {
+			var replacement = Array.isArray(node)
+				? transformNodes(node, parent)
+				: transformNode(node, parent);
+			if (replacement === node) {
+				result.push(node);
+				return;
+			}
+			changed = true;
+			if (Array.isArray(replacement) && !Array.isArray(node)) {
+				Array.prototype.push.apply(result, replacement);
+			} else if (replacement != null) {
+				result.push(replacement);
+			}
+		});
+		return changed ? result : nodes;
+	};
+
+	/**
+	 * @param {SimpleMarkdown.SingleASTNode} node
+	 * @param {?SimpleMarkdown.SingleASTNode} parent
+	 * @returns {any}
+	 */
+	var transformNode = function (node, parent) {
+		var replacement = fn(node, parent);
+		if (replacement === SKIP) {
+			return node;
+		} else if (replacement !== undefined) {
+			return replacement;
+		}
+
+		/** @type {?SimpleMarkdown.SingleASTNode} */
+		var copy = null;
+		childFieldsOf(node, childRules).forEach(function (field) {
+			var children = node[field];
+			if (!Array.isArray(children)) {
+				return;
+			}
+			var newChildren = transformNodes(children, node);
+			if (newChildren !== children) {
+				if (copy == null) {
+					copy = { type: node.type };
+					for (var prop in node) {
+						if (Object.prototype.hasOwnProperty.call(node, prop)) {
+							copy[prop] = node[prop];
+						}
+					}
+				}
+				copy[field] = newChildren;
+			}
+		});
+		return copy || node;
+	};
+
+	var nodes = Array.isArray(ast) ? ast : [ast];
+	return transformNodes(nodes, null);
+};
+
+// The node types that are blocks in mdast's "flow" content. Other nodes
+// in list items (which are inline in tight lists) are put in paragraphs:
+var MDAST_BLOCK_TYPES = [
+	'heading',
+	'hr',
+	'codeBlock',
+	'blockQuote',
+	'list',
+	'table',
+	'footnoteDef',
+	'def',
+	'htmlBlock',
+	'paragraph',
+	'newline',
+];
+
+/**
+ * @param {string} label
+ * @returns {string}
+ */
+var normalizeMdastIdentifier = function (label) {
+	return label.replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+/**
+ * A node without an mdast equivalent (like a mention, or a node from a
+ * custom rule) as an mdast node of the same type and with the same
+ * fields, but with its `content` as `children` (or as `value`, if it's a
+ * string).
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @returns {SimpleMarkdown.UnistNode}
+ */
+var toMdastOther = function (node) {
+	/** @type {SimpleMarkdown.UnistNode} */
+	var converted = Object.assign({}, node);
+	delete converted.content;
+	if (Array.isArray(node.content)) {
+		converted.children = toMdastChildren(node.content);
+	} else if (typeof node.content === 'string') {
+		converted.value = node.content;
+	}
+	return converted;
+};
+
+/**
+ * @param {SimpleMarkdown.ASTNode} ast
+ * @returns {Array<SimpleMarkdown.UnistNode>}
+ */
+var toMdastChildren = function (ast) {
+	/** @type {Array<SimpleMarkdown.UnistNode>} */
+	var children = [];
+	(Array.isArray(ast) ? ast : [ast]).forEach(function (node) {
+		var converter = MDAST_CONVERTERS[node.type];
+		var converted = converter ? converter(node) : toMdastOther(node);
+		var nodes = Array.isArray(converted) ? converted : [converted];
+		if (node.position && nodes.length === 1) {
+			nodes[0].position = node.position;
+		}
+		Array.prototype.push.apply(children, nodes);
+	});
+	return children;
+};
+
+/**
+ * Converts block content that can have inline nodes in it (like a tight
+ * list item), putting each run of inline nodes in a paragraph.
+ *
+ * @param {Array<SimpleMarkdown.SingleASTNode>} nodes
+ * @returns {Array<SimpleMarkdown.UnistNode>}
+ */
+var toMdastFlow = function (nodes) {
+	/** @type {Array<SimpleMarkdown.UnistNode>} */
+	var flow = [];
+	/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+	var inlineNodes = [];
+	var endParagraph = function () {
+		var children = toMdastChildren(inlineNodes);
+		var last = children[children.length - 1];
+		// The newline before a nested list isn't part of the paragraph:
+		if (last && last.type === 'text') {
+			last.value = last.value.replace(/\s+$/, '');
+		}
+		if (children.length) {
+			flow.push({ type: 'paragraph', children: children });
+		}
+		inlineNodes = [];
+	};
+	nodes.forEach(function (node) {
+		if (MDAST_BLOCK_TYPES.indexOf(node.type) === -1) {
+			inlineNodes.push(node);
+		} else {
+			endParagraph();
+			Array.prototype.push.apply(flow, toMdastChildren(node));
+		}
+	});
+	endParagraph();
+	return flow;
+};
+
+/**
+ * A link or image from a reference (`[text][label]`) as an mdast
+ * `linkReference` or `imageReference`, whether or not its def was
+ * found: reflinks keep the normalized label they refer to in `ref`
+ * (and, from the commonmarkRules, what followed the text in
+ * `refSuffix`), and ones without a target can only be references.
+ *
+ * @param {SimpleMarkdown.SingleASTNode} node
+ * @param {string} text - the link's text, or the image's alt
+ * @returns {?SimpleMarkdown.UnistNode}
+ */
+var toMdastReference = function (node, text) {
+	if (node.ref == null && node.refSuffix == null && node.target != null) {
+		return null;
+	}
+	var suffix = markdownRefSuffix(node, text);
+	var label = suffix.length > 2 ? suffix.slice(1, -1) : text;
+	return {
+		type: node.type === 'image' ? 'imageReference' : 'linkReference',
+		identifier: normalizeMdastIdentifier(label),
+		label: label,
+		referenceType: suffix.length > 2 ? 'full' : suffix ? 'collapsed' : 'shortcut',
+	};
+};
+
+/** @type {{[type: string]: (node: SimpleMarkdown.SingleASTNode) => SimpleMarkdown.UnistNode | Array<SimpleMarkdown.UnistNode>}} */
+var MDAST_CONVERTERS = {
+	heading: function (node) {
+		/** @type {SimpleMarkdown.UnistNode} */
+		var heading = {
+			type: 'heading',
+			depth: node.level,
+			children: toMdastChildren(node.content),
+		};
+		if (node.id) {
+			heading.data = { hProperties: { id: node.id } };
+		}
+		return heading;
+	},
+	hr: function () {
+		return { type: 'thematicBreak' };
+	},
+	codeBlock: function (node) {
+		return {
+			type: 'code',
+			lang: node.lang || null,
+			meta: node.meta ? node.meta.raw : null,
+			value: node.content,
+		};
+	},
+	blockQuote: function (node) {
+		return { type: 'blockquote', children: toMdastFlow(node.content) };
+	},
+	list: function (node) {
+		// Each item is loose if it has paragraphs, and so is the list if
+		// all of them are (as mdast-util-to-hast treats items as loose if
+		// either they or their list are):
+		/** @type {(item: Array<SimpleMarkdown.SingleASTNode>) => boolean} */
+		var isLoose = function (item) {
+			return item.some(function (itemNode) {
+				return itemNode.type === 'paragraph';
+			});
+		};
+		return {
+			type: 'list',
+			ordered: node.ordered,
+			start: node.ordered ? node.start : null,
+			spread: node.items.length > 0 && node.items.every(isLoose),
+			children: node.items.map(function (/** @type {SimpleMarkdown.SingleASTNode[]} */ item) {
+				return {
+					type: 'listItem',
+					spread: isLoose(item),
+					checked: isTaskItem(item) ? item[0].checked : null,
+					children: toMdastFlow(isTaskItem(item) ? item.slice(1) : item),
+				};
+			}),
+		};
+	},
+	// Checkboxes are only at the start of list items, where they're
+	// `checked` instead; anywhere else, they're text:
+	checkbox: function (node) {
+		return { type: 'text', value: node.checked ? '[x] ' : '[ ] ' };
+	},
+	footnoteDef: function (node) {
+		return {
+			type: 'footnoteDefinition',
+			identifier: node.id,
+			label: node.id,
+			children: [{ type: 'paragraph', children: toMdastChildren(node.content) }],
+		};
+	},
+	def: function (node) {
+		return {
+			type: 'definition',
+			identifier: node.def,
+			label: node.def,
+			url: node.target || '',
+			title: node.title == null ? null : node.title,
+		};
+	},
+	htmlBlock: function (node) {
+		return { type: 'html', value: htmlSource(node.content) };
+	},
+	table: function (node) {
+		return {
+			type: 'table',
+			align: node.align.map(function (/** @type {?string} */ align) {
+				return align || null;
+			}),
+			children: [node.header].concat(node.cells).map(function (row) {
+				return {
+					type: 'tableRow',
+					children: row.map(function (/** @type {SimpleMarkdown.ASTNode} */ cell) {
+						return { type: 'tableCell', children: toMdastChildren(cell) };
+					}),
+				};
+			}),
+		};
+	},
+	newline: function () {
+		return [];
+	},
+	paragraph: function (node) {
+		return { type: 'paragraph', children: toMdastChildren(node.content) };
+	},
+	htmlInline: function (node) {
+		/** @type {SimpleMarkdown.UnistNode} */
+		var openTag = {
+			type: 'html',
+			value: '<' + node.tag + htmlAttributesSource(node.attributes) + '>',
+		};
+		if (HTML_VOID_TAGS.indexOf(node.tag) !== -1) {
+			return openTag;
+		}
+		return [openTag]
+			.concat(toMdastChildren(node.content))
+			.concat([{ type: 'html', value: '</' + node.tag + '>' }]);
+	},
+	footnoteRef: function (node) {
+		return { type: 'footnoteReference', identifier: node.id, label: node.id };
+	},
+	link: function (node) {
+		var children = toMdastChildren(node.content);
+		var reference = toMdastReference(node, headingText(node.content));
+		if (reference) {
+			reference.children = children;
+			return reference;
+		}
+		return {
+			type: 'link',
+			url: node.target,
+			title: node.title == null ? null : node.title,
+			children: children,
+		};
+	},
+	image: function (node) {
+		var reference = toMdastReference(node, node.alt);
+		if (reference) {
+			reference.alt = node.alt;
+			return reference;
+		}
+		return {
+			type: 'image',
+			url: node.target,
+			title: node.title == null ? null : node.title,
+			alt: node.alt,
+		};
+	},
+	em: function (node) {
+		return { type: 'emphasis', children: toMdastChildren(node.content) };
+	},
+	strong: function (node) {
+		return { type: 'strong', children: toMdastChildren(node.content) };
+	},
+	// `__underlines__` are strong in other markdown, but still output
+	// `<u>`s through mdast-util-to-hast:
+	u: function (node) {
+		return { type: 'strong', data: { hName: 'u' }, children: toMdastChildren(node.content) };
+	},
+	del: function (node) {
+		return { type: 'delete', children: toMdastChildren(node.content) };
+	},
+	inlineCode: function (node) {
+		return { type: 'inlineCode', value: node.content };
+	},
+	br: function () {
+		return { type: 'break' };
+	},
+	emoji: function (node) {
+		return { type: 'text', value: node.emoji };
+	},
+	text: function (node) {
+		return { type: 'text', value: node.content };
+	},
+};
+
+/**
+ * Converts an ast to an mdast tree, for use with remark and the rest of
+ * unified. Nodes without an mdast equivalent, like mentions, keep their
+ * type and fields, with their `content` as `children`.
+ *
+ * @param {SimpleMarkdown.ASTNode} ast
+ * @returns {SimpleMarkdown.UnistNode} an mdast `root`
+ */
+var toMdast = function (ast) {
+	return { type: 'root', children: toMdastFlow(Array.isArray(ast) ? ast : [ast]) };
+};
+
+/**
+ * @typedef {{
+ *     definitions: {[identifier: string]: SimpleMarkdown.UnistNode},
+ *     footnotes: {[identifier: string]: Array<SimpleMarkdown.SingleASTNode>},
+ *     footnoteDefs: Array<SimpleMarkdown.SingleASTNode>,
+ *     footnoteCount: number,
+ *     footnoteId?: string,
+ *     ownFootnotes: {[identifier: string]: Array<SimpleMarkdown.SingleASTNode>},
+ *     slugs: {[slug: string]: number},
+ * }} MdastContext
+ */
+
+/**
+ * Converts mdast nodes. Html in inline content is in separate nodes for
+ * each tag, so an opening tag and its closing tag are made into one
+ * `htmlInline` node, with the nodes between them as its content.
+ *
+ * @param {Array<SimpleMarkdown.UnistNode>} nodes
+ * @param {MdastContext} context
+ * @param {boolean} inline
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var fromMdastChildren = function (nodes, context, inline) {
+	/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+	var ast = [];
+	for (var i = 0; i < nodes.length; i++) {
+		var node = nodes[i];
+		if (node.type === 'html') {
+			var capture = inline ? HTML_OPEN_TAG_R.exec(node.value) : null;
+			var close = capture && capture[0] === node.value ? mdastClosingTag(nodes, i) : -1;
+			if (capture && close !== -1) {
+				var element = htmlElementNode(capture);
+				element.content = fromMdastChildren(nodes.slice(i + 1, close), context, true);
+				ast.push(element);
+				i = close;
+			} else if (inline) {
+				Array.prototype.push.apply(ast, parseHtml(node.value));
+			} else {
+				ast.push({ type: 'htmlBlock', content: parseHtml(node.value) });
+			}
+			continue;
+		}
+
+		var converter = MDAST_FROM_CONVERTERS[node.type];
+		var converted = converter
+			? converter(node, context)
+			: fromMdastOther(node, context, inline);
+		if (converted) {
+			if (node.position) {
+				converted.position = node.position;
+			}
+			ast.push(converted);
+		}
+	}
+	return ast;
+};
+
+/**
+ * An mdast node without an equivalent here, the other way from
+ * `toMdastOther`.
+ *
+ * @param {SimpleMarkdown.UnistNode} node
+ * @param {MdastContext} context
+ * @param {boolean} inline
+ * @returns {SimpleMarkdown.SingleASTNode}
+ */
+var fromMdastOther = function (node, context, inline) {
+	/** @type {SimpleMarkdown.SingleASTNode} */
+	var converted = Object.assign({}, node);
+	delete converted.children;
+	delete converted.value;
+	if (Array.isArray(node.children)) {
+		converted.content = fromMdastChildren(node.children, context, inline);
+	} else if (typeof node.value === 'string') {
+		converted.content = node.value;
+	}
+	return converted;
+};
+
+/**
+ * The index of the html node in `nodes` that closes the opening tag at
+ * `start`, or -1 if it isn't closed.
+ *
+ * @param {Array<SimpleMarkdown.UnistNode>} nodes
+ * @param {number} start
+ * @returns {number}
+ */
+var mdastClosingTag = function (nodes, start) {
+	var tag = nodes[start].value
+		.slice(1)
+		.split(/[\s/>]/)[0]
+		.toLowerCase();
+	if (HTML_VOID_TAGS.indexOf(tag) !== -1 || /\/>$/.test(nodes[start].value)) {
+		return -1;
+	}
+	var depth = 0;
+	for (var i = start; i < nodes.length; i++) {
+		var close = nodes[i].type === 'html' ? HTML_CLOSE_TAG_R.exec(nodes[i].value) : null;
+		var open = nodes[i].type === 'html' ? HTML_OPEN_TAG_R.exec(nodes[i].value) : null;
+		if (open && open[1].toLowerCase() === tag && !open[3]) {
+			depth++;
+		} else if (close && close[1].toLowerCase() === tag && --depth === 0) {
+			return i;
+		}
+	}
+	return -1;
+};
+
+/**
+ * The inline content of a list item or footnote, from its paragraphs.
+ *
+ * @param {Array<SimpleMarkdown.UnistNode>} nodes
+ * @param {MdastContext} context
+ * @param {SimpleMarkdown.SingleASTNode} separator - between paragraphs
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var fromMdastInlineFlow = function (nodes, context, separator) {
+	/** @type {Array<SimpleMarkdown.SingleASTNode>} */
+	var ast = [];
+	nodes.forEach(function (node, i) {
+		if (node.type !== 'paragraph') {
+			Array.prototype.push.apply(ast, fromMdastChildren([node], context, false));
+			return;
+		}
+		if (i > 0) {
+			ast.push(Object.assign({}, separator));
+		}
+		Array.prototype.push.apply(ast, fromMdastChildren(node.children, context, true));
+	});
+	return ast;
+};
+
+/**
+ * @param {SimpleMarkdown.UnistNode} node - a linkReference or imageReference
+ * @param {MdastContext} context
+ * @returns {{target: string | undefined, title: string | undefined, ref: string, refSuffix: string}}
+ */
+var fromMdastReference = function (node, context) {
+	var definition = context.definitions[normalizeMdastIdentifier(node.identifier)];
+	var label = node.label || node.identifier;
+	return {
+		target: definition ? definition.url : undefined,
+		title: definition && definition.title != null ? definition.title : undefined,
+		ref: label.replace(/\s+/g, ' ').toLowerCase(),
+		refSuffix:
+			node.referenceType === 'full'
+				? '[' + label + ']'
+				: node.referenceType === 'collapsed'
+				? '[]'
+				: '',
+	};
+};
+
+/** @type {{[type: string]: (node: SimpleMarkdown.UnistNode, context: MdastContext) => ?SimpleMarkdown.SingleASTNode}} */
+var MDAST_FROM_CONVERTERS = {
+	heading: function (node, context) {
+		var content = fromMdastChildren(node.children, context, true);
+		var id = node.data && node.data.hProperties && node.data.hProperties.id;
+		return {
+			type: 'heading',
+			level: node.depth,
+			id: id || uniqueSlug(headingText(content), context.slugs),
+			content: content,
+		};
+	},
+	thematicBreak: function () {
+		return { type: 'hr' };
+	},
+	code: function (node) {
+		/** @type {SimpleMarkdown.SingleASTNode} */
+		var codeBlock = { type: 'codeBlock', lang: node.lang || undefined, content: node.value };
+		if (node.meta) {
+			codeBlock.meta = parseFenceInfo((node.lang || '') + ' ' + node.meta).meta;
+		}
+		return codeBlock;
+	},
+	blockquote: function (node, context) {
+		return { type: 'blockQuote', content: fromMdastChildren(node.children, context, false) };
+	},
+	list: function (node, context) {
+		return {
+			type: 'list',
+			ordered: !!node.ordered,
+			start: node.ordered ? (node.start == null ? 1 : node.start) : undefined,
+			items: node.children.map(function (/** @type {SimpleMarkdown.UnistNode} */ item) {
+				var content =
+					node.spread || item.spread
+						? fromMdastChildren(item.children, context, false)
+						: fromMdastInlineFlow(item.children, context, {
+								type: 'text',
+								content: '\n',
+						  });
+				if (item.checked != null) {
+					content.unshift({ type: 'checkbox', checked: item.checked });
+				}
+				return content;
+			}),
+		};
+	},
+	footnoteDefinition: function (node, context) {
+		var id = normalizeFootnoteId(node.identifier);
+		var prevFootnoteId = context.footnoteId;
+		context.footnoteId = id;
+		var content = fromMdastInlineFlow(node.children, context, { type: 'br' });
+		context.footnoteId = prevFootnoteId;
+		var def = {
+			type: 'footnoteDef',
+			id: id,
+			content: content,
+			number: undefined,
+			refCount: 0,
+		};
+		context.footnoteDefs.push(def);
+		return def;
+	},
+	definition: function (node) {
+		return {
+			type: 'def',
+			def: normalizeMdastIdentifier(node.identifier),
+			target: node.url,
+			title: node.title == null ? undefined : node.title,
+		};
+	},
+	table: function (node, context) {
+		var rows = node.children.map(function (/** @type {SimpleMarkdown.UnistNode} */ row) {
+			return row.children.map(function (/** @type {SimpleMarkdown.UnistNode} */ cell) {
+				return fromMdastChildren(cell.children, context, true);
+			});
+		});
+		var align = node.align || [];
+		return {
+			type: 'table',
+			header: rows[0] || [],
+			align: (rows[0] || []).map(function (/** @type {any} */ cell, /** @type {number} */ i) {
+				return align[i] || null;
+			}),
+			cells: rows.slice(1),
+		};
+	},
+	paragraph: function (node, context) {
+		return { type: 'paragraph', content: fromMdastChildren(node.children, context, true) };
+	},
+	footnoteReference: function (node, context) {
+		var id = normalizeFootnoteId(node.identifier);
+		// As when parsing, a footnote's references to itself from its own
+		// definition are numbered with it at the end, without back-links
+		if (context.footnoteId === id) {
+			var ownRef = { type: 'footnoteRef', id: id, number: undefined, index: 0 };
+			(context.ownFootnotes[id] = context.ownFootnotes[id] || []).push(ownRef);
+			return ownRef;
+		}
+		var refs = (context.footnotes[id] = context.footnotes[id] || []);
+		var defined = context.footnoteDefs.some(function (def) {
+			return def.id === id;
+		});
+		var ref = {
+			type: 'footnoteRef',
+			id: id,
+			number: refs.length ? refs[0].number : defined ? ++context.footnoteCount : undefined,
+			index: refs.length + 1,
+		};
+		refs.push(ref);
+		return ref;
+	},
+	link: function (node, context) {
+		return {
+			type: 'link',
+			content: fromMdastChildren(node.children, context, true),
+			target: node.url,
+			title: node.title == null ? undefined : node.title,
+		};
+	},
+	image: function (node) {
+		return {
+			type: 'image',
+			alt: node.alt || '',
+			target: node.url,
+			title: node.title == null ? undefined : node.title,
+		};
+	},
+	linkReference: function (node, context) {
+		return Object.assign(
+			{ type: 'link', content: fromMdastChildren(node.children, context, true) },
+			fromMdastReference(node, context),
+		);
+	},
+	imageReference: function (node, context) {
+		return Object.assign(
+			{ type: 'image', alt: node.alt || '' },
+			fromMdastReference(node, context),
+		);
+	},
+	emphasis: function (node, context) {
+		return { type: 'em', content: fromMdastChildren(node.children, context, true) };
+	},
+	strong: function (node, context) {
+		var isUnderline = node.data && node.data.hName === 'u';
+		return {
+			type: isUnderline ? 'u' : 'strong',
+			content: fromMdastChildren(node.children, context, true),
+		};
+	},
+	delete: function (node, context) {
+		return { type: 'del', content: fromMdastChildren(node.children, context, true) };
+	},
+	inlineCode: function (node) {
+		return { type: 'inlineCode', content: node.value };
+	},
+	break: function () {
+		return { type: 'br' };
+	},
+	text: function (node) {
+		return { type: 'text', content: node.value };
+	},
+	// Front matter isn't markdown:
+	yaml: function () {
+		return null;
+	},
+	toml: function () {
+		return null;
+	},
+};
+
+/**
+ * Converts an mdast tree (or node) to an ast that the defaultRules can
+ * output, the other way from `toMdast`. References are resolved with
+ * the tree's definitions (and keep their `refSuffix`, for the
+ * commonmarkRules), and footnotes and headings are numbered and given
+ * ids as they would be when parsing.
+ *
+ * @param {SimpleMarkdown.UnistNode} tree
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var fromMdast = function (tree) {
+	/** @type {MdastContext} */
+	var context = {
+		definitions: {},
+		footnotes: {},
+		footnoteDefs: [],
+		footnoteCount: 0,
+		ownFootnotes: {},
+		slugs: {},
+	};
+	// References can come before their definitions, so we find those
+	// first. As in CommonMark, the first definition of a label wins:
+	/** @type {Array<SimpleMarkdown.UnistNode>} */
+	var footnoteDefinitions = [];
+	/** @param {SimpleMarkdown.UnistNode} node */
+	var findDefinitions = function (node) {
+		if (node.type === 'definition') {
+			var identifier = normalizeMdastIdentifier(node.identifier);
+			context.definitions[identifier] = context.definitions[identifier] || node;
+		} else if (node.type === 'footnoteDefinition') {
+			footnoteDefinitions.push(node);
+		}
+		(node.children || []).forEach(findDefinitions);
+	};
+	findDefinitions(tree);
+	context.footnoteDefs = footnoteDefinitions.map(function (node) {
+		return { type: 'footnoteDef', id: normalizeFootnoteId(node.identifier) };
+	});
+
+	var nodes = tree.type === 'root' ? tree.children : [tree];
+	var ast = fromMdastChildren(nodes, context, false);
+	context.footnoteDefs.forEach(function (def) {
+		var refs = context.footnotes[def.id];
+		def.number = refs ? refs[0].number : undefined;
+		def.refCount = refs ? refs.length : 0;
+		(context.ownFootnotes[def.id] || []).forEach(function (ownRef) {
+			ownRef.number = def.number;
+		});
+	});
+	return ast;
+};
+
+var HAST_BOOLEAN_ATTRIBUTES = ['checked', 'disabled', 'hidden', 'open', 'readonly', 'reversed'];
+var HAST_NUMBER_ATTRIBUTES = ['colspan', 'rowspan', 'span', 'start', 'tabindex', 'width', 'height'];
+
+/**
+ * @param {{[attr: string]: string | boolean}} attributes
+ * @returns {{[property: string]: any}}
+ */
+var hastProperties = function (attributes) {
+	/** @type {{[property: string]: any}} */
+	var properties = {};
+	Object.keys(attributes).forEach(function (name) {
+		/** @type {any} */
+		var value = attributes[name];
+		var property =
+			HAST_PROPERTY_NAMES[name] ||
+			name.replace(/-([a-z])/g, function (match, letter) {
+				return letter.toUpperCase();
+			});
+		if (HAST_BOOLEAN_ATTRIBUTES.indexOf(name) !== -1) {
+			value = true;
+		} else if (name === 'class') {
+			value = String(value).split(/\s+/).filter(Boolean);
+		} else if (HAST_NUMBER_ATTRIBUTES.indexOf(name) !== -1 && /^\d+$/.test(String(value))) {
+			value = +value;
+		}
+		properties[property] = value;
+	});
+	return properties;
+};
+
+/**
+ * Makes hast nodes from an element output's result (nested arrays of
+ * hast elements and strings), joining strings into single text nodes.
+ *
+ * @param {any} value
+ * @param {Array<SimpleMarkdown.UnistNode>} [children]
+ * @returns {Array<SimpleMarkdown.UnistNode>}
+ */
+var toHastChildren = function (value, children) {
+	children = children || [];
+	if (Array.isArray(value)) {
+		value.forEach(function (child) {
+			toHastChildren(child, children);
+		});
+	} else if (typeof value === 'string' || typeof value === 'number') {
+		var last = children[children.length - 1];
+		if (last && last.type === 'text') {
+			last.value += value;
+		} else if (value !== '') {
+			children.push({ type: 'text', value: '' + value });
+		}
+	} else if (value != null && typeof value !== 'boolean') {
+		children.push(value);
+	}
+	return children;
+};
+
+/**
+ * An element factory that creates hast elements, for `toHast`. Html
+ * attribute names become hast property names (`class` to a `className`
+ * array), style objects become style strings, and event handlers are
+ * dropped, since hast is only data.
+ *
+ * @type {SimpleMarkdown.CreateElement}
+ */
+var hastElementFactory = function (type, props, children) {
+	/** @type {{[attr: string]: string | boolean}} */
+	var attributes = {};
+	Object.keys(props).forEach(function (name) {
+		var value = props[name];
+		if (name === 'key' || value == null || value === false || typeof value === 'function') {
+			return;
+		}
+		if (name === 'style' && typeof value === 'object') {
+			value = Object.keys(value)
+				.filter(function (property) {
+					return value[property] != null;
+				})
+				.map(function (property) {
+					return (
+						property.replace(/[A-Z]/g, '-$&').toLowerCase() +
+						':' +
+						value[property] +
+						';'
+					);
+				})
+				.join('');
+			if (!value) {
+				return;
+			}
+		}
+		attributes[name] = value;
+	});
+	return {
+		type: 'element',
+		tagName: type,
+		properties: hastProperties(attributes),
+		children: toHastChildren(children),
+	};
+};
+
+/**
+ * Converts an ast to a hast tree, for use with rehype. Its elements are
+ * made by the `element` outputs of `rules` (by default, the
+ * defaultRules), so they're the same as the other outputs', with the
+ * same url and html policies applied, except that the defaultRules'
+ * paragraphs are `p`s, as they are in hast from mdast.
+ *
+ * @param {SimpleMarkdown.ASTNode} ast
+ * @param {SimpleMarkdown.OptionalState} [state] - the output state
+ * @param {SimpleMarkdown.ElementRules} [rules]
+ * @returns {SimpleMarkdown.UnistNode} a hast `root`
+ */
+var toHast = function (ast, state, rules) {
+	/** @type {any} */
+	var hastRules = Object.assign({}, rules || defaultRules);
+	if (hastRules.paragraph && hastRules.paragraph.element === defaultRules.paragraph.element) {
+		hastRules.paragraph = Object.assign({}, hastRules.paragraph, {
+			element: /** @type {SimpleMarkdown.NodeOutput<any>} */ (
+				function (node, output, state) {
+					return createElement(state, 'p', state.key, {}, output(node.content, state));
+				}
+			),
+		});
+	}
+	var hastState = Object.assign({}, state, { createElement: hastElementFactory });
+	return {
+		type: 'root',
+		children: toHastChildren(
+			outputFor(/** @type {SimpleMarkdown.ElementRules} */ (hastRules), 'element')(
+				ast,
+				hastState,
+			),
+		),
+	};
+};
+
+/** (deprecated)
+ * @param {any} rules
+ * @param {any} property
+ * @returns {any}
+ */
+var ruleOutput = function (
+	/* :: <Rule : Object> */ rules /* : OutputRules<Rule> */,
+	property /* : $Keys<Rule> */,
+) {
+	if (!property && typeof console !== 'undefined') {
+		console.warn(
+			"simple-markdown ruleOutput should take 'react', 'element', 'dom' or " +
+				"'html' as the second argument.",
+		);
+	}
+
+	/** @type {SimpleMarkdown.NodeOutput<any>} */
+	var nestedRuleOutput /* : NodeOutput<any> */ = function (
+		ast /* : SingleASTNode */,
+		outputFunc /* : Output<any> */,
+		state /* : State */,
+	) {
+		return rules[ast.type][property](ast, outputFunc, state);
+	};
+	return nestedRuleOutput;
+};
+
+/** (deprecated)
+ * @param {any} outputFunc
+ * @returns {any}
+ */
+var reactFor = function (outputFunc /* : ReactNodeOutput */) /* : ReactOutput */ {
+	/** @type {SimpleMarkdown.ReactOutput} */
+	var nestedOutput /* : ReactOutput */ = function (ast, state) {
+		state = state || {};
+		if (Array.isArray(ast)) {
+			var oldKey = state.key;
+			var result /* : Array<ReactElements> */ = [];
+
+			// map nestedOutput over the ast, except group any text
+			// nodes together into a single string output.
+			var lastResult = null;
+			for (var i = 0; i < ast.length; i++) {
+				state.key = '' + i;
+				var nodeOut = nestedOutput(ast[i], state);
+				if (typeof nodeOut === 'string' && typeof lastResult === 'string') {
+					lastResult = lastResult + nodeOut;
+					result[result.length - 1] = lastResult;
+				} else {
+					result.push(nodeOut);
+					lastResult = nodeOut;
+				}
+			}
+
+			state.key = oldKey;
+			return result;
+		} else {
+			return outputFunc(ast, nestedOutput, state);
+		}
+	};
+	return nestedOutput;
+};
+
+/** (deprecated)
+ * @param {any} outputFunc
+ * @returns {any}
+ */
+var vueFor = function (outputFunc) {
+	/** @type {SimpleMarkdown.Output<any>} */
+	var nestedOutput = function (ast, state) {
+		state = state || {};
+		if (Array.isArray(ast)) {
+			var oldKey = state.key;
+			/** @type {Array<any>} */
+			var result = [];
+
+			// map nestedOutput over the ast, except group any text
+			// nodes together into a single string output.
+			var lastResult = null;
+			for (var i = 0; i < ast.length; i++) {
+				state.key = '' + i;
+				/** @type {any} */
+				var nodeOut = nestedOutput(ast[i], state);
+				if (typeof nodeOut === 'string' && typeof lastResult === 'string') {
+					lastResult = lastResult + nodeOut;
+					result[result.length - 1] = lastResult;
+				} else {
+					result.push(nodeOut);
+					lastResult = nodeOut;
+				}
+			}
+
+			state.key = oldKey;
+			return result;
+		} else {
+			return outputFunc(ast, nestedOutput, state);
+		}
+	};
+	return nestedOutput;
+};
+
+/** (deprecated)
+ * @param {any} outputFunc
+ * @returns {any}
+ */
+var htmlFor = function (outputFunc /* : HtmlNodeOutput */) /* : HtmlOutput */ {
+	/** @type {SimpleMarkdown.HtmlOutput} */
+	var nestedOutput /* : HtmlOutput */ = function (ast, state) {
+		state = state || {};
+		if (Array.isArray(ast)) {
+			return ast
+				.map(function (node) {
+					return nestedOutput(node, state);
+				})
+				.join('');
+		} else {
+			return outputFunc(ast, nestedOutput, state);
+		}
+	};
+	return nestedOutput;
+};
+
+/**
+ * @type {SimpleMarkdown.OutputFor}
+ */
+var outputFor = function (
+	/* :: <Rule : Object> */ rules /* : OutputRules<Rule> */,
+	property /* : $Keys<Rule> */,
+	defaultState /* : ?State */,
+) {
+	if (!property) {
+		throw new Error(
+			'simple-markdown: outputFor: `property` must be ' +
+				'defined. ' +
+				'if you just upgraded, you probably need to replace `outputFor` ' +
+				'with `reactFor` or `vueFor`',
+		);
+	}
+
+	/** @type {SimpleMarkdown.State} */
+	var latestState;
+	/** @type {SimpleMarkdown.ArrayRule} */
+	var arrayRule = rules.Array || defaultRules.Array;
+
+	// `property` is a string key of the rules:
+	var key = /** @type {string} */ (property);
+
+	// Tricks to convince tsc that this var is not null:
+	var arrayRuleCheck = arrayRule[key];
+	if (!arrayRuleCheck) {
+		throw new Error(
+			'simple-markdown: outputFor: to join nodes of type `' +
+				key +
+				'` you must provide an `Array:` joiner rule with that type, ' +
+				'Please see the docs for details on specifying an Array rule.',
+		);
+	}
+	var arrayRuleOutput = arrayRuleCheck;
+
+	/** @type {SimpleMarkdown.Output<any>} */
+	var nestedOutput /* : Output<any> */ = function (ast, state) {
+		state = state || latestState;
+		latestState = state;
+		if (Array.isArray(ast)) {
+			return arrayRuleOutput(ast, nestedOutput, state);
+		} else {
+			return /** @type {any} */ (rules[ast.type])[key](ast, nestedOutput, state);
+		}
+	};
+
+	/** @type {SimpleMarkdown.Output<any>} */
+	var outerOutput = function (ast, state) {
+		latestState = populateInitialState(state, defaultState);
+		return nestedOutput(ast, latestState);
+	};
+	return outerOutput;
+};
+
+var defaultRawParse = parserFor(defaultRules);
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var defaultBlockParse = function (source, state) {
+	state = state || {};
+	state.inline = false;
+	return defaultRawParse(source, state);
+};
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var defaultInlineParse = function (source, state) {
+	state = state || {};
+	state.inline = true;
+	return defaultRawParse(source, state);
+};
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {Array<SimpleMarkdown.SingleASTNode>}
+ */
+var defaultImplicitParse = function (source, state) {
+	var isBlock = BLOCK_END_R.test(source);
+	state = state || {};
+	state.inline = !isBlock;
+	return defaultRawParse(source, state);
+};
+
+/** @type {SimpleMarkdown.ReactOutput} */
+var defaultReactOutput /* : ReactOutput */ = outputFor(defaultRules, 'react');
+/** @type {SimpleMarkdown.HtmlOutput} */
+var defaultHtmlOutput = outputFor(defaultRules, 'html');
+/** @type {SimpleMarkdown.MarkdownOutput} */
+var defaultMarkdownOutput = outputFor(defaultRules, 'markdown');
+/** @type {SimpleMarkdown.PlainTextOutput} */
+var defaultTextOutput = outputFor(defaultRules, 'text');
+/** @type {SimpleMarkdown.DomOutput} */
+var defaultDomOutput = outputFor(defaultRules, 'dom');
+
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {SimpleMarkdown.ReactElements}
+ */
+var markdownToReact = function (source, state) /* : ReactElements */ {
+	return defaultReactOutput(defaultBlockParse(source, state), state);
+};
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {string}
+ */
+var markdownToHtml = function (source, state) /* : string */ {
+	return defaultHtmlOutput(defaultBlockParse(source, state), state);
+};
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {string}
+ */
+var markdownToText = function (source, state) /* : string */ {
+	return defaultTextOutput(defaultBlockParse(source, state), state).replace(
+		MARKDOWN_TRAILING_NEWLINES_R,
+		'',
+	);
+};
+/**
+ * @param {string} source
+ * @param {SimpleMarkdown.OptionalState} [state]
+ * @returns {DocumentFragment}
+ */
+var markdownToDom = function (source, state) {
+	return /** @type {DocumentFragment} */ (
+		defaultDomOutput(defaultBlockParse(source, state), state)
+	);
+};
+
+/**
+ * @param {SimpleMarkdown.ReactMarkdownProps} props
+ * @returns {SimpleMarkdown.ReactElement}
+ */
+var ReactMarkdown = function (props) {
+	/** @type {Object<string, any>} */
+	var divProps = {};
+
+	for (var prop in props) {
+		if (prop !== 'source' && Object.prototype.hasOwnProperty.call(props, prop)) {
+			divProps[prop] = props[prop];
+		}
+	}
+	divProps.children = markdownToReact(props.source);
+
+	return reactElement('div', null, divProps);
+};
+
+function defaultParse() {
+	if (typeof console !== 'undefined') {
+		console.warn('defaultParse is deprecated, please use `defaultImplicitParse`');
+	}
+	return defaultImplicitParse.apply(null, /** @type {any} */ (arguments));
+}
+function defaultOutput() {
+	if (typeof console !== 'undefined') {
+		console.warn('defaultOutput is deprecated, please use `defaultReactOutput`');
+	}
+	return defaultReactOutput.apply(null, /** @type {any} */ (arguments));
+}
+
+exports.ReactMarkdown = ReactMarkdown;
+exports.SKIP = SKIP;
+exports.anyScopeRegex = anyScopeRegex;
+exports.applyUrlPolicy = applyUrlPolicy;
+exports.blockRegex = blockRegex;
+exports.commonmarkRules = commonmarkRules;
+exports.defaultBlockParse = defaultBlockParse;
+exports.defaultDomOutput = defaultDomOutput;
+exports.defaultHtmlOutput = defaultHtmlOutput;
+exports.defaultImplicitParse = defaultImplicitParse;
+exports.defaultInlineParse = defaultInlineParse;
+exports.defaultMarkdownOutput = defaultMarkdownOutput;
+exports.defaultOutput = defaultOutput;
+exports.defaultParse = defaultParse;
+exports.defaultRawParse = defaultRawParse;
+exports.defaultReactOutput = defaultReactOutput;
+exports.defaultRules = defaultRules;
+exports.defaultTextOutput = defaultTextOutput;
+exports.discordRules = discordRules;
+exports.discordRulesFor = discordRulesFor;
+exports.domOutput = domOutput;
+exports.escapeMarkdown = escapeMarkdown;
+exports.fromMdast = fromMdast;
+exports.htmlFor = htmlFor;
+exports.htmlTag = htmlTag;
+exports.incrementalParserFor = incrementalParserFor;
+exports.inlineRegex = inlineRegex;
+exports.markJumboEmoji = markJumboEmoji;
+exports.markdownToDom = markdownToDom;
+exports.markdownToHtml = markdownToHtml;
+exports.markdownToReact = markdownToReact;
+exports.markdownToText = markdownToText;
+exports.outputFor = outputFor;
+exports.parseBlock = parseBlock;
+exports.parseInline = parseInline;
+exports.parserFor = parserFor;
+exports.preprocess = preprocess;
+exports.reactElement = reactElement;
+exports.reactFor = reactFor;
+exports.reactOutput = reactOutput;
+exports.ruleOutput = ruleOutput;
+exports.sanitizeText = sanitizeText;
+exports.sanitizeUrl = sanitizeUrl;
+exports.tableOfContents = tableOfContents;
+exports.tableOfContentsList = tableOfContentsList;
+exports.toHast = toHast;
+exports.toMdast = toMdast;
+exports.transform = transform;
+exports.unescapeUrl = unescapeUrl;
+exports.visit = visit;
+exports.vueFor = vueFor;
+
+Object.defineProperty(exports, '__esModule', { value: true });
 
 })));
@@ -1 +1 @@
-!function(t,e){"object"==typeof exports&&"undefined"!=typeof module?module.exports=e():"function"==typeof define&&define.amd?define(e):(t=t||self).SimpleMarkdown=e()}(this,function(){"use strict";function r(t){return t.replace(k,"\n").replace(x,"").replace(w,"    ")}function c(t,e){var n=t||{};if(null!=e)for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&(n[r]=e[r]);return n}function t(m,n){var y,g=Object.keys(m).filter(function(t){var e=m[t];if(null==e||null==e.match)return!1;var n=e.order;return"number"==typeof n&&isFinite(n)||"undefined"==typeof console||console.warn("simple-markdown: Invalid order for rule `"+t+"`: "+String(n)),!0});g.sort(function(t,e){var n=m[t],r=m[e],o=n.order,u=r.order;if(o!==u)return o-u;var a=n.quality?0:1,l=r.quality?0:1;return a!=l?a-l:t<e?-1:e<t?1:0});var v=function(t,e){var n=[];for(y=e=e||y;t;){var r=null,o=null,u=null,a=NaN,l=0,c=g[0],i=m[c];do{var f=i.order,p=null==e.prevCapture?"":e.prevCapture[0],s=i.match(t,e,p);if(s){var d=i.quality?i.quality(s,e,p):0;d<=a||(r=c,o=i,u=s,a=d)}c=g[++l],i=m[c]}while(i&&(!u||i.order===f&&i.quality));if(null==o||null==u)throw new Error("Could not find a matching rule for the below content. The rule with highest `order` should always match content provided to it. Check the definition of `match` for '"+g[g.length-1]+"'. It seems to not match the following source:\n"+t);if(u.index)throw new Error("`match` must return a capture starting at index 0 (the current parse index). Did you forget a ^ at the start of the RegExp?");var h=o.parse(u,v,e);Array.isArray(h)?Array.prototype.push.apply(n,h):(null==h.type&&(h.type=r),n.push(h)),e.prevCapture=u,t=t.substring(e.prevCapture[0].length)}return n};return function(t,e){return(y=c(e,n)).inline||y.disableAutoBlockNewlines||(t+="\n\n"),y.prevCapture=null,v(r(t),y)}}function e(n){function t(t,e){return e.inline?n.exec(t):null}return t.regex=n,t}function n(n){function t(t,e){return e.inline?null:n.exec(t)}return t.regex=n,t}function o(n){function t(t,e){return n.exec(t)}return t.regex=n,t}function a(t,e,n){return{$$typeof:b,type:t,key:null==e?void 0:e,ref:null,props:n,_owner:null}}function i(t,e,n,r){n=n||{},r=void 0===r||r;var o="";for(var u in n){var a=n[u];Object.prototype.hasOwnProperty.call(n,u)&&a&&(o+=" "+d(u)+'="'+d(a)+'"')}var l="<"+t+o+">";return r?l+e+"</"+t+">":l}function u(t){if(null==t)return null;try{var e=decodeURIComponent(t).replace(/[^A-Za-z0-9/:]/g,"").toLowerCase();if(0===e.indexOf("javascript:")||0===e.indexOf("vbscript:")||0===e.indexOf("data:"))return null}catch(t){return null}return t}function l(t){return t.replace(A,"$1")}function f(t,e,n){var r=n.inline||!1;n.inline=!0;var o=t(e,n);return n.inline=r,o}function p(t,e,n){return{content:f(e,t[1],n)}}function s(){return{}}function d(t){return String(t).replace(E,function(t){return S[t]})}var h,m,y,g,v,k=/\r\n?/g,w=/\t/g,x=/\f/g,b="function"==typeof Symbol&&Symbol.for&&Symbol.for("react.element")||60103,_={},E=/[<>&"']/g,S={"<":"&lt;",">":"&gt;","&":"&amp;",'"':"&quot;","'":"&#x27;","/":"&#x2F;","`":"&#96;"},A=/\\([^0-9A-Za-z\s])/g,R="(?:[*+-]|\\d+\\.)",$="( *)("+R+") +",O=new RegExp("^"+$),T=new RegExp($+"[^\\n]*(?:\\n(?!\\1"+R+" )[^\\n]*)*(\n|$)","gm"),j=/\n{2,}$/,C=/^ (?= *`)|(` *) $/g,P=j,q=/ *\n+$/,F=new RegExp("^( *)("+R+") [\\s\\S]+?(?:\n{2,}(?! )(?!\\1"+R+" )\\n*|\\s*\n*$)"),B=/(?:^|\n)( *)$/,N=(h=/^ *\| *| *\| *$/g,m=/ *$/,y=/^ *-+: *$/,g=/^ *:-+: *$/,v=/^ *:-+ *$/,{parseTable:z(!0),parseNpTable:z(!1),TABLE_REGEX:/^ *(\|.+)\n *\|( *[-:]+[-| :]*)\n((?: *\|.*(?:\n|$))*)\n*/,NPTABLE_REGEX:/^ *(\S.*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:.*\|.*(?:\n|$))*)\n*/});function I(t){return y.test(t)?"right":g.test(t)?"center":v.test(t)?"left":null}function L(t,e,n,r){var o=n.inTable;n.inTable=!0;var u=e(t.trim(),n);n.inTable=o;var a=[[]];return u.forEach(function(t,e){"tableSeparator"===t.type?r&&(0===e||e===u.length-1)||a.push([]):("text"!==t.type||null!=u[e+1]&&"tableSeparator"!==u[e+1].type||(t.content=t.content.replace(m,"")),a[a.length-1].push(t))}),a}function z(p){return function(t,e,n){n.inline=!0;var r,o,u,a,l,c=L(t[1],e,n,p),i=(l=t[2],p&&(l=l.replace(h,"")),l.trim().split("|").map(I)),f=(r=t[3],o=e,u=n,a=p,r.trim().split("\n").map(function(t){return L(t,o,u,a)}));return n.inline=!1,{type:"table",header:c,align:i,cells:f}}}function G(t,e,n){var r=(t[2]||t[1]).replace(/\s+/g," ").toLowerCase();if(e._defs&&e._defs[r]){var o=e._defs[r];n.target=o.target,n.title=o.title}return e._refs=e._refs||{},e._refs[r]=e._refs[r]||[],e._refs[r].push(n),n}function X(n,r,o){if(!r)throw new Error("simple-markdown: outputFor: `property` must be defined. if you just upgraded, you probably need to replace `outputFor` with `reactFor`");var u,t=(n.Array||K.Array)[r];if(!t)throw new Error("simple-markdown: outputFor: to join nodes of type `"+r+"` you must provide an `Array:` joiner rule with that type, Please see the docs for details on specifying an Array rule.");var a=t,l=function(t,e){return u=e=e||u,Array.isArray(t)?a(t,l,e):n[t.type][r](t,l,e)};return function(t,e){return u=c(e,o),l(t,u)}}function Z(t,e){return(e=e||{}).inline=!1,V(t,e)}function U(t,e){var n=j.test(t);return(e=e||{}).inline=!n,V(t,e)}function H(t,e){return W(Z(t,e),e)}var M="(?:\\[[^\\]]*\\]|[^\\[\\]]|\\](?=[^\\[]*\\]))*",D="\\s*<?((?:\\([^)]*\\)|[^\\s\\\\]|\\\\.)*?)>?(?:\\s+['\"]([\\s\\S]*?)['\"])?\\s*",Q=/mailto:/i,J=0,K={Array:{react:function(t,e,n){for(var r=n.key,o=[],u=0;u<t.length;u++){n.key=""+u;var a=t[u];if("text"===a.type)for(a={type:"text",content:a.content};u+1<t.length&&"text"===t[u+1].type;u++)a.content+=t[u+1].content;o.push(e(a,n))}return n.key=r,o},html:function(t,e,n){for(var r="",o=0;o<t.length;o++){var u=t[o];if("text"===u.type)for(u={type:"text",content:u.content};o+1<t.length&&"text"===t[o+1].type;o++)u.content+=t[o+1].content;r+=e(u,n)}return r}},heading:{order:J++,match:n(/^ *(#{1,6})([^\n]+?)#* *(?:\n *)+\n/),parse:function(t,e,n){return{level:t[1].length,content:f(e,t[2].trim(),n)}},react:function(t,e,n){return a("h"+t.level,n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("h"+t.level,e(t.content,n))}},nptable:{order:J++,match:n(N.NPTABLE_REGEX),parse:N.parseNpTable,react:null,html:null},lheading:{order:J++,match:n(/^([^\n]+)\n *(=|-){3,} *(?:\n *)+\n/),parse:function(t,e,n){return{type:"heading",level:"="===t[2]?1:2,content:f(e,t[1],n)}},react:null,html:null},hr:{order:J++,match:n(/^( *[-*_]){3,} *(?:\n *)+\n/),parse:s,react:function(t,e,n){return a("hr",n.key,_)},html:function(t,e,n){return"<hr>"}},codeBlock:{order:J++,match:n(/^(?:    [^\n]+\n*)+(?:\n *)+\n/),parse:function(t,e,n){return{lang:void 0,content:t[0].replace(/^    /gm,"").replace(/\n+$/,"")}},react:function(t,e,n){var r=t.lang?"markdown-code-"+t.lang:void 0;return a("pre",n.key,{children:a("code",null,{className:r,children:t.content})})},html:function(t,e,n){var r=t.lang?"markdown-code-"+t.lang:void 0,o=i("code",d(t.content),{class:r});return i("pre",o)}},fence:{order:J++,match:n(/^ *(`{3,}|~{3,}) *(?:(\S+) *)?\n([\s\S]+?)\n?\1 *(?:\n *)+\n/),parse:function(t,e,n){return{type:"codeBlock",lang:t[2]||void 0,content:t[3]}},react:null,html:null},blockQuote:{order:J++,match:n(/^( *>[^\n]+(\n[^\n]+)*\n*)+\n{2,}/),parse:function(t,e,n){return{content:e(t[0].replace(/^ *> ?/gm,""),n)}},react:function(t,e,n){return a("blockquote",n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("blockquote",e(t.content,n))}},list:{order:J++,match:function(t,e){var n=null==e.prevCapture?"":e.prevCapture[0],r=B.exec(n),o=e._list||!e.inline;return r&&o?(t=r[1]+t,F.exec(t)):null},parse:function(t,s,d){var e=t[2],n=1<e.length,r=n?+e:void 0,h=t[0].replace(P,"\n").match(T),m=!1;return{ordered:n,start:r,items:h.map(function(t,e){var n=O.exec(t),r=n?n[0].length:0,o=new RegExp("^ {1,"+r+"}","gm"),u=t.replace(o,"").replace(O,""),a=e===h.length-1,l=-1!==u.indexOf("\n\n")||a&&m;m=l;var c,i=d.inline,f=d._list;d._list=!0,c=l?(d.inline=!1,u.replace(q,"\n\n")):(d.inline=!0,u.replace(q,""));var p=s(c,d);return d.inline=i,d._list=f,p})}},react:function(t,n,r){return a(t.ordered?"ol":"ul",r.key,{start:t.start,children:t.items.map(function(t,e){return a("li",""+e,{children:n(t,r)})})})},html:function(t,e,n){var r=t.items.map(function(t){return i("li",e(t,n))}).join("");return i(t.ordered?"ol":"ul",r,{start:t.start})}},def:{order:J++,match:n(/^ *\[([^\]]+)\]: *<?([^\s>]*)>?(?: +["(]([^\n]+)[")])? *\n(?: *\n)*/),parse:function(t,e,n){var r=t[1].replace(/\s+/g," ").toLowerCase(),o=t[2],u=t[3];return n._refs&&n._refs[r]&&n._refs[r].forEach(function(t){t.target=o,t.title=u}),n._defs=n._defs||{},n._defs[r]={target:o,title:u},{def:r,target:o,title:u}},react:function(){return null},html:function(){return""}},table:{order:J++,match:n(N.TABLE_REGEX),parse:N.parseTable,react:function(e,n,r){function o(t){return null==e.align[t]?{}:{textAlign:e.align[t]}}var t=e.header.map(function(t,e){return a("th",""+e,{style:o(e),scope:"col",children:n(t,r)})}),u=e.cells.map(function(t,e){return a("tr",""+e,{children:t.map(function(t,e){return a("td",""+e,{style:o(e),children:n(t,r)})})})});return a("table",r.key,{children:[a("thead","thead",{children:a("tr",null,{children:t})}),a("tbody","tbody",{children:u})]})},html:function(e,n,r){function o(t){return null==e.align[t]?"":"text-align:"+e.align[t]+";"}var t=e.header.map(function(t,e){return i("th",n(t,r),{style:o(e),scope:"col"})}).join(""),u=e.cells.map(function(t){var e=t.map(function(t,e){return i("td",n(t,r),{style:o(e)})}).join("");return i("tr",e)}).join(""),a=i("thead",i("tr",t)),l=i("tbody",u);return i("table",a+l)}},newline:{order:J++,match:n(/^(?:\n *)*\n/),parse:s,react:function(t,e,n){return"\n"},html:function(t,e,n){return"\n"}},paragraph:{order:J++,match:n(/^((?:[^\n]|\n(?! *\n))+)(?:\n *)+\n/),parse:p,react:function(t,e,n){return a("div",n.key,{className:"paragraph",children:e(t.content,n)})},html:function(t,e,n){return i("div",e(t.content,n),{class:"paragraph"})}},escape:{order:J++,match:e(/^\\([^0-9A-Za-z\s])/),parse:function(t,e,n){return{type:"text",content:t[1]}},react:null,html:null},tableSeparator:{order:J++,match:function(t,e){return e.inTable?/^ *\| */.exec(t):null},parse:function(){return{type:"tableSeparator"}},react:function(){return" | "},html:function(){return" &vert; "}},autolink:{order:J++,match:e(/^<([^: >]+:\/[^ >]+)>/),parse:function(t,e,n){return{type:"link",content:[{type:"text",content:t[1]}],target:t[1]}},react:null,html:null},mailto:{order:J++,match:e(/^<([^ >]+@[^ >]+)>/),parse:function(t,e,n){var r=t[1],o=t[1];return Q.test(o)||(o="mailto:"+o),{type:"link",content:[{type:"text",content:r}],target:o}},react:null,html:null},url:{order:J++,match:e(/^(https?:\/\/[^\s<]+[^<.,:;"')\]\s])/),parse:function(t,e,n){return{type:"link",content:[{type:"text",content:t[1]}],target:t[1],title:void 0}},react:null,html:null},link:{order:J++,match:e(new RegExp("^\\[("+M+")\\]\\("+D+"\\)")),parse:function(t,e,n){return{content:e(t[1],n),target:l(t[2]),title:t[3]}},react:function(t,e,n){return a("a",n.key,{href:u(t.target),title:t.title,children:e(t.content,n)})},html:function(t,e,n){var r={href:u(t.target),title:t.title};return i("a",e(t.content,n),r)}},image:{order:J++,match:e(new RegExp("^!\\[("+M+")\\]\\("+D+"\\)")),parse:function(t,e,n){return{alt:t[1],target:l(t[2]),title:t[3]}},react:function(t,e,n){return a("img",n.key,{src:u(t.target),alt:t.alt,title:t.title})},html:function(t,e,n){return i("img","",{src:u(t.target),alt:t.alt,title:t.title},!1)}},reflink:{order:J++,match:e(new RegExp("^\\[("+M+")\\]\\s*\\[([^\\]]*)\\]")),parse:function(t,e,n){return G(t,n,{type:"link",content:e(t[1],n)})},react:null,html:null},refimage:{order:J++,match:e(new RegExp("^!\\[("+M+")\\]\\s*\\[([^\\]]*)\\]")),parse:function(t,e,n){return G(t,n,{type:"image",alt:t[1]})},react:null,html:null},em:{order:J,match:e(new RegExp("^\\b_((?:__|\\\\[\\s\\S]|[^\\\\_])+?)_\\b|^\\*(?=\\S)((?:\\*\\*|\\\\[\\s\\S]|\\s+(?:\\\\[\\s\\S]|[^\\s\\*\\\\]|\\*\\*)|[^\\s\\*\\\\])+?)\\*(?!\\*)")),quality:function(t){return t[0].length+.2},parse:function(t,e,n){return{content:e(t[2]||t[1],n)}},react:function(t,e,n){return a("em",n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("em",e(t.content,n))}},strong:{order:J,match:e(/^\*\*((?:\\[\s\S]|[^\\])+?)\*\*(?!\*)/),quality:function(t){return t[0].length+.1},parse:p,react:function(t,e,n){return a("strong",n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("strong",e(t.content,n))}},u:{order:J++,match:e(/^__((?:\\[\s\S]|[^\\])+?)__(?!_)/),quality:function(t){return t[0].length},parse:p,react:function(t,e,n){return a("u",n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("u",e(t.content,n))}},del:{order:J++,match:e(/^~~(?=\S)((?:\\[\s\S]|~(?!~)|[^\s~\\]|\s(?!~~))+?)~~/),parse:p,react:function(t,e,n){return a("del",n.key,{children:e(t.content,n)})},html:function(t,e,n){return i("del",e(t.content,n))}},inlineCode:{order:J++,match:e(/^(`+)([\s\S]*?[^`])\1(?!`)/),parse:function(t,e,n){return{content:t[2].replace(C,"$1")}},react:function(t,e,n){return a("code",n.key,{children:t.content})},html:function(t,e,n){return i("code",d(t.content))}},br:{order:J++,match:o(/^ {2,}\n/),parse:s,react:function(t,e,n){return a("br",n.key,_)},html:function(t,e,n){return"<br>"}},text:{order:J++,match:o(/^[\s\S]+?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n\n| {2,}\n|\w+:\S|$)/),parse:function(t,e,n){return{content:t[0]}},react:function(t,e,n){return t.content},html:function(t,e,n){return d(t.content)}}},V=t(K),W=X(K,"react"),Y=X(K,"html");return{defaultRules:K,parserFor:t,outputFor:X,inlineRegex:e,blockRegex:n,anyScopeRegex:o,parseInline:f,parseBlock:function(t,e,n){var r=n.inline||!1;n.inline=!1;var o=t(e+"\n\n",n);return n.inline=r,o},markdownToReact:H,markdownToHtml:function(t,e){return Y(Z(t,e),e)},ReactMarkdown:function(t){var e={};for(var n in t)"source"!==n&&Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n]);return e.children=H(t.source),a("div",null,e)},defaultBlockParse:Z,defaultInlineParse:function(t,e){return(e=e||{}).inline=!0,V(t,e)},defaultImplicitParse:U,defaultReactOutput:W,defaultHtmlOutput:Y,preprocess:r,sanitizeText:d,sanitizeUrl:u,unescapeUrl:l,htmlTag:i,reactElement:a,defaultRawParse:V,ruleOutput:function(r,o){return o||"undefined"==typeof console||console.warn("simple-markdown ruleOutput should take 'react' or 'html' as the second argument."),function(t,e,n){return r[t.type][o](t,e,n)}},reactFor:function(l){var c=function(t,e){if(e=e||{},Array.isArray(t)){for(var n=e.key,r=[],o=null,u=0;u<t.length;u++){e.key=""+u;var a=c(t[u],e);"string"==typeof a&&"string"==typeof o?(o+=a,r[r.length-1]=o):(r.push(a),o=a)}return e.key=n,r}return l(t,c,e)};return c},htmlFor:function(n){var r=function(t,e){return e=e||{},Array.isArray(t)?t.map(function(t){return r(t,e)}).join(""):n(t,r,e)};return r},defaultParse:function(){return"undefined"!=typeof console&&console.warn("defaultParse is deprecated, please use `defaultImplicitParse`"),U.apply(null,arguments)},defaultOutput:function(){return"undefined"!=typeof console&&console.warn("defaultOutput is deprecated, please use `defaultReactOutput`"),W.apply(null,arguments)}}});
\ No newline at end of file
+((e,t)=>{"object"==typeof exports&&"undefined"!=typeof module?t(exports):"function"==typeof define&&define.amd?define(["exports"],t):t((e=e||self).SimpleMarkdown={})})(this,function(e){function z(e){return e.replace(ue,"\n").replace(ae,"").replace(le,"    ")}function F(e,t){var n=e||{};if(null!=t)for(var r in t)Object.prototype.hasOwnProperty.call(t,r)&&(n[r]=t[r]);return n}function T(e){var t=[0];for(ce.lastIndex=0;ce.exec(e);)t.push(ce.lastIndex);return t}function B(C,i){var $,R=Object.keys(C).filter(function(e){var t=C[e];return null!=t&&null!=t.match&&("number"==typeof(t=t.order)&&isFinite(t)||"undefined"==typeof console||console.warn("simple-markdown: Invalid order for rule `"+e+"`: "+String(t)),!0)}),L=(R.sort(function(e,t){var n=C[e],r=C[t],o=n.order,i=r.order;return o!==i?o-i:(o=n.quality?0:1)!=(i=r.quality?0:1)?o-i:e<t?-1:t<e?1:0}),function(e,t){var n=[],r=($=t=t||$).trackPosition&&t._position||null,o=r?((e,t)=>{var n=t.text,r=[],o=e.replace(/\n+$/,""),i=o?n.indexOf(o,t.cursor):-1;if(-1!==i){for(d=0;d<o.length;d++)r.push(t.map[i+d]);t.cursor=i+o.length}else for(var u=t.cursor,l=o.split("\n"),a=0;a<l.length;a++){for(var c=n.indexOf("\n",u),f=(-1===c&&(c=n.length),l[a]),s=f?n.slice(u,c).lastIndexOf(f):0;0===a&&-1===s&&c<n.length;)-1===(c=n.indexOf("\n",u=c+1))&&(c=n.length),s=n.slice(u,c).lastIndexOf(f);for(d=0;d<f.length;d++)r.push(t.map[-1===s?u:u+s+d]);a<l.length-1&&r.push(t.map[c]),t.cursor=-1!==s&&f?u+s+f.length:u,u=Math.min(c+1,n.length)}for(var p=t.cursor,d=o.length;d<=e.length;d++)r.push(t.map[p]),"\n"===n[p]&&p++;return r})(e,r):null,i=0,u=t._limits||null,l=(u&&u.depth++,t._sourceCache);for(t._sourceCache={};e;){if(u&&(j=void 0,a=(S=t).limits||{},j=null,(b=u).exceeded.nodes||null!=a.maxNodes&&b.nodes>=a.maxNodes?j="nodes":b.exceeded.time||null!=b.deadline&&Date.now()>b.deadline?j="time":null!=a.maxDepth&&b.depth>a.maxDepth&&(j="depth"),j&&V(b,S,j),j)){var a={type:"text",content:e};r&&o&&fe(a,o[i],o[o.length-1],r.lineStarts),n.push(a);break}var c=null,f=null,s=null,p=NaN,d=0,m=R[0],h=C[m];do{var g=h.order,y=null==t.prevCapture?"":t.prevCapture[0],v=h.match(e,t,y)}while(!v||(y=h.quality?h.quality(v,t,y):0)<=p||(c=m,f=h,s=v,p=y),m=R[++d],(h=C[m])&&(!s||h.order===g&&h.quality));if(null==f||null==s)throw new Error("Could not find a matching rule for the below content. The rule with highest `order` should always match content provided to it. Check the definition of `match` for '"+R[R.length-1]+"'. It seems to not match the following source:\n"+e);if(s.index)throw new Error("`match` must return a capture starting at index 0 (the current parse index). Did you forget a ^ at the start of the RegExp?");var x=s[0].length,b=x;if(r&&o){for(var k=0;" "===s[0][k]&&0!==e.lastIndexOf(s[0].slice(k),0);)k++;k<x&&" "!==s[0][k]&&0<k?b-=k:k=0;for(var w=[],A=0;A<=x;A++)w.push(o[Math.min(i+Math.max(A-k,0),o.length-1)]);t._position={text:s[0],map:w,cursor:0,input:r.input,lineStarts:r.lineStarts}}var O,j,E,_,S=f.parse(s,L,t);r&&o&&(t._position=r,O=o[i],j=o[Math.min(i+b-1,o.length-1)],a="\r\n"===r.input.slice(j,j+2)?2:1,E=Math.min(j+a,o[Math.min(i+b,o.length-1)]),_=r.lineStarts,(Array.isArray(S)?S:[S]).forEach(function(e){fe(e,O,E,_)})),i+=x,u&&(u.nodes+=Array.isArray(S)?S.length:1),Array.isArray(S)?Array.prototype.push.apply(n,S):(null==S.type&&(S.type=c),n.push(S)),t.prevCapture=s,e=e.substring(t.prevCapture[0].length)}return t._sourceCache=l,u&&u.depth--,n});return function(e,t){var t=($=F(t,i)).limits,n=e,r=null,o=($._limits=null,t&&($._limits={depth:0,nodes:0,deadline:null!=t.timeout?Date.now()+t.timeout:null,exceeded:{}},null!=t.maxLength)&&e.length>t.maxLength&&(e=e.slice(0,t.maxLength),r={type:"text",content:n.slice(e.length)},V($._limits,$,"length")),e.length);return $.inline||$.disableAutoBlockNewlines||(e+="\n\n"),$.prevCapture=null,$.trackPosition?(t=z(e),$._position={text:t,map:(e=>{for(var t=[],n=0;n<e.length;n++){var r=e[n];"\r"===r?(t.push(n),"\n"===e[n+1]&&n++):"\t"===r?t.push(n,n,n,n):"\f"!==r&&t.push(n)}return t.push(e.length),t})(e).map(function(e){return Math.min(e,o)}),cursor:0,input:n,lineStarts:T(n)},t=L(t,$),$._position=null,$._limits=null,r&&(fe(r,o,n.length,T(n)),t.push(r)),t):(n=L(z(e),$),$._limits=null,r?n.concat(r):n)}}function x(e){return e.position?e.position.start.offset:0}function q(e){return e.position?e.position.end.offset:0}function t(n){function e(e,t){return t.inline?n.exec(e):null}return e.regex=n,e}function n(n){function e(e,t){return t.inline?null:n.exec(e)}return e.regex=n,e}function r(n){function e(e,t){return n.exec(e)}return e.regex=n,e}function M(r){return function(e,t,n){n=n.createElement===ve?n:Object.assign({},n,{createElement:ve});return r(e,t,n)}}function f(e,t,n,r,o){if("function"!=typeof e.createElement)throw new Error("simple-markdown: element output needs an element factory as `createElement` in its state, like `outputFor(rules, 'element', {createElement: h})`.");return e.createElement(t,null==n?r:Object.assign({key:n},r),o)}function Z(o){return function(e,t,n){var r=n.document||("undefined"==typeof document?null:document);if(r)return n=n._domDocument===r?n:Object.assign({},n,{document:r,createElement:be(r),_domDocument:r}),xe(r,o(e,t,n));throw new Error("simple-markdown: dom output needs a `document` in its state, like `outputFor(rules, 'dom', {document: document})`.")}}function o(e){var t=e;return void 0!==t.element&&(t.react=t.element&&M(t.element),t.vue=t.element,t.dom=t.element&&Z(t.element)),e}function l(e,t,n,r){r=void 0===r||r;var o,i="";for(o in n=n||{}){var u=n[o];Object.prototype.hasOwnProperty.call(n,o)&&u&&(i+=" "+a(o)+'="'+a(u)+'"')}var l="<"+e+i+">";return r?l+t+"</"+e+">":l}function a(e){return String(e).replace(Se,function(e){return Ce[e]})}function N(e){return e.replace($e,"$1")}function U(e){return e.replace(Re,function(e,t){return t?t+"\\:":"\\"+e}).replace(Le,function(e,t,n,r){return t+n+r.slice(0,-1)+"\\"+r.slice(-1)}).replace(Ie,"\\#")}function Q(e){return(e||"").replace(Pe,function(e){return" "===e?"%20":"\\"+e})}function K(e){return e?' "'+e+'"':""}function c(e,t,n){var r=n.inline||!1,e=(n.inline=!0,e(t,n));return n.inline=r,e}function u(e,t,n){var r=n.inline||!1,e=(n.inline=!1,e(t+"\n\n",n));return n.inline=r,e}function H(e,t,n){var r=n.inLink||!1,e=(n.inLink=!0,e(t,n));return n.inLink=r,e}function i(e,t,n){return{content:c(t,e[1],n)}}function X(){return{}}function G(e,t){for(var n=e.length;0<n&&"\n"===e.charAt(n-1);)n--;if(n===e.length)return e;for(;0<n&&" "===e.charAt(n-1);)n--;return e.slice(0,n)+t}function J(e,n,r){var t=n._listItemPath,o=t||[],e=e.items.map(function(e,t){return n._listItemPath=o.concat([t]),r(e,t)});return n._listItemPath=t,e}function s(e){return 0<e.length&&"checkbox"===e[0].type}function V(e,t,n){!e.exceeded[n]&&(e.exceeded[n]=!0,e=t.limits&&t.limits.onLimitExceeded)&&e(n)}function W(e,t){return e.offset===t.offset&&e.line===t.line&&e.column===t.column}function p(e,t,n,r){n=n.urlPolicy;if(null==n)return we(e);if(null==e)return null;function o(e){return(u&&void 0!==u[e]?u:l)[e]}var i,u=n[t],l=n,n=null,a="",c=null;try{var a=ke(e),c=Ee(e),f=o("schemes")||je[t]||je.link;Ae.test(a)&&!f.some(function(e){e=ke(e);return-1===e.indexOf(":")&&(e+=":"),0===a.indexOf(e)})&&(n="scheme")}catch(e){n="malformed"}return null==n&&(f=o("allowHosts"),i=o("denyHosts"),null==c?f&&Ae.test(a)&&(n="host"):(f&&!_e(c,f)||i&&_e(c,i))&&(n="host")),null!=n?null==(c=(f=o("onUnsafeUrl"))?f(e,{kind:t,reason:n,node:r}):null)?null:c:(i=o("rewrite"))?i(e,t,r):e}var Y,ee,te,ne,re,oe,ie,ue=/\r\n?/g,le=/\t/g,ae=/\f/g,ce=/\n/g,b=function(e,t){for(var n=0,r=t.length-1;n<r;){var o=n+r+1>>1;t[o]<=e?n=o:r=o-1}return{offset:e,line:n+1,column:e-t[n]+1}},fe=function(e,t,n,r){null==e.position&&(e.position={start:b(t,r),end:b(n,r)},Array.isArray(e.content))&&e.content.forEach(function(e){fe(e,t,n,r)})},se=["def","footnoteDef","footnoteRef"],pe=/`{3,}|~{3,}/,k=function(e,t){if(Array.isArray(e))e.forEach(function(e){k(e,t)});else if(null!=e&&"object"==typeof e&&"string"==typeof e.type)for(var n in t(e),e)"position"!==n&&Object.prototype.hasOwnProperty.call(e,n)&&k(e[n],t)},de=function(e,n){var r,t;if(Array.isArray(e))return r=!1,t=e.map(function(e){var t=de(e,n);return r=r||t!==e,t}),r?t:e;if(null==e||"object"!=typeof e||"string"!=typeof e.type)return e;var o,i,u,l=n(e)||{},a={},c=!1;for(o in e)Object.prototype.hasOwnProperty.call(e,o)&&(i=Object.prototype.hasOwnProperty.call(l,o)?l[o]:"position"===o?e[o]:de(e[o],n),c=c||i!==e[o],a[o]=i);for(u in l)Object.prototype.hasOwnProperty.call(e,u)||(c=!0,a[u]=l[u]);return c?a:e},me="function"==typeof Symbol&&Symbol.for&&Symbol.for("react.element")||60103,he=function(e,t,n){return{$$typeof:me,type:e,key:null==t?void 0:t,ref:null,props:n,_owner:null}},ge={class:"className",for:"htmlFor",colspan:"colSpan",rowspan:"rowSpan",datetime:"dateTime",srcset:"srcSet",tabindex:"tabIndex",readonly:"readOnly",maxlength:"maxLength",accesskey:"accessKey",crossorigin:"crossOrigin",referrerpolicy:"referrerPolicy"},ye={onKeydown:"onKeyDown",onKeyup:"onKeyUp",onMousedown:"onMouseDown",onMouseup:"onMouseUp",onMouseenter:"onMouseEnter",onMouseleave:"onMouseLeave",onDblclick:"onDoubleClick"},ve=function(e,n,t){var r={};return Object.keys(n).forEach(function(e){var t=n[e];"key"===e||"style"===e&&"string"==typeof t||(r[ge[e]||ye[e]||e]=t)}),void 0!==t&&(r.children=t),he(e,n.key,r)},xe=function(t,e){var n;return null==e||"boolean"==typeof e?null:Array.isArray(e)?(n=t.createDocumentFragment(),e.forEach(function(e){e=xe(t,e);e&&n.appendChild(e)}),n):"string"==typeof e||"number"==typeof e?t.createTextNode(""+e):e},be=function(n){return function(e,r,t){var o=n.createElement(e),e=(Object.keys(r).forEach(function(e){var t,n=r[e];"key"!==e&&null!=n&&!1!==n&&(/^on/i.test(e)?"function"==typeof n&&o.addEventListener(e.slice(2).toLowerCase(),n):"style"===e&&"object"==typeof n?(t=o.style,Object.keys(n).forEach(function(e){null!=n[e]&&(t[e]=n[e])})):o.setAttribute(e,!0===n?"":""+n))}),xe(n,t));return e&&o.appendChild(e),o}},d={},ke=function(e){return decodeURIComponent(e).replace(/[^A-Za-z0-9/:]/g,"").toLowerCase()},we=function(e){if(null==e)return null;try{var t=ke(e);if(0===t.indexOf("javascript:")||0===t.indexOf("vbscript:")||0===t.indexOf("data:"))return null}catch(e){return null}return e},Ae=/^[a-z0-9]+:/,Oe=/^(?:(?:https?|ftp|wss?|file):\/*|(?:[a-z][a-z0-9+.-]*:)?\/\/)(?:[^/?#@]*@)?(\[[^\]]*\]|[^/?#:]*)/i,je={link:["http","https","mailto","tel"],image:["http","https"]},Ee=function(e){e=Oe.exec(e.replace(/[\t\n\r]/g,"").trim().replace(/\\/g,"/"));return e?decodeURIComponent(e[1]).toLowerCase().replace(/\.$/,""):null},_e=function(t,e){return e.some(function(e){return e=e.toLowerCase().replace(/\.$/,""),t===e||t.slice(-e.length-1)==="."+e})},Se=/[<>&"']/g,Ce={"<":"&lt;",">":"&gt;","&":"&amp;",'"':"&quot;","'":"&#x27;","/":"&#x2F;","`":"&#96;"},$e=/\\([^0-9A-Za-z\s])/g,Re=/[\\`*_~[\]<>|]|(https?):(?=\/\/)/g,Le=/(^|\n)( *)([#+=-]|\d+\.)/g,Ie=/#$/,Pe=/[\\()<> ]/g,m="(?:[*+-]|\\d+\\.)",h="( *)("+m+") +",De=new RegExp("^"+h),ze=new RegExp(h+"[^\\n]*(?:\\n(?!\\1"+m+" )[^\\n]*)*(\n|$)","gm"),Fe=/\n{2,}$/,Te=/^ (?= *`)|(` *) $/g,Be=Fe,h="\n{2,}(?! )(?!\\1"+m+" )\\n*",qe=new RegExp("^( *)("+m+") [\\s\\S](?:\\s*\\S)*?(?:"+h+"|\\s*$|\\s*?"+h+")"),Me=/(?:^|\n)( *)$/,Ze=/^\[([ xX])\] +/,m=(Y=/^ *\| *| *\| *$/g,ee=/ *$/,te=/^ *-+: *$/,ne=/^ *:-+: *$/,re=/^ *:-+ *$/,oe=function(e){return te.test(e)?"right":ne.test(e)?"center":re.test(e)?"left":null},{parseTable:Ne(!0),parseNpTable:Ne(!(ie=function(e,t,n,r){var o=n.inTable,i=(n.inTable=!0,t(e.trim(),n)),u=(n.inTable=o,[[]]);return i.forEach(function(e,t){"tableSeparator"===e.type?r&&(0===t||t===i.length-1)||u.push([]):("text"!==e.type||null!=i[t+1]&&"tableSeparator"!==i[t+1].type||(e.content=e.content.replace(ee,"")),u[u.length-1].push(e))}),u})),TABLE_REGEX:/^ *(\|.+)\n *\|( *[-:][-| :]*)\n((?: *\|.*(?:\n|$))*)\n*/,NPTABLE_REGEX:/^ *(\S(?:(?!\|).)*\|.*)\n *([-:]+ *\|[-| :]*)\n((?:(?:(?!\|).)*\|.*(?:\n|$))*)\n*/});function Ne(a){return function(e,t,n){n.inline=!0;var r,o,i,u=ie(e[1],t,n,a),l=(l=e[2],(l=a?l.replace(Y,""):l).trim().split("|").map(oe)),t=(r=t,o=n,i=a,e[3].trim().split("\n").map(function(e){return ie(e,r,o,i)}));return n.inline=!1,{type:"table",header:u,align:l,cells:t}}}function Ue(e){for(var t;(e=")"===(e=(t=e).replace(on,"").replace(rn,""))[e.length-1]&&e.split(")").length>e.split("(").length?e.slice(0,-1):e)!==t;);return e}function Qe(e,t,n){var r,e=(e[2]||e[1]).replace(/\s+/g," ").toLowerCase();return n.ref=e,t._defs&&t._defs[e]&&(r=t._defs[e],n.target=r.target,n.title=r.title),t._refs=t._refs||{},t._refs[e]=t._refs[e]||[],t._refs[e].push(n),n}function Ke(e,t){return null!=e.refSuffix?e.refSuffix:null==(e=e.ref)||e===t.replace(/\s+/g," ").toLowerCase()?"[]":"["+e+"]"}function g(e){return e.replace(/\s+/g," ").toLowerCase()}function He(e){return e._footnotes=e._footnotes||{order:[],refs:{},ownRefs:{},defs:{},count:0},e._footnotes}function Xe(e){return e.filter(function(e){return"footnoteDef"===e.type&&null!=e.number}).sort(function(e,t){return e.number-t.number})}function Ge(e,t){if(t)return"fnref-"+e+(1<t?"-"+t:"")}function Je(e){var n={};return de(e,function(e){var t;return"heading"!==e.type||(t=Kt(E(e.content),n))===e.id?null:{id:t}})}function Ve(e,t){return t._slugs=t._slugs||{},Kt(e,t._slugs)}function y(e,t){return sn[e]+t+">"}function We(e,t,n){return n.resolveMention?null==(t=n.resolveMention(e,t,n))?{name:fn[e]+pn[e],color:null,resolved:!1}:(n=t.color&&dn.test(t.color)?t.color:null,{name:fn[e]+t.name,color:n,resolved:!0}):null}function Ye(e,t){return"mention mention-"+e+(t?"":" mention-unknown")}function et(e,t,n){var r=We(e,t.id,n);return r?f(n,"span",n.key,{class:Ye(e,r.resolved),"data-id":t.id,style:r.color?{color:r.color}:void 0},r.name):y(e,t.id)}function tt(e,t,n){n=We(e,t.id,n);return n?l("span",a(n.name),{class:Ye(e,n.resolved),"data-id":t.id,style:n.color?"color:"+n.color+";":void 0}):a(y(e,t.id))}function nt(e,t,n){n=We(e,t.id,n);return n?n.name:y(e,t.id)}function rt(e,t,n){var r,o,e=1e3*e.timestamp,i=Intl.RelativeTimeFormat;return"R"===t&&i?(r=(e-(null==n.now?Date.now():+n.now))/1e3,o=xn.filter(function(e){return Math.abs(r)>=e[1]})[0]||xn[xn.length-1],new i(n.locale,{numeric:"auto"}).format(Math.round(r/o[1]),o[0])):(i=vn[t]||vn[yn],new Intl.DateTimeFormat(n.locale,Object.assign({timeZone:n.timeZone},i)).format(new Date(e)))}function ot(e,t){return{datetime:new Date(1e3*e.timestamp).toISOString(),title:rt(e,"F",t)}}function it(e){return"emoji"===e.type||"customEmoji"===e.type}function ut(e){var t=e.filter(it),n=0<t.length&&t.length<=27&&e.every(function(e){return it(e)||"br"===e.type||"text"===e.type&&!e.content.trim()});return t.forEach(function(e){e.jumbo=n}),n}function lt(e){return e.jumbo?"emoji jumbo":"emoji"}function at(e,t){return p(t.customEmojiUrl?t.customEmojiUrl(e.id,e.animated,e):null,"image",t,e)}function ct(e){e=e.trim();var t,n,r=kn.exec(e),o=(r?e.slice(r[0].length):e).trim(),i={raw:o,title:void 0,showLineNumbers:!1,highlightLines:[],attributes:{}};for(wn.lastIndex=0;n=wn.exec(o);)null!=n[1]?n[1].split(",").forEach(function(e){var t,e=An.exec(e.trim());e&&(t=+e[1])<=(e=e[2]?+e[2]:t)&&i.highlightLines.push([t,e])}):"__proto__"!==n[2]&&(t=n[2],n=null!=n[3]?n[3]:null!=n[4]?n[4]:n[5],i.attributes[t]=null==n||n);return"string"==typeof i.attributes.title&&(i.title=i.attributes.title),i.showLineNumbers=null!=i.attributes.showLineNumbers,{lang:r?r[1]:void 0,meta:i}}function ft(e,t){return t.highlight&&t.highlight(e.content,e.lang,e.meta)||[{content:e.content}]}function st(e){return e.meta&&(e.meta.showLineNumbers||0<e.meta.highlightLines.length)}function pt(e){var r=[[]];return e.forEach(function(n){n.content.split("\n").forEach(function(e,t){0<t&&r.push([]),e&&r[r.length-1].push(n.type?{type:n.type,content:e}:{content:e})})}),r}function dt(e,t){return e.meta.highlightLines.some(function(e){return t>=e[0]&&t<=e[1]})?"line highlighted":"line"}function mt(e){var t={};for(_n.lastIndex=0;n=_n.exec(e[2]);){var n,r=n[1].toLowerCase();"__proto__"===r||Object.prototype.hasOwnProperty.call(t,r)||(n=null!=n[2]?n[2]:null!=n[3]?n[3]:n[4],t[r]=null==n||Pn(n))}return{type:"htmlInline",tag:e[1].toLowerCase(),attributes:t,content:[]}}function ht(e){for(var t={type:"htmlBlock",content:[]},n=[t];e;){var r,o,i,u,l,a=n[n.length-1];if(!(u=Sn.exec(e)))if(u=En.exec(e)){for(var c=n.length-1;0<c;c--)if(n[c].tag===u[1].toLowerCase()){n.length=c;break}}else(u=jn.exec(e))?(r=mt(u),a.content.push(r),-1!==Rn.indexOf(r.tag)?(i=(o=((e,t,n)=>{for(var r,o=new RegExp("<(\\/?)"+t+"(?:\\s[^>]*?)?\\s*(\\/?)>","gi"),i=(o.lastIndex=n,1);r=o.exec(e);)if(0===(i+=r[1]?-1:r[2]?0:1))return r;return null})(e,r.tag,u[0].length))?o.index:e.length,l=e.slice(u[0].length,i),r.content=l?[{type:"text",content:l}]:[],u=[e.slice(0,o?i+o[0].length:i)]):u[3]||-1!==L.indexOf(r.tag)||n.push(r)):(u=Cn.exec(e)||[e],(l=a.content[a.content.length-1])&&"text"===l.type?l.content+=Pn(u[0]):a.content.push({type:"text",content:Pn(u[0])}));e=e.slice(u[0].length)}return t.content}function gt(n){return Object.keys(n).map(function(e){var t=n[e];return!0===t?" "+e:" "+e+'="'+String(t).replace(/&/g,"&amp;").replace(/"/g,"&quot;")+'"'}).join("")}function yt(e){return(Array.isArray(e)?e:[e]).map(function(e){var t;return"text"===e.type?e.content.replace(/&/g,"&amp;").replace(/</g,"&lt;"):(t="<"+e.tag+gt(e.attributes)+">",-1!==L.indexOf(e.tag)?t:t+yt(e.content)+"</"+e.tag+">")}).join("")}function vt(e,t){e=e.htmlPolicy;return(e&&"object"==typeof e&&void 0!==e[t]?e:In)[t]}function xt(r,o){var e,i,u,l;return-1===vt(o,"tags").indexOf(r.tag)?null:(e=vt(o,"attributes"),i=(e["*"]||[]).concat(e[r.tag]||[]),u=vt(o,"urlAttributes"),l={},Object.keys(r.attributes).forEach(function(e){var t,n;-1===i.indexOf(e)||/^on/.test(e)||(n=r.attributes[e],-1!==u.indexOf(e)&&(t="src"===e||"poster"===e?"image":"link",n="srcset"===e?((e,t,n)=>{for(var r=[],o=e.replace(/^[\s,]+/,"");o;){var i=o.split(/\s/)[0],u=(o=o.slice(i.length),""),l=(/,$/.test(i)?i=i.replace(/,+$/,""):(u=(-1===(l=o.indexOf(","))?o:o.slice(0,l)).trim(),o=-1===l?"":o.slice(l+1)),p(i,"image",t,n));if(null==l)return null;r.push(u?l+" "+u:l),o=o.replace(/^[\s,]+/,"")}return r.join(", ")})(String(n),o,r):p(String(n),t,o,r)),l[e]=n)}),l)}function bt(e){e=e.currentTarget;e.classList.add("revealed"),e.setAttribute("aria-expanded","true"),e.removeAttribute("role"),e.removeAttribute("aria-label")}function kt(e){"Enter"!==e.key&&" "!==e.key||(e.preventDefault(),bt(e))}function wt(e){var t=[],n=((e=e||{}).headings&&t.push("heading"),e.tables&&t.push("nptable","table","tableSeparator"),e.lists&&t.push("list","checkbox"),{});return Object.keys(I).forEach(function(e){-1!==Fn.indexOf(e)&&-1===t.indexOf(e)||(n[e]=Zn[e]?o(Object.assign({},I[e],Zn[e])):I[e])}),Object.assign(n,zn),n}function At(e){return e.replace(Kn,"$1").replace(Qn,function(e){var t=sr(Un.exec(e)||[e]);return null==t?e:t})}function Ot(e){return e.replace(Hn,function(e){if(3===e.length&&"%"===e[0])return e;try{return encodeURIComponent(e)}catch(e){return"%EF%BF%BD"}})}function jt(e){return e.trim().replace(/\s+/g," ").toLowerCase().toUpperCase().toLowerCase()}function v(e){for(var t=0,n=0;n<e.length;n++)if(" "===e[n])t++;else{if("\t"!==e[n])break;t+=4-t%4}return t}function Et(e,t){for(var n=0,r=0;r<e.length&&n<t;){if(" "===e[r])n++;else{if("\t"!==e[r])break;var o=4-n%4;if(t<n+o)return new Array(n+o-t+1).join(" ")+e.slice(r+1);n+=o}r++}return e.slice(r)}function w(e,t){t=e.indexOf("\n",t);return-1===t?e.length:t+1}function A(e,t,n){return e.slice(t,"\n"===e[n-1]?n-1:n)}function _t(e){for(var t=0;t<e.length;){var n=w(e,t),r=A(e,t,n);if(P.test(r))break;if(0<t){var o=nr.exec(r);if(o)return{text:e.slice(0,t),length:n,underline:o[1][0]};if(Wn.test(r))break}t=n}return{text:e.slice(0,t),length:t,underline:null}}function St(e,t){return!t&&!P.test(e)&&v(e)<4&&!Yn.test(e)}function Ct(e){var t,n,r,o;return!Vn.test(e)&&(o=ir.exec(e))?(t=o[0].length,e=e.slice(t),n=P.test(e),r=v(e),{bullet:o[2],column:t+(o=n||4<r?1:r),content:n?"":Et(e,o),empty:n}):null}function $t(e){return e[e.length-1]}function Rt(e){var t=Ct(A(e,0,w(e,0)));if(!t)return null;for(var n=$t(t.bullet),r=[],o=!1,i=!1,u=null,l=function(e){r.push(e.join("\n").replace(/\n+$/,""))},a=0,c=0;c<e.length;){var f=w(e,c),s=A(e,c,f);if(P.test(s))u&&1===u.lines.length&&""===u.lines[0]&&(l([]),u=null),u?(u.lines.push(""),u.blankLines++,u.lazy=!1):i=!0,c=f;else if(u&&v(s)>=u.column){var p=Et(s,u.column);u.lines.push(p),u.blankLines=0,rr.test(p)&&(u.inFence=!u.inFence),u.lazy=St(p,u.inFence),c=a=f}else{p=Ct(s);if(p&&$t(p.bullet)===n){u&&(o=o||0<u.blankLines,l(u.lines));var o=o||i,d=rr.test(p.content),u={lines:[p.content],column:p.column,blankLines:0,lazy:St(p.content,d),inFence:d},c=a=f}else{if(!u||!u.lazy||p||Wn.test(s))break;u.lines.push(s),c=a=f}}}return u&&l(u.lines),{length:a,bullet:t.bullet,items:r,blankBetweenItems:o}}function Lt(e){var n=null,r=null,o=[];if(e.forEach(function(e){var t={node:e,prev:r,next:null,delimiter:null};r?r.next=t:n=t,r=t,"delimiterRun"===e.type&&(t.delimiter={entry:t,char:e.char,count:e.count,length:e.count,used:0,canOpen:e.canOpen,canClose:e.canClose,active:!0},o.push(t.delimiter))}),!o.length)return e;for(var t=function(e){e.prev?e.prev.next=e.next:n=e.next,e.next&&(e.next.prev=e.prev)},i=function(e){var t,n,r=e.delimiter;return r?(t={type:"text",content:new Array(r.count+1).join(r.char)},(n=e.node.position)&&(t.position={start:pr(n.start,r.used),end:pr(n.start,r.used+r.count)}),t):e.node},u={},l=0;l<o.length;l++){var a=o[l];if(a.canClose)for(var c=a.char+(a.canOpen?"1":"0")+a.length%3,f=null!=u[c]?u[c]:-1;0<a.count;){for(var s=null,p=l-1;f<p;p--){var d=o[p];if(d.active&&0<d.count&&d.canOpen&&d.char===a.char&&(!d.canClose&&!a.canOpen||(d.length+a.length)%3!=0||d.length%3==0&&a.length%3==0)){s=d;break}}if(!s){u[c]=l-1;break}for(var m=2<=s.count&&2<=a.count?2:1,h=(s.count-=m,a.count-=m,[]),g=s.entry.next;g&&g!==a.entry;g=g.next)h.push(i(g));var y={type:2==m?"strong":"em",content:h},v=s.entry.node.position,x=a.entry.node.position,v=(v&&x&&(y.position={start:pr(v.start,s.used+s.count),end:pr(x.start,a.used+m)}),a.used+=m,{node:y,prev:s.entry,next:a.entry,delimiter:null});s.entry.next=v,a.entry.prev=v;for(var b=p+1;b<l;b++)o[b].active=!1;0===s.count&&t(s.entry),0===a.count&&t(a.entry)}}for(var k=[],w=n;w;)k.push(i(w)),w=w.next;return k}function O(e,t,n){return Lt(c(e,t,n))}function It(e,t){return{target:Ot(At(e||"")),title:t?At(t.slice(1,-1)):void 0}}function Pt(e,t){var n=e._codeClassPrefix,t=(e._codeClassPrefix="language-",t());return e._codeClassPrefix=n,t}function Dt(e){return Object.assign({},e,{content:e.content.replace(/\n$/,"")})}function zt(e,t){t=t[e.type];return t&&t.childFields?t.childFields:Array.isArray(e.content)?["content"]:[]}function Ft(e){return e.replace(/\s+/g," ").trim().toLowerCase()}function Tt(e){var t=Object.assign({},e);return delete t.content,Array.isArray(e.content)?t.children=D(e.content):"string"==typeof e.content&&(t.value=e.content),t}function Bt(e){function t(){var e=D(r),t=e[e.length-1];t&&"text"===t.type&&(t.value=t.value.replace(/\s+$/,"")),e.length&&n.push({type:"paragraph",children:e}),r=[]}var n=[],r=[];return e.forEach(function(e){-1===hr.indexOf(e.type)?r.push(e):(t(),Array.prototype.push.apply(n,D(e)))}),t(),n}function qt(e,t){var n;return null==e.ref&&null==e.refSuffix&&null!=e.target?null:(t=2<(n=Ke(e,t)).length?n.slice(1,-1):t,{type:"image"===e.type?"imageReference":"linkReference",identifier:Ft(t),label:t,referenceType:2<n.length?"full":n?"collapsed":"shortcut"})}function Mt(e,n,r){var o=[];return e.forEach(function(e,t){"paragraph"!==e.type?Array.prototype.push.apply(o,S([e],n,!1)):(0<t&&o.push(Object.assign({},r)),Array.prototype.push.apply(o,S(e.children,n,!0)))}),o}function Zt(e,t){var t=t.definitions[Ft(e.identifier)],n=e.label||e.identifier;return{target:t?t.url:void 0,title:t&&null!=t.title?t.title:void 0,ref:n.replace(/\s+/g," ").toLowerCase(),refSuffix:"full"===e.referenceType?"["+n+"]":"collapsed"===e.referenceType?"[]":""}}function Nt(e,n,t){var r,o,i={};return Object.keys(n).forEach(function(e){var t=n[e];"key"===e||null==t||!1===t||"function"==typeof t||"style"===e&&"object"==typeof t&&!(t=Object.keys(t).filter(function(e){return null!=t[e]}).map(function(e){return e.replace(/[A-Z]/g,"-$&").toLowerCase()+":"+t[e]+";"}).join(""))||(i[e]=t)}),{type:"element",tagName:e,properties:(r=i,o={},Object.keys(r).forEach(function(e){var t=r[e],n=ge[e]||e.replace(/-([a-z])/g,function(e,t){return t.toUpperCase()});-1!==vr.indexOf(e)?t=!0:"class"===e?t=String(t).split(/\s+/).filter(Boolean):-1!==xr.indexOf(e)&&/^\d+$/.test(String(t))&&(t=+t),o[n]=t}),o),children:br(t)}}function j(n,e,r){if(!e)throw new Error("simple-markdown: outputFor: `property` must be defined. if you just upgraded, you probably need to replace `outputFor` with `reactFor` or `vueFor`");var o,i,u,t=n.Array||I.Array,l=e,e=t[l];if(e)return i=e,u=function(e,t){return o=t=t||o,Array.isArray(e)?i(e,u,t):n[e.type][l](e,u,t)},function(e,t){return o=F(t,r),u(e,o)};throw new Error("simple-markdown: outputFor: to join nodes of type `"+l+"` you must provide an `Array:` joiner rule with that type, Please see the docs for details on specifying an Array rule.")}function Ut(e,t){var n=Fe.test(e);return(t=t||{}).inline=!n,kr(e,t)}function Qt(e,t){return wr(_(e,t),t)}function Kt(e,t){for(var n=cn(e),r=n;Object.prototype.hasOwnProperty.call(t,r);)t[n]++,r=n+"-"+t[n];return t[r]=0,r}function E(e){var t="";return k(e,function(e){"string"==typeof e.content&&(t+=e.content)}),t}function _(e,t){return(t=t||{}).inline=!1,kr(e,t)}function S(e,t,n){for(var r,o,i=[],u=0;u<e.length;u++){var l,a,c,f=e[u];"html"===f.type?(l=(a=n?jn.exec(f.value):null)&&a[0]===f.value?((e,t)=>{var n=e[t].value.slice(1).split(/[\s/>]/)[0].toLowerCase();if(-1===L.indexOf(n)&&!/\/>$/.test(e[t].value))for(var r=0,o=t;o<e.length;o++){var i="html"===e[o].type?En.exec(e[o].value):null,u="html"===e[o].type?jn.exec(e[o].value):null;if(u&&u[1].toLowerCase()===n&&!u[3])r++;else if(i&&i[1].toLowerCase()===n&&0==--r)return o}return-1})(e,u):-1,a&&-1!==l?((a=mt(a)).content=S(e.slice(u+1,l),t,!0),i.push(a),u=l):n?Array.prototype.push.apply(i,ht(f.value)):i.push({type:"htmlBlock",content:ht(f.value)})):(c=(a=yr[f.type])?a(f,t):(l=f,c=t,r=n,o=void 0,delete(o=Object.assign({},l)).children,delete o.value,Array.isArray(l.children)?o.content=S(l.children,c,r):"string"==typeof l.value&&(o.content=l.value),o))&&(f.position&&(c.position=f.position),i.push(c))}return i}var Ht,h="(?:\\[[^\\]]*\\]|[^\\[\\]]|\\](?=[^\\[\\]]*\\]))*",Xt="\\s*<?((?:\\((?:[^\\s\\\\()]|\\\\.|\\([^\\s\\\\()]*\\))*\\)|[^\\s\\\\(]|\\\\.)*?)>?(?:\\s+['\"]([\\s\\S]*?)['\"])?\\s*",Gt=/mailto:/i,Jt=/^[^: >]+:\/[^ >]+$/,Vt=/^[^ >]+@[^ >]+$/,C=/\n+$/,Wt=/^www\.[^ <>]+$/,Yt=/^https?:\/\/[^\s<]+/,en=/^www\.[^\s<]+/,tn=/^[\w.+-]+@[\w-]+(?:\.[\w-]+)+/,nn=/(?:^|[\s*_~(])$/,rn=/[?!.,:;*_~"']$/,on=/&[a-zA-Z0-9]+;$/,un=/^(?:https?:\/\/|[^@]*@)?([^/?#:]*)/,ln=/^(?:[\w-]+\.)*[a-zA-Z0-9-]+\.[a-zA-Z0-9-]+$/,an=/[\u0000-\u001f\u0021-\u002c\u002e\u002f\u003a-\u0040\u005b-\u005e\u0060\u007b-\u00a9\u00ab-\u00b1\u00b4\u00b6-\u00b8\u00bb\u00bf\u00d7\u00f7\u2000-\u206f\u20a0-\u20ff\u2190-\u2bff\u2e00-\u2e7f\u3000-\u303f\ufe30-\ufe4f\uff01-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]|\ud83c[\udf00-\udfff]|\ud83d[\udc00-\udeff]|\ud83e[\udd00-\udfff]/g,cn=function(e){return e.toLowerCase().replace(an,"").replace(/ /g,"-")},fn={user:"@",role:"@",channel:"#"},sn={user:"<@",role:"<@&",channel:"<#"},pn={user:"unknown-user",role:"unknown-role",channel:"unknown-channel"},dn=/^(?:#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/,mn=/[\w.]$/,hn=/^@(everyone|here)\b(?!\.\w)/,gn=/^<t:(-?\d{1,13})(?::([tTdDfFR]))?>/,yn="f",vn={t:{hour:"numeric",minute:"2-digit"},T:{hour:"numeric",minute:"2-digit",second:"2-digit"},d:{year:"numeric",month:"2-digit",day:"2-digit"},D:{year:"numeric",month:"long",day:"numeric"},f:{year:"numeric",month:"long",day:"numeric",hour:"numeric",minute:"2-digit"},F:{weekday:"long",year:"numeric",month:"long",day:"numeric",hour:"numeric",minute:"2-digit"}},xn=[["year",31536e3],["month",2592e3],["week",604800],["day",86400],["hour",3600],["minute",60],["second",1]],bn=/^:([a-z0-9_+-]+):/,kn=/^([^\s{="']+)(?=[\s{]|$)/,wn=/\{([^}]*)\}|([^\s={]+)(?:=(?:"([^"]*)"|'([^']*)'|(\S*)))?/g,An=/^(\d+)(?:-(\d+))?$/,$="[a-zA-Z][a-zA-Z0-9-]*",On="<("+$+")((?:\\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(?:\\s*=\\s*(?:[^\\s\"'=<>`]+|'[^']*'|\"[^\"]*\"))?)*)\\s*(\\/?)>",$="<\\/("+$+")\\s*>",jn=new RegExp("^"+On),En=new RegExp("^"+$),_n=/([a-zA-Z_:][a-zA-Z0-9_.:-]*)(?:\s*=\s*(?:([^\s"'=<>`]+)|'([^']*)'|"([^"]*)"))?/g,R="<(?:!--[\\s\\S]*?--|![A-Za-z][^>]*|\\?[\\s\\S]*?\\?|!\\[CDATA\\[[\\s\\S]*?\\]\\])>",Sn=new RegExp("^"+R),Cn=/^[^<]+|^</,$n=new RegExp("^ {0,3}(?:<(script|pre|style|textarea)(?=[\\s>]|$)[\\s\\S]*?(?:<\\/\\1>[^\\n]*|$)|"+R+"[^\\n]*|<\\/?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?=[\\s>]|\\/>|$)[\\s\\S]*?(?=\\n *\\n|$)|(?:"+On+"|"+$+")[ \\t]*(?=\\n|$)[\\s\\S]*?(?=\\n *\\n|$))\\n*","i"),L=["area","base","br","col","embed","hr","img","input","link","meta","source","track","wbr"],Rn=["script","style","textarea","title","xmp"],Ln=["script","style","title","template","iframe","object","noscript"],In={tags:["a","abbr","b","blockquote","br","caption","cite","code","col","colgroup","dd","del","details","dfn","div","dl","dt","em","figcaption","figure","h1","h2","h3","h4","h5","h6","hr","i","img","ins","kbd","li","mark","ol","p","picture","pre","q","rp","rt","ruby","s","samp","small","source","span","strong","sub","summary","sup","table","tbody","td","tfoot","th","thead","time","tr","u","ul","var","wbr"],attributes:{"*":["title","lang","dir"],a:["href"],img:["src","alt","width","height"],source:["srcset","media","type","width","height"],ol:["start","type","reversed"],li:["value"],td:["colspan","rowspan","align"],th:["colspan","rowspan","align","scope"],col:["span"],colgroup:["span"],details:["open"],blockquote:["cite"],q:["cite"],del:["cite","datetime"],ins:["cite","datetime"],time:["datetime"]},urlAttributes:["href","src","srcset","cite","action","formaction","poster","background"]},Pn=function(e){return e.replace(Qn,function(e){var t=sr(Un.exec(e)||[e]);return null==t?e:t})},R=0,Dn={Array:{element:function(e,t,n){for(var r=e,o=t,i=n,e=i.key,u=[],l=0;l<r.length;l++){i.key=""+l;var a=r[l];if("footnoteDef"!==a.type){if("text"===a.type)for(a={type:"text",content:a.content};l+1<r.length&&"text"===r[l+1].type;l++)a.content+=r[l+1].content;u.push(o(a,i))}}var c=Xe(r);return c.length&&(i.key="footnotes",u.push(f(n,"section",n.key,{class:"footnotes"},[f(n,"ol",null,{start:c[0].number},c.map(function(e){return t(e,n)}))]))),i.key=e,u},html:function(e,t,n){for(var r="",o=0;o<e.length;o++){var i=e[o];if("footnoteDef"!==i.type){if("text"===i.type)for(i={type:"text",content:i.content};o+1<e.length&&"text"===e[o+1].type;o++)i.content+=e[o+1].content;r+=t(i,n)}}var u=Xe(e);return u.length&&(r+=l("section",l("ol",u.map(function(e){return t(e,n)}).join(""),{start:1===u[0].number?void 0:u[0].number}),{class:"footnotes"})),r},markdown:function(e,t,n){for(var r="",o=0;o<e.length;o++){var i=e[o];if("text"===i.type)for(i={type:"text",content:i.content};o+1<e.length&&"text"===e[o+1].type;o++)i.content+=e[o+1].content;r+=t(i,n)}return r},text:function(e,t,n){for(var r="",o=0;o<e.length;o++)"footnoteDef"!==e[o].type&&(r+=t(e[o],n));return Xe(e).forEach(function(e){r+=t(e,n)}),r}},heading:{order:R++,match:n(/^ *(#{1,6})([^\n]+?)#* *(?:\n *)+\n/),parse:function(e,t,n){t=c(t,e[2].trim(),n);return{level:e[1].length,id:Ve(E(t),n),content:t}},element:function(e,t,n){return f(n,"h"+e.level,n.key,{id:e.id},t(e.content,n))},html:function(e,t,n){return l("h"+e.level,t(e.content,n),{id:e.id})},markdown:function(e,t,n){return new Array(e.level+1).join("#")+" "+t(e.content,n)+"\n\n"},text:function(e,t,n){return t(e.content,n)+"\n\n"}},nptable:{order:R++,match:n(m.NPTABLE_REGEX),parse:m.parseNpTable,element:null,html:null,markdown:null,text:null},lheading:{order:R++,match:n(/^([^\n]+)\n *(=|-){3,} *(?:\n *)+\n/),parse:function(e,t,n){t=c(t,e[1],n);return{type:"heading",level:"="===e[2]?1:2,id:Ve(E(t),n),content:t}},element:null,html:null,markdown:null,text:null},hr:{order:R++,match:n(/^( *[-*_]){3,} *(?:\n *)+\n/),parse:X,element:function(e,t,n){return f(n,"hr",n.key,d)},html:function(e,t,n){return"<hr>"},markdown:function(e,t,n){return"---\n\n"},text:function(e,t,n){return"---\n\n"}},codeBlock:{order:R++,match:n(/^(?:    [^\n]+\n*)+(?:\n *)+\n/),parse:function(e,t,n){return{lang:void 0,content:e[0].replace(/^    /gm,"").replace(/\n+$/,"")}},element:function(n,e,r){function o(e,t){return e.type?f(r,"span",t,{class:"token "+e.type},e.content):e.content}var t=n.lang?(r._codeClassPrefix||"markdown-code-")+n.lang:void 0,i=ft(n,r),i=st(n)?pt(i).map(function(e,t){return[0<t?"\n":"",f(r,"span",t,{class:dt(n,t+1),"data-line":t+1},e.map(o))]}):i.map(o);return f(r,"pre",r.key,{class:n.meta&&n.meta.showLineNumbers?"line-numbers":void 0,"data-title":n.meta&&n.meta.title},[f(r,"code",null,{class:t},i)])},html:function(n,e,t){function r(e){return e.type?l("span",a(e.content),{class:"token "+e.type}):a(e.content)}var o=n.lang?(t._codeClassPrefix||"markdown-code-")+n.lang:void 0,t=ft(n,t),t=st(n)?pt(t).map(function(e,t){return l("span",e.map(r).join(""),{class:dt(n,t+1),"data-line":String(t+1)})}).join("\n"):t.map(r).join(""),t=l("code",t,{class:o});return l("pre",t,{class:n.meta&&n.meta.showLineNumbers?"line-numbers":void 0,"data-title":n.meta&&n.meta.title})},markdown:function(e,t,n){for(var r="```";-1!==e.content.indexOf(r);)r+="`";return r+[e.lang,e.meta&&e.meta.raw].filter(Boolean).join(" ")+"\n"+e.content+"\n"+r+"\n\n"},text:function(e,t,n){return e.content+"\n\n"}},fence:{order:R++,match:n(/^ *(`{3,}|~{3,})([^\n]*)\n([\s\S]+?)\n?\1 *(?:\n *)+\n/),parse:function(e,t,n){var r=ct(e[2]),e={type:"codeBlock",lang:r.lang,content:e[3]};return r.meta.raw&&(e.meta=r.meta),e},element:null,html:null,markdown:null,text:null},blockQuote:{order:R++,match:n(/^ *>[^\n]+(?:\n[^\n]+|\n{2,} *>[^\n]+)*\n{2,}/),parse:function(e,t,n){return{content:t(e[0].replace(/^ *> ?/gm,""),n)}},element:function(e,t,n){return f(n,"blockquote",n.key,d,t(e.content,n))},html:function(e,t,n){return l("blockquote",t(e.content,n))},markdown:function(e,t,n){return t(e.content,n).replace(C,"").replace(/^/gm,"> ").replace(/^> $/gm,">")+"\n\n"},text:function(e,t,n){return t(e.content,n).replace(C,"").replace(/^/gm,"> ").replace(/^> $/gm,">")+"\n\n"}},list:{order:R++,childFields:["items"],match:function(e,t){var n=null==t.prevCapture?"":t.prevCapture[0],n=Me.exec(n),t=t._list||!t.inline;return n&&t?(e=n[1]+e,qe.exec(e)):null},parse:function(e,o,i){var t=e[2],n=1<t.length,t=n?+t:void 0,u=e[0].replace(Be,"\n").match(ze),l=!1;return{ordered:n,start:t,items:u.map(function(e,t){var n=De.exec(e),n=n?n[0].length:0,n=new RegExp("^ {1,"+n+"}","gm"),e=e.replace(n,"").replace(De,""),n=t===u.length-1,t=-1!==e.indexOf("\n\n")||n&&l,n=(l=t,i.inline),r=i._list,e=(i._list=!0,i._taskItem=Ze.test(e),t=t?(i.inline=!1,G(e,"\n\n")):(i.inline=!0,G(e,"")),o(t,i));return i.inline=n,i._list=r,i._taskItem=!1,e})}},element:function(e,n,r){var t=e.ordered?"ol":"ul";return f(r,t,r.key,{start:e.start},J(e,r,(e,t)=>f(r,"li",t,{class:s(e)?"task-list-item":void 0},n(e,r))))},html:function(e,t,n){var r=J(e,n,function(e){return l("li",t(e,n),{class:s(e)?"task-list-item":void 0})}).join("");return l(e.ordered?"ol":"ul",r,{start:e.start})},markdown:function(o,i,u){var l=o.items.some(function(e){return e.some(function(e){return"paragraph"===e.type})}),a=null==o.start?1:o.start;return o.items.map(function(e,t){var n,r="",e=(l?r=i(e,u):(n=[],e.forEach(function(e){"list"===e.type?(r=(r+i(n,u)).replace(/\s*$/,"\n"),r+=i(e,u),n=[]):n.push(e)}),r+=i(n,u)),o.ordered?a+t+". ":"- "),t=new Array(e.length+1).join(" ");return e+r.replace(/^\s*\n/,"").replace(C,"").replace(/\n(?=[^\n])/g,"\n"+t)}).join(l?"\n\n":"\n")+"\n\n"},text:function(r,o,i){var u=null==r.start?1:r.start;return r.items.map(function(e,t){var e=e.reduce(function(e,t){return(e="list"===t.type?e&&e.replace(/\s*$/,"\n"):e)+o(t,i)},""),t=r.ordered?u+t+". ":"- ",n=new Array(t.length+1).join(" ");return t+e.replace(C,"").replace(/\n(?=[^\n])/g,"\n"+n)}).join("\n")+"\n\n"}},checkbox:{order:R++,match:function(e,t){return t._taskItem?Ze.exec(e):null},parse:function(e,t,n){return n._taskItem=!1,{checked:" "!==e[1]}},element:function(e,t,o){var n=(t=>{var n,r;if(o.onCheckboxChange)return n=o.onCheckboxChange,r=o._listItemPath||[],function(e){n(r,e.target.checked,t)}})(e);return[f(o,"input",o.key,{type:"checkbox",class:"task-list-item-checkbox",checked:e.checked,disabled:!n,onChange:n})," "]},html:function(e,t,n){n=n.onCheckboxChange&&n._listItemPath;return l("input","",{type:"checkbox",class:"task-list-item-checkbox",checked:e.checked,disabled:!n,"data-list-item-path":n?n.join("."):void 0},!1)+" "},markdown:function(e,t,n){return e.checked?"[x] ":"[ ] "},text:function(e,t,n){return e.checked?"[x] ":"[ ] "}},footnoteDef:{order:R++,match:n(/^ *\[\^([^\]]+)\]: *([^\n]+(?:\n +[^\n]+)*)\n(?: *\n)*/),parse:function(e,t,n){var o,i,r=g(e[1]),u=He(n),l=n._footnoteId,t=(n._footnoteId=r,c(t,e[2].replace(/\n +/g,"\n"),n)),e=(n._footnoteId=l,{id:r,content:t,number:void 0,refCount:0});return u.defs[r]=e,u.refs[r]&&(i=0,(o=u).order.forEach(function(e){var t=o.defs[e],n=o.refs[e],r=t?++i:void 0;n.concat(o.ownRefs[e]||[]).forEach(function(e){e.number=r}),t&&(t.number=r,t.refCount=n.length)}),o.count=i),e},element:function(e,t,n){for(var r=[],o=1;o<=e.refCount;o++)r.push(" "),r.push(f(n,"a",o,{href:"#"+Ge(e.number,o),class:"footnote-backref","aria-label":"Back to reference "+e.number+(1<o?"-"+o:"")},["\u21a9",1<o?f(n,"sup",null,d,""+o):null]));return f(n,"li","fn-"+e.number,{id:"fn-"+e.number},[t(e.content,n),r])},html:function(e,t,n){for(var r="",o=1;o<=e.refCount;o++)r+=" "+l("a","&#8617;"+(1<o?l("sup",""+o):""),{href:"#"+Ge(e.number,o),class:"footnote-backref","aria-label":"Back to reference "+e.number+(1<o?"-"+o:"")});return l("li",t(e.content,n)+r,{id:"fn-"+e.number})},markdown:function(e,t,n){t=t(e.content,n).replace(/\n/g,"\n    ");return"[^"+e.id+"]: "+t+"\n\n"},text:function(e,t,n){return"["+e.number+"] "+t(e.content,n)+"\n\n"}},def:{order:R++,match:n(/^ *\[([^\]]+)\]: *<?([^\s>]*)>?(?: +["(]([^\n]+)[")])? *\n(?: *\n)*/),parse:function(e,t,n){var r=e[1].replace(/\s+/g," ").toLowerCase(),o=e[2],i=e[3];return n._refs&&n._refs[r]&&n._refs[r].forEach(function(e){e.target=o,e.title=i}),n._defs=n._defs||{},n._defs[r]={target:o,title:i},{def:r,target:o,title:i}},element:function(){return null},html:function(){return""},markdown:function(e,t,n){var r=(e.target||"").replace(/ /g,"%20");return"["+e.def+"]: "+r+K(e.title)+"\n\n"},text:function(){return""}},htmlBlock:{order:R++,match:function(e,t){return t.inline||!t.htmlPolicy?null:$n.exec(e)},parse:function(e,t,n){return{content:ht(e[0].replace(/\n+$/,""))}},element:function(e,t,n){return t(e.content,n)},html:function(e,t,n){return t(e.content,n)},markdown:function(e,t,n){return yt(e.content)+"\n\n"},text:function(e,t,n){return t(e.content,n)+"\n\n"}},table:{order:R++,childFields:["header","cells"],match:n(m.TABLE_REGEX),parse:m.parseTable,element:function(t,n,r){function o(e){return null==t.align[e]?{}:{textAlign:t.align[e]}}var e=t.header.map((e,t)=>f(r,"th",t,{style:o(t),scope:"col"},n(e,r))),i=t.cells.map((e,t)=>f(r,"tr",t,d,e.map((e,t)=>f(r,"td",t,{style:o(t)},n(e,r)))));return f(r,"table",r.key,d,[f(r,"thead","thead",d,[f(r,"tr",null,d,e)]),f(r,"tbody","tbody",d,i)])},html:function(t,n,r){function o(e){return null==t.align[e]?"":"text-align:"+t.align[e]+";"}var e=t.header.map(function(e,t){return l("th",n(e,r),{style:o(t),scope:"col"})}).join(""),i=t.cells.map(function(e){e=e.map(function(e,t){return l("td",n(e,r),{style:o(t)})}).join("");return l("tr",e)}).join(""),e=l("thead",l("tr",e)),i=l("tbody",i);return l("table",e+i)},markdown:function(e,t,n){function r(e){return"| "+e.map(function(e){return t(e,n)}).join(" | ")+" |"}var o={left:":--",right:"--:",center:":-:"},i=e.align.map(function(e){return null==e?"---":o[e]});return[r(e.header),"| "+i.join(" | ")+" |"].concat(e.cells.map(r)).join("\n")+"\n\n"},text:function(e,t,n){function r(e){return e.map(function(e){return t(e,n)}).join("\t")}return[r(e.header)].concat(e.cells.map(r)).join("\n")+"\n\n"}},newline:{order:R++,match:n(/^(?:\n *)*\n/),parse:X,element:function(e,t,n){return"\n"},html:function(e,t,n){return"\n"},markdown:function(e,t,n){return""},text:function(e,t,n){return""}},paragraph:{order:R++,match:n(/^((?:[^\n]|\n(?! *\n))+)(?:\n *)+\n/),parse:function(e,t,n){t=c(t,e[1],n);return Array.isArray(t)&&ut(t),{content:t}},element:function(e,t,n){return f(n,"div",n.key,{class:"paragraph"},t(e.content,n))},html:function(e,t,n){return l("div",t(e.content,n),{class:"paragraph"})},markdown:function(e,t,n){return t(e.content,n)+"\n\n"},text:function(e,t,n){return t(e.content,n)+"\n\n"}},escape:{order:R++,match:t(/^\\([^0-9A-Za-z\s])/),parse:function(e,t,n){return{type:"text",content:e[1]}},element:null,html:null,markdown:null,text:null},tableSeparator:{order:R++,match:function(e,t){return t.inTable?/^ *\| */.exec(e):null},parse:function(){return{type:"tableSeparator"}},element:()=>" | ",html:()=>" &vert; ",markdown:()=>" | ",text:()=>" | "},autolink:{order:R++,match:t(/^<([^: >]+:\/[^ >]+)>/),parse:function(e,t,n){return{type:"link",content:[{type:"text",content:e[1]}],target:e[1]}},element:null,html:null,markdown:null,text:null},mailto:{order:R++,match:t(/^<([^ >]+@[^ >]+)>/),parse:function(e,t,n){var r=e[1],e=e[1];return{type:"link",content:[{type:"text",content:r}],target:Gt.test(e)?e:"mailto:"+e}},element:null,html:null,markdown:null,text:null},htmlInline:{order:R++,match:function(e,f){var t=f.inline&&f.htmlPolicy?jn.exec(e):null,n=t&&t[1].toLowerCase();return!t||t[3]||-1!==L.indexOf(n||"")?t:(n=((e,t,n)=>{var r=f._sourceCache||{},o="htmlClosingTags:"+t.toLowerCase();if(!(u=r[o]))for(var i,u=r[o]={},l=new RegExp("<(\\/?)"+t+"(?:\\s[^<>]*?)?\\s*(\\/?)>","gi"),a=[];i=l.exec(e);){var c=e.length-i.index;i[1]?a.length&&(u[a.pop()]=[c,c-i[0].length]):i[2]||a.push(c-i[0].length)}r=u[e.length-n];return r?{index:e.length-r[0],end:e.length-r[1]}:null})(e,t[1],t[0].length))?[e.slice(0,n.end),t[1],t[2],t[3],e.slice(t[0].length,n.index)]:null},parse:function(e,t,n){var r=mt(e);return e[4]&&-1!==Rn.indexOf(r.tag)?r.content=[{type:"text",content:e[4]}]:e[4]&&(r.content=c(t,e[4],n)),r},element:function(e,t,n){var r=xt(e,n);return r?f(n,e.tag,n.key,r,-1!==L.indexOf(e.tag)?void 0:t(e.content,n)):-1!==Ln.indexOf(e.tag)?null:t(e.content,n)},html:function(e,t,n){var r,o=xt(e,n);if(!o)return-1!==Ln.indexOf(e.tag)?"":t(e.content,n);for(r in o)!0===o[r]&&(o[r]=r);var i=-1!==L.indexOf(e.tag);return l(e.tag,i?"":t(e.content,n),o,!i)},markdown:function(e,t,n){var r="<"+e.tag+gt(e.attributes)+">";return-1!==L.indexOf(e.tag)?r:r+t(e.content,n)+"</"+e.tag+">"},text:function(e,t,n){return-1!==Ln.indexOf(e.tag)?"":t(e.content,n)}},url:{order:R++,match:function(e,t,n){if(t.inline){if(t.inLink)return null;var n=nn.test(n),r=Yt.exec(e),o=r&&Ue(r[0]),i=o;if(!r&&n&&(r=en.exec(e))?i="http://"+(o=Ue(r[0])):!r&&n&&(r=tn.exec(e))&&(o=r[0].replace(/\.$/,""),i=/[-_]$/.test(o)?null:"mailto:"+o),!o||!i)return null;n=un.exec(o),e=n?n[1]:"";if(0===i.indexOf("http")&&o!==i&&!ln.test(e))return null;if(t.autolinkTlds){var u=e.slice(e.lastIndexOf(".")+1).toLowerCase();if(!t.autolinkTlds.some(function(e){return e.replace(/^\./,"").toLowerCase()===u}))return null}return[o,i]}return null},parse:function(e,t,n){return{type:"link",content:[{type:"text",content:e[0]}],target:e[1],title:void 0}},element:null,html:null,markdown:null,text:null},footnoteRef:{order:R++,match:t(/^\[\^([^\]]+)\]/),parse:function(e,t,n){var e=g(e[1]),r=He(n),o=r.refs[e],i=r.ownRefs[e];if(n._footnoteId===e)return n={id:e,number:o?o[0].number:void 0,index:0},(i||(r.ownRefs[e]=[])).push(n),n;o||(o=r.refs[e]=[],r.order.push(e));var n=r.defs[e],u={id:e,number:o.length?o[0].number:n?++r.count:void 0,index:o.length+1};return o.push(u),n&&(n.number=u.number,n.refCount=o.length,(i||[]).forEach(function(e){e.number=u.number})),u},element:function(e,t,n){return null==e.number?"[^"+e.id+"]":f(n,"sup",n.key,{class:"footnote-ref"},[f(n,"a",null,{href:"#fn-"+e.number,id:Ge(e.number,e.index)},""+e.number)])},html:function(e,t,n){return null==e.number?a("[^"+e.id+"]"):(e=l("a",""+e.number,{href:"#fn-"+e.number,id:Ge(e.number,e.index)}),l("sup",e,{class:"footnote-ref"}))},markdown:function(e,t,n){return"[^"+e.id+"]"},text:function(e,t,n){return null==e.number?"[^"+e.id+"]":"["+e.number+"]"}},link:{order:R++,match:t(new RegExp("^\\[("+h+")\\]\\("+Xt+"\\)")),parse:function(e,t,n){return{content:H(t,e[1],n),target:N(e[2]),title:e[3]}},element:function(e,t,n){return f(n,"a",n.key,{href:p(e.target,"link",n,e),title:e.title},t(e.content,n))},html:function(e,t,n){var r={href:p(e.target,"link",n,e),title:e.title};return l("a",t(e.content,n),r)},markdown:function(e,t,n){t=t(e.content,n);if(null!=e.ref||null==e.target)return"["+t+"]"+Ke(e,t);n=1===e.content.length&&"text"===e.content[0].type&&e.content[0].content;if(n&&null==e.title){if(n===e.target&&Jt.test(n))return"<"+n+">";if("http://"+n===e.target&&Wt.test(n))return n;if((n===e.target||"mailto:"+n===e.target)&&Vt.test(n))return"<"+n+">"}return"["+t+"]("+Q(e.target)+K(e.title)+")"},text:function(e,t,n){t=t(e.content,n);return null==e.target||t===e.target||"mailto:"+t===e.target||"http://"+t===e.target?t:t+" ("+e.target+")"}},image:{order:R++,match:t(new RegExp("^!\\[("+h+")\\]\\("+Xt+"\\)")),parse:function(e,t,n){return{alt:e[1],target:N(e[2]),title:e[3]}},element:function(e,t,n){return f(n,"img",n.key,{src:p(e.target,"image",n,e),alt:e.alt,title:e.title})},html:function(e,t,n){return l("img","",{src:p(e.target,"image",n,e),alt:e.alt,title:e.title},!1)},markdown:function(e,t,n){return null!=e.ref||null==e.target?"!["+e.alt+"]"+Ke(e,e.alt):"!["+e.alt+"]("+Q(e.target)+K(e.title)+")"},text:function(e,t,n){return e.alt}},reflink:{order:R++,match:t(new RegExp("^\\[("+h+")\\]\\s*\\[([^\\]]*)\\]")),parse:function(e,t,n){return Qe(e,n,{type:"link",content:H(t,e[1],n)})},element:null,html:null,markdown:null,text:null},refimage:{order:R++,match:t(new RegExp("^!\\[("+h+")\\]\\s*\\[([^\\]]*)\\]")),parse:function(e,t,n){return Qe(e,n,{type:"image",alt:e[1]})},element:null,html:null,markdown:null,text:null},em:{order:26,match:t(new RegExp("^\\b_((?:__|\\\\[\\s\\S]|[^\\\\_])+?)_\\b|^\\*(?=\\S)((?:\\*\\*|\\\\[\\s\\S]|\\s+(?:\\\\[\\s\\S]|[^\\s\\*\\\\]|\\*\\*)|[^\\s\\*\\\\])+?)\\*(?!\\*)")),quality:function(e){return e[0].length+.2},parse:function(e,t,n){return{content:t(e[2]||e[1],n)}},element:function(e,t,n){return f(n,"em",n.key,d,t(e.content,n))},html:function(e,t,n){return l("em",t(e.content,n))},markdown:function(e,t,n){return"*"+t(e.content,n)+"*"},text:function(e,t,n){return t(e.content,n)}},strong:{order:26,match:t(/^\*\*((?:\\[\s\S]|[^\\])+?)\*\*(?!\*)/),quality:function(e){return e[0].length+.1},parse:i,element:function(e,t,n){return f(n,"strong",n.key,d,t(e.content,n))},html:function(e,t,n){return l("strong",t(e.content,n))},markdown:function(e,t,n){return"**"+t(e.content,n)+"**"},text:function(e,t,n){return t(e.content,n)}},u:{order:R++,match:t(/^__((?:\\[\s\S]|[^\\])+?)__(?!_)/),quality:function(e){return e[0].length},parse:i,element:function(e,t,n){return f(n,"u",n.key,d,t(e.content,n))},html:function(e,t,n){return l("u",t(e.content,n))},markdown:function(e,t,n){return"__"+t(e.content,n)+"__"},text:function(e,t,n){return t(e.content,n)}},del:{order:R++,match:t(/^~~(?=\S)((?:\\[\s\S]|~(?!~)|[^\s~\\]|\s(?!~~))+?)~~/),parse:i,element:function(e,t,n){return f(n,"del",n.key,d,t(e.content,n))},html:function(e,t,n){return l("del",t(e.content,n))},markdown:function(e,t,n){return"~~"+t(e.content,n)+"~~"},text:function(e,t,n){return t(e.content,n)}},inlineCode:{order:R++,match:t(/^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/),parse:function(e,t,n){return{content:e[2].replace(Te,"$1")}},element:function(e,t,n){return f(n,"code",n.key,d,e.content)},html:function(e,t,n){return l("code",a(e.content))},markdown:function(e,t,n){for(var r="`";-1!==e.content.indexOf(r);)r+="`";var o="`"===e.content[0]?" ":"",i="`"===e.content[e.content.length-1]?" ":"";return r+o+e.content+i+r},text:function(e,t,n){return e.content}},br:{order:+R,match:r(/^ {2,}\n/),parse:X,element:function(e,t,n){return f(n,"br",n.key,d)},html:function(e,t,n){return"<br>"},markdown:function(e,t,n){return"  \n"},text:function(e,t,n){return"\n"}},emoji:{order:30,match:function(e,t){var n=t.emojiShortcodes,t=t.inline&&n?bn.exec(e):null;return t&&n&&Object.prototype.hasOwnProperty.call(n,t[1])?t:null},parse:function(e,t,n){return{name:e[1],emoji:(n.emojiShortcodes||{})[e[1]],jumbo:!1}},element:function(e,t,n){return f(n,"span",n.key,{class:lt(e),role:"img","aria-label":":"+e.name+":",title:":"+e.name+":"},e.emoji)},html:function(e,t,n){return l("span",a(e.emoji),{class:lt(e),role:"img","aria-label":":"+e.name+":",title:":"+e.name+":"})},markdown:function(e,t,n){return":"+e.name+":"},text:function(e,t,n){return e.emoji}},customEmoji:{order:31,match:t(/^<(a)?:(\w+):(\d+)>/),parse:function(e,t,n){return{name:e[2],id:e[3],animated:!!e[1],jumbo:!1}},element:function(e,t,n){var r=at(e,n);return null==r?":"+e.name+":":f(n,"img",n.key,{class:lt(e),src:r,alt:":"+e.name+":",title:":"+e.name+":"})},html:function(e,t,n){n=at(e,n);return null==n?a(":"+e.name+":"):l("img","",{class:lt(e),src:n,alt:":"+e.name+":",title:":"+e.name+":"},!1)},markdown:function(e,t,n){return"<"+(e.animated?"a":"")+":"+e.name+":"+e.id+">"},text:function(e,t,n){return":"+e.name+":"}},text:{order:32,match:r(/^[\s\S](?:[0-9A-Za-z]+| +|[\s\S])*?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n\n| {2,}\n|\w+:\S|\bwww\.|\b[\w.+-]+@|$)/),parse:function(e,t,n){return{content:e[0]}},element:(e,t,n)=>e.content,html:(e,t,n)=>a(e.content),markdown:(e,t,n)=>U(e.content),text:(e,t,n)=>e.content}},I=(Object.keys(Dn).forEach(function(e){o(Dn[e])}),Dn),zn={userMention:{order:I.autolink.order-.5,match:t(/^<@!?(\d+)>/),parse:function(e,t,n){return{id:e[1]}},element:function(e,t,n){return et("user",e,n)},html:function(e,t,n){return tt("user",e,n)},markdown:function(e,t,n){return y("user",e.id)},text:function(e,t,n){return nt("user",e,n)}},roleMention:{order:I.autolink.order-.5,match:t(/^<@&(\d+)>/),parse:function(e,t,n){return{id:e[1]}},element:function(e,t,n){return et("role",e,n)},html:function(e,t,n){return tt("role",e,n)},markdown:function(e,t,n){return y("role",e.id)},text:function(e,t,n){return nt("role",e,n)}},channelMention:{order:I.autolink.order-.5,match:t(/^<#(\d+)>/),parse:function(e,t,n){return{id:e[1]}},element:function(e,t,n){return et("channel",e,n)},html:function(e,t,n){return tt("channel",e,n)},markdown:function(e,t,n){return y("channel",e.id)},text:function(e,t,n){return nt("channel",e,n)}},everyoneMention:{order:I.autolink.order-.5,match:function(e,t,n){return!t.inline||mn.test(n)?null:hn.exec(e)},parse:function(e,t,n){return{name:e[1]}},element:function(e,t,n){return f(n,"span",n.key,{class:"mention mention-"+e.name},"@"+e.name)},html:function(e,t,n){return l("span","@"+e.name,{class:"mention mention-"+e.name})},markdown:function(e,t,n){return"@"+e.name},text:function(e,t,n){return"@"+e.name}},timestamp:{order:I.autolink.order-.5,match:function(e,t,n){t=t.inline?gn.exec(e):null;return t&&isNaN(new Date(1e3*+t[1]).getTime())?null:t},parse:function(e,t,n){return{timestamp:+e[1],style:e[2]}},element:function(e,t,n){var r=ot(e,n);return f(n,"time",n.key,{datetime:r.datetime,title:r.title},rt(e,e.style,n))},html:function(e,t,n){return l("time",a(rt(e,e.style,n)),ot(e,n))},markdown:function(e,t,n){return"<t:"+e.timestamp+(e.style?":"+e.style:"")+">"},text:function(e,t,n){return rt(e,e.style,n)}},spoiler:{order:I.em.order,match:t(/^\|\|((?:\\[\s\S]|[^\\])+?)\|\|(?!\|)/),quality:function(e){return e[0].length+.05},parse:i,element:function(e,t,n){return f(n,"span",n.key,{class:"spoiler",role:"button",tabindex:"0","aria-expanded":"false","aria-label":"Spoiler",onClick:bt,onKeydown:kt},t(e.content,n))},html:function(e,t,n){var r=n.spoilerToggles?{class:"spoiler",role:"button",tabindex:"0","aria-expanded":"false","aria-label":"Spoiler"}:{class:"spoiler"};return l("span",t(e.content,n),r)},markdown:function(e,t,n){return"||"+t(e.content,n)+"||"},text:function(e,t,n){return n.redactSpoilers?"string"==typeof n.redactSpoilers?n.redactSpoilers:"[spoiler]":t(e.content,n)}}},Fn=(Object.keys(zn).forEach(function(e){o(zn[e])}),["heading","nptable","lheading","hr","fence","list","checkbox","footnoteDef","def","table","tableSeparator","footnoteRef","image","reflink","refimage","htmlBlock","htmlInline"]),Tn=/^ *>>> +[\s\S]*|^(?: *> +[^\n]*(?:\n|$))+/,Bn=/^ *>>> ?/,qn=/^((?:[^\n`]|```(?:[^`]|`(?!``))*```|`(?!``(?:[^`]|`(?!``))*```)|\n(?! *\n)(?! *>(?:>>)? )(?! *```))+)(?:\n *)*\n/,Mn=/^((?:[^\n`]|```(?:[^`]|`(?!``))*```|`(?!``(?:[^`]|`(?!``))*```)|\n(?! *\n)(?! *```))+)(?:\n *)*\n/,Zn={codeBlock:{match:r(/^```(?:([a-z0-9_+\-.#]+?)\n)?\n*([^\n][\s\S]*?)\n*```/i),parse:function(e,t,n){return{lang:e[1]||void 0,content:e[2]}},markdown:function(e,t,n){return I.codeBlock.markdown(e,t,n).replace(/\n+$/,n.inline?"":"\n")}},blockQuote:{match:function(e,t){return t.inline||t.inQuote?null:Tn.exec(e)},parse:function(e,t,n){var e=Bn.test(e[0])?e[0].replace(Bn,""):e[0].replace(/^ *> ?/gm,""),r=n.inQuote||!1,t=(n.inQuote=!0,u(t,e,n));return n.inQuote=r,{content:t}},markdown:function(e,t,n){return t(e.content,n).replace(C,"").replace(/^/gm,"> ")+"\n"}},paragraph:{match:function(e,t){return t.inline?null:(t.inQuote?Mn:qn).exec(e)},markdown:function(e,t,n){var r=n.inline||!1,t=(n.inline=!0,t(e.content,n));return n.inline=r,t+"\n\n"}},br:{match:t(/^\n/),markdown:function(e,t,n){return"\n"}},text:{match:r(/^[\s\S](?:[0-9A-Za-z]+| +|[\s\S])*?(?=[^0-9A-Za-z\s\u00c0-\uffff]|\n| {2,}\n|\w+:\S|\bwww\.|\b[\w.+-]+@|$)/)}},On=wt(),Nn={amp:"&",lt:"<",gt:">",quot:'"',apos:"'",nbsp:"\xa0",ensp:"\u2002",emsp:"\u2003",thinsp:"\u2009",shy:"\xad",zwnj:"\u200c",zwj:"\u200d",lrm:"\u200e",rlm:"\u200f",copy:"\xa9",reg:"\xae",trade:"\u2122",hellip:"\u2026",ndash:"\u2013",mdash:"\u2014",lsquo:"\u2018",rsquo:"\u2019",sbquo:"\u201a",ldquo:"\u201c",rdquo:"\u201d",bdquo:"\u201e",laquo:"\xab",raquo:"\xbb",lsaquo:"\u2039",rsaquo:"\u203a",bull:"\u2022",middot:"\xb7",dagger:"\u2020",Dagger:"\u2021",prime:"\u2032",Prime:"\u2033",sect:"\xa7",para:"\xb6",iexcl:"\xa1",iquest:"\xbf",cent:"\xa2",pound:"\xa3",curren:"\xa4",yen:"\xa5",euro:"\u20ac",deg:"\xb0",plusmn:"\xb1",times:"\xd7",divide:"\xf7",minus:"\u2212",permil:"\u2030",micro:"\xb5",sup1:"\xb9",sup2:"\xb2",sup3:"\xb3",frac14:"\xbc",frac12:"\xbd",frac34:"\xbe",larr:"\u2190",uarr:"\u2191",rarr:"\u2192",darr:"\u2193",harr:"\u2194",lArr:"\u21d0",rArr:"\u21d2",hArr:"\u21d4",le:"\u2264",ge:"\u2265",ne:"\u2260",asymp:"\u2248",equiv:"\u2261",infin:"\u221e",sum:"\u2211",prod:"\u220f",radic:"\u221a",part:"\u2202",nabla:"\u2207",isin:"\u2208",notin:"\u2209",cap:"\u2229",cup:"\u222a",and:"\u2227",or:"\u2228",forall:"\u2200",exist:"\u2203",empty:"\u2205",alpha:"\u03b1",beta:"\u03b2",gamma:"\u03b3",delta:"\u03b4",epsilon:"\u03b5",theta:"\u03b8",lambda:"\u03bb",mu:"\u03bc",pi:"\u03c0",sigma:"\u03c3",tau:"\u03c4",phi:"\u03c6",omega:"\u03c9",Delta:"\u0394",Sigma:"\u03a3",Omega:"\u03a9",hearts:"\u2665",spades:"\u2660",clubs:"\u2663",diams:"\u2666",loz:"\u25ca",Agrave:"\xc0",Aacute:"\xc1",Acirc:"\xc2",Atilde:"\xc3",Auml:"\xc4",Aring:"\xc5",AElig:"\xc6",Ccedil:"\xc7",Egrave:"\xc8",Eacute:"\xc9",Ntilde:"\xd1",Ouml:"\xd6",Oslash:"\xd8",Uuml:"\xdc",szlig:"\xdf",agrave:"\xe0",aacute:"\xe1",acirc:"\xe2",atilde:"\xe3",auml:"\xe4",aring:"\xe5",aelig:"\xe6",ccedil:"\xe7",egrave:"\xe8",eacute:"\xe9",ecirc:"\xea",euml:"\xeb",igrave:"\xec",iacute:"\xed",icirc:"\xee",iuml:"\xef",eth:"\xf0",ntilde:"\xf1",ograve:"\xf2",oacute:"\xf3",ocirc:"\xf4",otilde:"\xf5",ouml:"\xf6",oslash:"\xf8",ugrave:"\xf9",uacute:"\xfa",ucirc:"\xfb",uuml:"\xfc",yacute:"\xfd",thorn:"\xfe",yuml:"\xff",Dcaron:"\u010e",HilbertSpace:"\u210b",DifferentialD:"\u2146",ClockwiseContourIntegral:"\u2232",ngE:"\u2267\u0338"},$="&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));",Un=new RegExp("^"+$),Qn=new RegExp($,"g"),Kn=/\\([!-\/:-@\[-`{-~])/g,Hn=/%[0-9a-fA-F]{2}|[\ud800-\udbff][\udc00-\udfff]|[^A-Za-z0-9;\/?:@&=+$,\-_.!~*'()#]/g,Xn=/[!-\/:-@\[-`{-~\u00a1-\u00a9\u00ab\u00ac\u00ae-\u00b1\u00b4\u00b6-\u00b8\u00bb\u00bf\u00d7\u00f7\u2010-\u2027\u2030-\u205e\u20a0-\u20c0\u2190-\u23ff\u25a0-\u27bf\u2e00-\u2e4f\u3001-\u3003\u3008-\u3011\u3014-\u301f\uff01-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]/,Gn=/\s/,P=/^[ \t]*$/,m=" {0,3}(?:(?:\\*[ \\t]*){3,}|(?:-[ \\t]*){3,}|(?:_[ \\t]*){3,})",Jn=new RegExp("^"+m+"(?:\\n|$)"),Vn=new RegExp("^"+m+"$"),Wn=new RegExp("^(?: {0,3}(?:#{1,6}(?:[ \\t]|$)|>|`{3,}(?!.*`)|~{3,}|[*+-][ \\t]+\\S|1[.)][ \\t]+\\S)|"+m+"$)"),Yn=new RegExp("^(?: {0,3}(?:#{1,6}(?:[ \\t]|$)|`{3,}|~{3,})|"+m+"$)"),er=/^ {0,3}(#{1,6})(?=[ \t]|\n|$)([^\n]*)(?:\n|$)/,tr=/(?:^|[ \t]+)#+[ \t]*$/,nr=/^ {0,3}(=+|-+)[ \t]*$/,rr=/^( {0,3})(`{3,}|~{3,})([^\n]*)/,or=/^ {0,3}> ?/,ir=/^( {0,3})([*+-]|\d{1,9}[.)])(?=[ \t]|$)/,Xt="((?:\\\\[\\s\\S]|[^\\\\\\[\\]]){0,999})",R="(\"(?:\\\\[\\s\\S]|[^\\\\\"])*\"|'(?:\\\\[\\s\\S]|[^\\\\'])*'|\\((?:\\\\[\\s\\S]|[^\\\\()])*\\))",$="\\([ \\t\\n]*(?:<((?:\\\\[\\s\\S]|[^\\\\<>\\n])*)>|((?:\\\\[\\s\\S]|\\((?:\\\\[\\s\\S]|[^\\\\()\\s])*\\)|[^\\\\()\\s\\x00-\\x1f])*))(?:[ \\t\\n]+"+R+")?[ \\t\\n]*\\)",ur=new RegExp("^ {0,3}\\["+Xt+"\\]:[ \\t]*\\n?[ \\t]*(<(?:\\\\[\\s\\S]|[^\\\\<>\\n])*>|[^\\s<]\\S*)(?:(?:[ \\t]+|[ \\t]*\\n[ \\t]*)"+R+")?[ \\t]*(?:\\n|$)"),lr=new RegExp("^(!?)\\[("+h+")\\](?:\\["+Xt+"\\])?"),ar=/^(`+)(?!`)([\s\S]*?[^`])\1(?!`)/,cr=/^`+/,fr=function(e){return 0===e||1114111<e||55296<=e&&e<=57343?"\ufffd":e<65536?String.fromCharCode(e):(e-=65536,String.fromCharCode(55296+(e>>10),56320+(1023&e)))},sr=function(e){return e[1]||e[2]?fr(e[1]?parseInt(e[1],16):parseInt(e[2],10)):Object.prototype.hasOwnProperty.call(Nn,e[3])?Nn[e[3]]:null},pr=function(e,t){return{offset:e.offset+t,line:e.line,column:e.column+t}},dr={heading:{match:function(e,t){return t.inline?null:er.exec(e)},parse:function(e,t,n){var r=e[2].trim().replace(tr,"");return{level:e[1].length,content:O(t,r,n)}}},lheading:{match:function(e,t){return t.inline||4<=v(t=A(e,0,w(e,0)))||Wn.test(t)||Ct(t)||!(t=_t(e)).underline?null:[e.slice(0,t.length),t.text,t.underline]},parse:function(e,t,n){var r=e[1].replace(/^[ \t]+/gm,"").trim();return{type:"heading",level:"="===e[2]?1:2,content:O(t,r,n)}}},hr:{match:function(e,t){return t.inline?null:Jn.exec(e)}},codeBlock:{match:function(e,t){if(t.inline)return null;for(var n=0,r=0;r<e.length;){var o=w(e,r),i=A(e,r,o);if(P.test(i)){if(!n)return null}else{if(!(4<=v(i)))break;n=o}r=o}return n?[e.slice(0,n)]:null},parse:function(e,t,n){return{lang:void 0,content:e[0].replace(/\n$/,"").split("\n").map(function(e){return Et(e,4)}).join("\n")+"\n"}},element:function(e,t,n){return Pt(n,function(){return I.codeBlock.element(e,t,n)})},html:function(e,t,n){return Pt(n,function(){return I.codeBlock.html(e,t,n)})},markdown:function(e,t,n){return I.codeBlock.markdown(Dt(e),t,n)},text:function(e,t,n){return I.codeBlock.text(Dt(e),t,n)}},fence:{match:function(e,t){if(t.inline)return null;var n=rr.exec(e);if(!n||"`"===n[2][0]&&-1!==n[3].indexOf("`"))return null;for(var r=new RegExp("^ {0,3}"+n[2][0]+"{"+n[2].length+",}[ \\t]*$"),o=[],i=e.length,u=w(e,0);u<e.length;){var l=w(e,u),a=A(e,u,l);if(r.test(a)){i=l;break}o.push(Et(a,n[1].length)),u=l}if(i===e.length)for(;o.length&&P.test(o[o.length-1]);)o.pop();t=o.length?o.join("\n")+"\n":"";return[e.slice(0,i),n[3],t]},parse:function(e,t,n){var r=ct(At(e[1].trim())),e={type:"codeBlock",lang:r.lang,content:e[2]};return r.meta.raw&&(e.meta=r.meta),e}},blockQuote:{match:function(e,t){if(t.inline||!or.test(e))return null;for(var n=[],r=!1,o=!1,i=0;i<e.length;){var u=w(e,i),l=A(e,i,u),a=or.exec(l);if(a)l=l.slice(a[0].length);else if(!r||P.test(l)||Wn.test(l))break;n.push(l),r=St(l,o=rr.test(l)?!o:o),i=u}return[e.slice(0,i),n.join("\n")]},parse:function(e,t,n){return{content:u(t,e[1],n)}}},list:{match:function(e,t){return!t.inline&&(t=Rt(e))?[e.slice(0,t.length)]:null},parse:function(e,t,r){var e=Rt(e[0]),n=1<e.bullet.length,o=e.blankBetweenItems,i=e.items.map(function(e){var n=u(t,e,r);return n.filter(function(e,t){return"newline"!==e.type||(0<t&&t<n.length-1&&(o=!0),!1)})});return{ordered:n,start:n?parseInt(e.bullet,10):void 0,items:o?i:i.map(function(e){var t=[];return e.forEach(function(e){"paragraph"===e.type?t.push.apply(t,e.content):t.push(e)}),t})}},html:function(e,t,n){var r=e.items.map(function(e){return l("li",t(e,n))}).join("");return l(e.ordered?"ol":"ul",r,{start:e.ordered&&1!==e.start?String(e.start):void 0})}},def:{match:function(e,t){return!t.inline&&(t=ur.exec(e))&&/\S/.test(t[1])?t:null},parse:function(e,t,n){var r=jt(e[1]),o=It("<"===e[2][0]?e[2].slice(1,-1):e[2],e[3]);return n._defs&&n._defs[r]?{def:r,target:o.target,title:o.title}:(e=[e[0],r,o.target,o.title],I.def.parse(e,t,n))}},newline:{match:n(/^(?:[ \t]*(?:\n|$))+/)},paragraph:{match:function(e,t){return!t.inline&&(t=_t(e)).text?[t.text]:null},parse:function(e,t,n){return{content:O(t,e[0].replace(/^[ \t]+/gm,"").trim(),n)}},element:function(e,t,n){return f(n,"p",n.key,d,t(e.content,n))},html:function(e,t,n){return l("p",t(e.content,n))}},escape:{match:t(/^\\([!-\/:-@\[-`{-~])/)},entity:{order:I.escape.order,match:function(e,t){return t.inline&&(t=Un.exec(e))&&null!=sr(t)?t:null},parse:function(e,t,n){return{type:"text",content:sr(e)}},element:null,html:null,markdown:null,text:null},autolink:{match:t(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>\x00-\x1f]*)>/),parse:function(e,t,n){return{type:"link",content:[{type:"text",content:e[1]}],target:Ot(e[1])}}},mailto:{match:t(/^<([a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/)},link:{match:t(new RegExp("^\\[("+h+")\\]"+$)),parse:function(e,t,n){var r=It(e[2]||e[3],e[4]);return{content:Lt(t(e[1],n)),target:r.target,title:r.title}},element:function(e,t,n){return null==e.target?["[",t(e.content,n),"]"+e.refSuffix]:I.link.element(e,t,n)},html:function(e,t,n){return null==e.target?"["+t(e.content,n)+"]"+a(e.refSuffix):I.link.html(e,t,n)},markdown:function(e,t,n){return null==e.target?"["+t(e.content,n)+"]"+e.refSuffix:I.link.markdown(e,t,n)}},image:{match:t(new RegExp("^!\\[("+h+")\\]"+$)),parse:function(e,t,n){var r=It(e[2]||e[3],e[4]);return{alt:E(O(t,e[1],n)),target:r.target,title:r.title}},element:function(e,t,n){return null==e.target?"!["+e.alt+"]"+e.refSuffix:I.image.element(e,t,n)},html:function(e,t,n){return null==e.target?a("!["+e.alt+"]"+e.refSuffix):I.image.html(e,t,n)},markdown:function(e,t,n){return null==e.target?"!["+e.alt+"]"+e.refSuffix:I.image.markdown(e,t,n)}},reflink:{match:function(e,t){return t.inline&&(t=lr.exec(e))&&!t[1]&&/\S/.test(t[3]||t[2])?t:null},parse:function(e,t,n){var r=jt(e[3]||e[2]);return Qe([e[0],r],n,{type:"link",content:Lt(t(e[2],n)),refSuffix:null==e[3]?"":"["+e[3]+"]"})}},refimage:{match:function(e,t){return t.inline&&(t=lr.exec(e))&&t[1]&&/\S/.test(t[3]||t[2])?t:null},parse:function(e,t,n){var r=jt(e[3]||e[2]);return Qe([e[0],r],n,{type:"image",alt:E(O(t,e[2],n)),refSuffix:null==e[3]?"":"["+e[3]+"]"})}},delimiterRun:{order:I.em.order,match:t(/^(\*+|_+)(?=([\s\S]?))/),parse:function(e,t,n){var n=null==n.prevCapture?"":n.prevCapture[0],r=e[1],n=n.slice(-1),e=e[2],o=!n||Gn.test(n),i=!e||Gn.test(e),n=Xn.test(n),e=Xn.test(e),u=!i&&(!e||o||n),o=!o&&(!n||i||e);return{char:i=r[0],count:r.length,canOpen:"*"===i?u:u&&(!o||n),canClose:"*"===i?o:o&&(!u||e)}},element:function(e,t,n){return new Array(e.count+1).join(e.char)},html:function(e,t,n){return new Array(e.count+1).join(e.char)},markdown:function(e,t,n){return U(new Array(e.count+1).join(e.char))},text:function(e,t,n){return new Array(e.count+1).join(e.char)}},em:{match:void 0},strong:{match:void 0},inlineCode:{match:function(e,t){return t.inline?ar.exec(e)||cr.exec(e):null},parse:function(e,t,n){return null==e[2]?{type:"text",content:e[0]}:(e=e[2].replace(/\n/g," "),{content:e=/^ [\s\S]*[^ ][\s\S]* $/.test(e)?e.slice(1,-1):e})}},br:{match:t(/^(?: {2,}|\\)\n/)}},m=(Ht={},["Array","heading","lheading","hr","codeBlock","fence","blockQuote","list","def","newline","paragraph","escape","entity","autolink","mailto","link","image","reflink","refimage","delimiterRun","em","strong","inlineCode","br","text"].forEach(function(e){Ht[e]=o(Object.assign({},I[e],dr[e]))}),Ht),mr="skip",hr=["heading","hr","codeBlock","blockQuote","list","table","footnoteDef","def","htmlBlock","paragraph","newline"],D=function(e){var n=[];return(Array.isArray(e)?e:[e]).forEach(function(e){var t=(gr[e.type]||Tt)(e),t=Array.isArray(t)?t:[t];e.position&&1===t.length&&(t[0].position=e.position),Array.prototype.push.apply(n,t)}),n},gr={heading:function(e){var t={type:"heading",depth:e.level,children:D(e.content)};return e.id&&(t.data={hProperties:{id:e.id}}),t},hr:function(){return{type:"thematicBreak"}},codeBlock:function(e){return{type:"code",lang:e.lang||null,meta:e.meta?e.meta.raw:null,value:e.content}},blockQuote:function(e){return{type:"blockquote",children:Bt(e.content)}},list:function(e){function t(e){return e.some(function(e){return"paragraph"===e.type})}return{type:"list",ordered:e.ordered,start:e.ordered?e.start:null,spread:0<e.items.length&&e.items.every(t),children:e.items.map(function(e){return{type:"listItem",spread:t(e),checked:s(e)?e[0].checked:null,children:Bt(s(e)?e.slice(1):e)}})}},checkbox:function(e){return{type:"text",value:e.checked?"[x] ":"[ ] "}},footnoteDef:function(e){return{type:"footnoteDefinition",identifier:e.id,label:e.id,children:[{type:"paragraph",children:D(e.content)}]}},def:function(e){return{type:"definition",identifier:e.def,label:e.def,url:e.target||"",title:null==e.title?null:e.title}},htmlBlock:function(e){return{type:"html",value:yt(e.content)}},table:function(e){return{type:"table",align:e.align.map(function(e){return e||null}),children:[e.header].concat(e.cells).map(function(e){return{type:"tableRow",children:e.map(function(e){return{type:"tableCell",children:D(e)}})}})}},newline:function(){return[]},paragraph:function(e){return{type:"paragraph",children:D(e.content)}},htmlInline:function(e){var t={type:"html",value:"<"+e.tag+gt(e.attributes)+">"};return-1!==L.indexOf(e.tag)?t:[t].concat(D(e.content)).concat([{type:"html",value:"</"+e.tag+">"}])},footnoteRef:function(e){return{type:"footnoteReference",identifier:e.id,label:e.id}},link:function(e){var t=D(e.content),n=qt(e,E(e.content));return n?(n.children=t,n):{type:"link",url:e.target,title:null==e.title?null:e.title,children:t}},image:function(e){var t=qt(e,e.alt);return t?(t.alt=e.alt,t):{type:"image",url:e.target,title:null==e.title?null:e.title,alt:e.alt}},em:function(e){return{type:"emphasis",children:D(e.content)}},strong:function(e){return{type:"strong",children:D(e.content)}},u:function(e){return{type:"strong",data:{hName:"u"},children:D(e.content)}},del:function(e){return{type:"delete",children:D(e.content)}},inlineCode:function(e){return{type:"inlineCode",value:e.content}},br:function(){return{type:"break"}},emoji:function(e){return{type:"text",value:e.emoji}},text:function(e){return{type:"text",value:e.content}}},yr={heading:function(e,t){var n=S(e.children,t,!0),r=e.data&&e.data.hProperties&&e.data.hProperties.id;return{type:"heading",level:e.depth,id:r||Kt(E(n),t.slugs),content:n}},thematicBreak:function(){return{type:"hr"}},code:function(e){var t={type:"codeBlock",lang:e.lang||void 0,content:e.value};return e.meta&&(t.meta=ct((e.lang||"")+" "+e.meta).meta),t},blockquote:function(e,t){return{type:"blockQuote",content:S(e.children,t,!1)}},list:function(n,r){return{type:"list",ordered:!!n.ordered,start:n.ordered?null==n.start?1:n.start:void 0,items:n.children.map(function(e){var t=n.spread||e.spread?S(e.children,r,!1):Mt(e.children,r,{type:"text",content:"\n"});return null!=e.checked&&t.unshift({type:"checkbox",checked:e.checked}),t})}},footnoteDefinition:function(e,t){var n=g(e.identifier),r=t.footnoteId,e=(t.footnoteId=n,Mt(e.children,t,{type:"br"})),r=(t.footnoteId=r,{type:"footnoteDef",id:n,content:e,number:void 0,refCount:0});return t.footnoteDefs.push(r),r},definition:function(e){return{type:"def",def:Ft(e.identifier),target:e.url,title:null==e.title?void 0:e.title}},table:function(e,t){var n=e.children.map(function(e){return e.children.map(function(e){return S(e.children,t,!0)})}),r=e.align||[];return{type:"table",header:n[0]||[],align:(n[0]||[]).map(function(e,t){return r[t]||null}),cells:n.slice(1)}},paragraph:function(e,t){return{type:"paragraph",content:S(e.children,t,!0)}},footnoteReference:function(e,t){var n,r=g(e.identifier);return t.footnoteId===r?(e={type:"footnoteRef",id:r,number:void 0,index:0},(t.ownFootnotes[r]=t.ownFootnotes[r]||[]).push(e),e):(e=t.footnotes[r]=t.footnotes[r]||[],n=t.footnoteDefs.some(function(e){return e.id===r}),n={type:"footnoteRef",id:r,number:e.length?e[0].number:n?++t.footnoteCount:void 0,index:e.length+1},e.push(n),n)},link:function(e,t){return{type:"link",content:S(e.children,t,!0),target:e.url,title:null==e.title?void 0:e.title}},image:function(e){return{type:"image",alt:e.alt||"",target:e.url,title:null==e.title?void 0:e.title}},linkReference:function(e,t){return Object.assign({type:"link",content:S(e.children,t,!0)},Zt(e,t))},imageReference:function(e,t){return Object.assign({type:"image",alt:e.alt||""},Zt(e,t))},emphasis:function(e,t){return{type:"em",content:S(e.children,t,!0)}},strong:function(e,t){return{type:e.data&&"u"===e.data.hName?"u":"strong",content:S(e.children,t,!0)}},delete:function(e,t){return{type:"del",content:S(e.children,t,!0)}},inlineCode:function(e){return{type:"inlineCode",content:e.value}},break:function(){return{type:"br"}},text:function(e){return{type:"text",content:e.value}},yaml:function(){return null},toml:function(){return null}},vr=["checked","disabled","hidden","open","readonly","reversed"],xr=["colspan","rowspan","span","start","tabindex","width","height"],br=function(e,t){var n;return t=t||[],Array.isArray(e)?e.forEach(function(e){br(e,t)}):"string"==typeof e||"number"==typeof e?(n=t[t.length-1])&&"text"===n.type?n.value+=e:""!==e&&t.push({type:"text",value:""+e}):null!=e&&"boolean"!=typeof e&&t.push(e),t},kr=B(I),wr=j(I,"react"),Ar=j(I,"html"),R=j(I,"markdown"),Or=j(I,"text"),jr=j(I,"dom");e.ReactMarkdown=function(e){var t,n={};for(t in e)"source"!==t&&Object.prototype.hasOwnProperty.call(e,t)&&(n[t]=e[t]);return n.children=Qt(e.source),he("div",null,n)},e.SKIP=mr,e.anyScopeRegex=r,e.applyUrlPolicy=p,e.blockRegex=n,e.commonmarkRules=m,e.defaultBlockParse=_,e.defaultDomOutput=jr,e.defaultHtmlOutput=Ar,e.defaultImplicitParse=Ut,e.defaultInlineParse=function(e,t){return(t=t||{}).inline=!0,kr(e,t)},e.defaultMarkdownOutput=R,e.defaultOutput=function(){return"undefined"!=typeof console&&console.warn("defaultOutput is deprecated, please use `defaultReactOutput`"),wr.apply(null,arguments)},e.defaultParse=function(){return"undefined"!=typeof console&&console.warn("defaultParse is deprecated, please use `defaultImplicitParse`"),Ut.apply(null,arguments)},e.defaultRawParse=kr,e.defaultReactOutput=wr,e.defaultRules=I,e.defaultTextOutput=Or,e.discordRules=On,e.discordRulesFor=wt,e.domOutput=Z,e.escapeMarkdown=U,e.fromMdast=function(e){var r={definitions:{},footnotes:{},footnoteDefs:[],footnoteCount:0,ownFootnotes:{},slugs:{}},o=[],e=(function e(t){var n;"definition"===t.type?(n=Ft(t.identifier),r.definitions[n]=r.definitions[n]||t):"footnoteDefinition"===t.type&&o.push(t),(t.children||[]).forEach(e)}(e),r.footnoteDefs=o.map(function(e){return{type:"footnoteDef",id:g(e.identifier)}}),"root"===e.type?e.children:[e]),e=S(e,r,!1);return r.footnoteDefs.forEach(function(t){var e=r.footnotes[t.id];t.number=e?e[0].number:void 0,t.refCount=e?e.length:0,(r.ownFootnotes[t.id]||[]).forEach(function(e){e.number=t.number})}),e},e.htmlFor=function(r){return function t(e,n){return n=n||{},Array.isArray(e)?e.map(function(e){return t(e,n)}).join(""):r(e,t,n)}},e.htmlTag=l,e.incrementalParserFor=function(e,t){function v(e,t,n){var r,o={};for(r in t)Object.prototype.hasOwnProperty.call(t,r)&&(o[r]=t[r]);return o.inline=!1,o.trackPosition=!0,o._defs=n,i(e,o)}var i=B(e,t);return function(e,t,n){var r=e.source,o=e.ast,i=t.offset+t.deleteLength,u=r.slice(0,t.offset)+t.insertText+r.slice(i),l=t.insertText.length-t.deleteLength,a=0<o.length,c={};if(k(o,function(e){null==e.position?a=!1:"def"===e.type&&(c[e.def]={target:e.target,title:e.title})}),!a)return{source:u,ast:v(u,n)};for(var f=0;f<o.length-1&&q(o[f])<t.offset;)f++;for(var s=f=Math.max(f-1,0);s<o.length-1&&x(o[s+1])<=i;)s++;for(var s=Math.min(s+1,o.length-1),p=x(o[f]),d=T(u);;){var m=s+1<o.length?o[s+1]:null,h=r.length,h=(m&&s+2<o.length&&(h=x(o[s+2])),u.slice(p,h+l)),g=pe.test(h)||/[`~]/.test(r.slice(t.offset,i)),y=(k(o.slice(f,s+2),function(e){g=g||-1!==se.indexOf(e.type)}),g?[]:v(h,n,c));if(k(y,function(e){g=g||-1!==se.indexOf(e.type)}),g)return{source:u,ast:v(u,n)};if(((t,n)=>{k(y,function(e){null!=e.position&&(e.position={start:b(e.position.start.offset+t,n),end:b(e.position.end.offset+t,n)})})})(p,d),null==m)return{source:u,ast:Je(o.slice(0,f).concat(y))};h=y[y.length-1];if(null!=h&&h.type===m.type&&x(h)===x(m)+l&&q(h)===q(m)+l)return h=((e,n,r)=>de(e,function(e){var t;return null==e.position||W((t={start:b(e.position.start.offset+n,r),end:b(e.position.end.offset+n,r)}).start,e.position.start)&&W(t.end,e.position.end)?null:{position:t}}))(o.slice(s+1),l,d),{source:u,ast:Je(o.slice(0,f).concat(y.slice(0,-1),h))};s=Math.min(s+(s-f+1),o.length-1)}}},e.inlineRegex=t,e.markJumboEmoji=ut,e.markdownToDom=function(e,t){return jr(_(e,t),t)},e.markdownToHtml=function(e,t){return Ar(_(e,t),t)},e.markdownToReact=Qt,e.markdownToText=function(e,t){return Or(_(e,t),t).replace(C,"")},e.outputFor=j,e.parseBlock=u,e.parseInline=c,e.parserFor=B,e.preprocess=z,e.reactElement=he,e.reactFor=function(a){return function e(t,n){if(n=n||{},Array.isArray(t)){for(var r=n.key,o=[],i=null,u=0;u<t.length;u++){n.key=""+u;var l=e(t[u],n);"string"==typeof l&&"string"==typeof i?o[o.length-1]=i+=l:(o.push(l),i=l)}return n.key=r,o}return a(t,e,n)}},e.reactOutput=M,e.ruleOutput=function(r,o){return o||"undefined"==typeof console||console.warn("simple-markdown ruleOutput should take 'react', 'element', 'dom' or 'html' as the second argument."),function(e,t,n){return r[e.type][o](e,t,n)}},e.sanitizeText=a,e.sanitizeUrl=we,e.tableOfContents=function(e){var n=[],r=[];return e.forEach(function(e){if("heading"===e.type){for(var t={id:e.id,level:e.level,text:E(e.content),content:e.content,children:[]};r.length&&r[r.length-1].level>=t.level;)r.pop();(r.length?r[r.length-1].children:n).push(t),r.push(t)}}),n},e.tableOfContentsList=function n(e){return{type:"list",ordered:!1,start:void 0,items:e.map(function(e){var t=[{type:"link",target:"#"+e.id,title:void 0,content:[{type:"text",content:e.text}]}];return e.children.length&&t.push(n(e.children)),t})}},e.toHast=function(e,t,n){n=Object.assign({},n||I),n.paragraph&&n.paragraph.element===I.paragraph.element&&(n.paragraph=Object.assign({},n.paragraph,{element:function(e,t,n){return f(n,"p",n.key,{},t(e.content,n))}})),t=Object.assign({},t,{createElement:Nt});return{type:"root",children:br(j(n,"element")(e,t))}},e.toMdast=function(e){return{type:"root",children:Bt(Array.isArray(e)?e:[e])}},e.transform=function(e,t,n){function i(o,e){var i,e=t(o,e);return e===mr?o:void 0!==e?e:(i=null,zt(o,r).forEach(function(e){var t=o[e];if(Array.isArray(t)){var n=u(t,o);if(n!==t){if(null==i)for(var r in i={type:o.type},o)Object.prototype.hasOwnProperty.call(o,r)&&(i[r]=o[r]);i[e]=n}}}),i||o)}var r=n||I,u=function(e,n){var r=[],o=!1;return e.forEach(function(e){var t=(Array.isArray(e)?u:i)(e,n);t===e?r.push(e):(o=!0,Array.isArray(t)&&!Array.isArray(e)?Array.prototype.push.apply(r,t):null!=t&&r.push(t))}),o?r:e},n=Array.isArray(e)?e:[e];return u(n,null)},e.unescapeUrl=N,e.visit=function(e,o,t){var i=t||I;!function n(e,r){e.forEach(function(t){var e;Array.isArray(t)?n(t,r):(e=o[t.type])&&e(t,r)===mr||zt(t,i).forEach(function(e){Array.isArray(t[e])&&n(t[e],t)})})}(Array.isArray(e)?e:[e],null)},e.vueFor=function(a){return function e(t,n){if(n=n||{},Array.isArray(t)){for(var r=n.key,o=[],i=null,u=0;u<t.length;u++){n.key=""+u;var l=e(t[u],n);"string"==typeof l&&"string"==typeof i?o[o.length-1]=i+=l:(o.push(l),i=l)}return n.key=r,o}return a(t,e,n)}},Object.defineProperty(e,"__esModule",{value:!0})});
\ No newline at end of file
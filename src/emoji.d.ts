@@ -0,0 +1,5 @@
+/**
+ * Emoji for the most common `:shortcode:`s, to pass in the parse state as
+ * `emojiShortcodes`.
+ */
+export const emojiShortcodes: { [shortcode: string]: string };
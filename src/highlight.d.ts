@@ -0,0 +1,11 @@
+import { HighlightToken } from './index';
+
+/**
+ * Splits code into tokens for highlighting, if `lang` is one of js, json,
+ * sh or diff (or one of their aliases), to pass in the output state as
+ * `highlight`. Returns null for other languages.
+ */
+export const highlightCode: (
+	content: string,
+	lang: string | undefined,
+) => Array<HighlightToken> | null;
@@ -0,0 +1,54 @@
+import { DefineComponent, VNode, VNodeArrayChildren } from 'vue';
+import {
+	ArrayNodeOutput,
+	ElementRules,
+	NodeOutput,
+	OptionalState,
+	Output,
+	ParserRule,
+	ParserRules,
+	ReactElements,
+	State,
+} from './index';
+
+export * from './index';
+
+export as namespace SimpleMarkdownVue;
+
+export type VueElement = string | number | boolean | VNode | VNodeArrayChildren | (() => any);
+export type VueElements = VueElement | VueElement[];
+
+export type VueOutput = Output<VueElements>;
+export type VueNodeOutput = NodeOutput<VueElements>;
+
+export interface VueOutputRule {
+	readonly vue: VueNodeOutput | null;
+}
+export interface VueArrayRule {
+	readonly react?: ArrayNodeOutput<ReactElements>;
+	readonly vue: ArrayNodeOutput<VueElements>;
+	readonly html?: ArrayNodeOutput<string>;
+	readonly [other: string]: ArrayNodeOutput<any> | undefined;
+}
+export interface VueRules {
+	readonly Array?: VueArrayRule;
+	readonly [type: string]: (ParserRule & VueOutputRule) | VueArrayRule | undefined;
+}
+
+export interface VueMarkdownProps {
+	source: string;
+	// by default, the defaultRules:
+	rules?: (ParserRules & (ElementRules | VueRules)) | null;
+	state?: State | null;
+	inline?: boolean;
+	// by default, 'div':
+	tag?: string;
+}
+
+export const vueOutputFor: (
+	rules: ElementRules | VueRules,
+	defaultState?: OptionalState,
+) => VueOutput;
+export const defaultVueOutput: VueOutput;
+export const markdownToVue: (source: string, state?: OptionalState) => VueElements;
+export const VueMarkdown: DefineComponent<VueMarkdownProps>;